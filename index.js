@@ -43,19 +43,58 @@ import {
   getActiveBulkCacheOperations,
   clearActiveBulkCacheOperations,
   getPendingCacheUpdates,
-  clearPendingCacheUpdates
+  clearPendingCacheUpdates,
+  getCacheJobStatusHandler,
+  listCacheJobsHandler,
+  createCacheIndexHandler,
+  getCacheIndexesHandler,
+  deleteCacheIndexesHandler,
+  startCacheAuditHandler,
+  getCacheAuditHandler,
+  listCacheAuditsHandler,
+  subscribeCacheEventsHandler,
+  defineCacheRetentionHandler,
+  getCacheRetentionHandler,
+  deleteCacheRetentionHandler,
+  startCacheRetentionRunHandler,
+  getCacheRetentionRunHandler,
+  listCacheRetentionRunsHandler
 } from './utils/cache.js';
 
 import { updateCacheFromLambdaHandler } from './utils/cache.js';
+import { getCacheBackend } from './utils/cache-backend.js';
+import { metricsHandler } from './utils/metrics.js';
 
 import {
   indexTableHandler,
   searchIndexHandler,
+  federatedSearchHandler,
+  listReindexJobsHandler,
+  getReindexJobHandler,
+  pauseReindexJobHandler,
+  resumeReindexJobHandler,
+  cancelReindexJobHandler,
+  searchAnalyticsHandler,
+  listDeadLettersHandler,
+  replayDeadLettersHandler,
+  discardDeadLettersHandler,
   listIndicesHandler,
   deleteIndicesHandler,
   searchHealthHandler,
+  getSearchAliasHandler,
+  swapSearchAliasHandler,
   updateIndexingFromLambdaHandler
 } from './utils/search-indexing.js';
+import { semanticSearchHandler, semanticIndexHandler } from './utils/semantic-search.js';
+import {
+  listIndexingConfigsHandler,
+  getIndexingConfigHandler,
+  validateIndexingConfigHandler,
+  previewIndexingConfigHandler,
+  createIndexingConfigHandler,
+  updateIndexingConfigHandler,
+  deleteIndexingConfigHandler
+} from './utils/search-indexing-configs.js';
 
 import * as crud from './utils/crud.js';
 import { execute } from './utils/execute.js';
@@ -195,8 +234,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET','HEAD','PUT','PATCH','POST','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization','X-Requested-With','Cookie','Accept'],
-  exposedHeaders: ['Set-Cookie', 'Authorization', 'Content-Type'],
+  allowedHeaders: ['Content-Type','Authorization','X-Requested-With','Cookie','Accept','Last-Event-ID'],
+  exposedHeaders: ['Set-Cookie', 'Authorization', 'Content-Type', 'X-Cache-Status'],
   maxAge: 86400,
   preflightContinue: false
 }));
@@ -212,8 +251,8 @@ app.options('*', (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', origin || '*');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, PATCH, DELETE, HEAD');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Cookie, Accept');
-    res.setHeader('Access-Control-Expose-Headers', 'Set-Cookie, Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Cookie, Accept, Last-Event-ID');
+    res.setHeader('Access-Control-Expose-Headers', 'Set-Cookie, Authorization, Content-Type, X-Cache-Status');
     res.setHeader('Access-Control-Max-Age', '86400');
   }
   return res.sendStatus(200); // ✅ No redirect, just OK
@@ -1745,10 +1784,29 @@ app.get('/cache/keys', getPaginatedCacheKeysHandler);
 app.get('/cache/clear', clearCacheHandler);
 app.get('/cache/stats', getCacheStatsHandler);
 app.get('/cache/health', cacheHealthHandler);
+
+// Prometheus metrics (cache, search indexing, /execute, Lambda deployments)
+app.get('/metrics', metricsHandler);
+
 app.get('/cache/test', testCacheConnection);
 app.post('/cache/clear-unwanted-order-data', clearUnwantedOrderDataHandler);
 app.post('/cache/cleanup-timestamp-chunks', cleanupTimestampChunksHandler);
 app.get('/cache/data-in-sequence', getCachedDataInSequenceHandler);
+app.get('/cache/jobs', listCacheJobsHandler);
+app.get('/cache/jobs/:jobId', getCacheJobStatusHandler);
+app.post('/cache/indexes', createCacheIndexHandler);
+app.get('/cache/indexes', getCacheIndexesHandler);
+app.delete('/cache/indexes', deleteCacheIndexesHandler);
+app.post('/cache/audit', startCacheAuditHandler);
+app.get('/cache/audit', listCacheAuditsHandler);
+app.get('/cache/audit/:auditId', getCacheAuditHandler);
+app.get('/cache/subscribe', subscribeCacheEventsHandler);
+app.post('/cache/retention', defineCacheRetentionHandler);
+app.get('/cache/retention', getCacheRetentionHandler);
+app.delete('/cache/retention', deleteCacheRetentionHandler);
+app.post('/cache/retention/run', startCacheRetentionRunHandler);
+app.get('/cache/retention/runs', listCacheRetentionRunsHandler);
+app.get('/cache/retention/runs/:runId', getCacheRetentionRunHandler);
 
 // Debug endpoint for testing cache responses
 app.get('/cache/debug/:project/:table/:key', async (req, res) => {
@@ -1764,7 +1822,7 @@ app.get('/cache/debug/:project/:table/:key', async (req, res) => {
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     
     const cacheKey = `${project}:${table}:${key}`;
-    const value = await redis.get(cacheKey);
+    const value = await getCacheBackend().get(cacheKey);
     
     if (!value) {
       return res.status(404).json({
@@ -1820,7 +1878,7 @@ app.get('/test-valkey-connection', async (req, res) => {
       password: process.env.REDIS_PASSWORD ? '***' : 'none'
     });
     
-    await redis.ping();
+    await getCacheBackend().ping();
     console.log('✅ Valkey ping successful');
     res.json({
       status: 'success',
@@ -1858,11 +1916,32 @@ app.get('/cache/pending-updates', getPendingCacheUpdates);
 app.delete('/cache/pending-updates', clearPendingCacheUpdates);
 
 // --- Search Indexing API Routes ---
+app.get('/search/configs', listIndexingConfigsHandler);
+app.post('/search/configs', createIndexingConfigHandler);
+app.post('/search/configs/validate', validateIndexingConfigHandler);
+app.post('/search/configs/preview', previewIndexingConfigHandler);
+app.get('/search/configs/:configId', getIndexingConfigHandler);
+app.put('/search/configs/:configId', updateIndexingConfigHandler);
+app.delete('/search/configs/:configId', deleteIndexingConfigHandler);
 app.post('/search/index', indexTableHandler);
+app.get('/search/jobs', listReindexJobsHandler);
+app.get('/search/jobs/:jobId', getReindexJobHandler);
+app.post('/search/jobs/:jobId/pause', pauseReindexJobHandler);
+app.post('/search/jobs/:jobId/resume', resumeReindexJobHandler);
+app.post('/search/jobs/:jobId/cancel', cancelReindexJobHandler);
 app.post('/search/query', searchIndexHandler);
+app.post('/search/federated', federatedSearchHandler);
+app.get('/search/analytics', searchAnalyticsHandler);
+app.post('/search/semantic', semanticSearchHandler);
+app.post('/search/semantic/index', semanticIndexHandler);
 app.post('/search/indices', listIndicesHandler);
 app.post('/search/delete', deleteIndicesHandler);
 app.post('/search/update', updateIndexingFromLambdaHandler);
+app.get('/search/dead-letters', listDeadLettersHandler);
+app.post('/search/dead-letters/replay', replayDeadLettersHandler);
+app.post('/search/dead-letters/discard', discardDeadLettersHandler);
+app.get('/search/alias', getSearchAliasHandler);
+app.post('/search/alias', swapSearchAliasHandler);
 app.get('/search/health', searchHealthHandler);
 
 // Test endpoint
@@ -1972,7 +2051,7 @@ app.all('/crud', async (req, res) => {
 
     // Emit notification event (non-blocking)
     try {
-      const crudNotifyEvent = buildCrudEvent({ method: req.method, tableName: req.query?.tableName, body: req.body, result: body });
+      const crudNotifyEvent = buildCrudEvent({ method: req.method, tableName: req.query?.tableName, body: req.body, result: body, previousItem: result.previousItem });
       console.log('[Index] Emitting CRUD event:', crudNotifyEvent);
       notifyEvent(crudNotifyEvent).catch(err => console.error('[Index] CRUD notifyEvent error:', err));
     } catch (e) {
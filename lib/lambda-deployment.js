@@ -11,6 +11,7 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import archiver from 'archiver';
 import { Readable } from 'stream';
+import { lambdaDeployments, lambdaDeploymentDuration } from '../utils/metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -459,6 +460,14 @@ export class LambdaDeploymentManager {
   }
 
   async deployLambdaFunction(functionName, code, runtime = 'nodejs18.x', handler = 'index.handler', memorySize = 128, timeout = 30, dependencies = {}, environment = '', createApiGateway = true, namespaceId = null) {
+    // Deploy outcome for /metrics: success, partial (API Gateway failed) or failure
+    const stopDeployTimer = lambdaDeploymentDuration.startTimer();
+    let deployAction = 'unknown';
+    const recordDeployment = (outcome) => {
+      lambdaDeployments.inc({ action: deployAction, outcome });
+      stopDeployTimer({ action: deployAction, outcome });
+    };
+
     try {
       console.log(`[Lambda Deployment] Deploying function: ${functionName}`);
       console.log(`[Lambda Deployment] Configuration:`, { runtime, handler, memorySize, timeout, environment });
@@ -540,6 +549,7 @@ export class LambdaDeploymentManager {
         }
         console.log(`[Lambda Deployment] Function ${functionName} does not exist, creating...`);
       }
+      deployAction = functionExists ? 'update' : 'create';
 
       const zipBuffer = fs.readFileSync(zipPath);
       
@@ -593,6 +603,7 @@ export class LambdaDeploymentManager {
         
         // Store metadata in DynamoDB
         await this.storeDeploymentMetadata(deploymentData);
+        recordDeployment(deploymentData.apiGatewayError ? 'partial' : 'success');
         
         return {
           success: true,
@@ -670,6 +681,7 @@ export class LambdaDeploymentManager {
         
         // Store metadata in DynamoDB
         await this.storeDeploymentMetadata(deploymentData);
+        recordDeployment(deploymentData.apiGatewayError ? 'partial' : 'success');
         
         return {
           success: true,
@@ -692,6 +704,7 @@ export class LambdaDeploymentManager {
       }
     } catch (error) {
       console.error('[Lambda Deployment] Error deploying function:', error);
+      recordDeployment('failure');
       throw error;
     } finally {
       // Clean up temp files
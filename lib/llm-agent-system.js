@@ -11,6 +11,7 @@ import { GetCommand } from '@aws-sdk/lib-dynamodb';
 import { DynamicStructuredTool } from "@langchain/core/tools";
 import { initializeAgentExecutorWithOptions } from "langchain/agents";
 import { generateNamespaceFromPrompt, saveGeneratedNamespace, isGeneralAIContext, detectNamespaceGenerationIntent } from './namespace-generator.js';
+import { semanticSearch } from '../utils/semantic-search.js';
 
 // Validate API key configuration
 if (!process.env.ANTHROPIC_API_KEY) {
@@ -792,11 +793,27 @@ async function selectRelevantSchemas(message, namespaceId, availableSchemas = []
     }
   }
 
+  // Prefer semantic matches; fall back to keywords when the index finds nothing
+  try {
+    const namespaceIds = [...new Set(availableSchemas.map(schema => schema.namespaceId).filter(Boolean))];
+    const { hits } = await semanticSearch(message, {
+      namespaceIds: namespaceIds.length > 0 ? namespaceIds : [namespaceId],
+      kinds: ['schema'],
+      limit: 8
+    });
+    const schemasById = new Map(availableSchemas.map(schema => [schema.id, schema]));
+    const semanticMatches = hits.map(hit => schemasById.get(hit.ref.schemaId)).filter(Boolean);
+    if (semanticMatches.length > 0) {
+      return semanticMatches;
+    }
+  } catch (error) {
+    console.warn('[LLM Agent] Semantic schema selection failed, using keyword matching:', error.message);
+  }
+
   const lowerMessage = message.toLowerCase();
   const relevantSchemas = [];
 
-  // Simple keyword-based matching for now
-  // This could be enhanced with more sophisticated NLP later
+  // Keyword-based matching
   for (const schema of availableSchemas) {
     const schemaName = (schema.schemaName || schema.name || '').toLowerCase();
     const schemaDescription = (schema.description || '').toLowerCase();
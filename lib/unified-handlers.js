@@ -10,6 +10,8 @@ import { SchemaType, SchemaGenerationError, SchemaValidationError, HttpMethod, P
 import { saveSingleExecutionLog, savePaginatedExecutionLogs } from '../executionHandler.js';
 import { handlers as dynamodbHandlers } from './dynamodb-handlers.js';
 import { createNamespaceFolder, deleteNamespaceFolder } from '../utils/brmh-drive.js';
+import { normalizeFieldMapping } from '../utils/search-field-mapping.js';
+import { normalizeSearchSettings } from '../utils/search-query.js';
 
 // Import or define your tools here
 // import { FileTool, CodeTool, SchemaTool, ApiTool } from './tools';
@@ -2941,10 +2943,22 @@ const serveIcon = async (iconUrl) => {
 export { createNamespace, createNamespaceMethod }; 
 
 // Indexing Configuration Management Functions
+// fieldMapping (include/exclude, renames, computed fields, types, masking) is
+// validated here and applied by utils/search-indexing.js to every document;
+// searchSettings declares the facets and sorts searches may use
 const createIndexingConfig = async (configData) => {
   try {
     const configId = uuidv4();
     const timestamp = new Date().toISOString();
+
+    const { fieldMapping, error: mappingError } = normalizeFieldMapping(configData.fieldMapping);
+    if (mappingError) {
+      throw new Error(`Invalid fieldMapping: ${mappingError}`);
+    }
+    const { searchSettings, error: settingsError } = normalizeSearchSettings(configData.searchSettings);
+    if (settingsError) {
+      throw new Error(`Invalid searchSettings: ${settingsError}`);
+    }
     
     const indexingConfig = {
       id: configId,
@@ -2952,6 +2966,8 @@ const createIndexingConfig = async (configData) => {
       table: configData.table,
       description: configData.description || '',
       customFields: configData.customFields || [],
+      fieldMapping,
+      searchSettings,
       status: configData.status || 'active',
       createdAt: timestamp,
       updatedAt: timestamp
@@ -2998,6 +3014,21 @@ const updateIndexingConfig = async (configId, updates) => {
     const expressionAttributeNames = {};
     const expressionAttributeValues = {};
 
+    if ('fieldMapping' in updates) {
+      const { fieldMapping, error: mappingError } = normalizeFieldMapping(updates.fieldMapping);
+      if (mappingError) {
+        throw new Error(`Invalid fieldMapping: ${mappingError}`);
+      }
+      updates = { ...updates, fieldMapping };
+    }
+    if ('searchSettings' in updates) {
+      const { searchSettings, error: settingsError } = normalizeSearchSettings(updates.searchSettings);
+      if (settingsError) {
+        throw new Error(`Invalid searchSettings: ${settingsError}`);
+      }
+      updates = { ...updates, searchSettings };
+    }
+
     Object.entries(updates).forEach(([key, value]) => {
       updateExpression.push(`#${key} = :${key}`);
       expressionAttributeNames[`#${key}`] = key;
@@ -0,0 +1,45 @@
+// Unit tests for the /search/query filter DSL compiler
+import assert from 'assert';
+import { compileFilterDsl } from '../utils/search-query.js';
+import { SearchQueryError } from '../utils/search-backend.js';
+
+function run() {
+  // Conditions of one kind may share an OR group
+  assert.strictEqual(
+    compileFilterDsl({ or: [{ field: 'brand', value: 'Acme' }, { field: 'inStock', value: true }] }).filters,
+    '(brand:"Acme" OR inStock:true)'
+  );
+  assert.strictEqual(
+    compileFilterDsl({ or: [{ field: 'price', op: 'gt', value: 5 }, { field: 'rating', value: 4 }] }).filters,
+    '(price > 5 OR rating = 4)'
+  );
+
+  // Numeric and facet conditions may be ANDed
+  assert.strictEqual(
+    compileFilterDsl({ and: [{ field: 'price', op: 'gt', value: 5 }, { field: 'brand', value: 'x' }] }).filters,
+    'price > 5 AND brand:"x"'
+  );
+
+  // ...but not ORed, whether written directly or produced by De Morgan
+  const mixed = [
+    { or: [{ field: 'price', op: 'gt', value: 5 }, { field: 'brand', value: 'x' }] },
+    { not: { and: [{ field: 'price', op: 'between', value: [1, 10] }, { field: 'brand', op: 'in', value: ['x', 'y'] }] } },
+    { or: [{ field: 'rating', value: 4 }, { field: 'brand', op: 'ne', value: 'x' }] }
+  ];
+  for (const tree of mixed) {
+    assert.throws(
+      () => compileFilterDsl(tree),
+      err => err instanceof SearchQueryError && /cannot OR numeric and facet conditions/.test(err.message),
+      `should reject ${JSON.stringify(tree)}`
+    );
+  }
+
+  console.log('All search query tests passed.');
+}
+
+try {
+  run();
+} catch (e) {
+  console.error('Search query tests failed:', e.message);
+  process.exit(1);
+}
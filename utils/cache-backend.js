@@ -0,0 +1,583 @@
+import Redis from "ioredis";
+import { EventEmitter } from "events";
+import { cacheBackendCommandDuration, cacheBackendCommandErrors } from "./metrics.js";
+
+/**
+ * Cache storage backends for utils/cache.js
+ *
+ * Both backends expose the same small, Redis-shaped interface so cache
+ * handlers behave identically whichever one is selected:
+ *
+ *   strings: get, set(key, value, ['EX', s | 'PX', ms], ['NX']), incr, incrby, del, exists,
+ *            rename, expire, ttl, pttl, scan(cursor, 'MATCH', pattern, 'COUNT', n)
+ *   lists:   rpush, lpush, lpop, llen, lrange, ltrim
+ *   sets:    sadd, srem, smembers
+ *   hashes:  hset, hdel, hmget, hlen
+ *   locks:   compareAndDelete(key, expected), compareAndPexpire(key, expected, ms)
+ *   pub/sub: publish(channel, message), createSubscriber() -> { subscribe, unsubscribe,
+ *            on('message', (channel, message) => ...), quit }
+ *   admin:   ping, info, quit, on(event, listener)
+ *
+ * Select with CACHE_BACKEND=redis (default) or CACHE_BACKEND=memory.
+ */
+
+// Delete the key only if it still holds the expected value (lock owner check)
+const COMPARE_AND_DELETE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Extend the key's expiry only if it still holds the expected value
+const COMPARE_AND_PEXPIRE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+/**
+ * Redis/Valkey backend (ioredis client plus the lock helpers as Lua commands)
+ */
+function createRedisBackend() {
+  const redis = new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT) || 6379,
+    tls: process.env.REDIS_TLS === 'true' ? {} : undefined,
+    password: process.env.REDIS_PASSWORD,
+    connectTimeout: 15000,
+    commandTimeout: 15000,
+    showFriendlyErrorStack: true,
+    enableOfflineQueue: true,
+    maxLoadingTimeout: 15000,
+    retryDelayOnClusterDown: 300,
+    retryDelayOnFailover: 100,
+    maxRetriesPerRequest: 5,
+    keepAlive: 30000,
+    family: 4, // Force IPv4
+    lazyConnect: false // Connect immediately
+  });
+
+  redis.defineCommand('compareAndDelete', { numberOfKeys: 1, lua: COMPARE_AND_DELETE_SCRIPT });
+  redis.defineCommand('compareAndPexpire', { numberOfKeys: 1, lua: COMPARE_AND_PEXPIRE_SCRIPT });
+
+  // Enhanced connection event handlers
+  redis.on('connect', () => {
+    console.log('✅ Redis connected successfully');
+    console.log('🔍 Connection details:', {
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT,
+      tls: process.env.REDIS_TLS,
+      tlsEnabled: process.env.REDIS_TLS === 'true'
+    });
+  });
+
+  redis.on('error', (err) => {
+    console.error('❌ Redis connection error:', err);
+    console.error('🔍 Error details:', {
+      code: err.code,
+      errno: err.errno,
+      syscall: err.syscall,
+      address: err.address,
+      port: err.port,
+      host: process.env.REDIS_HOST,
+      tls: process.env.REDIS_TLS
+    });
+  });
+
+  redis.on('close', () => {
+    console.log('🔌 Redis connection closed');
+  });
+
+  redis.on('ready', () => {
+    console.log('🚀 Redis is ready to accept commands');
+  });
+
+  // Subscribed connections can't run other commands, so hand out a dedicated one
+  redis.createSubscriber = () => redis.duplicate();
+
+  redis.backendType = 'redis';
+  return redis;
+}
+
+/**
+ * Convert a Redis glob (*, ?, [abc], \x escapes) into a RegExp
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (ch === '*') {
+      source += '.*';
+    } else if (ch === '?') {
+      source += '.';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += `[${body.startsWith('^') ? '^' + body.slice(1) : body}]`;
+        i = end;
+      }
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Subscriber for the memory backend (mirrors an ioredis connection in subscriber mode)
+ */
+class MemorySubscriber extends EventEmitter {
+  constructor(bus) {
+    super();
+    this.bus = bus;
+    this.channels = new Map(); // channel -> bus listener
+  }
+
+  async subscribe(...channels) {
+    for (const channel of channels) {
+      if (this.channels.has(channel)) continue;
+      const listener = (message) => this.emit('message', channel, message);
+      this.channels.set(channel, listener);
+      this.bus.on(channel, listener);
+    }
+    return this.channels.size;
+  }
+
+  async unsubscribe(...channels) {
+    const targets = channels.length > 0 ? channels : Array.from(this.channels.keys());
+    for (const channel of targets) {
+      const listener = this.channels.get(channel);
+      if (listener) this.bus.off(channel, listener);
+      this.channels.delete(channel);
+    }
+    return this.channels.size;
+  }
+
+  async quit() {
+    await this.unsubscribe();
+    return 'OK';
+  }
+}
+
+const normalizeIndex = (index, length) => (index < 0 ? Math.max(0, length + index) : index);
+
+// Service state rather than cached data: locks, pending-update queues, jobs,
+// cache indexes, search aliases and notification counters. Losing one of these
+// to eviction would break coordination, so they only go when deleted or expired.
+const PINNED_KEY_PREFIXES = ['brmh-', 'notify:'];
+
+/**
+ * In-process LRU backend with TTL support.
+ * Entries expire lazily on access and in a periodic sweep; once more than
+ * maxKeys keys exist the least recently used key is evicted (like allkeys-lru).
+ * Keys under pinnedPrefixes are never evicted, so maxKeys only bounds cached
+ * data once service state is counted.
+ * State is per process, so it suits local development and tests, not clusters.
+ */
+export class MemoryCacheBackend {
+  constructor({ maxKeys = 10000, sweepIntervalMs = 60000, pinnedPrefixes = PINNED_KEY_PREFIXES } = {}) {
+    this.backendType = 'memory';
+    this.maxKeys = maxKeys;
+    this.pinnedPrefixes = pinnedPrefixes;
+    this.entries = new Map(); // key -> { type, value, expiresAt }
+    this.listeners = {};
+    this.stats = { evictions: 0, expirations: 0 };
+    this.bus = new EventEmitter();
+    this.bus.setMaxListeners(0);
+
+    this.sweepTimer = setInterval(() => this.sweepExpired(), sweepIntervalMs);
+    this.sweepTimer.unref();
+
+    setImmediate(() => {
+      this.emit('connect');
+      this.emit('ready');
+    });
+  }
+
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+    return this;
+  }
+
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(listener => listener(...args));
+  }
+
+  sweepExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        this.stats.expirations++;
+      }
+    }
+  }
+
+  // Returns the live entry (refreshing its LRU position) or undefined
+  entry(key, { touch = true } = {}) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+      return undefined;
+    }
+    if (touch) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  typedEntry(key, type) {
+    const entry = this.entry(key);
+    if (entry && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry;
+  }
+
+  isPinned(key) {
+    return this.pinnedPrefixes.some(prefix => key.startsWith(prefix));
+  }
+
+  store(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size <= this.maxKeys) return;
+
+    // Least recently used first, skipping pinned keys
+    for (const candidate of this.entries.keys()) {
+      if (this.entries.size <= this.maxKeys) break;
+      if (candidate === key || this.isPinned(candidate)) continue;
+      this.entries.delete(candidate);
+      this.stats.evictions++;
+    }
+  }
+
+  // Create a list/set/hash entry on first write, keeping any existing TTL
+  collection(key, type, create) {
+    const existing = this.typedEntry(key, type);
+    if (existing) return existing;
+    const entry = { type, value: create(), expiresAt: null };
+    this.store(key, entry);
+    return entry;
+  }
+
+  // Redis deletes collections once they become empty
+  dropIfEmpty(key, entry) {
+    const size = entry.value instanceof Map || entry.value instanceof Set ? entry.value.size : entry.value.length;
+    if (size === 0) this.entries.delete(key);
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async info() {
+    return [
+      '# Server',
+      'redis_version:memory',
+      `backend:memory-lru`,
+      `keys:${this.entries.size}`,
+      `max_keys:${this.maxKeys}`,
+      `evictions:${this.stats.evictions}`,
+      `expirations:${this.stats.expirations}`
+    ].join('\r\n');
+  }
+
+  async quit() {
+    clearInterval(this.sweepTimer);
+    this.emit('close');
+    return 'OK';
+  }
+
+  async get(key) {
+    const entry = this.typedEntry(key, 'string');
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ...args) {
+    let expiresAt = null;
+    let nx = false;
+    for (let i = 0; i < args.length; i++) {
+      const option = String(args[i]).toUpperCase();
+      if (option === 'EX') expiresAt = Date.now() + Number(args[++i]) * 1000;
+      else if (option === 'PX') expiresAt = Date.now() + Number(args[++i]);
+      else if (option === 'NX') nx = true;
+    }
+
+    if (nx && this.entry(key, { touch: false })) return null;
+    this.store(key, { type: 'string', value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async incr(key) {
+    return this.addToInteger(key, 1);
+  }
+
+  async incrby(key, increment) {
+    return this.addToInteger(key, Number(increment));
+  }
+
+  addToInteger(key, increment) {
+    const entry = this.typedEntry(key, 'string');
+    const current = entry ? Number(entry.value) : 0;
+    if (!Number.isInteger(current) || !Number.isInteger(increment)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+    const next = current + increment;
+    if (entry) entry.value = String(next);
+    else this.store(key, { type: 'string', value: String(next), expiresAt: null });
+    return next;
+  }
+
+  async del(...keys) {
+    let deleted = 0;
+    for (const key of keys.flat()) {
+      if (this.entry(key, { touch: false })) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async exists(...keys) {
+    return keys.flat().filter(key => this.entry(key, { touch: false })).length;
+  }
+
+  // Moves the value and its expiry, replacing whatever newKey held
+  async rename(key, newKey) {
+    const entry = this.entry(key, { touch: false });
+    if (!entry) throw new Error('ERR no such key');
+    this.entries.delete(key);
+    this.store(newKey, entry);
+    return 'OK';
+  }
+
+  async expire(key, seconds) {
+    const entry = this.entry(key, { touch: false });
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + Number(seconds) * 1000;
+    return 1;
+  }
+
+  async pttl(key) {
+    const entry = this.entry(key, { touch: false });
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.max(0, entry.expiresAt - Date.now());
+  }
+
+  async ttl(key) {
+    const ms = await this.pttl(key);
+    return ms < 0 ? ms : Math.ceil(ms / 1000);
+  }
+
+  // Returns every match in one page; callers loop until cursor '0' either way
+  async scan(cursor, ...args) {
+    let pattern = '*';
+    for (let i = 0; i < args.length; i++) {
+      if (String(args[i]).toUpperCase() === 'MATCH') pattern = args[++i];
+    }
+    const matcher = globToRegExp(pattern);
+    const keys = Array.from(this.entries.keys()).filter(key => matcher.test(key) && this.entry(key, { touch: false }));
+    return ['0', keys];
+  }
+
+  async rpush(key, ...values) {
+    const entry = this.collection(key, 'list', () => []);
+    entry.value.push(...values.map(String));
+    return entry.value.length;
+  }
+
+  async lpush(key, ...values) {
+    const entry = this.collection(key, 'list', () => []);
+    for (const value of values) entry.value.unshift(String(value));
+    return entry.value.length;
+  }
+
+  async lpop(key) {
+    const entry = this.typedEntry(key, 'list');
+    if (!entry) return null;
+    const value = entry.value.shift();
+    this.dropIfEmpty(key, entry);
+    return value ?? null;
+  }
+
+  async llen(key) {
+    const entry = this.typedEntry(key, 'list');
+    return entry ? entry.value.length : 0;
+  }
+
+  async lrange(key, start, stop) {
+    const entry = this.typedEntry(key, 'list');
+    if (!entry) return [];
+    const length = entry.value.length;
+    return entry.value.slice(normalizeIndex(Number(start), length), normalizeIndex(Number(stop), length) + 1);
+  }
+
+  async ltrim(key, start, stop) {
+    const entry = this.typedEntry(key, 'list');
+    if (!entry) return 'OK';
+    const length = entry.value.length;
+    entry.value = entry.value.slice(normalizeIndex(Number(start), length), normalizeIndex(Number(stop), length) + 1);
+    this.dropIfEmpty(key, entry);
+    return 'OK';
+  }
+
+  async sadd(key, ...members) {
+    const entry = this.collection(key, 'set', () => new Set());
+    let added = 0;
+    for (const member of members.map(String)) {
+      if (!entry.value.has(member)) {
+        entry.value.add(member);
+        added++;
+      }
+    }
+    return added;
+  }
+
+  async srem(key, ...members) {
+    const entry = this.typedEntry(key, 'set');
+    if (!entry) return 0;
+    let removed = 0;
+    for (const member of members.map(String)) {
+      if (entry.value.delete(member)) removed++;
+    }
+    this.dropIfEmpty(key, entry);
+    return removed;
+  }
+
+  async smembers(key) {
+    const entry = this.typedEntry(key, 'set');
+    return entry ? Array.from(entry.value) : [];
+  }
+
+  async hset(key, field, value) {
+    const entry = this.collection(key, 'hash', () => new Map());
+    const isNew = !entry.value.has(String(field));
+    entry.value.set(String(field), String(value));
+    return isNew ? 1 : 0;
+  }
+
+  async hdel(key, ...fields) {
+    const entry = this.typedEntry(key, 'hash');
+    if (!entry) return 0;
+    let removed = 0;
+    for (const field of fields.map(String)) {
+      if (entry.value.delete(field)) removed++;
+    }
+    this.dropIfEmpty(key, entry);
+    return removed;
+  }
+
+  async hmget(key, ...fields) {
+    const entry = this.typedEntry(key, 'hash');
+    return fields.flat().map(field => (entry ? entry.value.get(String(field)) ?? null : null));
+  }
+
+  async hlen(key) {
+    const entry = this.typedEntry(key, 'hash');
+    return entry ? entry.value.size : 0;
+  }
+
+  async publish(channel, message) {
+    const receivers = this.bus.listenerCount(channel);
+    this.bus.emit(channel, String(message));
+    return receivers;
+  }
+
+  createSubscriber() {
+    return new MemorySubscriber(this.bus);
+  }
+
+  async compareAndDelete(key, expected) {
+    const entry = this.entry(key, { touch: false });
+    if (!entry || entry.type !== 'string' || entry.value !== expected) return 0;
+    this.entries.delete(key);
+    return 1;
+  }
+
+  async compareAndPexpire(key, expected, ms) {
+    const entry = this.entry(key, { touch: false });
+    if (!entry || entry.type !== 'string' || entry.value !== expected) return 0;
+    entry.expiresAt = Date.now() + Number(ms);
+    return 1;
+  }
+}
+
+// Commands timed on the memory backend (Redis is timed per sent command)
+const MEMORY_TIMED_COMMANDS = [
+  'get', 'set', 'incr', 'incrby', 'del', 'exists', 'rename', 'expire', 'ttl', 'pttl', 'scan',
+  'rpush', 'lpush', 'lpop', 'llen', 'lrange', 'ltrim', 'sadd', 'srem', 'smembers',
+  'hset', 'hdel', 'hmget', 'hlen', 'compareAndDelete', 'compareAndPexpire', 'publish'
+];
+
+/**
+ * Record command latency and failures in the Prometheus metrics
+ */
+function instrumentBackend(backend) {
+  const backendType = backend.backendType;
+
+  if (backendType === 'redis') {
+    const sendCommand = backend.sendCommand.bind(backend);
+    backend.sendCommand = (command, stream) => {
+      const labels = { backend: backendType, command: command.name };
+      const stopTimer = cacheBackendCommandDuration.startTimer(labels);
+      command.promise.then(() => stopTimer(), () => {
+        stopTimer();
+        cacheBackendCommandErrors.inc(labels);
+      });
+      return sendCommand(command, stream);
+    };
+    return backend;
+  }
+
+  for (const name of MEMORY_TIMED_COMMANDS) {
+    const command = backend[name].bind(backend);
+    const labels = { backend: backendType, command: name };
+    backend[name] = async (...args) => {
+      const stopTimer = cacheBackendCommandDuration.startTimer(labels);
+      try {
+        return await command(...args);
+      } catch (err) {
+        cacheBackendCommandErrors.inc(labels);
+        throw err;
+      } finally {
+        stopTimer();
+      }
+    };
+  }
+  return backend;
+}
+
+let backendInstance = null;
+
+/**
+ * Get the process-wide cache backend, creating it on first use
+ */
+export function getCacheBackend() {
+  if (backendInstance) return backendInstance;
+
+  const backendType = (process.env.CACHE_BACKEND || 'redis').toLowerCase();
+  if (backendType === 'memory') {
+    backendInstance = new MemoryCacheBackend({
+      maxKeys: parseInt(process.env.CACHE_MEMORY_MAX_KEYS) || 10000
+    });
+    console.log(`🧠 Cache backend: in-memory LRU (max ${backendInstance.maxKeys} keys)`);
+  } else if (backendType === 'redis') {
+    backendInstance = createRedisBackend();
+    console.log('🧠 Cache backend: Redis/Valkey');
+  } else {
+    throw new Error(`Unknown CACHE_BACKEND "${backendType}" (expected "redis" or "memory")`);
+  }
+
+  return instrumentBackend(backendInstance);
+}
@@ -1,15 +1,35 @@
-import { DynamoDBClient, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, ScanCommand, QueryCommand, DescribeTableCommand } from "@aws-sdk/client-dynamodb";
 import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
-import { unmarshall } from "@aws-sdk/util-dynamodb";
-import Redis from "ioredis";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { getCacheBackend } from "./cache-backend.js";
+import {
+  cacheLookups,
+  cacheJobItemsScanned,
+  cacheJobSegmentsCompleted,
+  cacheJobSegmentsTotal,
+  cacheJobRunning,
+  cacheJobsFinished
+} from "./metrics.js";
+import os from "os";
+import { randomUUID, createHash } from "crypto";
 
 console.log('Cache service: importing modules and initializing clients');
 
-// In-memory lock to prevent race conditions between bulk cache and updates
-const activeBulkCacheOperations = new Set();
+// Distributed lock + queue configuration. Bulk cache locks and pending update
+// queues live in Redis so every worker in the cluster sees the same state.
+const LOCK_CONFIG = {
+  INSTANCE_ID: process.env.CACHE_INSTANCE_ID || `${os.hostname()}:${process.pid}`,
+  LEASE_MS: parseInt(process.env.CACHE_LOCK_LEASE_MS) || 60000, // Lock expires unless renewed
+  LOCK_PREFIX: 'brmh-cache-lock:',
+  PENDING_PREFIX: 'brmh-cache-pending:',
+  PENDING_TTL_SECONDS: parseInt(process.env.CACHE_PENDING_TTL_SECONDS) || 86400
+};
+
+// Locks held by this process (for lease renewal and release on shutdown)
+const heldBulkCacheLocks = new Map();
 
-// Queue system for pending cache updates
-const pendingCacheUpdates = new Map();
+// Partition key definitions per table, used by read-through lookups
+const tableKeySchemaCache = new Map();
 
 // Logging configuration
 const LOG_CONFIG = {
@@ -18,75 +38,13 @@ const LOG_CONFIG = {
   PROGRESS_LOG_INTERVAL: 10 // Log progress every Nth operation
 };
 
-// Initialize Redis client with enhanced configuration
-const redis = new Redis({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: parseInt(process.env.REDIS_PORT) || 6379,
-  tls: process.env.REDIS_TLS === 'true' ? {} : undefined,
-  password: process.env.REDIS_PASSWORD,
-  retryDelayOnFailover: 100,
-  maxRetriesPerRequest: 5,
-  lazyConnect: true,
-  connectTimeout: 15000,
-  commandTimeout: 15000,
-  showFriendlyErrorStack: true,
-  // Add connection debugging
-  enableOfflineQueue: true,
-  maxLoadingTimeout: 15000,
-  // Add retry strategy
-  retryDelayOnClusterDown: 300,
-  retryDelayOnFailover: 100,
-  // Add keep-alive
-  keepAlive: 30000,
-  family: 4, // Force IPv4
-  // Add reconnection settings
-  retryDelayOnFailover: 100,
-  maxRetriesPerRequest: 5,
-  // Add connection pool
-  maxLoadingTimeout: 15000,
-  // Add connection monitoring
-  lazyConnect: false, // Connect immediately
-  // Add error recovery
-  retryDelayOnFailover: 100,
-  maxRetriesPerRequest: 5,
-});
+// Cache storage (Redis/Valkey or in-memory LRU, selected by CACHE_BACKEND)
+const redis = getCacheBackend();
 
 // Initialize DynamoDB clients
 const ddb = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(ddb);
 
-// Enhanced connection event handlers
-redis.on('connect', () => {
-  console.log('✅ Redis connected successfully');
-  console.log('🔍 Connection details:', {
-    host: process.env.REDIS_HOST,
-    port: process.env.REDIS_PORT,
-    tls: process.env.REDIS_TLS,
-    tlsEnabled: process.env.REDIS_TLS === 'true'
-  });
-});
-
-redis.on('error', (err) => {
-  console.error('❌ Redis connection error:', err);
-  console.error('🔍 Error details:', {
-    code: err.code,
-    errno: err.errno,
-    syscall: err.syscall,
-    address: err.address,
-    port: err.port,
-    host: process.env.REDIS_HOST,
-    tls: process.env.REDIS_TLS
-  });
-});
-
-redis.on('close', () => {
-  console.log('🔌 Redis connection closed');
-});
-
-redis.on('ready', () => {
-  console.log('🚀 Redis is ready to accept commands');
-});
-
 // Add a simple connection test function
 export const testRedisConnection = async () => {
   try {
@@ -107,35 +65,141 @@ export const testRedisConnection = async () => {
   }
 };
 
+
+const bulkLockKey = (operationKey) => `${LOCK_CONFIG.LOCK_PREFIX}${operationKey}`;
+const pendingQueueKey = (operationKey) => `${LOCK_CONFIG.PENDING_PREFIX}${operationKey}`;
+
+/**
+ * Scan all keys matching a pattern (SCAN for Valkey compatibility)
+ */
+async function scanKeys(pattern) {
+  const keys = [];
+  let cursor = '0';
+
+  do {
+    const result = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', '100');
+    cursor = result[0];
+    keys.push(...result[1]);
+  } while (cursor !== '0');
+
+  return keys;
+}
+
+/**
+ * Try to acquire the cluster-wide bulk cache lock for a project:table.
+ * Returns the lock handle, or null if another owner holds it.
+ */
+async function acquireBulkCacheLock(operationKey) {
+  const ownerId = `${LOCK_CONFIG.INSTANCE_ID}:${randomUUID()}`;
+  const lockValue = JSON.stringify({
+    operationKey,
+    ownerId,
+    instanceId: LOCK_CONFIG.INSTANCE_ID,
+    acquiredAt: new Date().toISOString(),
+    leaseMs: LOCK_CONFIG.LEASE_MS
+  });
+
+  const result = await redis.set(bulkLockKey(operationKey), lockValue, 'PX', LOCK_CONFIG.LEASE_MS, 'NX');
+  if (result !== 'OK') {
+    return null;
+  }
+
+  // Renew the lease while the operation runs; a crashed owner lets it expire
+  const renewTimer = setInterval(async () => {
+    try {
+      const renewed = await redis.compareAndPexpire(bulkLockKey(operationKey), lockValue, LOCK_CONFIG.LEASE_MS);
+      if (renewed !== 1) {
+        console.warn(`⚠️ Lost bulk cache lock for ${operationKey} (owner ${ownerId})`);
+        clearInterval(renewTimer);
+      }
+    } catch (err) {
+      console.error(`❌ Failed to renew bulk cache lock for ${operationKey}:`, err.message);
+    }
+  }, Math.max(1000, Math.floor(LOCK_CONFIG.LEASE_MS / 3)));
+  renewTimer.unref();
+
+  const lock = { operationKey, ownerId, lockValue, renewTimer };
+  heldBulkCacheLocks.set(ownerId, lock);
+  console.log(`🔒 Acquired bulk cache lock for ${operationKey} (owner ${ownerId})`);
+  return lock;
+}
+
+/**
+ * Release a bulk cache lock previously returned by acquireBulkCacheLock
+ */
+async function releaseBulkCacheLock(lock) {
+  if (!lock) return false;
+
+  clearInterval(lock.renewTimer);
+  heldBulkCacheLocks.delete(lock.ownerId);
+
+  try {
+    const released = await redis.compareAndDelete(bulkLockKey(lock.operationKey), lock.lockValue);
+    console.log(`🔓 Released bulk cache lock for ${lock.operationKey}${released === 1 ? '' : ' (already expired or taken over)'}`);
+    return released === 1;
+  } catch (err) {
+    console.error(`❌ Failed to release bulk cache lock for ${lock.operationKey}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Get the current holder of a bulk cache lock, or null if unlocked
+ */
+async function getBulkCacheLock(operationKey) {
+  const key = bulkLockKey(operationKey);
+  const [value, ttlMs] = await Promise.all([redis.get(key), redis.pttl(key)]);
+  if (!value) return null;
+
+  try {
+    const lock = JSON.parse(value);
+    return {
+      ...lock,
+      expiresAt: ttlMs > 0 ? new Date(Date.now() + ttlMs).toISOString() : null,
+      ttlMs
+    };
+  } catch {
+    return { operationKey, ownerId: 'unknown', ttlMs };
+  }
+}
+
+/**
+ * List bulk cache locks held by any instance
+ */
+async function listBulkCacheLocks() {
+  const keys = await scanKeys(`${LOCK_CONFIG.LOCK_PREFIX}*`);
+  const locks = await Promise.all(keys.map(key => getBulkCacheLock(key.slice(LOCK_CONFIG.LOCK_PREFIX.length))));
+  return locks.filter(Boolean);
+}
+
+/**
+ * Append an update to the shared pending queue, returns the queue length
+ */
+async function enqueuePendingCacheUpdate(operationKey, update) {
+  const key = pendingQueueKey(operationKey);
+  const length = await redis.rpush(key, JSON.stringify(update));
+  await redis.expire(key, LOCK_CONFIG.PENDING_TTL_SECONDS);
+  return length;
+}
+
 /**
  * Express handler for caching DynamoDB table data to Redis
  * Request body: {
  *   project: string,
  *   table: string,
  *   recordsPerKey: number,
- *   ttl: number
+ *   ttl: number,
+ *   segments?: number (parallel scan segments, runs as a background job),
+ *   jobId?: string (resume a specific job from its checkpoints),
+ *   resume?: boolean (resume the latest unfinished job for this table)
  * }
  */
 export const cacheTableHandler = async (req, res) => {
   const start = Date.now();
+  let lock = null;
 
   try {
-    const { project, table, recordsPerKey = 1, ttl = 3600 } = req.body;
-
-    // Check if bulk cache operation is already in progress for this table
-    const operationKey = `${project}:${table}`;
-    if (activeBulkCacheOperations.has(operationKey)) {
-      console.log(`🚫 Bulk cache operation already in progress for ${operationKey}`);
-      return res.status(409).json({
-        error: "Bulk cache operation in progress",
-        message: `A bulk cache operation is already running for project: ${project}, table: ${table}`,
-        operationKey
-      });
-    }
-
-    // Add lock for this operation
-    activeBulkCacheOperations.add(operationKey);
-    console.log(`🔒 Acquired bulk cache lock for ${operationKey}`);
+    const { project, table, recordsPerKey = 1, ttl = 3600, segments, jobId, resume = false } = req.body;
 
     console.log('Cache handler invoked with request:', JSON.stringify(req.body));
 
@@ -164,6 +228,55 @@ export const cacheTableHandler = async (req, res) => {
       });
     }
 
+    const jobMode = segments !== undefined || jobId || resume;
+    const totalSegments = parseInt(segments ?? 1);
+    if (jobMode && !jobId && (isNaN(totalSegments) || totalSegments < 1 || totalSegments > JOB_CONFIG.MAX_SEGMENTS)) {
+      return res.status(400).json({
+        error: "Invalid 'segments'",
+        message: `segments must be an integer between 1 and ${JOB_CONFIG.MAX_SEGMENTS}`
+      });
+    }
+
+    // Acquire the cluster-wide lock for this table, once the request is valid
+    const operationKey = `${project}:${table}`;
+    lock = await acquireBulkCacheLock(operationKey);
+    if (!lock) {
+      const holder = await getBulkCacheLock(operationKey);
+      console.log(`🚫 Bulk cache operation already in progress for ${operationKey}`);
+      return res.status(409).json({
+        error: "Bulk cache operation in progress",
+        message: `A bulk cache operation is already running for project: ${project}, table: ${table}`,
+        operationKey,
+        lock: holder
+      });
+    }
+
+    // Parallel-segment, checkpointed job mode (runs in the background)
+    if (jobMode) {
+      const { job, resumed, error } = await prepareSegmentedCacheJob({
+        project, table, recordsPerKey, ttl, segments: totalSegments, jobId, resume
+      });
+      if (error) {
+        return res.status(error.status).json({ error: error.error, message: error.message });
+      }
+
+      // Hand the lock to the background job so the finally block leaves it alone
+      const jobLock = lock;
+      lock = null;
+      runSegmentedCacheJob(job, jobLock).catch(err => console.error(`🔥 Cache job ${job.jobId} crashed:`, err));
+
+      return res.status(202).json({
+        message: resumed ? "Cache job resumed from checkpoint" : "Cache job started",
+        jobId: job.jobId,
+        project,
+        table,
+        totalSegments: job.totalSegments,
+        recordsPerKey: job.recordsPerKey,
+        ttl: job.ttl,
+        statusUrl: `/cache/jobs/${job.jobId}`
+      });
+    }
+
     console.log(`📤 Starting bounded buffer cache operation for table: ${table}, project: ${project}, TTL: ${ttl} (${ttl === 0 ? 'no expiration' : ttl + ' seconds'})`);
     
     const {
@@ -174,6 +287,8 @@ export const cacheTableHandler = async (req, res) => {
       skippedDuplicates,
       cacheKeys
     } = await scanAndCacheWithBoundedBuffer(table, project, recordsPerKey, ttl);
+
+    const indexRebuild = await rebuildCacheIndexes(project, table);
     
     const fillRate = attemptedKeys > 0 ? ((successfulWrites / attemptedKeys) * 100).toFixed(2) : '0.00';
     const duration = Date.now() - start;
@@ -196,7 +311,8 @@ export const cacheTableHandler = async (req, res) => {
       fillRate: `${fillRate}%`,
       durationMs: duration,
       cacheKeys: cacheKeys.slice(0, 10), // Return first 10 keys as sample
-      totalCacheKeys: cacheKeys.length
+      totalCacheKeys: cacheKeys.length,
+      ...(indexRebuild && { indexRebuild })
     });
 
   } catch (err) {
@@ -211,13 +327,13 @@ export const cacheTableHandler = async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } finally {
-    // Always release the lock, even if operation fails
-    const operationKey = `${req.body.project}:${req.body.table}`;
-    activeBulkCacheOperations.delete(operationKey);
-    console.log(`🔓 Released bulk cache lock for ${operationKey}`);
-    
-    // Process any pending cache updates
-    await processPendingCacheUpdates(operationKey);
+    // Always release our lock, even if operation fails (never someone else's)
+    if (lock) {
+      await releaseBulkCacheLock(lock);
+
+      // Process any pending cache updates
+      await processPendingCacheUpdates(lock.operationKey);
+    }
   }
 };
 
@@ -448,1486 +564,4090 @@ async function scanAndCacheWithBoundedBuffer(tableName, project, recordsPerKey,
   return { totalScanned, successfulWrites, failedWrites, attemptedKeys, skippedDuplicates, cacheKeys };
 }
 
+// Segmented bulk cache jobs: each parallel scan segment checkpoints its
+// LastEvaluatedKey (plus any partial chunk buffer) to Redis after every page
+const JOB_CONFIG = {
+  PREFIX: 'brmh-cache-job:',
+  TABLE_JOBS_PREFIX: 'brmh-cache-jobs:',
+  TTL_SECONDS: parseInt(process.env.CACHE_JOB_TTL_SECONDS) || 604800, // 7 days
+  MAX_SEGMENTS: 64,
+  JOBS_PER_TABLE: 20
+};
+
+const cacheJobKey = (jobId) => `${JOB_CONFIG.PREFIX}${jobId}`;
+const cacheJobSegmentKey = (jobId, segment) => `${JOB_CONFIG.PREFIX}${jobId}:segment:${segment}`;
+const cacheJobChunkCounterKey = (jobId) => `${JOB_CONFIG.PREFIX}${jobId}:chunks`;
+const tableJobsKey = (operationKey) => `${JOB_CONFIG.TABLE_JOBS_PREFIX}${operationKey}`;
+
+async function saveCacheJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await redis.set(cacheJobKey(job.jobId), JSON.stringify(job), 'EX', JOB_CONFIG.TTL_SECONDS);
+}
+
+async function loadCacheJob(jobId) {
+  const value = await redis.get(cacheJobKey(jobId));
+  return value ? JSON.parse(value) : null;
+}
+
+async function saveSegmentCheckpoint(jobId, state) {
+  state.updatedAt = new Date().toISOString();
+  await redis.set(cacheJobSegmentKey(jobId, state.segment), JSON.stringify(state), 'EX', JOB_CONFIG.TTL_SECONDS);
+}
+
+async function loadSegmentCheckpoints(job) {
+  const segments = [];
+  for (let segment = 0; segment < job.totalSegments; segment++) {
+    const value = await redis.get(cacheJobSegmentKey(job.jobId, segment));
+    segments.push(value ? JSON.parse(value) : {
+      segment,
+      lastEvaluatedKey: null,
+      buffer: [],
+      reservedChunks: null,
+      pages: 0,
+      scannedCount: 0,
+      successfulWrites: 0,
+      failedWrites: 0,
+      skippedDuplicates: 0,
+      done: false
+    });
+  }
+  return segments;
+}
+
 /**
- * Get cached data from Redis
+ * Create a new segmented job, or load an unfinished one for resumption
  */
-export const getCachedDataHandler = async (req, res) => {
-  console.log('🔍 Get cached data request:', req.query);
-  
-  // Set request timeout to prevent hanging
-  const timeout = setTimeout(() => {
-    if (!res.headersSent) {
-      console.error('⏰ Request timeout for cache data retrieval');
-      res.status(408).json({
-        message: "Request timeout",
-        error: "Cache data retrieval took too long"
-      });
+async function prepareSegmentedCacheJob({ project, table, recordsPerKey, ttl, segments, jobId, resume }) {
+  const operationKey = `${project}:${table}`;
+
+  let resumeJobId = jobId;
+  if (!resumeJobId && resume) {
+    const recentJobIds = await redis.lrange(tableJobsKey(operationKey), 0, -1);
+    for (const id of recentJobIds) {
+      const candidate = await loadCacheJob(id);
+      if (candidate && candidate.status !== 'completed') {
+        resumeJobId = id;
+        break;
+      }
     }
-  }, 30000); // 30 second timeout
-  
+  }
+
+  if (resumeJobId) {
+    const job = await loadCacheJob(resumeJobId);
+    if (!job) {
+      return { error: { status: 404, error: "Job not found", message: `No cache job found with id ${resumeJobId}` } };
+    }
+    if (job.project !== project || job.table !== table) {
+      return { error: { status: 400, error: "Job mismatch", message: `Job ${resumeJobId} belongs to ${job.project}:${job.table}` } };
+    }
+    if (job.status === 'completed') {
+      return { error: { status: 409, error: "Job already completed", message: `Job ${resumeJobId} completed at ${job.completedAt}` } };
+    }
+    return { job, resumed: true };
+  }
+
+  let estimatedTotalItems = null;
   try {
-    const { project, table, key } = req.query;
-    const { pattern } = req.query;
+    const { Table } = await ddb.send(new DescribeTableCommand({ TableName: table }));
+    estimatedTotalItems = Table.ItemCount ?? null;
+  } catch (err) {
+    console.warn(`⚠️ Could not describe ${table} for ETA estimation:`, err.message);
+  }
 
-    console.log(`📋 Query params: project=${project}, table=${table}, key=${key}, pattern=${pattern}`);
+  const job = {
+    jobId: randomUUID(),
+    project,
+    table,
+    operationKey,
+    recordsPerKey,
+    ttl,
+    totalSegments: segments,
+    estimatedTotalItems,
+    status: 'pending',
+    runs: 0,
+    createdAt: new Date().toISOString()
+  };
+  await saveCacheJob(job);
+  await redis.lpush(tableJobsKey(operationKey), job.jobId);
+  await redis.ltrim(tableJobsKey(operationKey), 0, JOB_CONFIG.JOBS_PER_TABLE - 1);
+  await redis.expire(tableJobsKey(operationKey), JOB_CONFIG.TTL_SECONDS);
 
-    // Let Express handle all headers automatically to prevent content-length mismatch
+  return { job, resumed: false };
+}
 
-    if (pattern) {
-      // Get multiple keys matching pattern
-      const searchPattern = `${project}:${table}:${pattern}`;
-      console.log(`🔎 Searching with pattern: ${searchPattern}`);
-      
-      // Use SCAN for Valkey compatibility
-      const keys = [];
-      let cursor = '0';
-      
-      do {
-        const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-        cursor = result[0];
-        keys.push(...result[1]);
-      } while (cursor !== '0');
-      
-      console.log(`📦 Found ${keys.length} keys matching pattern`);
-     
-      if (keys.length === 0) {
-        console.log(`❌ No cached keys found matching pattern: ${searchPattern}`);
-        return res.status(404).json({
-          message: "No cached keys found matching pattern",
-          pattern: searchPattern
-        });
-      }
+/**
+ * Reserve the next `count` chunk numbers of a job. All segments draw from one
+ * counter, so a finished job has written chunks 0..N-1 with no gaps.
+ */
+async function reserveChunkNumbers(job, count) {
+  const key = cacheJobChunkCounterKey(job.jobId);
+  const last = await redis.incrby(key, count);
+  await redis.expire(key, JOB_CONFIG.TTL_SECONDS);
+  return Array.from({ length: count }, (_, i) => last - count + i);
+}
 
-      const cachedData = {};
-      let processedCount = 0;
-      
-      for (const k of keys) {
-        try {
-          const value = await redis.get(k);
-          if (value) {
-            // Validate JSON before parsing
-            try {
-              const parsedData = JSON.parse(value);
-              cachedData[k] = parsedData;
-              console.log(`✅ Retrieved data for key: ${k}`);
-            } catch (parseError) {
-              console.error(`❌ JSON parse error for key ${k}:`, parseError.message);
-              cachedData[k] = { error: 'Invalid JSON data', rawValue: value.substring(0, 100) + '...' };
-            }
-          }
-          processedCount++;
-          
-          // Log progress for large datasets
-          if (processedCount % 10 === 0) {
-            console.log(`📊 Processed ${processedCount}/${keys.length} keys`);
-          }
-        } catch (error) {
-          console.error(`❌ Error retrieving key ${k}:`, error.message);
-          cachedData[k] = { error: 'Retrieval failed', message: error.message };
-        }
-      }
+/**
+ * Write one chunk (or single item when recordsPerKey = 1) for a segment under
+ * a reserved chunk number. A chunk whose items are all cached already is still
+ * written (empty), so its number does not leave a gap.
+ */
+async function writeSegmentChunk(job, state, chunk, chunkIndex) {
+  const { project, table, recordsPerKey, ttl } = job;
 
-      console.log(`📊 Returning ${Object.keys(cachedData).length} cached items`);
-      
-      // Check response size to prevent browser issues
-      const responseData = {
-        message: "Cached data retrieved",
-        keysFound: keys.length,
-        data: cachedData
-      };
-      
-      const responseString = JSON.stringify(responseData);
-      const responseSize = Buffer.byteLength(responseString, 'utf8');
-      
-      // If response is too large, return a warning
-      if (responseSize > 50 * 1024 * 1024) { // 50MB limit
-        console.warn(`⚠️ Response size too large: ${responseSize} bytes`);
-        return res.status(413).json({
-          message: "Response too large",
-          size: responseSize,
-          limit: "50MB",
-          suggestion: "Use pagination or filter to reduce data size"
-        });
-      }
-      
-      console.log(`📊 Response size: ${(responseSize / 1024).toFixed(2)} KB`);
-      
-      // Send response without setting Content-Length manually (let Express handle it)
-      return res.status(200).json(responseData);
-    } else if (key) {
-      // Get specific key
-      const cacheKey = `${project}:${table}:${key}`;
-      console.log(`🔎 Looking for specific key: ${cacheKey}`);
-      
-      try {
-        const value = await redis.get(cacheKey);
-        
-        if (!value) {
-          console.log(`❌ Cached key not found: ${cacheKey}`);
-          return res.status(404).json({
-            message: "Cached key not found",
-            key: cacheKey
-          });
-        }
+  let key, items = chunk;
+  if (recordsPerKey === 1) {
+    // Single-item keys are named by id, so an unused number needs no placeholder
+    if (chunk.length === 0) return;
+    const item = chunk[0];
+    const itemId = item.id || item.pk || item.PK || item.Id || item.ID || chunkIndex;
+    key = `${project}:${table}:${itemId}`;
 
-        // Validate JSON before parsing
-        let parsedData;
-        try {
-          parsedData = JSON.parse(value);
-          console.log(`✅ Retrieved data for key: ${cacheKey}`);
-        } catch (parseError) {
-          console.error(`❌ JSON parse error for key ${cacheKey}:`, parseError.message);
-          return res.status(500).json({
-            message: "Invalid JSON data in cache",
-            key: cacheKey,
-            error: parseError.message,
-            rawValue: value.substring(0, 200) + (value.length > 200 ? '...' : '')
-          });
-        }
-        
-        // Calculate data length and metadata
-        const dataLength = Array.isArray(parsedData) ? parsedData.length : 1;
-        const dataSize = Buffer.byteLength(JSON.stringify(parsedData), 'utf8');
-        const dataSizeFormatted = `${(dataSize / 1024).toFixed(2)} KB`;
-        
-        console.log(`📊 Cache response metadata:`, {
-          key: cacheKey,
-          dataLength: dataLength,
-          dataSize: dataSize,
-          dataSizeFormatted: dataSizeFormatted,
-          isArray: Array.isArray(parsedData)
-        });
-        
-        // Check if response is too large (warn if over 10MB)
-        if (dataSize > 10 * 1024 * 1024) {
-          console.warn(`⚠️ Large response detected: ${dataSizeFormatted} for key: ${cacheKey}`);
-        }
-        
-        const responseData = {
-          message: "Cached data retrieved",
-          key: cacheKey,
-          data: parsedData,
-          metadata: {
-            dataLength: dataLength,
-            dataSize: dataSize,
-            dataSizeFormatted: dataSizeFormatted,
-            isArray: Array.isArray(parsedData),
-            itemType: Array.isArray(parsedData) ? 'array' : 'object'
-          }
-        };
-        
-        return res.status(200).json(responseData);
-      } catch (error) {
-        console.error(`❌ Error retrieving key ${cacheKey}:`, error.message);
-        return res.status(500).json({
-          message: "Failed to retrieve cached data",
-          key: cacheKey,
-          error: error.message
-        });
-      }
-    } else {
-       // Get all keys for project:table (keys only, no data)
-       const searchPattern = `${project}:${table}:*`;
-       console.log(`🔎 Searching for all keys with pattern: ${searchPattern}`);
-       
-       // Use SCAN for Valkey compatibility
-        const keys = [];
-        let cursor = '0';
-       
-       do {
-         const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-          cursor = result[0];
-          keys.push(...result[1]);
-        } while (cursor !== '0');
-       
-       console.log(`📦 Found ${keys.length} total keys for ${project}:${table}`);
-        
-        if (keys.length > 0) {
-          // Sort keys to get chunks in sequence
-          const sortedKeys = keys.sort((a, b) => {
-            // Extract chunk numbers for comparison
-            const aMatch = a.match(/chunk:(\d+)$/);
-            const bMatch = b.match(/chunk:(\d+)$/);
-            
-            if (aMatch && bMatch) {
-              // Both are chunk keys, sort by chunk number
-              return parseInt(aMatch[1]) - parseInt(bMatch[1]);
-            } else if (aMatch) {
-              // Only a is a chunk key, put chunks after individual items
-              return 1;
-            } else if (bMatch) {
-              // Only b is a chunk key, put chunks after individual items
-              return -1;
-            } else {
-              // Both are individual items, sort alphabetically
-              return a.localeCompare(b);
-            }
-          });
-          
-          // Return only keys, not the actual data to avoid timeout
-          return res.status(200).json({
-            message: "Cache keys retrieved in sequence (keys only)",
-            keysFound: sortedKeys.length,
-            keys: sortedKeys,
-            note: "Use ?key=chunk:0 to get actual data for a specific key"
-          });
-        }
-      
-      return res.status(200).json({
-        message: "Cache keys retrieved",
-        keysFound: keys.length,
-        keys: keys
+    if (await isItemAlreadyCached(project, table, itemId)) {
+      state.skippedDuplicates++;
+      return;
+    }
+  } else {
+    key = `${project}:${table}:chunk:${chunkIndex}`;
+
+    const duplicates = await getDuplicateItems(project, table, chunk);
+    if (duplicates.length > 0) {
+      items = chunk.filter(item => {
+        const itemId = item.id || item.pk || item.PK || item.Id || item.ID;
+        return !itemId || !duplicates.includes(itemId);
       });
+      state.skippedDuplicates += chunk.length - items.length;
     }
+  }
 
+  try {
+    await writeCacheValue(key, JSON.stringify(recordsPerKey === 1 ? items[0] : items), ttl);
+    state.successfulWrites++;
   } catch (err) {
-    console.error("🔥 Get cached data failed:", err);
-    return res.status(500).json({
-      message: "Failed to retrieve cached data",
-      error: err.message
-    });
-  } finally {
-    // Clear the timeout
-    clearTimeout(timeout);
+    state.failedWrites++;
+    console.error(`❌ Redis write failed for key ${key} (segment ${state.segment}):`, err);
   }
-};
+}
 
 /**
- * Get cached data in sequence with pagination
+ * Scan one parallel segment to completion, checkpointing after every page
  */
-export const getCachedDataInSequenceHandler = async (req, res) => {
-  console.log('🔍 Get cached data in sequence request:', req.query);
-  try {
-    const { project, table, page = 1, limit = 1000 } = req.query;
+async function scanSegmentAndCache(job, state) {
+  while (!state.done) {
+    const response = await ddb.send(new ScanCommand({
+      TableName: job.table,
+      Segment: state.segment,
+      TotalSegments: job.totalSegments,
+      ExclusiveStartKey: state.lastEvaluatedKey || undefined
+    }));
 
-    console.log(`📋 Query params: project=${project}, table=${table}, page=${page}, limit=${limit}`);
+    const scanned = (response.Items || []).map(unmarshall);
+    state.pages++;
+    state.scannedCount += scanned.length;
+    cacheJobItemsScanned.inc({ project: job.project, table: job.table }, scanned.length);
 
-    if (!project || !table) {
-      return res.status(400).json({
-        error: "Missing parameters",
-        message: "Both project and table are required"
-      });
+    const lastPage = !response.LastEvaluatedKey;
+    let buffer = state.buffer.concat(scanned);
+    const chunks = [];
+    while (buffer.length >= job.recordsPerKey) {
+      chunks.push(buffer.slice(0, job.recordsPerKey));
+      buffer = buffer.slice(job.recordsPerKey);
+    }
+    if (lastPage && buffer.length > 0) {
+      chunks.push(buffer);
+      buffer = [];
     }
 
-    // Get all keys for project:table
-    const searchPattern = `${project}:${table}:*`;
-    console.log(`🔎 Searching for all keys with pattern: ${searchPattern}`);
-    
-    // Use SCAN for Valkey compatibility
-    const keys = [];
-    let cursor = '0';
-    
-    do {
-      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-      cursor = result[0];
-      keys.push(...result[1]);
-    } while (cursor !== '0');
-    
-    console.log(`📦 Found ${keys.length} total keys for ${project}:${table}`);
-    
-    if (keys.length === 0) {
-      return res.status(404).json({
-        message: "No cached keys found",
-        pattern: searchPattern,
-        keysFound: 0,
-        data: [],
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: 0,
-          hasMore: false,
-          totalItems: 0
-        }
-      });
+    // Numbers are checkpointed before writing, so a page replayed after a
+    // crash reuses them (topping up if the page grew, filling unused ones with
+    // empty chunks if it shrank) instead of leaving holes in the sequence
+    const reserved = state.reservedChunks || [];
+    if (reserved.length < chunks.length) {
+      reserved.push(...await reserveChunkNumbers(job, chunks.length - reserved.length));
+      state.reservedChunks = reserved;
+      await saveSegmentCheckpoint(job.jobId, state);
+    }
+    for (let i = 0; i < reserved.length; i++) {
+      await writeSegmentChunk(job, state, chunks[i] || [], reserved[i]);
     }
 
-    // Sort keys to get chunks in sequence
-    const sortedKeys = keys.sort((a, b) => {
-      // Extract chunk numbers for comparison
-      const aMatch = a.match(/chunk:(\d+)$/);
-      const bMatch = b.match(/chunk:(\d+)$/);
-      
-      if (aMatch && bMatch) {
-        // Both are chunk keys, sort by chunk number
-        return parseInt(aMatch[1]) - parseInt(bMatch[1]);
-      } else if (aMatch) {
-        // Only a is a chunk key, put chunks after individual items
-        return 1;
-      } else if (bMatch) {
-        // Only b is a chunk key, put chunks after individual items
-        return -1;
-      } else {
-        // Both are individual items, sort alphabetically
-        return a.localeCompare(b);
-      }
-    });
-    
-    console.log(`📋 Total sorted keys found: ${sortedKeys.length}`);
-    
-    // Apply pagination to keys first
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = startIndex + limitNum;
-    const totalPages = Math.ceil(sortedKeys.length / limitNum);
-    const hasMore = pageNum < totalPages;
-    
-    const paginatedKeys = sortedKeys.slice(startIndex, endIndex);
-    
-    console.log(`📄 Pagination: page ${pageNum}/${totalPages}, showing ${paginatedKeys.length} keys out of ${sortedKeys.length} total`);
-    
-    // Always return keys only - no data fetching in this endpoint
-    console.log(`✅ Returning keys only (${paginatedKeys.length} keys out of ${sortedKeys.length} total)`);
-    return res.status(200).json({
-      message: "Cache keys retrieved in sequence with pagination (keys only)",
-      keysFound: paginatedKeys.length,
-      totalKeys: sortedKeys.length,
-      keys: paginatedKeys,
-      note: "Use ?key=chunk:0 to get actual data for a specific key",
-      pagination: {
-        currentPage: pageNum,
-        totalPages: totalPages,
-        hasMore: hasMore,
-        totalItems: sortedKeys.length
-      }
-    });
+    state.reservedChunks = null;
+    state.lastEvaluatedKey = response.LastEvaluatedKey || null;
+    if (lastPage) {
+      state.done = true;
+      cacheJobSegmentsCompleted.inc({ project: job.project, table: job.table });
+    }
+    state.buffer = buffer;
 
-  } catch (err) {
-    console.error("🔥 Get cached data in sequence failed:", err);
-    return res.status(500).json({
-      message: "Failed to retrieve cached data in sequence",
-      error: err.message
-    });
+    await saveSegmentCheckpoint(job.jobId, state);
+
+    if (state.pages % LOG_CONFIG.PROGRESS_LOG_INTERVAL === 0 || state.done) {
+      console.log(`📊 Job ${job.jobId} segment ${state.segment}/${job.totalSegments}: ${state.scannedCount} scanned, ${state.pages} pages${state.done ? ' (done)' : ''}`);
+    }
   }
-};
+}
 
 /**
- * Get paginated cache keys
+ * Run (or resume) all segments of a job in parallel while holding the bulk lock
  */
-export const getPaginatedCacheKeysHandler = async (req, res) => {
-  console.log('🔍 Get paginated cache keys request:', req.query);
+async function runSegmentedCacheJob(job, lock) {
   try {
-    const { project, table, page = 1, limit = 1 } = req.query;
+    const segments = await loadSegmentCheckpoints(job);
+    const scannedAtStart = segments.reduce((sum, s) => sum + s.scannedCount, 0);
+    const metricLabels = { project: job.project, table: job.table };
+    cacheJobSegmentsTotal.set(metricLabels, job.totalSegments);
+    cacheJobSegmentsCompleted.set(metricLabels, segments.filter(s => s.done).length);
+    cacheJobRunning.set(metricLabels, 1);
 
-    console.log(`📋 Query params: project=${project}, table=${table}, page=${page}, limit=${limit}`);
+    job.status = 'running';
+    job.runs = (job.runs || 0) + 1;
+    job.lockOwnerId = lock.ownerId;
+    job.runStartedAt = new Date().toISOString();
+    job.scannedAtRunStart = scannedAtStart;
+    job.error = undefined;
+    await saveCacheJob(job);
 
-    // Get all keys for project:table
-    const searchPattern = `${project}:${table}:*`;
-    console.log(`🔎 Searching for all keys with pattern: ${searchPattern}`);
-    
-    // Use SCAN for Valkey compatibility
-    const allKeys = [];
-    let cursor = '0';
-    
-    do {
-      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-      cursor = result[0];
-      allKeys.push(...result[1]);
-    } while (cursor !== '0');
-    
-    console.log(`📦 Found ${allKeys.length} total keys for ${project}:${table}`);
-    
-    if (allKeys.length === 0) {
-      console.log(`❌ No cached keys found for pattern: ${searchPattern}`);
-      return res.status(404).json({
-        message: "No cached keys found",
-        pattern: searchPattern,
-        keysFound: 0,
-        keys: [],
-        currentPage: parseInt(page),
-        totalPages: 0,
-        hasMore: false
-      });
-    }
+    console.log(`🚀 Cache job ${job.jobId} ${job.runs > 1 ? 'resumed' : 'started'} for ${job.operationKey} with ${job.totalSegments} segments`);
 
-    // Calculate pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = startIndex + limitNum;
-    const totalPages = Math.ceil(allKeys.length / limitNum);
-    const hasMore = pageNum < totalPages;
+    const results = await Promise.allSettled(
+      segments.filter(s => !s.done).map(state =>
+        scanSegmentAndCache(job, state).catch(async (err) => {
+          state.error = err.message;
+          await saveSegmentCheckpoint(job.jobId, state);
+          throw err;
+        })
+      )
+    );
 
-    // Get paginated keys
-    const paginatedKeys = allKeys.slice(startIndex, endIndex);
-    
-    console.log(`📊 Pagination: page ${pageNum}/${totalPages}, showing ${paginatedKeys.length} keys`);
-    console.log(`📋 Paginated keys:`, paginatedKeys);
-    
-    return res.status(200).json({
-      message: "Paginated cache keys retrieved",
-      keysFound: allKeys.length,
-      keys: paginatedKeys,
-      currentPage: pageNum,
-      totalPages: totalPages,
-      hasMore: hasMore
-    });
+    const failures = results.filter(r => r.status === 'rejected');
+    job.status = failures.length > 0 ? 'failed' : 'completed';
+    if (failures.length > 0) {
+      job.error = `${failures.length} segment(s) failed: ${failures[0].reason?.message}`;
+    } else {
+      job.completedAt = new Date().toISOString();
+      job.indexRebuild = await rebuildCacheIndexes(job.project, job.table) || undefined;
+    }
+    await saveCacheJob(job);
 
+    console.log(`${failures.length > 0 ? '❌' : '✅'} Cache job ${job.jobId} ${job.status}`);
   } catch (err) {
-    console.error("🔥 Get paginated cache keys failed:", err);
-    return res.status(500).json({
-      message: "Failed to retrieve paginated cache keys",
-      error: err.message
-    });
+    console.error(`🔥 Cache job ${job.jobId} failed:`, err);
+    job.status = 'failed';
+    job.error = err.message;
+    await saveCacheJob(job).catch(() => {});
+  } finally {
+    cacheJobRunning.set({ project: job.project, table: job.table }, 0);
+    cacheJobsFinished.inc({ status: job.status });
+    await releaseBulkCacheLock(lock);
+    await processPendingCacheUpdates(job.operationKey);
   }
-};
+}
 
 /**
- * Clear cached data from Redis
+ * Build the status report for a job: per-segment progress, throughput and ETA
  */
-export const clearCacheHandler = async (req, res) => {
-  try {
-    const { project, table } = req.query;
-    const { pattern } = req.query;
+async function buildCacheJobStatus(job) {
+  const segments = await loadSegmentCheckpoints(job);
+  const totalScanned = segments.reduce((sum, s) => sum + s.scannedCount, 0);
+  const completedSegments = segments.filter(s => s.done).length;
 
-    let searchPattern;
-    if (pattern) {
-      searchPattern = `${project}:${table}:${pattern}`;
-    } else {
-      searchPattern = `${project}:${table}:*`;
-    }
+  // A running job whose lock is gone (or owned by someone else) was interrupted
+  let status = job.status;
+  if (status === 'running') {
+    const lock = await getBulkCacheLock(job.operationKey);
+    if (!lock || lock.ownerId !== job.lockOwnerId) status = 'interrupted';
+  }
 
-         // Use SCAN for Valkey compatibility
-     const keys = [];
-     let cursor = '0';
-     
-     do {
-       const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-       cursor = result[0];
-       keys.push(...result[1]);
-     } while (cursor !== '0');
-     
-     if (keys.length === 0) {
-      return res.status(404).json({
-        message: "No cached keys found to clear",
-        pattern: searchPattern
-      });
-    }
+  const elapsedSeconds = job.runStartedAt ? Math.max(1, (Date.now() - new Date(job.runStartedAt).getTime()) / 1000) : null;
+  const itemsPerSecond = status === 'running' && elapsedSeconds
+    ? (totalScanned - (job.scannedAtRunStart || 0)) / elapsedSeconds
+    : null;
 
-    // Delete keys individually to avoid cross-slot errors in Redis Cluster
-    let deletedCount = 0;
-    for (const key of keys) {
-      try {
-        const result = await redis.del(key);
-        deletedCount += result;
-        console.log(`🗑️ Deleted key: ${key}`);
-      } catch (err) {
-        console.error(`❌ Failed to delete key ${key}:`, err);
-        // Continue with other keys even if one fails
-      }
-    }
+  const estimatedTotal = job.estimatedTotalItems;
+  const perSegmentEstimate = estimatedTotal ? estimatedTotal / job.totalSegments : null;
+  let etaSeconds = null;
+  if (status === 'running' && itemsPerSecond > 0 && estimatedTotal) {
+    etaSeconds = Math.max(0, Math.round((estimatedTotal - totalScanned) / itemsPerSecond));
+  }
 
-    return res.status(200).json({
-      message: "Cache cleared successfully",
-      keysDeleted: deletedCount,
-      pattern: searchPattern
-    });
+  return {
+    jobId: job.jobId,
+    project: job.project,
+    table: job.table,
+    status,
+    recordsPerKey: job.recordsPerKey,
+    ttl: job.ttl,
+    totalSegments: job.totalSegments,
+    runs: job.runs,
+    createdAt: job.createdAt,
+    runStartedAt: job.runStartedAt,
+    completedAt: job.completedAt,
+    updatedAt: job.updatedAt,
+    indexRebuild: job.indexRebuild,
+    error: job.error,
+    progress: {
+      totalScanned,
+      estimatedTotalItems: estimatedTotal,
+      percent: estimatedTotal ? Math.min(100, (totalScanned / estimatedTotal) * 100).toFixed(2) : null,
+      completedSegments,
+      itemsPerSecond: itemsPerSecond !== null ? Number(itemsPerSecond.toFixed(2)) : null,
+      etaSeconds,
+      etaAt: etaSeconds !== null ? new Date(Date.now() + etaSeconds * 1000).toISOString() : null
+    },
+    segments: segments.map(s => ({
+      segment: s.segment,
+      done: s.done,
+      pages: s.pages,
+      scannedCount: s.scannedCount,
+      percent: perSegmentEstimate ? Math.min(100, (s.scannedCount / perSegmentEstimate) * 100).toFixed(2) : null,
+      successfulWrites: s.successfulWrites,
+      failedWrites: s.failedWrites,
+      skippedDuplicates: s.skippedDuplicates,
+      bufferedItems: s.buffer.length,
+      lastEvaluatedKey: s.lastEvaluatedKey,
+      updatedAt: s.updatedAt,
+      ...(s.error && { error: s.error })
+    }))
+  };
+}
 
-  } catch (err) {
-    console.error("🔥 Clear cache failed:", err);
-    return res.status(500).json({
-      message: "Failed to clear cache",
-      error: err.message
-    });
-  }
+// Secondary cache indexes: per project:table attribute definitions, one Redis
+// set of item ids per attribute value, and an item id -> cache key hash
+const INDEX_CONFIG = {
+  DEF_PREFIX: 'brmh-cache-index-def:',
+  SET_PREFIX: 'brmh-cache-idx:',
+  LOC_PREFIX: 'brmh-cache-idx-loc:',
+  DEFAULT_QUERY_LIMIT: 1000
 };
 
+const cacheIndexDefKey = (project, tableName) => `${INDEX_CONFIG.DEF_PREFIX}${project}:${tableName}`;
+const cacheIndexSetKey = (project, tableName, attribute, value) => `${INDEX_CONFIG.SET_PREFIX}${project}:${tableName}:${attribute}:${value}`;
+const cacheIndexLocKey = (project, tableName) => `${INDEX_CONFIG.LOC_PREFIX}${project}:${tableName}`;
+
+// Same id precedence as the bulk cache writers
+const cacheItemId = (item) => item && (item.id || item.pk || item.PK || item.Id || item.ID);
+
+// Read an attribute by dotted path (e.g. "customer.id")
+const getPathValue = (item, path) => path.split('.').reduce((o, k) => (o && o[k] !== undefined ? o[k] : undefined), item);
+
+const DURATION_UNITS_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
 /**
- * Get cache statistics
+ * Parse an age like "90d", "12h" or a bare number of days into milliseconds
  */
-export const getCacheStatsHandler = async (req, res) => {
-  try {
-    const { project, table } = req.query;
-    const searchPattern = `${project}:${table}:*`;
-    // Use SCAN for Valkey compatibility
-    const keys = [];
-    let cursor = '0';
-    
-    do {
-      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-      cursor = result[0];
-      keys.push(...result[1]);
-    } while (cursor !== '0');
-    
-    const stats = {
-      totalKeys: keys.length,
-      pattern: searchPattern,
-      project,
-      table,
-      timestamp: new Date().toISOString()
-    };
+function parseAgeMs(value) {
+  if (typeof value === 'number') return value >= 0 ? value * DURATION_UNITS_MS.d : NaN;
+  const match = String(value).trim().match(/^(\d+)\s*([smhdw])?$/);
+  if (!match) return NaN;
+  return parseInt(match[1]) * DURATION_UNITS_MS[match[2] || 'd'];
+}
 
-    // Get TTL for first few keys as sample
-    if (keys.length > 0) {
-      const sampleKeys = keys.slice(0, 5);
-      const ttls = await Promise.all(sampleKeys.map(key => redis.ttl(key)));
-      stats.sampleTTLs = sampleKeys.map((key, index) => ({
-        key,
-        ttl: ttls[index]
-      }));
-    }
+/**
+ * Read a date value: ISO string, epoch seconds or epoch milliseconds
+ */
+function parseDateMs(value) {
+  if (value === null || value === undefined || value === '') return NaN;
+  const numeric = Number(value);
+  if (!isNaN(numeric)) return numeric < 1e12 ? numeric * 1000 : numeric;
+  return Date.parse(value);
+}
 
-    return res.status(200).json({
-      message: "Cache statistics retrieved",
-      stats
-    });
+// Numeric when both sides are numeric, otherwise string order
+function compareAttributeValues(actual, expected) {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (actual !== '' && expected !== '' && !isNaN(a) && !isNaN(b)) return a - b;
+  return String(actual).localeCompare(String(expected));
+}
 
-  } catch (err) {
-    console.error("🔥 Get cache stats failed:", err);
-    return res.status(500).json({
-      message: "Failed to get cache statistics",
-      error: err.message
-    });
+/**
+ * Evaluate one { field, op, value } condition against an item.
+ * Shared by retention rules and filtered cache reads.
+ */
+function itemConditionMatches(item, condition, now = Date.now()) {
+  const actual = getPathValue(item, condition.field);
+  const present = actual !== undefined && actual !== null;
+
+  switch (condition.op) {
+    case 'exists': return present;
+    case 'missing': return !present;
+    case '=': return present && String(actual) === String(condition.value);
+    case '!=': return !present || String(actual) !== String(condition.value);
+    case '>': return present && compareAttributeValues(actual, condition.value) > 0;
+    case '>=': return present && compareAttributeValues(actual, condition.value) >= 0;
+    case '<': return present && compareAttributeValues(actual, condition.value) < 0;
+    case '<=': return present && compareAttributeValues(actual, condition.value) <= 0;
+    case 'in': return present && condition.value.map(String).includes(String(actual));
+    case 'notIn': return !present || !condition.value.map(String).includes(String(actual));
+    case 'contains': return present && String(actual).toLowerCase().includes(String(condition.value).toLowerCase());
+    case 'startsWith': return present && String(actual).toLowerCase().startsWith(String(condition.value).toLowerCase());
+    case 'olderThan':
+    case 'newerThan': {
+      const timestamp = parseDateMs(actual);
+      if (isNaN(timestamp)) return false;
+      const cutoff = now - parseAgeMs(condition.value);
+      return condition.op === 'olderThan' ? timestamp < cutoff : timestamp >= cutoff;
+    }
+    default: return false;
   }
-};
+}
 
 /**
- * Clear unwanted order data from cache
+ * Read an indexable (scalar) attribute value, supporting dotted paths
  */
-export const clearUnwantedOrderDataHandler = async (req, res) => {
+function getIndexedValue(item, attribute) {
+  const value = getPathValue(item, attribute);
+  if (value === null || value === undefined) return undefined;
+  if (['string', 'number', 'boolean'].includes(typeof value)) return String(value);
+  return undefined;
+}
+
+async function getCacheIndexDefinition(project, tableName) {
+  const value = await redis.get(cacheIndexDefKey(project, tableName));
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Keep index sets current for a single item change.
+ * Pass oldItem = null for inserts and newItem = null for removals.
+ */
+async function updateCacheIndexes(project, tableName, oldItem, newItem, cacheKey) {
   try {
-    const { project, table } = req.query;
-    
-    if (!project || !table) {
-      return res.status(400).json({
-        error: "Missing parameters",
-        message: "Both project and table are required"
-      });
+    const definition = await getCacheIndexDefinition(project, tableName);
+    if (!definition) return;
+
+    const locKey = cacheIndexLocKey(project, tableName);
+    const oldId = cacheItemId(oldItem);
+    const newId = cacheItemId(newItem);
+
+    if (oldId) {
+      for (const attribute of definition.attributes) {
+        const oldValue = getIndexedValue(oldItem, attribute);
+        if (oldValue === undefined) continue;
+        if (newId === oldId && getIndexedValue(newItem, attribute) === oldValue) continue;
+        await redis.srem(cacheIndexSetKey(project, tableName, attribute, oldValue), String(oldId));
+      }
+      if (newId !== oldId) {
+        await redis.hdel(locKey, String(oldId));
+      }
+    }
+
+    if (newId && cacheKey) {
+      for (const attribute of definition.attributes) {
+        const newValue = getIndexedValue(newItem, attribute);
+        if (newValue === undefined) continue;
+        await redis.sadd(cacheIndexSetKey(project, tableName, attribute, newValue), String(newId));
+      }
+      await redis.hset(locKey, String(newId), cacheKey);
     }
-    
-    console.log(`🧹 Manual cleanup requested for ${project}:${table}`);
-    
-    const deletedCount = await clearUnwantedOrderData(project, table);
-    
-    return res.status(200).json({
-      message: "Cleanup completed",
-      project,
-      table,
-      deletedCount,
-      timestamp: new Date().toISOString()
-    });
-    
   } catch (err) {
-    console.error("🔥 Clear unwanted data failed:", err);
-    return res.status(500).json({
-      message: "Failed to clear unwanted data",
-      error: err.message
-    });
+    // Index maintenance must never fail the cache write itself
+    console.error(`❌ Failed to update cache indexes for ${project}:${tableName}:`, err.message);
   }
-};
+}
 
 /**
- * Clean up timestamp-based chunks and convert to sequential numbering
+ * Delete all index sets and locations for a project:table (definition is kept)
  */
-export const cleanupTimestampChunksHandler = async (req, res) => {
-  try {
-    const { project, table } = req.query;
-    
-    if (!project || !table) {
-      return res.status(400).json({
-        error: "Missing parameters",
-        message: "Both project and table are required"
-      });
-    }
-    
-    console.log(`🧹 Manual timestamp cleanup requested for ${project}:${table}`);
-    
-    const convertedCount = await cleanupTimestampChunks(project, table);
-    
-    return res.status(200).json({
-      message: "Timestamp cleanup completed",
-      project,
-      table,
-      convertedCount,
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (err) {
-    console.error("🔥 Timestamp cleanup failed:", err);
-    return res.status(500).json({
-      message: "Failed to cleanup timestamp chunks",
-      error: err.message
-    });
+async function dropCacheIndexData(project, tableName) {
+  const keys = await scanKeys(`${INDEX_CONFIG.SET_PREFIX}${project}:${tableName}:*`);
+  keys.push(cacheIndexLocKey(project, tableName));
+  let deleted = 0;
+  // Delete keys individually to avoid cross-slot errors in Redis Cluster
+  for (const key of keys) {
+    deleted += await redis.del(key);
   }
-};
+  return deleted;
+}
 
 /**
- * Health check for Redis connection
+ * Rebuild index sets by walking every cached key for a project:table.
+ * Returns null when the table has no index definition.
  */
-export const cacheHealthHandler = async (req, res) => {
-  try {
-    const ping = await redis.ping();
-    const info = await redis.info('server');
-    
-    return res.status(200).json({
-      message: "Cache service is healthy",
-      redis: {
-        connected: ping === 'PONG',
-        info: info.split('\r\n').slice(0, 5) // First 5 lines of info
-      },
-      timestamp: new Date().toISOString()
-    });
+async function rebuildCacheIndexes(project, tableName) {
+  const definition = await getCacheIndexDefinition(project, tableName);
+  if (!definition) return null;
 
-  } catch (err) {
-    console.error("🔥 Cache health check failed:", err);
-    return res.status(503).json({
-      message: "Cache service is unhealthy",
-      error: err.message,
-      timestamp: new Date().toISOString()
-    });
+  const start = Date.now();
+  await dropCacheIndexData(project, tableName);
+
+  const keys = await scanKeys(`${project}:${tableName}:*`);
+  let itemsIndexed = 0;
+
+  for (const key of keys) {
+    const value = await redis.get(key);
+    if (!value) continue;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      continue;
+    }
+
+    for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+      if (!cacheItemId(item)) continue;
+      await updateCacheIndexes(project, tableName, null, item, key);
+      itemsIndexed++;
+    }
   }
-};
+
+  console.log(`🗂️ Rebuilt cache indexes for ${project}:${tableName}: ${itemsIndexed} items from ${keys.length} keys in ${Date.now() - start}ms`);
+  return { keysScanned: keys.length, itemsIndexed, attributes: definition.attributes, durationMs: Date.now() - start };
+}
 
 /**
- * Test connection to Redis/Valkey cache
+ * Parse `where=status:pending,customerId:42` into [{ attribute, value }]
  */
-export const testCacheConnection = async (req, res) => {
-  try {
-    console.log('🔍 Testing cache connection...');
-    
-    // Test basic connectivity
-    await redis.ping();
-    console.log('✅ Redis ping successful');
-    
-    // Test basic operations
-    await redis.set('test-key', 'test-value', 'EX', 60);
-    const value = await redis.get('test-key');
-    await redis.del('test-key');
-    
-    if (value === 'test-value') {
-      console.log('✅ Redis read/write operations successful');
-      res.json({
-        status: 'success',
-        message: 'Cache connection test passed',
-        endpoint: process.env.REDIS_HOST,
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      throw new Error('Read/write test failed');
+function parseWhereClause(where) {
+  return String(where).split(',').map(part => {
+    const separator = part.indexOf(':');
+    if (separator <= 0) return null;
+    return { attribute: part.slice(0, separator).trim(), value: part.slice(separator + 1).trim() };
+  });
+}
+
+/**
+ * Look up cached items whose indexed attributes equal the given values (AND)
+ */
+async function queryCacheIndexes(project, tableName, conditions, limit) {
+  const setKeys = conditions.map(c => cacheIndexSetKey(project, tableName, c.attribute, c.value));
+
+  // Intersect in-process so index sets never need to share a cluster slot
+  let ids = null;
+  for (const setKey of setKeys) {
+    const members = new Set(await redis.smembers(setKey));
+    ids = ids === null ? members : new Set([...ids].filter(id => members.has(id)));
+    if (ids.size === 0) break;
+  }
+  const matchedIds = Array.from(ids || []);
+
+  // Group ids by the cache key that holds them, then read each key once
+  const locations = matchedIds.length > 0
+    ? await redis.hmget(cacheIndexLocKey(project, tableName), ...matchedIds)
+    : [];
+  const idsByKey = new Map();
+  matchedIds.forEach((id, i) => {
+    if (!locations[i]) return;
+    if (!idsByKey.has(locations[i])) idsByKey.set(locations[i], new Set());
+    idsByKey.get(locations[i]).add(id);
+  });
+
+  const items = [];
+  let staleEntries = 0;
+  for (const [key, wanted] of idsByKey) {
+    if (items.length >= limit) break;
+    const value = await redis.get(key);
+    const parsed = value ? JSON.parse(value) : null;
+    const candidates = parsed === null ? [] : (Array.isArray(parsed) ? parsed : [parsed]);
+
+    let found = 0;
+    for (const item of candidates) {
+      if (!wanted.has(String(cacheItemId(item)))) continue;
+      // Guard against index entries that outlived an item change or expiry
+      if (!conditions.every(c => getIndexedValue(item, c.attribute) === c.value)) continue;
+      found++;
+      if (items.length < limit) items.push(item);
     }
-  } catch (error) {
-    console.error('❌ Cache connection test failed:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Cache connection test failed',
-      error: error.message,
-      endpoint: process.env.REDIS_HOST,
-      timestamp: new Date().toISOString()
-    });
+    staleEntries += wanted.size - found;
   }
+
+  return { totalMatches: matchedIds.length, items, staleEntries };
+}
+
+// Cache drift audits: compare cached copies against the source table by item id
+// and content hash, optionally repairing differences in place
+const AUDIT_CONFIG = {
+  PREFIX: 'brmh-cache-audit:',
+  TABLE_AUDITS_PREFIX: 'brmh-cache-audits:',
+  TTL_SECONDS: parseInt(process.env.CACHE_AUDIT_TTL_SECONDS) || 2592000, // 30 days
+  AUDITS_PER_TABLE: 20,
+  DEFAULT_SAMPLE_SIZE: 200,
+  REPORT_ID_LIMIT: 100 // Ids listed per finding category in the stored report
 };
+
+const cacheAuditKey = (auditId) => `${AUDIT_CONFIG.PREFIX}${auditId}`;
+const tableAuditsKey = (project, tableName) => `${AUDIT_CONFIG.TABLE_AUDITS_PREFIX}${project}:${tableName}`;
+
 /**
- * Clean up timestamp-based chunks and convert to sequential numbering
+ * JSON with sorted object keys, so equal items always hash the same
  */
-async function cleanupTimestampChunks(project, tableName) {
-  try {
-    console.log(`🧹 Cleaning up timestamp-based chunks for ${project}:${tableName}`);
-    
-    const searchPattern = `${project}:${tableName}:chunk:*`;
-    const keys = [];
-    let cursor = '0';
-    
-    do {
-      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-      cursor = result[0];
-      keys.push(...result[1]);
-    } while (cursor !== '0');
-    
-    console.log(`🔍 Found ${keys.length} chunk keys to check`);
-    
-    // Separate timestamp-based and sequential chunks
-    const timestampChunks = [];
-    const sequentialChunks = [];
-    
-    for (const key of keys) {
-      const match = key.match(/chunk:(\d+)$/);
-      if (match) {
-        const chunkId = match[1];
-        // If chunkId is 10+ digits, it's likely a timestamp
-        if (chunkId.length >= 10) {
-          timestampChunks.push(key);
-        } else {
-          sequentialChunks.push(key);
-        }
-      }
-    }
-    
-    console.log(`📊 Found ${timestampChunks.length} timestamp chunks and ${sequentialChunks.length} sequential chunks`);
-    
-    if (timestampChunks.length === 0) {
-      console.log(`✅ No timestamp chunks to clean up`);
-      return 0;
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Items are normalised through JSON first so source items hash like their cached copies
+const contentHash = (item) => createHash('sha1').update(stableStringify(JSON.parse(JSON.stringify(item)))).digest('hex');
+
+async function saveCacheAudit(audit) {
+  audit.updatedAt = new Date().toISOString();
+  await redis.set(cacheAuditKey(audit.auditId), JSON.stringify(audit), 'EX', AUDIT_CONFIG.TTL_SECONDS);
+}
+
+async function loadCacheAudit(auditId) {
+  const value = await redis.get(cacheAuditKey(auditId));
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Walk every cached key for a project:table and map item id -> locations
+ */
+async function collectCachedItems(project, tableName) {
+  const keys = await scanKeys(`${project}:${tableName}:*`);
+  const cached = new Map();
+  let unidentified = 0;
+
+  for (const key of keys) {
+    const value = await redis.get(key);
+    if (!value) continue;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      continue;
     }
-    
-    // Find the highest sequential chunk number
-    let maxSequential = -1;
-    for (const key of sequentialChunks) {
-      const match = key.match(/chunk:(\d+)$/);
-      if (match) {
-        const chunkNum = parseInt(match[1]);
-        if (chunkNum > maxSequential) {
-          maxSequential = chunkNum;
-        }
+
+    for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+      const id = cacheItemId(item);
+      if (!id) {
+        unidentified++;
+        continue;
       }
+      const locations = cached.get(String(id)) || [];
+      locations.push({ key, hash: contentHash(item), item });
+      cached.set(String(id), locations);
     }
-    
-    let nextChunkId = maxSequential + 1;
-    let convertedCount = 0;
-    
-    // Convert timestamp chunks to sequential
-    for (let i = 0; i < timestampChunks.length; i++) {
-      const timestampKey = timestampChunks[i];
-      try {
-        const value = await redis.get(timestampKey);
-        if (value) {
-          const data = JSON.parse(value);
-          
-          // Create new sequential key
-          const newKey = `${project}:${tableName}:chunk:${nextChunkId}`;
-          
-          // Copy data to new key
-          await redis.set(newKey, value, 'EX', 3600); // Default TTL
-          
-          // Delete old timestamp key
-          await redis.del(timestampKey);
-          
-          // Only log every 5th conversion to reduce noise
-          if (convertedCount % 5 === 0) {
-            console.log(`🔄 Converted ${timestampKey} → ${newKey} (${convertedCount + 1}/${timestampChunks.length})`);
-          }
-          nextChunkId++;
-          convertedCount++;
-        }
-      } catch (err) {
-        console.error(`❌ Error converting ${timestampKey}:`, err);
-      }
+  }
+
+  return { keys, cached, unidentified };
+}
+
+/**
+ * Compare a source item against its cached locations and record the finding
+ */
+function classifySourceItem(sourceItem, cached, findings) {
+  const id = cacheItemId(sourceItem);
+  if (!id) return;
+
+  const locations = cached.get(String(id));
+  if (!locations) {
+    findings.missing.set(String(id), sourceItem);
+  } else if (locations.some(l => l.hash !== contentHash(sourceItem))) {
+    findings.stale.set(String(id), sourceItem);
+  } else {
+    findings.matched++;
+  }
+}
+
+/**
+ * Full walk: scan the whole source table; cached ids never seen are orphaned
+ */
+async function auditFullTable(tableName, cached, findings) {
+  const seen = new Set();
+  let ExclusiveStartKey;
+  let sourceItemsChecked = 0;
+
+  do {
+    const response = await ddb.send(new ScanCommand({ TableName: tableName, ExclusiveStartKey }));
+    for (const item of (response.Items || []).map(unmarshall)) {
+      sourceItemsChecked++;
+      const id = cacheItemId(item);
+      if (id) seen.add(String(id));
+      classifySourceItem(item, cached, findings);
     }
-    
-    console.log(`✅ Converted ${convertedCount} timestamp chunks to sequential`);
-    return convertedCount;
-  } catch (err) {
-    console.error('❌ Error cleaning up timestamp chunks:', err);
-    return 0;
+    ExclusiveStartKey = response.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  for (const id of cached.keys()) {
+    if (!seen.has(id)) findings.orphaned.add(id);
   }
+
+  return sourceItemsChecked;
 }
 
 /**
- * Clear unwanted order data from brmh-cache table
+ * Sample: check random cached ids against the source (stale/orphaned) and a
+ * random source segment against the cache (missing)
  */
-async function clearUnwantedOrderData(project, tableName) {
-  try {
-    console.log(`🧹 Cleaning up unwanted order data from ${project}:${tableName}`);
-    
-    const searchPattern = `${project}:${tableName}:chunk:*`;
-    const keys = [];
-    let cursor = '0';
-    
-    do {
-      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-      cursor = result[0];
-      keys.push(...result[1]);
-    } while (cursor !== '0');
-    
-    console.log(`🔍 Found ${keys.length} chunk keys to check`);
-    
-    let deletedCount = 0;
-    let checkedCount = 0;
-    for (const key of keys) {
-      try {
-        const value = await redis.get(key);
-        if (value) {
-          const data = JSON.parse(value);
-          
-          // Check if this contains order data (not cache config data)
-          const isOrderData = data.length > 0 && data[0] && (
-            data[0].line_items ||
-            data[0].billing_address ||
-            data[0].shipping_address ||
-            data[0].customer ||
-            data[0].total_price ||
-            data[0].order_number
-          );
-          
-          if (isOrderData) {
-            console.log(`🗑️ Deleting order data from key: ${key}`);
-            await redis.del(key);
-            deletedCount++;
-          }
-        }
-        checkedCount++;
-        
-        // Only log progress every 10 chunks to reduce noise
-        if (checkedCount % 10 === 0) {
-          console.log(`🔍 Checked ${checkedCount}/${keys.length} chunks, deleted ${deletedCount} so far`);
-        }
-      } catch (err) {
-        console.error(`❌ Error checking key ${key}:`, err);
-      }
+async function auditSample(tableName, cached, findings, sampleSize) {
+  const partitionKey = await getPartitionKey(tableName);
+  const cachedIds = Array.from(cached.keys());
+  let sourceItemsChecked = 0;
+
+  // Partial Fisher-Yates for a uniform sample of cached ids
+  for (let i = 0; i < Math.min(sampleSize, cachedIds.length); i++) {
+    const j = i + Math.floor(Math.random() * (cachedIds.length - i));
+    [cachedIds[i], cachedIds[j]] = [cachedIds[j], cachedIds[i]];
+  }
+
+  for (const id of cachedIds.slice(0, sampleSize)) {
+    const cachedItem = cached.get(id)[0].item;
+    const keyValue = cachedItem[partitionKey.name];
+    if (keyValue === undefined) continue;
+
+    const response = await ddb.send(new QueryCommand({
+      TableName: tableName,
+      KeyConditionExpression: '#pk = :pk',
+      ExpressionAttributeNames: { '#pk': partitionKey.name },
+      ExpressionAttributeValues: marshall({ ':pk': keyValue })
+    }));
+    const sourceItem = (response.Items || []).map(unmarshall).find(item => String(cacheItemId(item)) === id);
+    sourceItemsChecked++;
+
+    if (!sourceItem) {
+      findings.orphaned.add(id);
+    } else {
+      classifySourceItem(sourceItem, cached, findings);
     }
-    
-    console.log(`✅ Cleaned up ${deletedCount} unwanted order data chunks`);
-    return deletedCount;
-  } catch (err) {
-    console.error('❌ Error cleaning up unwanted order data:', err);
-    return 0;
   }
+
+  const totalSegments = 16;
+  const response = await ddb.send(new ScanCommand({
+    TableName: tableName,
+    Segment: Math.floor(Math.random() * totalSegments),
+    TotalSegments: totalSegments,
+    Limit: sampleSize
+  }));
+  for (const item of (response.Items || []).map(unmarshall)) {
+    sourceItemsChecked++;
+    if (!cached.has(String(cacheItemId(item)))) classifySourceItem(item, cached, findings);
+  }
+
+  return sourceItemsChecked;
 }
 
 /**
- * Handler to update cache from Lambda function streaming DynamoDB changes
- * Request body: {
- *   type: "INSERT" | "MODIFY" | "REMOVE",
- *   newItem: DynamoDB item (unmarshalled),
- *   oldItem: DynamoDB item (unmarshalled) - for MODIFY/REMOVE
- * }
+ * Apply repairs: rewrite stale copies, drop orphans and duplicate copies, and
+ * write missing items (as single keys, or appended as new chunks)
  */
-export const updateCacheFromLambdaHandler = async (req, res) => {
-  const start = Date.now();
+async function repairCacheDrift(project, tableName, cached, findings) {
+  const repairs = { written: 0, updated: 0, removed: 0, failed: 0 };
+  const { recordsPerKey, ttl } = await resolveCacheSettings(project, tableName);
 
-  try {
-    const { type, newItem, oldItem } = req.body;
+  // Per-key edit plan: id -> replacement item (null = remove, undefined = keep as is)
+  const edits = new Map();
+  const planEdit = (key, id, item) => {
+    if (!edits.has(key)) edits.set(key, new Map());
+    edits.get(key).set(id, item);
+  };
 
-    // Get the table name from the request (already extracted by the endpoint)
-    let tableName = req.body.extractedTableName;
-    
-    // If not provided in request, fall back to extracting from items
-    if (!tableName) {
-      tableName = newItem?.tableName || oldItem?.tableName;
-      
-      // If tableName is in DynamoDB format, extract the string value
-      if (tableName && typeof tableName === 'object' && tableName.S) {
-        tableName = tableName.S;
-      }
-      
-      // If still no tableName, try to extract from the item structure
-      if (!tableName) {
-        const item = newItem || oldItem;
-        if (item && item.tableName) {
-          if (typeof item.tableName === 'object' && item.tableName.S) {
-            tableName = item.tableName.S;
-          } else if (typeof item.tableName === 'string') {
-            tableName = item.tableName;
-          }
+  for (const [id, sourceItem] of findings.stale) {
+    for (const location of cached.get(id)) planEdit(location.key, id, sourceItem);
+  }
+  for (const id of findings.orphaned) {
+    for (const location of cached.get(id)) planEdit(location.key, id, null);
+  }
+  for (const [id, keys] of findings.duplicates) {
+    // Keep the first copy, drop the rest (unless the id is already being removed).
+    // Copies can share a key, so the first key is rewritten too: later copies
+    // in it are dropped while it is rebuilt below.
+    if (findings.orphaned.has(id)) continue;
+    const [firstKey, ...otherKeys] = [...new Set(keys)];
+    if (!edits.get(firstKey)?.has(id)) planEdit(firstKey, id, undefined);
+    for (const key of otherKeys) planEdit(key, id, null);
+  }
+
+  for (const [key, keyEdits] of edits) {
+    try {
+      const value = await redis.get(key);
+      if (!value) continue;
+      const parsed = JSON.parse(value);
+      const isChunk = Array.isArray(parsed);
+      const remainingTtl = await redis.ttl(key);
+      const items = isChunk ? parsed : [parsed];
+      const next = [];
+      // Edited ids already written to `next`; another copy of one is a duplicate
+      const kept = new Set();
+
+      for (const item of items) {
+        const id = String(cacheItemId(item));
+        if (!keyEdits.has(id)) {
+          next.push(item);
+          continue;
+        }
+        if (kept.has(id)) {
+          repairs.removed++;
+          continue;
+        }
+        const replacement = keyEdits.get(id);
+        if (replacement === undefined) {
+          next.push(item);
+          kept.add(id);
+        } else if (replacement) {
+          next.push(replacement);
+          kept.add(id);
+          repairs.updated++;
+        } else {
+          repairs.removed++;
         }
       }
-      
-      // If still no tableName, use a default
-      if (!tableName) {
-        tableName = 'brmh-cache'; // Default fallback
+
+      if (next.length === 0) {
+        await redis.del(key);
+      } else {
+        await writeCacheValue(key, JSON.stringify(isChunk ? next : next[0]), remainingTtl > 0 ? remainingTtl : 0);
       }
+    } catch (err) {
+      repairs.failed += keyEdits.size;
+      console.error(`❌ Audit repair failed for key ${key}:`, err.message);
     }
+  }
 
-    // Check if bulk cache operation is in progress for this table
-    const project = newItem?.project?.S || newItem?.project || oldItem?.project?.S || oldItem?.project || 'default';
-    const operationKey = `${project}:${tableName}`;
-    
-    if (activeBulkCacheOperations.has(operationKey)) {
-      // Queue the update for later processing
-      if (!pendingCacheUpdates.has(operationKey)) {
-        pendingCacheUpdates.set(operationKey, []);
+  const missingItems = Array.from(findings.missing.values());
+  if (recordsPerKey === 1) {
+    for (const item of missingItems) {
+      const key = `${project}:${tableName}:${cacheItemId(item)}`;
+      try {
+        await writeCacheValue(key, JSON.stringify(item), ttl);
+        repairs.written++;
+      } catch (err) {
+        repairs.failed++;
+        console.error(`❌ Audit repair failed for key ${key}:`, err.message);
       }
-      
-      const queuedUpdate = {
-        type,
-        newItem,
-        oldItem,
-        tableName,
-        project,
-        timestamp: new Date().toISOString()
-      };
-      
-      pendingCacheUpdates.get(operationKey).push(queuedUpdate);
-      
-      console.log(`📦 Queued ${type} for ${operationKey} (${pendingCacheUpdates.get(operationKey).length} pending)`);
-      
-      return res.status(202).json({
-        message: "Cache update queued for later processing",
-        reason: "Bulk cache operation in progress",
-        tableName,
-        type,
-        operationKey,
-        queuedUpdates: pendingCacheUpdates.get(operationKey).length,
-        estimatedWaitTime: "Until bulk cache completes"
-      });
     }
+  } else if (missingItems.length > 0) {
+    const chunkNumbers = (await scanKeys(`${project}:${tableName}:chunk:*`))
+      .map(k => parseInt(k.match(/chunk:(\d+)$/)?.[1]))
+      .filter(n => !isNaN(n));
+    let nextChunkId = chunkNumbers.length > 0 ? Math.max(...chunkNumbers) + 1 : 0;
 
-    console.log(`🔄 Cache ${type}: ${tableName}`);
-
-    // Validation
-    if (!type || !['INSERT', 'MODIFY', 'REMOVE'].includes(type)) {
-      return res.status(400).json({ 
-        error: "Invalid type",
-        message: "Type must be INSERT, MODIFY, or REMOVE"
-      });
+    for (let i = 0; i < missingItems.length; i += recordsPerKey) {
+      const chunk = missingItems.slice(i, i + recordsPerKey);
+      const key = `${project}:${tableName}:chunk:${nextChunkId++}`;
+      try {
+        await writeCacheValue(key, JSON.stringify(chunk), ttl);
+        repairs.written += chunk.length;
+      } catch (err) {
+        repairs.failed += chunk.length;
+        console.error(`❌ Audit repair failed for key ${key}:`, err.message);
+      }
     }
+  }
 
-    if (!newItem && type === 'INSERT') {
-      return res.status(400).json({ 
-        error: "Missing newItem",
-        message: "newItem is required for INSERT operations"
-      });
-    }
+  // Duplicates and moved items make per-item index edits ambiguous, so rebuild
+  repairs.indexRebuild = await rebuildCacheIndexes(project, tableName) || undefined;
 
-    if (!oldItem && (type === 'MODIFY' || type === 'REMOVE')) {
-      return res.status(400).json({ 
-        error: "Missing oldItem",
-        message: "oldItem is required for MODIFY/REMOVE operations"
-      });
-    }
+  return repairs;
+}
 
-    // Prevent caching order data in brmh-cache table
-    if (tableName === 'brmh-cache') {
-      const item = newItem || oldItem;
-      const isCacheConfig = item && (
-        item.id || 
-        item.methodId || 
-        item.accountId || 
-        item.project ||
-        item.status === 'active' ||
-        item.status === 'inactive'
-      );
-      
-      if (!isCacheConfig) {
-        return res.status(200).json({
-          message: "Skipped - not cache configuration data",
-          tableName,
-          type,
-          reason: "Only cache configuration data should be cached in brmh-cache table"
-        });
-      }
-      
-      // Clean up any existing unwanted order data (non-blocking)
-      const project = item?.project?.S || item?.project || 'default';
-      setImmediate(async () => {
-        try {
-          await clearUnwantedOrderData(project, tableName);
-          await cleanupTimestampChunks(project, tableName);
-        } catch (err) {
-          console.error(`❌ Cleanup failed for ${tableName}:`, err.message);
-        }
-      });
+/**
+ * Run an audit to completion and store its report
+ */
+async function runCacheAudit(audit) {
+  let lock = null;
+  try {
+    if (audit.repair) {
+      // Hold the bulk lock so stream updates queue up instead of racing repairs
+      lock = await acquireBulkCacheLock(`${audit.project}:${audit.table}`);
+      if (!lock) throw new Error('Bulk cache operation in progress, cannot repair');
     }
 
-    // Find active cache configurations for this table
-    const cacheConfigs = await findActiveCacheConfigs(tableName);
-    
-    if (cacheConfigs.length === 0) {
-      return res.status(200).json({
-        message: "No active cache configurations found",
-        tableName,
-        type,
-        cacheConfigsFound: 0
-      });
-    }
+    audit.status = 'running';
+    await saveCacheAudit(audit);
 
-    // Process each cache configuration (non-blocking)
-    const results = [];
-    const processPromises = cacheConfigs.map(async (config) => {
-      try {
-        const result = await processCacheUpdate(config, type, newItem, oldItem);
-        return result;
-      } catch (err) {
-        return {
-          configId: config.id,
-          success: false,
-          error: err.message
-        };
-      }
-    });
+    const { keys, cached, unidentified } = await collectCachedItems(audit.project, audit.table);
+    const findings = {
+      matched: 0,
+      missing: new Map(),
+      stale: new Map(),
+      orphaned: new Set(),
+      duplicates: new Map()
+    };
+    for (const [id, locations] of cached) {
+      if (locations.length > 1) findings.duplicates.set(id, locations.map(l => l.key));
+    }
 
-    // Wait for all cache updates to complete
-    const allResults = await Promise.all(processPromises);
-    results.push(...allResults);
+    const sourceItemsChecked = audit.mode === 'full'
+      ? await auditFullTable(audit.table, cached, findings)
+      : await auditSample(audit.table, cached, findings, audit.sampleSize);
 
-    const successfulUpdates = results.filter(r => r.success).length;
-    const failedUpdates = results.filter(r => !r.success).length;
-    const duration = Date.now() - start;
+    audit.counts = {
+      cachedKeys: keys.length,
+      cachedItems: cached.size,
+      unidentified,
+      sourceItemsChecked,
+      matched: findings.matched,
+      missing: findings.missing.size,
+      stale: findings.stale.size,
+      orphaned: findings.orphaned.size,
+      duplicates: findings.duplicates.size
+    };
+    audit.findings = {
+      missing: Array.from(findings.missing.keys()).slice(0, AUDIT_CONFIG.REPORT_ID_LIMIT),
+      stale: Array.from(findings.stale.keys()).slice(0, AUDIT_CONFIG.REPORT_ID_LIMIT),
+      orphaned: Array.from(findings.orphaned).slice(0, AUDIT_CONFIG.REPORT_ID_LIMIT),
+      duplicates: Array.from(findings.duplicates.entries()).slice(0, AUDIT_CONFIG.REPORT_ID_LIMIT).map(([id, keys]) => ({ id, keys }))
+    };
 
-    console.log(`✅ Cache ${type} complete: ${successfulUpdates}/${cacheConfigs.length} success (${duration}ms)`);
+    if (audit.repair) {
+      audit.repairs = await repairCacheDrift(audit.project, audit.table, cached, findings);
+    }
 
-    return res.status(200).json({
-      message: "Cache update processed",
-      tableName,
-      type,
-      totalConfigs: cacheConfigs.length,
-      successfulUpdates,
-      failedUpdates,
-      results,
-      durationMs: duration
-    });
+    audit.status = 'completed';
+    audit.completedAt = new Date().toISOString();
+    audit.durationMs = Date.now() - new Date(audit.startedAt).getTime();
+    await saveCacheAudit(audit);
 
+    console.log(`🔎 Cache audit ${audit.auditId} for ${audit.project}:${audit.table}:`, audit.counts);
   } catch (err) {
-    const duration = Date.now() - start;
-    console.error("🔥 Cache update handler failed:", err);
-    console.log("⏱️ Failed after (ms):", duration);
-
-    return res.status(500).json({
-      message: "Cache update failed",
-      error: err.message,
-      durationMs: duration,
-      timestamp: new Date().toISOString()
-    });
+    console.error(`🔥 Cache audit ${audit.auditId} failed:`, err);
+    audit.status = 'failed';
+    audit.error = err.message;
+    await saveCacheAudit(audit).catch(() => {});
+  } finally {
+    if (lock) {
+      await releaseBulkCacheLock(lock);
+      await processPendingCacheUpdates(lock.operationKey);
+    }
   }
+}
+
+// Retention rules: per project:table rule sets that remove cached items, run
+// on demand or on a schedule, with stored (optionally dry-run) reports
+const RETENTION_CONFIG = {
+  DEF_PREFIX: 'brmh-cache-retention:',
+  CLAIM_PREFIX: 'brmh-cache-retention-claim:',
+  RUN_PREFIX: 'brmh-cache-retention-run:',
+  TABLE_RUNS_PREFIX: 'brmh-cache-retention-runs:',
+  RUN_TTL_SECONDS: parseInt(process.env.CACHE_RETENTION_RUN_TTL_SECONDS) || 2592000, // 30 days
+  RUNS_PER_TABLE: 20,
+  REPORT_ITEM_LIMIT: 100, // Removals listed in the stored report
+  SCHEDULER_ENABLED: process.env.CACHE_RETENTION_SCHEDULER !== 'false',
+  SCHEDULER_TICK_MS: 60000,
+  OPERATORS: ['=', '!=', '>', '>=', '<', '<=', 'in', 'notIn', 'contains', 'startsWith', 'exists', 'missing', 'olderThan', 'newerThan']
 };
 
+const retentionDefKey = (project, tableName) => `${RETENTION_CONFIG.DEF_PREFIX}${project}:${tableName}`;
+const retentionClaimKey = (project, tableName) => `${RETENTION_CONFIG.CLAIM_PREFIX}${project}:${tableName}`;
+const retentionRunKey = (runId) => `${RETENTION_CONFIG.RUN_PREFIX}${runId}`;
+const tableRetentionRunsKey = (project, tableName) => `${RETENTION_CONFIG.TABLE_RUNS_PREFIX}${project}:${tableName}`;
+
 /**
- * Find active cache configurations for a given table
+ * Validate and normalise a rule list. Returns { rules } or { error }.
  */
-async function findActiveCacheConfigs(tableName) {
-  try {
-    const scanCommand = new ScanCommand({
-      TableName: 'brmh-cache'
-    });
+function normalizeRetentionRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return { error: "rules must be a non-empty array" };
+  }
 
-    const scanResponse = await ddb.send(scanCommand);
-    const allConfigs = scanResponse.Items.map(unmarshall);
+  const normalized = [];
+  for (const [i, rule] of rules.entries()) {
+    const label = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') return { error: `${label} must be an object` };
 
-    // Filter for active configs matching the table name
-    const activeConfigs = allConfigs.filter(config => 
-      config.status === 'active' && 
-      config.tableName === tableName
-    );
-    
-    return activeConfigs;
-  } catch (err) {
-    console.error('❌ Error finding cache configs:', err.message);
-    throw err;
+    const { action, field, op, value } = rule;
+    const id = rule.id ? String(rule.id) : `rule-${i + 1}`;
+
+    if (!['drop', 'keep'].includes(action)) return { error: `${label}.action must be 'drop' or 'keep'` };
+    if (typeof field !== 'string' || !field) return { error: `${label}.field must be an attribute name (dotted paths allowed)` };
+    if (!RETENTION_CONFIG.OPERATORS.includes(op)) {
+      return { error: `${label}.op must be one of ${RETENTION_CONFIG.OPERATORS.join(', ')}` };
+    }
+    if (['in', 'notIn'].includes(op) && !Array.isArray(value)) return { error: `${label}.value must be an array for '${op}'` };
+    if (['olderThan', 'newerThan'].includes(op) && isNaN(parseAgeMs(value))) {
+      return { error: `${label}.value must be an age like "90d", "12h" or a number of days for '${op}'` };
+    }
+    if (['=', '!=', '>', '>=', '<', '<=', 'contains', 'startsWith'].includes(op) && (value === undefined || (value !== null && typeof value === 'object'))) {
+      return { error: `${label}.value must be a scalar for '${op}'` };
+    }
+    if (normalized.some(r => r.id === id)) return { error: `${label}.id '${id}' is duplicated` };
+
+    normalized.push({ id, action, field, op, ...(value !== undefined && !['exists', 'missing'].includes(op) && { value }) });
   }
+
+  return { rules: normalized };
 }
 
 /**
- * Process cache update for a specific configuration
+ * Id of the first rule that removes the item (a matching 'drop' or a failed
+ * 'keep'), or null if the item is retained
  */
-async function processCacheUpdate(config, type, newItem, oldItem) {
-  const { id: configId, itemsPerKey, timeToLive, tableName, project } = config;
-  const projectName = project || 'default';
-  
-  try {
-    switch (type) {
-      case 'INSERT':
-        return await handleInsert(projectName, tableName, newItem, itemsPerKey, timeToLive);
-      
-      case 'MODIFY':
-        return await handleModify(projectName, tableName, newItem, oldItem, itemsPerKey, timeToLive);
-      
-      case 'REMOVE':
-        return await handleRemove(projectName, tableName, oldItem, itemsPerKey);
-      
-      default:
-        throw new Error(`Unknown operation type: ${type}`);
-    }
-  } catch (err) {
-    console.error(`❌ Cache ${type} failed for config ${configId}:`, err.message);
-    throw err;
+function findRetentionViolation(item, rules, now) {
+  for (const rule of rules) {
+    const matches = itemConditionMatches(item, rule, now);
+    if (rule.action === 'drop' ? matches : !matches) return rule.id;
   }
+  return null;
+}
+
+async function getRetentionDefinition(project, tableName) {
+  const value = await redis.get(retentionDefKey(project, tableName));
+  return value ? JSON.parse(value) : null;
+}
+
+async function saveRetentionRun(run) {
+  run.updatedAt = new Date().toISOString();
+  await redis.set(retentionRunKey(run.runId), JSON.stringify(run), 'EX', RETENTION_CONFIG.RUN_TTL_SECONDS);
+}
+
+async function loadRetentionRun(runId) {
+  const value = await redis.get(retentionRunKey(runId));
+  return value ? JSON.parse(value) : null;
+}
+
+async function createRetentionRun(project, tableName, dryRun, trigger) {
+  const run = {
+    runId: randomUUID(),
+    project,
+    table: tableName,
+    dryRun,
+    trigger,
+    status: 'pending',
+    startedAt: new Date().toISOString()
+  };
+  await saveRetentionRun(run);
+  await redis.lpush(tableRetentionRunsKey(project, tableName), run.runId);
+  await redis.ltrim(tableRetentionRunsKey(project, tableName), 0, RETENTION_CONFIG.RUNS_PER_TABLE - 1);
+  await redis.expire(tableRetentionRunsKey(project, tableName), RETENTION_CONFIG.RUN_TTL_SECONDS);
+  return run;
 }
 
 /**
- * Handle INSERT operations
+ * Evaluate the table's rules against every cached key. Dry runs only report;
+ * real runs hold the bulk lock, delete or rewrite keys and update indexes.
  */
-async function handleInsert(project, tableName, newItem, itemsPerKey, ttl) {
-  // Unmarshall DynamoDB item to plain JSON
-  const unmarshalledItem = unmarshall(newItem);
-  console.log(`📦 Unmarshalled item:`, unmarshalledItem);
-  
-  // Helper function to extract item ID from DynamoDB format
-  const extractItemId = (item) => {
-    if (item.id && typeof item.id === 'object' && item.id.S) return item.id.S;
-    if (item.id && typeof item.id === 'string') return item.id;
-    if (item.pk && typeof item.pk === 'object' && item.pk.S) return item.pk.S;
-    if (item.pk && typeof item.pk === 'string') return item.pk;
-    if (item.PK && typeof item.PK === 'object' && item.PK.S) return item.PK.S;
-    if (item.PK && typeof item.PK === 'string') return item.PK;
-    return Date.now().toString(); // Fallback
-  };
-  
-  // Generate cache key based on itemsPerKey
-  let cacheKey;
-  if (itemsPerKey === 1) {
-    // Single item per key
-    const itemId = extractItemId(newItem);
-    cacheKey = `${project}:${tableName}:${itemId}`;
-    const value = JSON.stringify(unmarshalledItem);
-    if (ttl && ttl > 0) {
-      await redis.set(cacheKey, value, 'EX', ttl);
-    } else {
-      await redis.set(cacheKey, value); // No expiration
+async function runCacheRetention(run) {
+  let lock = null;
+  try {
+    const definition = await getRetentionDefinition(run.project, run.table);
+    if (!definition) throw new Error('No retention rules declared');
+
+    if (!run.dryRun) {
+      // Hold the bulk lock so stream updates queue up instead of racing the rewrite
+      lock = await acquireBulkCacheLock(`${run.project}:${run.table}`);
+      if (!lock) throw new Error('Bulk cache operation in progress, cannot apply retention rules');
     }
-    console.log(`✅ Cached single item: ${cacheKey}${ttl && ttl > 0 ? ` with TTL ${ttl}s` : ' with no expiration'}`);
-  } else {
-    // Multiple items per key - find the best chunk to add to or create new one
-    const searchPattern = `${project}:${tableName}:chunk:*`;
-    // Use SCAN for Valkey compatibility
-    const existingChunks = [];
-    let cursor = '0';
-    
-    do {
-      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-      cursor = result[0];
-      existingChunks.push(...result[1]);
-    } while (cursor !== '0');
-    
-    let bestChunkKey = null;
-    let bestChunkSize = 0;
-    
-    // Find the chunk with the most space (closest to itemsPerKey but not full)
-    for (const chunkKey of existingChunks) {
-      const chunkValue = await redis.get(chunkKey);
-      if (chunkValue) {
-        const chunkItems = JSON.parse(chunkValue);
-        const chunkSize = chunkItems.length;
-        
-        // Prefer chunks that have space and are closest to being full
-        if (chunkSize < itemsPerKey && chunkSize > bestChunkSize) {
-          bestChunkKey = chunkKey;
-          bestChunkSize = chunkSize;
+
+    run.status = 'running';
+    run.rules = definition.rules;
+    await saveRetentionRun(run);
+
+    const now = Date.now();
+    const keys = await scanKeys(`${run.project}:${run.table}:*`);
+    const counts = { keysScanned: keys.length, itemsScanned: 0, itemsRemoved: 0, keysDeleted: 0, keysRewritten: 0 };
+    const byRule = Object.fromEntries(definition.rules.map(r => [r.id, 0]));
+    const removals = [];
+
+    for (const key of keys) {
+      const value = await redis.get(key);
+      if (!value) continue;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(value);
+      } catch {
+        continue;
+      }
+
+      const isChunk = Array.isArray(parsed);
+      const kept = [];
+      const removed = [];
+      for (const item of isChunk ? parsed : [parsed]) {
+        counts.itemsScanned++;
+        const ruleId = findRetentionViolation(item, definition.rules, now);
+        if (!ruleId) {
+          kept.push(item);
+          continue;
+        }
+        removed.push(item);
+        byRule[ruleId]++;
+        if (removals.length < RETENTION_CONFIG.REPORT_ITEM_LIMIT) {
+          removals.push({ key, itemId: cacheItemId(item) ?? null, ruleId });
         }
       }
-    }
-    
-    if (bestChunkKey && bestChunkSize < itemsPerKey) {
-      // Add to existing chunk that has space
-      const existingValue = await redis.get(bestChunkKey);
-      const existingItems = JSON.parse(existingValue);
-      existingItems.push(unmarshalledItem);
-      if (ttl && ttl > 0) {
-        await redis.set(bestChunkKey, JSON.stringify(existingItems), 'EX', ttl);
-      } else {
-        await redis.set(bestChunkKey, JSON.stringify(existingItems)); // No expiration
+
+      if (removed.length === 0) continue;
+      counts.itemsRemoved += removed.length;
+      if (run.dryRun) {
+        if (!isChunk || kept.length === 0) counts.keysDeleted++;
+        else counts.keysRewritten++;
+        continue;
       }
-      cacheKey = bestChunkKey;
-    } else {
-      // Create new chunk with sequential numbering
-      let newChunkId = 0;
-      
-      // Find the highest existing chunk number
-      for (const chunkKey of existingChunks) {
-        const match = chunkKey.match(/chunk:(\d+)$/);
-        if (match) {
-          const chunkNum = parseInt(match[1]);
-          if (chunkNum >= newChunkId) {
-            newChunkId = chunkNum + 1;
-          }
+
+      if (!isChunk || kept.length === 0) {
+        await redis.del(key);
+        counts.keysDeleted++;
+      } else {
+        // Keep the chunk's remaining lifetime
+        const remainingMs = await redis.pttl(key);
+        if (remainingMs > 0) {
+          await redis.set(key, JSON.stringify(kept), 'PX', remainingMs);
+        } else {
+          await redis.set(key, JSON.stringify(kept));
         }
+        counts.keysRewritten++;
       }
-      
-      const newChunkKey = `${project}:${tableName}:chunk:${newChunkId}`;
-      if (ttl && ttl > 0) {
-        await redis.set(newChunkKey, JSON.stringify([unmarshalledItem]), 'EX', ttl);
-      } else {
-        await redis.set(newChunkKey, JSON.stringify([unmarshalledItem])); // No expiration
+
+      for (const item of removed) {
+        await updateCacheIndexes(run.project, run.table, item, null, key);
       }
-      cacheKey = newChunkKey;
     }
-  }
 
-  return {
-    configId: project,
-    success: true,
-    operation: 'INSERT',
-    cacheKey: cacheKey || 'chunk-based'
-  };
+    run.counts = counts;
+    run.byRule = byRule;
+    run.removals = removals;
+    run.status = 'completed';
+    run.completedAt = new Date().toISOString();
+    run.durationMs = Date.now() - new Date(run.startedAt).getTime();
+    await saveRetentionRun(run);
+
+    console.log(`🧹 Retention ${run.dryRun ? 'dry run' : 'run'} ${run.runId} for ${run.project}:${run.table}:`, counts);
+  } catch (err) {
+    console.error(`🔥 Retention run ${run.runId} failed:`, err);
+    run.status = 'failed';
+    run.error = err.message;
+    await saveRetentionRun(run).catch(() => {});
+  } finally {
+    if (lock) {
+      await releaseBulkCacheLock(lock);
+      await processPendingCacheUpdates(lock.operationKey);
+    }
+  }
 }
 
 /**
- * Handle MODIFY operations
+ * Start retention runs whose schedule is due. The claim key expires after the
+ * interval, so exactly one instance wins each slot.
  */
-async function handleModify(project, tableName, newItem, oldItem, itemsPerKey, ttl) {
-  // Unmarshall DynamoDB items to plain JSON
-  const unmarshalledNewItem = unmarshall(newItem);
-  const unmarshalledOldItem = unmarshall(oldItem);
-  
-  // Helper function to extract item ID from DynamoDB format
-  const extractItemId = (item) => {
-    if (item.id && typeof item.id === 'object' && item.id.S) return item.id.S;
-    if (item.id && typeof item.id === 'string') return item.id;
-    if (item.pk && typeof item.pk === 'object' && item.pk.S) return item.pk.S;
-    if (item.pk && typeof item.pk === 'string') return item.pk;
-    if (item.PK && typeof item.PK === 'object' && item.PK.S) return item.PK.S;
-    if (item.PK && typeof item.PK === 'string') return item.PK;
-    return null;
+async function runDueRetentionSchedules() {
+  const definitionKeys = await scanKeys(`${RETENTION_CONFIG.DEF_PREFIX}*`);
+
+  for (const key of definitionKeys) {
+    try {
+      const value = await redis.get(key);
+      if (!value) continue;
+      const definition = JSON.parse(value);
+      if (!definition.schedule) continue;
+
+      const { project, table, schedule } = definition;
+      // Wait for bulk caching to finish rather than burning the slot on a failed run
+      if (!schedule.dryRun && await getBulkCacheLock(`${project}:${table}`)) continue;
+
+      const intervalMs = schedule.intervalMinutes * 60000;
+      const claimed = await redis.set(retentionClaimKey(project, table), LOCK_CONFIG.INSTANCE_ID, 'PX', intervalMs, 'NX');
+      if (claimed !== 'OK') continue;
+
+      const run = await createRetentionRun(project, table, !!schedule.dryRun, 'schedule');
+      console.log(`⏰ Scheduled retention ${run.dryRun ? 'dry run' : 'run'} for ${project}:${table} (${run.runId})`);
+      await runCacheRetention(run);
+    } catch (err) {
+      console.error(`❌ Scheduled retention check failed for ${key}:`, err.message);
+    }
+  }
+}
+
+let retentionSchedulerBusy = false;
+if (RETENTION_CONFIG.SCHEDULER_ENABLED) {
+  const retentionSchedulerTimer = setInterval(async () => {
+    if (retentionSchedulerBusy) return;
+    retentionSchedulerBusy = true;
+    try {
+      await runDueRetentionSchedules();
+    } catch (err) {
+      console.error('❌ Retention scheduler tick failed:', err.message);
+    } finally {
+      retentionSchedulerBusy = false;
+    }
+  }, RETENTION_CONFIG.SCHEDULER_TICK_MS);
+  retentionSchedulerTimer.unref();
+}
+
+// project:table pairs with an active brmh-cache config, refreshed at most once a minute
+const configuredCacheTables = { keys: new Set(), loadedAt: 0, loading: null };
+const CONFIGURED_TABLES_REFRESH_MS = 60000;
+
+/**
+ * Metric labels for a cache lookup. project and table come from the request,
+ * so only configured tables get their own series; anything else is "other".
+ */
+async function cacheLookupLabels(project, table) {
+  if (Date.now() - configuredCacheTables.loadedAt > CONFIGURED_TABLES_REFRESH_MS) {
+    configuredCacheTables.loading ||= (async () => {
+      try {
+        const response = await ddb.send(new ScanCommand({ TableName: 'brmh-cache' }));
+        configuredCacheTables.keys = new Set((response.Items || []).map(unmarshall)
+          .filter(config => config.status === 'active')
+          .map(config => `${config.project || 'default'}:${config.tableName}`));
+      } catch (err) {
+        // Keep the previous set; retried after the next refresh interval
+        console.error('⚠️ Could not load cache configs for metric labels:', err.message);
+      } finally {
+        configuredCacheTables.loadedAt = Date.now();
+        configuredCacheTables.loading = null;
+      }
+    })();
+    await configuredCacheTables.loading;
+  }
+  return configuredCacheTables.keys.has(`${project}:${table}`) ? { project, table } : { project: 'other', table: 'other' };
+}
+
+/**
+ * Resolve itemsPerKey/TTL for a project:table from the active brmh-cache
+ * configuration, falling back to the cacheTableHandler defaults
+ */
+async function resolveCacheSettings(project, tableName) {
+  let recordsPerKey = NaN;
+  let ttl = NaN;
+
+  try {
+    const configs = await findActiveCacheConfigs(tableName);
+    const config = configs.find(c => (c.project || 'default') === project) || configs[0];
+    if (config) {
+      recordsPerKey = parseInt(config.itemsPerKey);
+      ttl = parseInt(config.timeToLive);
+    }
+  } catch (err) {
+    console.error(`⚠️ Could not load cache config for ${project}:${tableName}, using defaults:`, err.message);
+  }
+
+  return {
+    recordsPerKey: isNaN(recordsPerKey) || recordsPerKey < 1 ? 1 : recordsPerKey,
+    ttl: isNaN(ttl) || ttl < 0 ? 3600 : ttl
   };
-  
-  if (itemsPerKey === 1) {
-    // Update single item
-    const itemId = extractItemId(newItem) || extractItemId(oldItem);
-    if (!itemId) {
-      console.log(`❌ No valid item ID found for modification`);
-      return {
-        configId: project,
-        success: false,
-        operation: 'MODIFY',
-        error: 'No valid item ID found'
-      };
+}
+
+/**
+ * Get the partition key name and type for a table (cached per process)
+ */
+async function getPartitionKey(tableName) {
+  if (tableKeySchemaCache.has(tableName)) {
+    return tableKeySchemaCache.get(tableName);
+  }
+
+  const { Table } = await ddb.send(new DescribeTableCommand({ TableName: tableName }));
+  const hashKey = Table.KeySchema.find(k => k.KeyType === 'HASH');
+  const definition = Table.AttributeDefinitions.find(a => a.AttributeName === hashKey.AttributeName);
+  const partitionKey = { name: hashKey.AttributeName, type: definition?.AttributeType || 'S' };
+
+  tableKeySchemaCache.set(tableName, partitionKey);
+  return partitionKey;
+}
+
+/**
+ * Write a value to the cache honouring the "0 = no expiration" TTL convention
+ */
+async function writeCacheValue(key, value, ttl) {
+  if (ttl && ttl > 0) {
+    await redis.set(key, value, 'EX', ttl);
+  } else {
+    await redis.set(key, value); // No expiration when ttl is 0
+  }
+}
+
+// Chunk count written by the last refill of a chunked table. Kept without
+// expiry, so a miss past the end is still recognised once the chunks expire.
+const chunkCountKey = (project, tableName) => `brmh-cache-chunk-count:${project}:${tableName}`;
+
+const chunkNumber = (key) => parseInt(key.match(/:chunk:(\d+)$/)?.[1]);
+
+/**
+ * Number of chunks a chunked table is known to have: the larger of the last
+ * refill's count and the highest cached chunk number + 1, or null if neither exists
+ */
+async function getKnownChunkCount(project, tableName) {
+  const stored = parseInt(await redis.get(chunkCountKey(project, tableName)));
+  const cached = (await scanKeys(`${project}:${tableName}:chunk:*`))
+    .map(chunkNumber)
+    .filter(n => !isNaN(n));
+  if (isNaN(stored) && cached.length === 0) return null;
+  return cached.reduce((count, n) => Math.max(count, n + 1), isNaN(stored) ? 0 : stored);
+}
+
+/**
+ * Replace a chunked table's whole chunk set from a full scan. Chunks are staged
+ * under brmh-cache-refill:* keys and renamed into place only after the scan
+ * has finished; chunks past the new end are then deleted, so no chunk of the
+ * old set survives. A failed scan deletes the staged keys and leaves the old set.
+ * @returns {Promise<number>} Chunks written (chunk:0 to chunk:N-1)
+ */
+async function replaceChunkSet(project, tableName, recordsPerKey, ttl) {
+  const stagingPrefix = `brmh-cache-refill:${project}:${tableName}:${randomUUID()}:`;
+  let chunkCount = 0;
+
+  try {
+    let buffer = [];
+    let ExclusiveStartKey;
+    do {
+      const response = await ddb.send(new ScanCommand({ TableName: tableName, ExclusiveStartKey }));
+      buffer.push(...(response.Items || []).map(unmarshall));
+      ExclusiveStartKey = response.LastEvaluatedKey;
+
+      while (buffer.length >= recordsPerKey || (!ExclusiveStartKey && buffer.length > 0)) {
+        // Staged without expiry, so a long scan cannot lose chunks before the swap
+        await redis.set(`${stagingPrefix}${chunkCount}`, JSON.stringify(buffer.slice(0, recordsPerKey)));
+        buffer = buffer.slice(recordsPerKey);
+        chunkCount++;
+      }
+    } while (ExclusiveStartKey);
+  } catch (err) {
+    const staged = Array.from({ length: chunkCount }, (_, i) => `${stagingPrefix}${i}`);
+    if (staged.length > 0) await redis.del(...staged).catch(() => {});
+    throw err;
+  }
+
+  for (let i = 0; i < chunkCount; i++) {
+    const key = `${project}:${tableName}:chunk:${i}`;
+    await redis.rename(`${stagingPrefix}${i}`, key);
+    if (ttl && ttl > 0) await redis.expire(key, ttl);
+  }
+
+  const stale = (await scanKeys(`${project}:${tableName}:chunk:*`)).filter(key => chunkNumber(key) >= chunkCount);
+  if (stale.length > 0) await redis.del(...stale);
+  await redis.set(chunkCountKey(project, tableName), String(chunkCount));
+
+  return chunkCount;
+}
+
+/**
+ * Rebuild a chunked table's cache in the background, under the bulk cache lock.
+ * Returns false without starting when another bulk operation holds the lock.
+ */
+async function startBackgroundChunkRefill(project, tableName, recordsPerKey, ttl) {
+  const operationKey = `${project}:${tableName}`;
+  const lock = await acquireBulkCacheLock(operationKey);
+  if (!lock) return false;
+
+  (async () => {
+    try {
+      const chunkCount = await replaceChunkSet(project, tableName, recordsPerKey, ttl);
+      await rebuildCacheIndexes(project, tableName);
+      console.log(`♻️ Background refill of ${operationKey} replaced its chunks with ${chunkCount} chunk(s)`);
+    } catch (err) {
+      console.error(`❌ Background refill of ${operationKey} failed:`, err.message);
+    } finally {
+      await releaseBulkCacheLock(lock);
+      await processPendingCacheUpdates(operationKey);
     }
-    
-    const cacheKey = `${project}:${tableName}:${itemId}`;
-    const value = JSON.stringify(unmarshalledNewItem);
-    if (ttl && ttl > 0) {
-      await redis.set(cacheKey, value, 'EX', ttl);
-    } else {
-      await redis.set(cacheKey, value); // No expiration
+  })();
+  return true;
+}
+
+/**
+ * Read-through fallback for a missing cache key, written with the table's
+ * active cache configuration (never with request parameters).
+ * - `chunk:N` keys are a miss; when N is below the known chunk count the table's
+ *   chunk set is replaced in the background, once (under the bulk cache lock),
+ *   so a later request finds the chunk
+ * - any other key is treated as a partition key value and queried from the source table;
+ *   the items are written back when the table is cached one item per key
+ * Returns { status: 'REFILL' | 'MISS', data, refilledKeys, reason, refillStarted? }.
+ * Throws an error with status 400 for a non-numeric key on a numeric partition key.
+ */
+async function readThroughFromSource(project, tableName, key) {
+  const cacheKey = `${project}:${tableName}:${key}`;
+  const { recordsPerKey, ttl } = await resolveCacheSettings(project, tableName);
+
+  if (/^chunk:\d+$/.test(key)) {
+    if (recordsPerKey === 1) {
+      return { status: 'MISS', data: null, refilledKeys: [], reason: 'Table is cached one item per key, chunk keys do not apply' };
     }
-    console.log(`✅ Updated cached item: ${cacheKey}`);
-    
+
+    // Paging past the last chunk is an ordinary miss, not a reason to rescan the table
+    const chunkCount = await getKnownChunkCount(project, tableName);
+    if (chunkCount !== null && chunkNumber(cacheKey) >= chunkCount) {
+      return { status: 'MISS', data: null, refilledKeys: [], reason: `Chunk not cached; the table has ${chunkCount} chunk(s)` };
+    }
+
+    const refillStarted = await startBackgroundChunkRefill(project, tableName, recordsPerKey, ttl);
     return {
-      configId: project,
-      success: true,
-      operation: 'MODIFY',
-      cacheKey
+      status: 'MISS',
+      data: null,
+      refilledKeys: [],
+      refillStarted,
+      reason: refillStarted
+        ? 'Chunk not cached; the table is being refilled in the background, retry later'
+        : 'Chunk not cached; a bulk cache operation is in progress, retry later'
     };
+  }
+
+  const partitionKey = await getPartitionKey(tableName);
+  const keyValue = partitionKey.type === 'N' ? Number(key) : key;
+  if (partitionKey.type === 'N' && (key.trim() === '' || !Number.isFinite(keyValue))) {
+    throw Object.assign(new Error(`${partitionKey.name} of ${tableName} is numeric, got "${key}"`), { status: 400 });
+  }
+
+  const response = await ddb.send(new QueryCommand({
+    TableName: tableName,
+    KeyConditionExpression: '#pk = :pk',
+    ExpressionAttributeNames: { '#pk': partitionKey.name },
+    ExpressionAttributeValues: marshall({ ':pk': keyValue })
+  }));
+  const items = (response.Items || []).map(unmarshall);
+
+  if (items.length === 0) {
+    return { status: 'MISS', data: null, refilledKeys: [], reason: `No item with ${partitionKey.name}=${key} in ${tableName}` };
+  }
+
+  const data = items.length === 1 ? items[0] : items;
+
+  if (recordsPerKey !== 1) {
+    // Chunk layout cannot be patched for a single item without rewriting chunks
+    return { status: 'MISS', data, refilledKeys: [], reason: 'Table is cached in chunks, item was served from source without write-back' };
+  }
+
+  const refilledKeys = [];
+  if (items.length === 1) {
+    await writeCacheValue(cacheKey, JSON.stringify(items[0]), ttl);
+    await updateCacheIndexes(project, tableName, null, items[0], cacheKey);
+    refilledKeys.push(cacheKey);
   } else {
-    // For chunked data, we need to find and update the chunk containing this item
-    const searchPattern = `${project}:${tableName}:chunk:*`;
-    console.log(`🔍 Searching for chunks with pattern: ${searchPattern}`);
-    
-    // Use SCAN for Valkey compatibility
-    const keys = [];
-    let cursor = '0';
-    
-    do {
-      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-      cursor = result[0];
-      keys.push(...result[1]);
-    } while (cursor !== '0');
-    
-    console.log(`📦 Found ${keys.length} chunks to search through`);
-    
-    const targetItemId = extractItemId(newItem) || extractItemId(oldItem);
-    if (!targetItemId) {
-      console.log(`❌ No valid item ID found for modification`);
-      return {
-        configId: project,
-        success: false,
-        operation: 'MODIFY',
-        error: 'No valid item ID found'
-      };
+    for (const item of items) {
+      const itemId = item.id || item.pk || item.PK || item.Id || item.ID;
+      if (!itemId) continue;
+      const itemKey = `${project}:${tableName}:${itemId}`;
+      await writeCacheValue(itemKey, JSON.stringify(item), ttl);
+      await updateCacheIndexes(project, tableName, null, item, itemKey);
+      refilledKeys.push(itemKey);
     }
-    
-    for (const key of keys) {
-      const value = await redis.get(key);
-      if (value) {
-        const items = JSON.parse(value);
-        // Reduce verbosity - only log for first few chunks or large chunks
-        if (items.length > 1000 || keys.indexOf(key) < 3) {
-          console.log(`🔍 Searching in chunk ${key} with ${items.length} items`);
-        }
-        
-        // Helper function to compare items considering DynamoDB format
-        const findItemIndex = (items, targetId) => {
-          return items.findIndex(item => {
-            const currentItemId = extractItemId(item);
-            return currentItemId === targetId;
-          });
-        };
-        
-        const itemIndex = findItemIndex(items, targetItemId);
-        
-        if (itemIndex !== -1) {
-          console.log(`✅ Found item at index ${itemIndex} in chunk ${key}`);
-          items[itemIndex] = unmarshalledNewItem;
-          if (ttl && ttl > 0) {
-            await redis.set(key, JSON.stringify(items), 'EX', ttl);
-          } else {
-            await redis.set(key, JSON.stringify(items)); // No expiration
-          }
-          console.log(`✅ Updated item in chunk: ${key}`);
-          
-          return {
-            configId: project,
-            success: true,
-            operation: 'MODIFY',
-            cacheKey: key
-          };
-        }
+  }
+
+  console.log(`♻️ Read-through refilled ${refilledKeys.length} key(s) for ${cacheKey}${ttl > 0 ? ` with TTL ${ttl}s` : ' with no expiration'}`);
+  return { status: refilledKeys.length > 0 ? 'REFILL' : 'MISS', data, refilledKeys };
+}
+
+/**
+ * Build the single-key response body shared by cache hits and read-through refills
+ */
+function buildCachedDataResponse(cacheKey, parsedData) {
+  const dataLength = Array.isArray(parsedData) ? parsedData.length : 1;
+  const dataSize = Buffer.byteLength(JSON.stringify(parsedData), 'utf8');
+  const dataSizeFormatted = `${(dataSize / 1024).toFixed(2)} KB`;
+
+  console.log(`📊 Cache response metadata:`, {
+    key: cacheKey,
+    dataLength: dataLength,
+    dataSize: dataSize,
+    dataSizeFormatted: dataSizeFormatted,
+    isArray: Array.isArray(parsedData)
+  });
+
+  // Check if response is too large (warn if over 10MB)
+  if (dataSize > 10 * 1024 * 1024) {
+    console.warn(`⚠️ Large response detected: ${dataSizeFormatted} for key: ${cacheKey}`);
+  }
+
+  return {
+    message: "Cached data retrieved",
+    key: cacheKey,
+    data: parsedData,
+    metadata: {
+      dataLength: dataLength,
+      dataSize: dataSize,
+      dataSizeFormatted: dataSizeFormatted,
+      isArray: Array.isArray(parsedData),
+      itemType: Array.isArray(parsedData) ? 'array' : 'object'
+    }
+  };
+}
+
+/**
+ * Get cached data from Redis
+ * Query params: project, table, key | pattern
+ * Optional read-through (key lookups only): readThrough=true. Refills use the
+ * table's active cache configuration.
+ * Key lookups set X-Cache-Status: HIT | MISS | REFILL
+ */
+export const getCachedDataHandler = async (req, res) => {
+  console.log('🔍 Get cached data request:', req.query);
+  
+  // Set request timeout to prevent hanging
+  const timeout = setTimeout(() => {
+    if (!res.headersSent) {
+      console.error('⏰ Request timeout for cache data retrieval');
+      res.status(408).json({
+        message: "Request timeout",
+        error: "Cache data retrieval took too long"
+      });
+    }
+  }, 30000); // 30 second timeout
+  
+  try {
+    const { project, table, key } = req.query;
+    const { pattern, readThrough, where, limit } = req.query;
+
+    console.log(`📋 Query params: project=${project}, table=${table}, key=${key}, pattern=${pattern}, readThrough=${readThrough}, where=${where}`);
+
+    if (where) {
+      // Attribute lookup through secondary cache indexes
+      const conditions = parseWhereClause(where);
+      if (conditions.some(c => c === null)) {
+        return res.status(400).json({
+          error: "Invalid 'where'",
+          message: "where must be a comma-separated list of attribute:value pairs"
+        });
+      }
+
+      const definition = await getCacheIndexDefinition(project, table);
+      const unindexed = conditions.filter(c => !definition?.attributes.includes(c.attribute)).map(c => c.attribute);
+      if (unindexed.length > 0) {
+        return res.status(400).json({
+          error: "Attribute not indexed",
+          message: `No cache index for ${unindexed.join(', ')} on ${project}:${table}. Declare it via POST /cache/indexes`,
+          indexedAttributes: definition?.attributes || []
+        });
       }
+
+      const limitNum = parseInt(limit) || INDEX_CONFIG.DEFAULT_QUERY_LIMIT;
+      const { totalMatches, items, staleEntries } = await queryCacheIndexes(project, table, conditions, limitNum);
+      console.log(`🗂️ Index lookup ${where} on ${project}:${table}: ${items.length}/${totalMatches} items`);
+
+      return res.status(200).json({
+        message: "Cached data retrieved by index",
+        where: conditions,
+        totalMatches,
+        count: items.length,
+        staleEntries,
+        data: items
+      });
     }
-    
-    // If not found in existing chunks, treat as insert
-    console.log(`⚠️ Item not found in existing chunks, treating as INSERT`);
-    return await handleInsert(project, tableName, newItem, itemsPerKey, ttl);
+
+    // Let Express handle all headers automatically to prevent content-length mismatch
+
+    if (pattern) {
+      // Get multiple keys matching pattern
+      const searchPattern = `${project}:${table}:${pattern}`;
+      console.log(`🔎 Searching with pattern: ${searchPattern}`);
+      
+      // Use SCAN for Valkey compatibility
+      const keys = [];
+      let cursor = '0';
+      
+      do {
+        const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
+        cursor = result[0];
+        keys.push(...result[1]);
+      } while (cursor !== '0');
+      
+      console.log(`📦 Found ${keys.length} keys matching pattern`);
+     
+      if (keys.length === 0) {
+        console.log(`❌ No cached keys found matching pattern: ${searchPattern}`);
+        return res.status(404).json({
+          message: "No cached keys found matching pattern",
+          pattern: searchPattern
+        });
+      }
+
+      const cachedData = {};
+      let processedCount = 0;
+      
+      for (const k of keys) {
+        try {
+          const value = await redis.get(k);
+          if (value) {
+            // Validate JSON before parsing
+            try {
+              const parsedData = JSON.parse(value);
+              cachedData[k] = parsedData;
+              console.log(`✅ Retrieved data for key: ${k}`);
+            } catch (parseError) {
+              console.error(`❌ JSON parse error for key ${k}:`, parseError.message);
+              cachedData[k] = { error: 'Invalid JSON data', rawValue: value.substring(0, 100) + '...' };
+            }
+          }
+          processedCount++;
+          
+          // Log progress for large datasets
+          if (processedCount % 10 === 0) {
+            console.log(`📊 Processed ${processedCount}/${keys.length} keys`);
+          }
+        } catch (error) {
+          console.error(`❌ Error retrieving key ${k}:`, error.message);
+          cachedData[k] = { error: 'Retrieval failed', message: error.message };
+        }
+      }
+
+      console.log(`📊 Returning ${Object.keys(cachedData).length} cached items`);
+      
+      // Check response size to prevent browser issues
+      const responseData = {
+        message: "Cached data retrieved",
+        keysFound: keys.length,
+        data: cachedData
+      };
+      
+      const responseString = JSON.stringify(responseData);
+      const responseSize = Buffer.byteLength(responseString, 'utf8');
+      
+      // If response is too large, return a warning
+      if (responseSize > 50 * 1024 * 1024) { // 50MB limit
+        console.warn(`⚠️ Response size too large: ${responseSize} bytes`);
+        return res.status(413).json({
+          message: "Response too large",
+          size: responseSize,
+          limit: "50MB",
+          suggestion: "Use pagination or filter to reduce data size"
+        });
+      }
+      
+      console.log(`📊 Response size: ${(responseSize / 1024).toFixed(2)} KB`);
+      
+      // Send response without setting Content-Length manually (let Express handle it)
+      return res.status(200).json(responseData);
+    } else if (key) {
+      // Get specific key
+      const cacheKey = `${project}:${table}:${key}`;
+      console.log(`🔎 Looking for specific key: ${cacheKey}`);
+      
+      try {
+        const value = await redis.get(cacheKey);
+        
+        if (!value) {
+          if (readThrough === 'true') {
+            console.log(`♻️ Cache miss for ${cacheKey}, reading through to ${table}`);
+            let refill;
+            try {
+              refill = await readThroughFromSource(project, table, key);
+            } catch (err) {
+              if (err.status !== 400) throw err;
+              if (res.headersSent) return;
+              return res.status(400).json({ error: "Invalid key", message: err.message, key: cacheKey });
+            }
+            if (res.headersSent) return;
+
+            res.setHeader('X-Cache-Status', refill.status);
+            cacheLookups.inc({ ...await cacheLookupLabels(project, table), result: refill.status.toLowerCase() });
+            if (refill.data === null) {
+              return res.status(404).json({
+                message: "Cached key not found",
+                key: cacheKey,
+                readThrough: {
+                  status: refill.status,
+                  reason: refill.reason,
+                  ...(refill.refillStarted !== undefined && { refillStarted: refill.refillStarted })
+                }
+              });
+            }
+
+            return res.status(200).json({
+              ...buildCachedDataResponse(cacheKey, refill.data),
+              message: refill.status === 'REFILL' ? "Cache refilled from source" : "Data retrieved from source",
+              readThrough: {
+                status: refill.status,
+                source: table,
+                refilledKeys: refill.refilledKeys.slice(0, 10),
+                totalRefilledKeys: refill.refilledKeys.length,
+                ...(refill.reason && { reason: refill.reason })
+              }
+            });
+          }
+
+          console.log(`❌ Cached key not found: ${cacheKey}`);
+          res.setHeader('X-Cache-Status', 'MISS');
+          cacheLookups.inc({ ...await cacheLookupLabels(project, table), result: 'miss' });
+          return res.status(404).json({
+            message: "Cached key not found",
+            key: cacheKey
+          });
+        }
+
+        // Validate JSON before parsing
+        let parsedData;
+        try {
+          parsedData = JSON.parse(value);
+          console.log(`✅ Retrieved data for key: ${cacheKey}`);
+        } catch (parseError) {
+          console.error(`❌ JSON parse error for key ${cacheKey}:`, parseError.message);
+          return res.status(500).json({
+            message: "Invalid JSON data in cache",
+            key: cacheKey,
+            error: parseError.message,
+            rawValue: value.substring(0, 200) + (value.length > 200 ? '...' : '')
+          });
+        }
+        
+        res.setHeader('X-Cache-Status', 'HIT');
+        cacheLookups.inc({ ...await cacheLookupLabels(project, table), result: 'hit' });
+        return res.status(200).json(buildCachedDataResponse(cacheKey, parsedData));
+      } catch (error) {
+        console.error(`❌ Error retrieving key ${cacheKey}:`, error.message);
+        return res.status(500).json({
+          message: "Failed to retrieve cached data",
+          key: cacheKey,
+          error: error.message
+        });
+      }
+    } else {
+       // Get all keys for project:table (keys only, no data)
+       const searchPattern = `${project}:${table}:*`;
+       console.log(`🔎 Searching for all keys with pattern: ${searchPattern}`);
+       
+       // Use SCAN for Valkey compatibility
+        const keys = [];
+        let cursor = '0';
+       
+       do {
+         const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
+          cursor = result[0];
+          keys.push(...result[1]);
+        } while (cursor !== '0');
+       
+       console.log(`📦 Found ${keys.length} total keys for ${project}:${table}`);
+        
+        if (keys.length > 0) {
+          // Sort keys to get chunks in sequence
+          const sortedKeys = keys.sort((a, b) => {
+            // Extract chunk numbers for comparison
+            const aMatch = a.match(/chunk:(\d+)$/);
+            const bMatch = b.match(/chunk:(\d+)$/);
+            
+            if (aMatch && bMatch) {
+              // Both are chunk keys, sort by chunk number
+              return parseInt(aMatch[1]) - parseInt(bMatch[1]);
+            } else if (aMatch) {
+              // Only a is a chunk key, put chunks after individual items
+              return 1;
+            } else if (bMatch) {
+              // Only b is a chunk key, put chunks after individual items
+              return -1;
+            } else {
+              // Both are individual items, sort alphabetically
+              return a.localeCompare(b);
+            }
+          });
+          
+          // Return only keys, not the actual data to avoid timeout
+          return res.status(200).json({
+            message: "Cache keys retrieved in sequence (keys only)",
+            keysFound: sortedKeys.length,
+            keys: sortedKeys,
+            note: "Use ?key=chunk:0 to get actual data for a specific key"
+          });
+        }
+      
+      return res.status(200).json({
+        message: "Cache keys retrieved",
+        keysFound: keys.length,
+        keys: keys
+      });
+    }
+
+  } catch (err) {
+    console.error("🔥 Get cached data failed:", err);
+    return res.status(500).json({
+      message: "Failed to retrieve cached data",
+      error: err.message
+    });
+  } finally {
+    // Clear the timeout
+    clearTimeout(timeout);
+  }
+};
+
+// Item pages for /cache/data-in-sequence: server-side filters, sorting,
+// field projection and opaque keyset cursors over cached items
+const ITEM_PAGE_CONFIG = {
+  DEFAULT_LIMIT: 100,
+  MAX_LIMIT: 1000,
+  // A sorted page reads every key of the table; larger tables are refused
+  MAX_SORTED_KEYS: parseInt(process.env.CACHE_SORTED_PAGE_MAX_KEYS) || 2000,
+  FILTER_OPERATORS: {
+    eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=',
+    in: 'in', nin: 'notIn', contains: 'contains', startsWith: 'startsWith',
+    exists: 'exists', missing: 'missing'
+  }
+};
+
+/**
+ * Key order for sequential reads: individual items alphabetically, then chunks by number
+ */
+function compareCacheKeys(a, b) {
+  const aMatch = a.match(/chunk:(\d+)$/);
+  const bMatch = b.match(/chunk:(\d+)$/);
+
+  if (aMatch && bMatch) return parseInt(aMatch[1]) - parseInt(bMatch[1]);
+  if (aMatch) return 1;
+  if (bMatch) return -1;
+  return a.localeCompare(b);
+}
+
+/**
+ * Parse `filter=status:eq:open,total_price:gte:100,tags:in:a|b` into conditions.
+ * Throws with a client-facing message when malformed.
+ */
+function parseItemFilters(filter) {
+  if (!filter) return [];
+  return String(filter).split(',').map(part => {
+    const [field, op, ...rest] = part.split(':');
+    const operator = ITEM_PAGE_CONFIG.FILTER_OPERATORS[op];
+    if (!field || !operator) {
+      throw new Error(`Invalid filter "${part}": use field:op:value with op one of ${Object.keys(ITEM_PAGE_CONFIG.FILTER_OPERATORS).join(', ')}`);
+    }
+    if (operator === 'exists' || operator === 'missing') return { field, op: operator };
+    if (rest.length === 0) throw new Error(`Invalid filter "${part}": missing value`);
+
+    const value = rest.join(':');
+    return { field, op: operator, value: operator === 'in' || operator === 'notIn' ? value.split('|') : value };
+  });
+}
+
+/**
+ * Parse `sort=-created_at,name` into [{ field, direction }]
+ */
+function parseItemSort(sort) {
+  if (!sort) return [];
+  return String(sort).split(',').map(s => s.trim()).filter(Boolean).map(s => (
+    s.startsWith('-') ? { field: s.slice(1), direction: -1 } : { field: s, direction: 1 }
+  ));
+}
+
+/**
+ * Keep only the requested (dotted) fields, preserving nesting
+ */
+function projectItem(item, fields) {
+  if (!fields) return item;
+  const projected = {};
+  for (const path of fields) {
+    const value = getPathValue(item, path);
+    if (value === undefined) continue;
+    const parts = path.split('.');
+    let target = projected;
+    for (const part of parts.slice(0, -1)) {
+      if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+      target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+  }
+  return projected;
+}
+
+/**
+ * Order two item positions ({ v: sort values, k: cache key, o: offset in chunk }).
+ * Items missing a sort field come last in either direction.
+ */
+function compareItemPositions(a, b, sort) {
+  for (const [i, { direction }] of sort.entries()) {
+    const aValue = a.v[i];
+    const bValue = b.v[i];
+    const aMissing = aValue === null || aValue === undefined;
+    const bMissing = bValue === null || bValue === undefined;
+    if (aMissing || bMissing) {
+      if (aMissing !== bMissing) return aMissing ? 1 : -1;
+      continue;
+    }
+    const diff = compareAttributeValues(aValue, bValue) * direction;
+    if (diff !== 0) return diff;
+  }
+  return compareCacheKeys(a.k, b.k) || a.o - b.o;
+}
+
+const encodeItemCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+function decodeItemCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position.k === 'string' && Number.isInteger(position.o) ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+// Cursors only make sense for the filter/sort they were issued with
+const itemQuerySignature = (filters, sort) => createHash('sha1').update(JSON.stringify([filters, sort])).digest('hex').slice(0, 12);
+
+/**
+ * Read one page of cached items after a cursor position. Unsorted pages follow
+ * key order and stop reading once the page is full; sorted pages must read
+ * every key for the table, so they throw (status 400) above MAX_SORTED_KEYS keys.
+ */
+async function readCachedItemsPage(project, tableName, { filters, sort, fields, limit, after }) {
+  const keys = (await scanKeys(`${project}:${tableName}:*`)).sort(compareCacheKeys);
+  if (sort.length > 0 && keys.length > ITEM_PAGE_CONFIG.MAX_SORTED_KEYS) {
+    throw Object.assign(
+      new Error(`${project}:${tableName} has ${keys.length} cached keys; sorting reads all of them on every page and is limited to ${ITEM_PAGE_CONFIG.MAX_SORTED_KEYS}. Narrow with an indexed 'where' lookup, or page without 'sort'`),
+      { status: 400 }
+    );
+  }
+  const now = Date.now();
+  const matches = [];
+  let keysRead = 0;
+
+  let startIndex = 0;
+  if (after && sort.length === 0) {
+    startIndex = keys.findIndex(key => compareCacheKeys(key, after.k) >= 0);
+    if (startIndex === -1) startIndex = keys.length;
+  }
+
+  for (let i = startIndex; i < keys.length; i++) {
+    if (sort.length === 0 && matches.length > limit) break;
+
+    const key = keys[i];
+    const value = await redis.get(key);
+    keysRead++;
+    if (!value) continue;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      continue;
+    }
+
+    (Array.isArray(parsed) ? parsed : [parsed]).forEach((item, offset) => {
+      if (!item || typeof item !== 'object') return;
+      if (!filters.every(condition => itemConditionMatches(item, condition, now))) return;
+
+      const position = { k: key, o: offset, v: sort.map(s => getPathValue(item, s.field) ?? null) };
+      if (after && compareItemPositions(position, after, sort) <= 0) return;
+      matches.push({ item, position });
+    });
+  }
+
+  if (sort.length > 0) {
+    matches.sort((a, b) => compareItemPositions(a.position, b.position, sort));
+  }
+
+  const page = matches.slice(0, limit);
+  const hasMore = matches.length > limit;
+  return {
+    items: page.map(m => projectItem(m.item, fields)),
+    hasMore,
+    lastPosition: hasMore ? page[page.length - 1].position : null,
+    keysRead,
+    totalKeys: keys.length
+  };
+}
+
+/**
+ * Item mode of getCachedDataInSequenceHandler (filter/sort/fields/cursor)
+ */
+async function respondWithCachedItemsPage(req, res, project, table) {
+  const { filter, sort, fields, cursor, limit = ITEM_PAGE_CONFIG.DEFAULT_LIMIT } = req.query;
+
+  const limitNum = parseInt(limit);
+  if (isNaN(limitNum) || limitNum < 1 || limitNum > ITEM_PAGE_CONFIG.MAX_LIMIT) {
+    return res.status(400).json({
+      error: "Invalid 'limit'",
+      message: `limit must be between 1 and ${ITEM_PAGE_CONFIG.MAX_LIMIT}`
+    });
+  }
+
+  let filters;
+  try {
+    filters = parseItemFilters(filter);
+  } catch (err) {
+    return res.status(400).json({
+      error: "Invalid 'filter'",
+      message: err.message
+    });
+  }
+
+  const sortFields = parseItemSort(sort);
+  const fieldList = fields ? String(fields).split(',').map(f => f.trim()).filter(Boolean) : null;
+  const signature = itemQuerySignature(filters, sortFields);
+
+  let after = null;
+  if (cursor) {
+    after = decodeItemCursor(cursor);
+    if (!after || after.q !== signature || (sortFields.length > 0 && !Array.isArray(after.v))) {
+      return res.status(400).json({
+        error: "Invalid 'cursor'",
+        message: "cursor is malformed or was issued for a different filter/sort"
+      });
+    }
+  }
+
+  let page;
+  try {
+    page = await readCachedItemsPage(project, table, { filters, sort: sortFields, fields: fieldList, limit: limitNum, after });
+  } catch (err) {
+    if (err.status !== 400) throw err;
+    return res.status(400).json({
+      error: "Too many keys to sort",
+      message: err.message
+    });
+  }
+  const nextCursor = page.lastPosition
+    ? encodeItemCursor({ q: signature, k: page.lastPosition.k, o: page.lastPosition.o, ...(sortFields.length > 0 && { v: page.lastPosition.v }) })
+    : null;
+
+  console.log(`📄 Item page for ${project}:${table}: ${page.items.length} items (${page.keysRead}/${page.totalKeys} keys read), hasMore=${page.hasMore}`);
+
+  return res.status(200).json({
+    message: "Cached items retrieved",
+    project,
+    table,
+    count: page.items.length,
+    items: page.items,
+    query: {
+      filter: filters,
+      sort: sortFields,
+      fields: fieldList
+    },
+    pagination: {
+      limit: limitNum,
+      hasMore: page.hasMore,
+      nextCursor
+    },
+    stats: {
+      keysRead: page.keysRead,
+      totalKeys: page.totalKeys
+    }
+  });
+}
+
+/**
+ * Get cached data in sequence with pagination
+ */
+export const getCachedDataInSequenceHandler = async (req, res) => {
+  console.log('🔍 Get cached data in sequence request:', req.query);
+  try {
+    const { project, table, page = 1, limit = 1000 } = req.query;
+
+    console.log(`📋 Query params: project=${project}, table=${table}, page=${page}, limit=${limit}`);
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    // Any item-level option switches from the key listing to item pages
+    const itemMode = req.query.items === 'true' || ['filter', 'sort', 'fields', 'cursor'].some(param => req.query[param]);
+    if (itemMode) {
+      return await respondWithCachedItemsPage(req, res, project, table);
+    }
+
+    // Get all keys for project:table
+    const searchPattern = `${project}:${table}:*`;
+    console.log(`🔎 Searching for all keys with pattern: ${searchPattern}`);
+    
+    // Use SCAN for Valkey compatibility
+    const keys = [];
+    let cursor = '0';
+    
+    do {
+      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
+      cursor = result[0];
+      keys.push(...result[1]);
+    } while (cursor !== '0');
+    
+    console.log(`📦 Found ${keys.length} total keys for ${project}:${table}`);
+    
+    if (keys.length === 0) {
+      return res.status(404).json({
+        message: "No cached keys found",
+        pattern: searchPattern,
+        keysFound: 0,
+        data: [],
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: 0,
+          hasMore: false,
+          totalItems: 0
+        }
+      });
+    }
+
+    // Sort keys to get chunks in sequence
+    const sortedKeys = keys.sort(compareCacheKeys);
+    
+    console.log(`📋 Total sorted keys found: ${sortedKeys.length}`);
+    
+    // Apply pagination to keys first
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const startIndex = (pageNum - 1) * limitNum;
+    const endIndex = startIndex + limitNum;
+    const totalPages = Math.ceil(sortedKeys.length / limitNum);
+    const hasMore = pageNum < totalPages;
+    
+    const paginatedKeys = sortedKeys.slice(startIndex, endIndex);
+    
+    console.log(`📄 Pagination: page ${pageNum}/${totalPages}, showing ${paginatedKeys.length} keys out of ${sortedKeys.length} total`);
+    
+    // Always return keys only - no data fetching in this endpoint
+    console.log(`✅ Returning keys only (${paginatedKeys.length} keys out of ${sortedKeys.length} total)`);
+    return res.status(200).json({
+      message: "Cache keys retrieved in sequence with pagination (keys only)",
+      keysFound: paginatedKeys.length,
+      totalKeys: sortedKeys.length,
+      keys: paginatedKeys,
+      note: "Use ?key=chunk:0 to get actual data for a specific key",
+      pagination: {
+        currentPage: pageNum,
+        totalPages: totalPages,
+        hasMore: hasMore,
+        totalItems: sortedKeys.length
+      }
+    });
+
+  } catch (err) {
+    console.error("🔥 Get cached data in sequence failed:", err);
+    return res.status(500).json({
+      message: "Failed to retrieve cached data in sequence",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Get paginated cache keys
+ */
+export const getPaginatedCacheKeysHandler = async (req, res) => {
+  console.log('🔍 Get paginated cache keys request:', req.query);
+  try {
+    const { project, table, page = 1, limit = 1 } = req.query;
+
+    console.log(`📋 Query params: project=${project}, table=${table}, page=${page}, limit=${limit}`);
+
+    // Get all keys for project:table
+    const searchPattern = `${project}:${table}:*`;
+    console.log(`🔎 Searching for all keys with pattern: ${searchPattern}`);
+    
+    // Use SCAN for Valkey compatibility
+    const allKeys = [];
+    let cursor = '0';
+    
+    do {
+      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
+      cursor = result[0];
+      allKeys.push(...result[1]);
+    } while (cursor !== '0');
+    
+    console.log(`📦 Found ${allKeys.length} total keys for ${project}:${table}`);
+    
+    if (allKeys.length === 0) {
+      console.log(`❌ No cached keys found for pattern: ${searchPattern}`);
+      return res.status(404).json({
+        message: "No cached keys found",
+        pattern: searchPattern,
+        keysFound: 0,
+        keys: [],
+        currentPage: parseInt(page),
+        totalPages: 0,
+        hasMore: false
+      });
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const startIndex = (pageNum - 1) * limitNum;
+    const endIndex = startIndex + limitNum;
+    const totalPages = Math.ceil(allKeys.length / limitNum);
+    const hasMore = pageNum < totalPages;
+
+    // Get paginated keys
+    const paginatedKeys = allKeys.slice(startIndex, endIndex);
+    
+    console.log(`📊 Pagination: page ${pageNum}/${totalPages}, showing ${paginatedKeys.length} keys`);
+    console.log(`📋 Paginated keys:`, paginatedKeys);
+    
+    return res.status(200).json({
+      message: "Paginated cache keys retrieved",
+      keysFound: allKeys.length,
+      keys: paginatedKeys,
+      currentPage: pageNum,
+      totalPages: totalPages,
+      hasMore: hasMore
+    });
+
+  } catch (err) {
+    console.error("🔥 Get paginated cache keys failed:", err);
+    return res.status(500).json({
+      message: "Failed to retrieve paginated cache keys",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Clear cached data from Redis
+ */
+export const clearCacheHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+    const { pattern } = req.query;
+
+    let searchPattern;
+    if (pattern) {
+      searchPattern = `${project}:${table}:${pattern}`;
+    } else {
+      searchPattern = `${project}:${table}:*`;
+    }
+
+         // Use SCAN for Valkey compatibility
+     const keys = [];
+     let cursor = '0';
+     
+     do {
+       const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
+       cursor = result[0];
+       keys.push(...result[1]);
+     } while (cursor !== '0');
+     
+     if (keys.length === 0) {
+      return res.status(404).json({
+        message: "No cached keys found to clear",
+        pattern: searchPattern
+      });
+    }
+
+    // Delete keys individually to avoid cross-slot errors in Redis Cluster
+    let deletedCount = 0;
+    for (const key of keys) {
+      try {
+        const result = await redis.del(key);
+        deletedCount += result;
+        console.log(`🗑️ Deleted key: ${key}`);
+      } catch (err) {
+        console.error(`❌ Failed to delete key ${key}:`, err);
+        // Continue with other keys even if one fails
+      }
+    }
+
+    // Index entries would only point at deleted keys after a full clear
+    const indexKeysDeleted = pattern ? 0 : await dropCacheIndexData(project, table);
+
+    return res.status(200).json({
+      message: "Cache cleared successfully",
+      keysDeleted: deletedCount,
+      indexKeysDeleted,
+      pattern: searchPattern
+    });
+
+  } catch (err) {
+    console.error("🔥 Clear cache failed:", err);
+    return res.status(500).json({
+      message: "Failed to clear cache",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Get cache statistics
+ */
+export const getCacheStatsHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+    const searchPattern = `${project}:${table}:*`;
+    // Use SCAN for Valkey compatibility
+    const keys = [];
+    let cursor = '0';
+    
+    do {
+      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
+      cursor = result[0];
+      keys.push(...result[1]);
+    } while (cursor !== '0');
+    
+    const stats = {
+      totalKeys: keys.length,
+      pattern: searchPattern,
+      project,
+      table,
+      timestamp: new Date().toISOString()
+    };
+
+    // Get TTL for first few keys as sample
+    if (keys.length > 0) {
+      const sampleKeys = keys.slice(0, 5);
+      const ttls = await Promise.all(sampleKeys.map(key => redis.ttl(key)));
+      stats.sampleTTLs = sampleKeys.map((key, index) => ({
+        key,
+        ttl: ttls[index]
+      }));
+    }
+
+    return res.status(200).json({
+      message: "Cache statistics retrieved",
+      stats
+    });
+
+  } catch (err) {
+    console.error("🔥 Get cache stats failed:", err);
+    return res.status(500).json({
+      message: "Failed to get cache statistics",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Health check for Redis connection
+ */
+export const cacheHealthHandler = async (req, res) => {
+  try {
+    const ping = await redis.ping();
+    const info = await redis.info('server');
+    
+    return res.status(200).json({
+      message: "Cache service is healthy",
+      redis: {
+        backend: redis.backendType,
+        connected: ping === 'PONG',
+        info: info.split('\r\n').slice(0, 5) // First 5 lines of info
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error("🔥 Cache health check failed:", err);
+    return res.status(503).json({
+      message: "Cache service is unhealthy",
+      error: err.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Run a manual chunk cleanup for project:table under the bulk cache lock.
+ * Returns { count }, or { lock } (the holder) when another bulk operation runs.
+ */
+async function runChunkCleanup(project, table, label, cleanup) {
+  const operationKey = `${project}:${table}`;
+  const lock = await acquireBulkCacheLock(operationKey);
+  if (!lock) return { lock: await getBulkCacheLock(operationKey) };
+
+  try {
+    console.log(`🧹 Manual ${label} requested for ${operationKey}`);
+    const count = await cleanup(project, table);
+    // Deleted or renamed chunks leave stale index locations behind
+    if (count > 0) await rebuildCacheIndexes(project, table);
+    return { count };
+  } finally {
+    await releaseBulkCacheLock(lock);
+    await processPendingCacheUpdates(operationKey);
+  }
+}
+
+const chunkCleanupConflict = (res, project, table, lock) => res.status(409).json({
+  error: "Bulk cache operation in progress",
+  message: `A bulk cache operation is already running for project: ${project}, table: ${table}`,
+  lock
+});
+
+/**
+ * Clear unwanted order data from cache
+ */
+export const clearUnwantedOrderDataHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+    
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+    
+    const { count: deletedCount, lock } = await runChunkCleanup(project, table, 'cleanup', clearUnwantedOrderData);
+    if (lock) return chunkCleanupConflict(res, project, table, lock);
+    
+    return res.status(200).json({
+      message: "Cleanup completed",
+      project,
+      table,
+      deletedCount,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    console.error("🔥 Clear unwanted data failed:", err);
+    return res.status(500).json({
+      message: "Failed to clear unwanted data",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Clean up timestamp-based chunks and convert to sequential numbering
+ */
+export const cleanupTimestampChunksHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+    
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+    
+    const { count: convertedCount, lock } = await runChunkCleanup(project, table, 'timestamp cleanup', cleanupTimestampChunks);
+    if (lock) return chunkCleanupConflict(res, project, table, lock);
+    
+    return res.status(200).json({
+      message: "Timestamp cleanup completed",
+      project,
+      table,
+      convertedCount,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    console.error("🔥 Timestamp cleanup failed:", err);
+    return res.status(500).json({
+      message: "Failed to cleanup timestamp chunks",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Test connection to Redis/Valkey cache
+ */
+export const testCacheConnection = async (req, res) => {
+  try {
+    console.log('🔍 Testing cache connection...');
+    
+    // Test basic connectivity
+    await redis.ping();
+    console.log('✅ Redis ping successful');
+    
+    // Test basic operations
+    await redis.set('test-key', 'test-value', 'EX', 60);
+    const value = await redis.get('test-key');
+    await redis.del('test-key');
+    
+    if (value === 'test-value') {
+      console.log('✅ Redis read/write operations successful');
+      res.json({
+        status: 'success',
+        message: 'Cache connection test passed',
+        endpoint: process.env.REDIS_HOST,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      throw new Error('Read/write test failed');
+    }
+  } catch (error) {
+    console.error('❌ Cache connection test failed:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Cache connection test failed',
+      error: error.message,
+      endpoint: process.env.REDIS_HOST,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Clean up timestamp-based chunks and convert to sequential numbering.
+ * Renamed chunks keep their remaining TTL.
+ */
+async function cleanupTimestampChunks(project, tableName) {
+  try {
+    console.log(`🧹 Cleaning up timestamp-based chunks for ${project}:${tableName}`);
+    
+    const keys = await scanKeys(`${project}:${tableName}:chunk:*`);
+    console.log(`🔍 Found ${keys.length} chunk keys to check`);
+    
+    // Separate timestamp-based and sequential chunks
+    const timestampChunks = [];
+    const sequentialChunks = [];
+    
+    for (const key of keys) {
+      const match = key.match(/chunk:(\d+)$/);
+      if (match) {
+        // If chunkId is 10+ digits, it's likely a timestamp
+        if (match[1].length >= 10) {
+          timestampChunks.push(key);
+        } else {
+          sequentialChunks.push(key);
+        }
+      }
+    }
+    
+    console.log(`📊 Found ${timestampChunks.length} timestamp chunks and ${sequentialChunks.length} sequential chunks`);
+    
+    if (timestampChunks.length === 0) {
+      console.log(`✅ No timestamp chunks to clean up`);
+      return 0;
+    }
+    
+    // Find the highest sequential chunk number
+    let maxSequential = -1;
+    for (const key of sequentialChunks) {
+      const chunkNum = parseInt(key.match(/chunk:(\d+)$/)[1]);
+      if (chunkNum > maxSequential) {
+        maxSequential = chunkNum;
+      }
+    }
+    
+    let nextChunkId = maxSequential + 1;
+    let convertedCount = 0;
+    
+    // Convert timestamp chunks to sequential, oldest first
+    timestampChunks.sort(compareCacheKeys);
+    for (const timestampKey of timestampChunks) {
+      try {
+        const [value, ttlMs] = await Promise.all([redis.get(timestampKey), redis.pttl(timestampKey)]);
+        if (value) {
+          const newKey = `${project}:${tableName}:chunk:${nextChunkId}`;
+          
+          if (ttlMs > 0) {
+            await redis.set(newKey, value, 'PX', ttlMs);
+          } else {
+            await redis.set(newKey, value);
+          }
+          await redis.del(timestampKey);
+          
+          // Only log every 5th conversion to reduce noise
+          if (convertedCount % 5 === 0) {
+            console.log(`🔄 Converted ${timestampKey} → ${newKey} (${convertedCount + 1}/${timestampChunks.length})`);
+          }
+          nextChunkId++;
+          convertedCount++;
+        }
+      } catch (err) {
+        console.error(`❌ Error converting ${timestampKey}:`, err);
+      }
+    }
+    
+    console.log(`✅ Converted ${convertedCount} timestamp chunks to sequential`);
+    return convertedCount;
+  } catch (err) {
+    console.error('❌ Error cleaning up timestamp chunks:', err);
+    return 0;
+  }
+}
+
+/**
+ * Clear unwanted order data from brmh-cache table
+ */
+async function clearUnwantedOrderData(project, tableName) {
+  try {
+    console.log(`🧹 Cleaning up unwanted order data from ${project}:${tableName}`);
+    
+    const keys = await scanKeys(`${project}:${tableName}:chunk:*`);
+    console.log(`🔍 Found ${keys.length} chunk keys to check`);
+    
+    let deletedCount = 0;
+    let checkedCount = 0;
+    for (const key of keys) {
+      try {
+        const value = await redis.get(key);
+        if (value) {
+          const data = JSON.parse(value);
+          
+          // Check if this contains order data (not cache config data)
+          const isOrderData = data.length > 0 && data[0] && (
+            data[0].line_items ||
+            data[0].billing_address ||
+            data[0].shipping_address ||
+            data[0].customer ||
+            data[0].total_price ||
+            data[0].order_number
+          );
+          
+          if (isOrderData) {
+            console.log(`🗑️ Deleting order data from key: ${key}`);
+            await redis.del(key);
+            deletedCount++;
+          }
+        }
+        checkedCount++;
+        
+        // Only log progress every 10 chunks to reduce noise
+        if (checkedCount % 10 === 0) {
+          console.log(`🔍 Checked ${checkedCount}/${keys.length} chunks, deleted ${deletedCount} so far`);
+        }
+      } catch (err) {
+        console.error(`❌ Error checking key ${key}:`, err);
+      }
+    }
+    
+    console.log(`✅ Cleaned up ${deletedCount} unwanted order data chunks`);
+    return deletedCount;
+  } catch (err) {
+    console.error('❌ Error cleaning up unwanted order data:', err);
+    return 0;
+  }
+}
+
+// Cache change events. Applied updates are published on a pub/sub channel and
+// kept in a short per-table history so SSE subscribers can resume after a drop.
+const EVENT_CONFIG = {
+  CHANNEL: 'brmh-cache-events',
+  SEQUENCE_KEY: 'brmh-cache-event-seq',
+  HISTORY_PREFIX: 'brmh-cache-events:',
+  HISTORY_SIZE: parseInt(process.env.CACHE_EVENT_HISTORY_SIZE) || 1000, // Events kept per table for resume
+  HISTORY_TTL_SECONDS: parseInt(process.env.CACHE_EVENT_HISTORY_TTL_SECONDS) || 86400,
+  HEARTBEAT_MS: 25000,
+  TYPES: ['INSERT', 'MODIFY', 'REMOVE']
+};
+
+const cacheEventHistoryKey = (project, tableName) => `${EVENT_CONFIG.HISTORY_PREFIX}${project}:${tableName}`;
+
+// Open SSE streams in this process; one shared subscriber connection feeds them all
+const cacheEventClients = new Set();
+let cacheEventSubscriber = null;
+
+const toPlainItem = (item) => {
+  if (!item) return null;
+  try {
+    return unmarshall(item);
+  } catch (err) {
+    return item; // Already plain JSON
+  }
+};
+
+/**
+ * Record and broadcast an applied cache change. Never throws: a failed
+ * publish must not fail the cache update itself.
+ */
+async function publishCacheEvent(project, tableName, type, result, newItem, oldItem) {
+  try {
+    const plainNew = toPlainItem(newItem);
+    const plainOld = toPlainItem(oldItem);
+    const event = {
+      id: String(await redis.incr(EVENT_CONFIG.SEQUENCE_KEY)),
+      project,
+      table: tableName,
+      type,
+      cacheKey: result.cacheKey || null,
+      itemId: cacheItemId(plainNew || plainOld || {}) ?? null,
+      newItem: plainNew,
+      oldItem: plainOld,
+      timestamp: new Date().toISOString()
+    };
+    const payload = JSON.stringify(event);
+
+    const historyKey = cacheEventHistoryKey(project, tableName);
+    await redis.rpush(historyKey, payload);
+    await redis.ltrim(historyKey, -EVENT_CONFIG.HISTORY_SIZE, -1);
+    await redis.expire(historyKey, EVENT_CONFIG.HISTORY_TTL_SECONDS);
+
+    await redis.publish(EVENT_CONFIG.CHANNEL, payload);
+  } catch (err) {
+    console.error(`❌ Failed to publish cache event for ${project}:${tableName}:`, err.message);
+  }
+}
+
+function cacheEventMatches(client, event) {
+  if (event.project !== client.project) return false;
+  if (client.table && event.table !== client.table) return false;
+  if (client.types && !client.types.includes(event.type)) return false;
+  return true;
+}
+
+function writeCacheEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: cache-update\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+async function ensureCacheEventSubscriber() {
+  if (cacheEventSubscriber) return;
+
+  cacheEventSubscriber = redis.createSubscriber();
+  cacheEventSubscriber.on('message', (channel, message) => {
+    if (channel !== EVENT_CONFIG.CHANNEL) return;
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (err) {
+      return;
+    }
+    for (const client of cacheEventClients) {
+      if (!cacheEventMatches(client, event)) continue;
+      if (client.replaying) client.buffered.push(event);
+      else writeCacheEvent(client.res, event);
+    }
+  });
+
+  try {
+    await cacheEventSubscriber.subscribe(EVENT_CONFIG.CHANNEL);
+    console.log(`📡 Subscribed to ${EVENT_CONFIG.CHANNEL}`);
+  } catch (err) {
+    const subscriber = cacheEventSubscriber;
+    cacheEventSubscriber = null;
+    await subscriber.quit().catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Events retained for a project (optionally one table) newer than lastEventId, oldest first
+ */
+async function readCacheEventHistory(project, tableName, lastEventId) {
+  const historyKeys = tableName
+    ? [cacheEventHistoryKey(project, tableName)]
+    : await scanKeys(`${EVENT_CONFIG.HISTORY_PREFIX}${project}:*`);
+
+  const events = [];
+  for (const key of historyKeys) {
+    for (const raw of await redis.lrange(key, 0, -1)) {
+      try {
+        const event = JSON.parse(raw);
+        if (Number(event.id) > lastEventId) events.push(event);
+      } catch (err) {
+        // Skip corrupt history entries
+      }
+    }
+  }
+
+  return events.sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+/**
+ * Stream cache changes as Server-Sent Events
+ * GET /cache/subscribe?project=&table=&types=INSERT,MODIFY&lastEventId=
+ * Reconnecting EventSource clients resume via the Last-Event-ID header.
+ */
+export const subscribeCacheEventsHandler = async (req, res) => {
+  const { project, table, types } = req.query;
+
+  if (!project) {
+    return res.status(400).json({
+      error: "Missing project",
+      message: "project query parameter is required"
+    });
+  }
+
+  let typeFilter = null;
+  if (types) {
+    typeFilter = String(types).split(',').map(t => t.trim().toUpperCase()).filter(Boolean);
+    const invalid = typeFilter.filter(t => !EVENT_CONFIG.TYPES.includes(t));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: "Invalid types",
+        message: `Unknown event types: ${invalid.join(', ')}. Use ${EVENT_CONFIG.TYPES.join(', ')}`
+      });
+    }
+  }
+
+  const rawLastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const lastEventId = rawLastEventId !== undefined ? parseInt(rawLastEventId) : null;
+  if (rawLastEventId !== undefined && (isNaN(lastEventId) || lastEventId < 0)) {
+    return res.status(400).json({
+      error: "Invalid lastEventId",
+      message: "lastEventId must be a non-negative event id"
+    });
+  }
+
+  try {
+    await ensureCacheEventSubscriber();
+  } catch (err) {
+    console.error('❌ Cache event subscription failed:', err);
+    return res.status(503).json({
+      error: "Subscription unavailable",
+      message: err.message
+    });
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+
+  // Register before replaying so nothing published meanwhile is lost
+  const client = {
+    res,
+    project,
+    table: table || null,
+    types: typeFilter,
+    replaying: lastEventId !== null,
+    buffered: []
+  };
+  cacheEventClients.add(client);
+
+  const heartbeat = setInterval(() => res.write(`: heartbeat\n\n`), EVENT_CONFIG.HEARTBEAT_MS);
+  heartbeat.unref();
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    cacheEventClients.delete(client);
+    console.log(`🔌 Cache event subscriber disconnected (${project}:${table || '*'}), ${cacheEventClients.size} remaining`);
+  });
+
+  console.log(`📡 Cache event subscriber connected (${project}:${table || '*'}), ${cacheEventClients.size} active`);
+
+  if (lastEventId !== null) {
+    const replayedIds = new Set();
+    try {
+      const missed = await readCacheEventHistory(project, table, lastEventId);
+      for (const event of missed) {
+        if (!cacheEventMatches(client, event)) continue;
+        writeCacheEvent(res, event);
+        replayedIds.add(event.id);
+      }
+      console.log(`⏪ Replayed ${replayedIds.size} cache events after id ${lastEventId}`);
+    } catch (err) {
+      console.error('❌ Cache event replay failed:', err);
+      res.write(`event: error\ndata: ${JSON.stringify({ message: 'Replay failed', error: err.message })}\n\n`);
+    }
+
+    for (const event of client.buffered) {
+      if (!replayedIds.has(event.id)) writeCacheEvent(res, event);
+    }
+    client.buffered = [];
+    client.replaying = false;
+  }
+};
+
+/**
+ * Handler to update cache from Lambda function streaming DynamoDB changes
+ * Request body: {
+ *   type: "INSERT" | "MODIFY" | "REMOVE",
+ *   newItem: DynamoDB item (unmarshalled),
+ *   oldItem: DynamoDB item (unmarshalled) - for MODIFY/REMOVE
+ * }
+ */
+export const updateCacheFromLambdaHandler = async (req, res) => {
+  const start = Date.now();
+
+  try {
+    const { type, newItem, oldItem } = req.body;
+
+    // Get the table name from the request (already extracted by the endpoint)
+    let tableName = req.body.extractedTableName;
+    
+    // If not provided in request, fall back to extracting from items
+    if (!tableName) {
+      tableName = newItem?.tableName || oldItem?.tableName;
+      
+      // If tableName is in DynamoDB format, extract the string value
+      if (tableName && typeof tableName === 'object' && tableName.S) {
+        tableName = tableName.S;
+      }
+      
+      // If still no tableName, try to extract from the item structure
+      if (!tableName) {
+        const item = newItem || oldItem;
+        if (item && item.tableName) {
+          if (typeof item.tableName === 'object' && item.tableName.S) {
+            tableName = item.tableName.S;
+          } else if (typeof item.tableName === 'string') {
+            tableName = item.tableName;
+          }
+        }
+      }
+      
+      // If still no tableName, use a default
+      if (!tableName) {
+        tableName = 'brmh-cache'; // Default fallback
+      }
+    }
+
+    // Validation comes first, so a malformed event is rejected instead of queued
+    if (!type || !['INSERT', 'MODIFY', 'REMOVE'].includes(type)) {
+      return res.status(400).json({ 
+        error: "Invalid type",
+        message: "Type must be INSERT, MODIFY, or REMOVE"
+      });
+    }
+
+    if (!newItem && type === 'INSERT') {
+      return res.status(400).json({ 
+        error: "Missing newItem",
+        message: "newItem is required for INSERT operations"
+      });
+    }
+
+    if (!oldItem && (type === 'MODIFY' || type === 'REMOVE')) {
+      return res.status(400).json({ 
+        error: "Missing oldItem",
+        message: "oldItem is required for MODIFY/REMOVE operations"
+      });
+    }
+
+    // Prevent caching order data in brmh-cache table
+    if (tableName === 'brmh-cache') {
+      const item = newItem || oldItem;
+      const isCacheConfig = item && (
+        item.id || 
+        item.methodId || 
+        item.accountId || 
+        item.project ||
+        item.status === 'active' ||
+        item.status === 'inactive'
+      );
+      
+      if (!isCacheConfig) {
+        return res.status(200).json({
+          message: "Skipped - not cache configuration data",
+          tableName,
+          type,
+          reason: "Only cache configuration data should be cached in brmh-cache table"
+        });
+      }
+    }
+
+    // Check if bulk cache operation is in progress for this table
+    const project = newItem?.project?.S || newItem?.project || oldItem?.project?.S || oldItem?.project || 'default';
+    const operationKey = `${project}:${tableName}`;
+    
+    const activeLock = await getBulkCacheLock(operationKey);
+    if (activeLock) {
+      // Queue the update in Redis for whichever instance holds the lock
+      const queuedUpdate = {
+        type,
+        newItem,
+        oldItem,
+        tableName,
+        project,
+        queuedBy: LOCK_CONFIG.INSTANCE_ID,
+        timestamp: new Date().toISOString()
+      };
+      
+      const queuedUpdates = await enqueuePendingCacheUpdate(operationKey, queuedUpdate);
+      
+      console.log(`📦 Queued ${type} for ${operationKey} (${queuedUpdates} pending)`);
+
+      // The lock may have been released between the check and the push
+      if (!(await getBulkCacheLock(operationKey))) {
+        setImmediate(() => processPendingCacheUpdates(operationKey));
+      }
+      
+      return res.status(202).json({
+        message: "Cache update queued for later processing",
+        reason: "Bulk cache operation in progress",
+        tableName,
+        type,
+        operationKey,
+        lockOwner: activeLock.ownerId,
+        queuedUpdates,
+        estimatedWaitTime: "Until bulk cache completes"
+      });
+    }
+
+    // Drain updates left behind by an owner whose lease expired
+    if (await redis.exists(pendingQueueKey(operationKey))) {
+      await processPendingCacheUpdates(operationKey);
+    }
+
+    console.log(`🔄 Cache ${type}: ${tableName}`);
+
+    // Find active cache configurations for this table
+    const cacheConfigs = await findActiveCacheConfigs(tableName);
+    
+    if (cacheConfigs.length === 0) {
+      return res.status(200).json({
+        message: "No active cache configurations found",
+        tableName,
+        type,
+        cacheConfigsFound: 0
+      });
+    }
+
+    // Process each cache configuration (non-blocking)
+    const results = [];
+    const processPromises = cacheConfigs.map(async (config) => {
+      try {
+        const result = await processCacheUpdate(config, type, newItem, oldItem);
+        return result;
+      } catch (err) {
+        return {
+          configId: config.id,
+          success: false,
+          error: err.message
+        };
+      }
+    });
+
+    // Wait for all cache updates to complete
+    const allResults = await Promise.all(processPromises);
+    results.push(...allResults);
+
+    const successfulUpdates = results.filter(r => r.success).length;
+    const failedUpdates = results.filter(r => !r.success).length;
+    const duration = Date.now() - start;
+
+    console.log(`✅ Cache ${type} complete: ${successfulUpdates}/${cacheConfigs.length} success (${duration}ms)`);
+
+    return res.status(200).json({
+      message: "Cache update processed",
+      tableName,
+      type,
+      totalConfigs: cacheConfigs.length,
+      successfulUpdates,
+      failedUpdates,
+      results,
+      durationMs: duration
+    });
+
+  } catch (err) {
+    const duration = Date.now() - start;
+    console.error("🔥 Cache update handler failed:", err);
+    console.log("⏱️ Failed after (ms):", duration);
+
+    return res.status(500).json({
+      message: "Cache update failed",
+      error: err.message,
+      durationMs: duration,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Find active cache configurations for a given table
+ */
+async function findActiveCacheConfigs(tableName) {
+  try {
+    const scanCommand = new ScanCommand({
+      TableName: 'brmh-cache'
+    });
+
+    const scanResponse = await ddb.send(scanCommand);
+    const allConfigs = scanResponse.Items.map(unmarshall);
+
+    // Filter for active configs matching the table name
+    const activeConfigs = allConfigs.filter(config => 
+      config.status === 'active' && 
+      config.tableName === tableName
+    );
+    
+    return activeConfigs;
+  } catch (err) {
+    console.error('❌ Error finding cache configs:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Process cache update for a specific configuration
+ */
+async function processCacheUpdate(config, type, newItem, oldItem) {
+  const { id: configId, itemsPerKey, timeToLive, tableName, project } = config;
+  const projectName = project || 'default';
+  
+  try {
+    let result;
+    switch (type) {
+      case 'INSERT':
+        result = await handleInsert(projectName, tableName, newItem, itemsPerKey, timeToLive);
+        break;
+      
+      case 'MODIFY':
+        result = await handleModify(projectName, tableName, newItem, oldItem, itemsPerKey, timeToLive);
+        break;
+      
+      case 'REMOVE':
+        result = await handleRemove(projectName, tableName, oldItem, itemsPerKey);
+        break;
+      
+      default:
+        throw new Error(`Unknown operation type: ${type}`);
+    }
+
+    if (result.success) {
+      await publishCacheEvent(projectName, tableName, type, result, newItem, oldItem);
+    }
+    return result;
+  } catch (err) {
+    console.error(`❌ Cache ${type} failed for config ${configId}:`, err.message);
+    throw err;
+  }
+}
+
+/**
+ * Handle INSERT operations
+ */
+async function handleInsert(project, tableName, newItem, itemsPerKey, ttl) {
+  // Unmarshall DynamoDB item to plain JSON
+  const unmarshalledItem = unmarshall(newItem);
+  console.log(`📦 Unmarshalled item:`, unmarshalledItem);
+  
+  // Helper function to extract item ID from DynamoDB format
+  const extractItemId = (item) => {
+    if (item.id && typeof item.id === 'object' && item.id.S) return item.id.S;
+    if (item.id && typeof item.id === 'string') return item.id;
+    if (item.pk && typeof item.pk === 'object' && item.pk.S) return item.pk.S;
+    if (item.pk && typeof item.pk === 'string') return item.pk;
+    if (item.PK && typeof item.PK === 'object' && item.PK.S) return item.PK.S;
+    if (item.PK && typeof item.PK === 'string') return item.PK;
+    return Date.now().toString(); // Fallback
+  };
+  
+  // Generate cache key based on itemsPerKey
+  let cacheKey;
+  if (itemsPerKey === 1) {
+    // Single item per key
+    const itemId = extractItemId(newItem);
+    cacheKey = `${project}:${tableName}:${itemId}`;
+    const value = JSON.stringify(unmarshalledItem);
+    if (ttl && ttl > 0) {
+      await redis.set(cacheKey, value, 'EX', ttl);
+    } else {
+      await redis.set(cacheKey, value); // No expiration
+    }
+    console.log(`✅ Cached single item: ${cacheKey}${ttl && ttl > 0 ? ` with TTL ${ttl}s` : ' with no expiration'}`);
+  } else {
+    // Multiple items per key - find the best chunk to add to or create new one
+    const searchPattern = `${project}:${tableName}:chunk:*`;
+    // Use SCAN for Valkey compatibility
+    const existingChunks = [];
+    let cursor = '0';
+    
+    do {
+      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
+      cursor = result[0];
+      existingChunks.push(...result[1]);
+    } while (cursor !== '0');
+    
+    let bestChunkKey = null;
+    let bestChunkSize = 0;
+    
+    // Find the chunk with the most space (closest to itemsPerKey but not full)
+    for (const chunkKey of existingChunks) {
+      const chunkValue = await redis.get(chunkKey);
+      if (chunkValue) {
+        const chunkItems = JSON.parse(chunkValue);
+        const chunkSize = chunkItems.length;
+        
+        // Prefer chunks that have space and are closest to being full
+        if (chunkSize < itemsPerKey && chunkSize > bestChunkSize) {
+          bestChunkKey = chunkKey;
+          bestChunkSize = chunkSize;
+        }
+      }
+    }
+    
+    if (bestChunkKey && bestChunkSize < itemsPerKey) {
+      // Add to existing chunk that has space
+      const existingValue = await redis.get(bestChunkKey);
+      const existingItems = JSON.parse(existingValue);
+      existingItems.push(unmarshalledItem);
+      if (ttl && ttl > 0) {
+        await redis.set(bestChunkKey, JSON.stringify(existingItems), 'EX', ttl);
+      } else {
+        await redis.set(bestChunkKey, JSON.stringify(existingItems)); // No expiration
+      }
+      cacheKey = bestChunkKey;
+    } else {
+      // Create new chunk with sequential numbering
+      let newChunkId = 0;
+      
+      // Find the highest existing chunk number
+      for (const chunkKey of existingChunks) {
+        const match = chunkKey.match(/chunk:(\d+)$/);
+        if (match) {
+          const chunkNum = parseInt(match[1]);
+          if (chunkNum >= newChunkId) {
+            newChunkId = chunkNum + 1;
+          }
+        }
+      }
+      
+      const newChunkKey = `${project}:${tableName}:chunk:${newChunkId}`;
+      if (ttl && ttl > 0) {
+        await redis.set(newChunkKey, JSON.stringify([unmarshalledItem]), 'EX', ttl);
+      } else {
+        await redis.set(newChunkKey, JSON.stringify([unmarshalledItem])); // No expiration
+      }
+      cacheKey = newChunkKey;
+    }
+  }
+
+  await updateCacheIndexes(project, tableName, null, unmarshalledItem, cacheKey);
+
+  return {
+    configId: project,
+    success: true,
+    operation: 'INSERT',
+    cacheKey: cacheKey || 'chunk-based'
+  };
+}
+
+/**
+ * Handle MODIFY operations
+ */
+async function handleModify(project, tableName, newItem, oldItem, itemsPerKey, ttl) {
+  // Unmarshall DynamoDB items to plain JSON
+  const unmarshalledNewItem = unmarshall(newItem);
+  const unmarshalledOldItem = unmarshall(oldItem);
+  
+  // Helper function to extract item ID from DynamoDB format
+  const extractItemId = (item) => {
+    if (item.id && typeof item.id === 'object' && item.id.S) return item.id.S;
+    if (item.id && typeof item.id === 'string') return item.id;
+    if (item.pk && typeof item.pk === 'object' && item.pk.S) return item.pk.S;
+    if (item.pk && typeof item.pk === 'string') return item.pk;
+    if (item.PK && typeof item.PK === 'object' && item.PK.S) return item.PK.S;
+    if (item.PK && typeof item.PK === 'string') return item.PK;
+    return null;
+  };
+  
+  if (itemsPerKey === 1) {
+    // Update single item
+    const itemId = extractItemId(newItem) || extractItemId(oldItem);
+    if (!itemId) {
+      console.log(`❌ No valid item ID found for modification`);
+      return {
+        configId: project,
+        success: false,
+        operation: 'MODIFY',
+        error: 'No valid item ID found'
+      };
+    }
+    
+    const cacheKey = `${project}:${tableName}:${itemId}`;
+    const value = JSON.stringify(unmarshalledNewItem);
+    if (ttl && ttl > 0) {
+      await redis.set(cacheKey, value, 'EX', ttl);
+    } else {
+      await redis.set(cacheKey, value); // No expiration
+    }
+    console.log(`✅ Updated cached item: ${cacheKey}`);
+    await updateCacheIndexes(project, tableName, unmarshalledOldItem, unmarshalledNewItem, cacheKey);
+    
+    return {
+      configId: project,
+      success: true,
+      operation: 'MODIFY',
+      cacheKey
+    };
+  } else {
+    // For chunked data, we need to find and update the chunk containing this item
+    const searchPattern = `${project}:${tableName}:chunk:*`;
+    console.log(`🔍 Searching for chunks with pattern: ${searchPattern}`);
+    
+    // Use SCAN for Valkey compatibility
+    const keys = [];
+    let cursor = '0';
+    
+    do {
+      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
+      cursor = result[0];
+      keys.push(...result[1]);
+    } while (cursor !== '0');
+    
+    console.log(`📦 Found ${keys.length} chunks to search through`);
+    
+    const targetItemId = extractItemId(newItem) || extractItemId(oldItem);
+    if (!targetItemId) {
+      console.log(`❌ No valid item ID found for modification`);
+      return {
+        configId: project,
+        success: false,
+        operation: 'MODIFY',
+        error: 'No valid item ID found'
+      };
+    }
+    
+    for (const key of keys) {
+      const value = await redis.get(key);
+      if (value) {
+        const items = JSON.parse(value);
+        // Reduce verbosity - only log for first few chunks or large chunks
+        if (items.length > 1000 || keys.indexOf(key) < 3) {
+          console.log(`🔍 Searching in chunk ${key} with ${items.length} items`);
+        }
+        
+        // Helper function to compare items considering DynamoDB format
+        const findItemIndex = (items, targetId) => {
+          return items.findIndex(item => {
+            const currentItemId = extractItemId(item);
+            return currentItemId === targetId;
+          });
+        };
+        
+        const itemIndex = findItemIndex(items, targetItemId);
+        
+        if (itemIndex !== -1) {
+          console.log(`✅ Found item at index ${itemIndex} in chunk ${key}`);
+          items[itemIndex] = unmarshalledNewItem;
+          if (ttl && ttl > 0) {
+            await redis.set(key, JSON.stringify(items), 'EX', ttl);
+          } else {
+            await redis.set(key, JSON.stringify(items)); // No expiration
+          }
+          console.log(`✅ Updated item in chunk: ${key}`);
+          await updateCacheIndexes(project, tableName, unmarshalledOldItem, unmarshalledNewItem, key);
+          
+          return {
+            configId: project,
+            success: true,
+            operation: 'MODIFY',
+            cacheKey: key
+          };
+        }
+      }
+    }
+    
+    // If not found in existing chunks, treat as insert
+    console.log(`⚠️ Item not found in existing chunks, treating as INSERT`);
+    return await handleInsert(project, tableName, newItem, itemsPerKey, ttl);
+  }
+}
+
+/**
+ * Handle REMOVE operations
+ */
+async function handleRemove(project, tableName, oldItem, itemsPerKey) {
+  // Unmarshall DynamoDB item to plain JSON
+  const unmarshalledOldItem = unmarshall(oldItem);
+  
+  // Helper function to extract item ID from DynamoDB format
+  const extractItemId = (item) => {
+    if (item.id && typeof item.id === 'object' && item.id.S) return item.id.S;
+    if (item.id && typeof item.id === 'string') return item.id;
+    if (item.pk && typeof item.pk === 'object' && item.pk.S) return item.pk.S;
+    if (item.pk && typeof item.pk === 'string') return item.pk;
+    if (item.PK && typeof item.PK === 'object' && item.PK.S) return item.PK.S;
+    if (item.PK && typeof item.PK === 'string') return item.PK;
+    return null;
+  };
+  
+  const itemId = extractItemId(oldItem);
+  
+  if (itemsPerKey === 1) {
+    // Remove single item
+    if (!itemId) {
+      return {
+        configId: project,
+        success: false,
+        operation: 'REMOVE',
+        error: 'No valid item ID found'
+      };
+    }
+    
+    const cacheKey = `${project}:${tableName}:${itemId}`;
+    await redis.del(cacheKey);
+    await updateCacheIndexes(project, tableName, unmarshalledOldItem, null, cacheKey);
+    
+    return {
+      configId: project,
+      success: true,
+      operation: 'REMOVE',
+      cacheKey
+    };
+  } else {
+    // For chunked data, find and remove from chunk
+    const searchPattern = `${project}:${tableName}:chunk:*`;
+    
+    // Use SCAN for Valkey compatibility
+    const keys = [];
+    let cursor = '0';
+    
+    do {
+      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
+      cursor = result[0];
+      keys.push(...result[1]);
+    } while (cursor !== '0');
+    
+    for (const key of keys) {
+      const value = await redis.get(key);
+      if (value) {
+        const items = JSON.parse(value);
+        
+        // Helper function to compare items considering DynamoDB format
+        const findItemIndex = (items, targetId) => {
+          return items.findIndex(item => {
+            const currentItemId = extractItemId(item);
+            return currentItemId === targetId;
+          });
+        };
+        
+        const itemIndex = findItemIndex(items, itemId);
+        
+        if (itemIndex !== -1) {
+          items.splice(itemIndex, 1);
+          
+          if (items.length === 0) {
+            // Remove empty chunk
+            await redis.del(key);
+          } else {
+            // Update chunk with remaining items
+            await redis.set(key, JSON.stringify(items));
+          }
+          await updateCacheIndexes(project, tableName, unmarshalledOldItem, null, key);
+          
+          return {
+            configId: project,
+            success: true,
+            operation: 'REMOVE',
+            cacheKey: key
+          };
+        }
+      }
+    }
+    
+    return {
+      configId: project,
+      success: false,
+      operation: 'REMOVE',
+      cacheKey: 'not-found',
+      error: `Item with ID ${itemId} not found in cache`
+    };
+  }
+}
+
+/**
+ * Process pending cache updates after bulk cache operation completes.
+ * The drain holds the bulk cache lock, so drains never overlap each other or a
+ * bulk operation; when the lock is taken, its holder drains once it releases.
+ * Updates queued while the drain held the lock are picked up by the next round.
+ */
+async function processPendingCacheUpdates(operationKey) {
+  try {
+    while (await redis.llen(pendingQueueKey(operationKey)) > 0) {
+      const lock = await acquireBulkCacheLock(operationKey);
+      if (!lock) {
+        console.log(`⏳ Pending updates for ${operationKey} left to the current lock holder`);
+        return;
+      }
+      let drained;
+      try {
+        drained = await drainPendingCacheUpdates(operationKey);
+      } finally {
+        await releaseBulkCacheLock(lock);
+      }
+      if (!drained) return;
+    }
+  } catch (err) {
+    console.error(`🔥 Error in processPendingCacheUpdates for ${operationKey}:`, err);
+  }
+}
+
+// Apply queued updates; returns false when the drain stopped on an error
+async function drainPendingCacheUpdates(operationKey) {
+  try {
+    const queueKey = pendingQueueKey(operationKey);
+    const pendingCount = await redis.llen(queueKey);
+    
+    if (pendingCount === 0) {
+      console.log(`📭 No pending updates to process for ${operationKey}`);
+      return true;
+    }
+    
+    console.log(`🔄 Processing ${pendingCount} pending cache updates for ${operationKey}`);
+    
+    // Find active cache configurations for this table
+    const [project, tableName] = operationKey.split(':');
+    
+    // Get cache configurations for this table
+    const cacheConfigs = await findActiveCacheConfigs(tableName);
+    
+    if (cacheConfigs.length === 0) {
+      console.log(`⚠️ No active cache configurations found for ${operationKey}, skipping pending updates`);
+      await redis.del(queueKey);
+      return true;
+    }
+    
+    let processedCount = 0;
+    let failedCount = 0;
+    let rawUpdate;
+    
+    while ((rawUpdate = await redis.lpop(queueKey)) !== null) {
+      try {
+        const update = JSON.parse(rawUpdate);
+        console.log(`📦 Processing queued update: ${update.type} for ${update.tableName}`);
+        
+        // Process each cache configuration
+        for (const config of cacheConfigs) {
+          const result = await processCacheUpdate(config, update.type, update.newItem, update.oldItem);
+          if (result.success) {
+            console.log(`✅ Queued update processed successfully for config ${config.id}`);
+          } else {
+            console.error(`❌ Failed to process queued update for config ${config.id}:`, result.error);
+            failedCount++;
+          }
+        }
+        
+        processedCount++;
+      } catch (err) {
+        console.error(`❌ Error processing queued update:`, err);
+        failedCount++;
+      }
+    }
+    
+    console.log(`✅ Completed processing pending updates for ${operationKey}: ${processedCount} processed, ${failedCount} failed`);
+    return true;
+  } catch (err) {
+    console.error(`🔥 Error draining pending updates for ${operationKey}:`, err);
+    return false;
+  }
+}
+
+/**
+ * Get active bulk cache operations
+ */
+export const getActiveBulkCacheOperations = async (req, res) => {
+  try {
+    const locks = await listBulkCacheLocks();
+    const activeOperations = locks.map(lock => lock.operationKey);
+    
+    console.log(`📋 Active bulk cache operations (cluster-wide): ${activeOperations.length}`);
+    
+    return res.status(200).json({
+      message: "Active bulk cache operations retrieved",
+      activeOperations,
+      locks,
+      count: activeOperations.length,
+      instanceId: LOCK_CONFIG.INSTANCE_ID,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error("🔥 Get active bulk cache operations failed:", err);
+    return res.status(500).json({
+      message: "Failed to retrieve active bulk cache operations",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Get status of a segmented bulk cache job
+ */
+export const getCacheJobStatusHandler = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await loadCacheJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        message: "Cache job not found",
+        jobId
+      });
+    }
+
+    return res.status(200).json({
+      message: "Cache job status retrieved",
+      job: await buildCacheJobStatus(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error("🔥 Get cache job status failed:", err);
+    return res.status(500).json({
+      message: "Failed to retrieve cache job status",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * List recent segmented bulk cache jobs for a project:table
+ */
+export const listCacheJobsHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    const jobIds = await redis.lrange(tableJobsKey(`${project}:${table}`), 0, -1);
+    const jobs = [];
+    for (const id of jobIds) {
+      const job = await loadCacheJob(id);
+      if (job) jobs.push(await buildCacheJobStatus(job));
+    }
+
+    return res.status(200).json({
+      message: "Cache jobs retrieved",
+      project,
+      table,
+      count: jobs.length,
+      jobs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error("🔥 List cache jobs failed:", err);
+    return res.status(500).json({
+      message: "Failed to list cache jobs",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Declare (or replace) secondary cache indexes for a project:table and build them
+ * Request body: { project: string, table: string, attributes: string[] }
+ */
+export const createCacheIndexHandler = async (req, res) => {
+  try {
+    const { project, table, attributes } = req.body;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    if (!Array.isArray(attributes) || attributes.length === 0 || attributes.some(a => typeof a !== 'string' || !a || a.includes(':') || a.includes(','))) {
+      return res.status(400).json({
+        error: "Invalid 'attributes'",
+        message: "attributes must be a non-empty array of attribute names (dotted paths allowed, no ':' or ',')"
+      });
+    }
+
+    const definition = {
+      project,
+      table,
+      attributes: Array.from(new Set(attributes)),
+      updatedAt: new Date().toISOString()
+    };
+    await redis.set(cacheIndexDefKey(project, table), JSON.stringify(definition));
+
+    const rebuild = await rebuildCacheIndexes(project, table);
+
+    return res.status(200).json({
+      message: "Cache indexes declared and built",
+      definition,
+      rebuild
+    });
+  } catch (err) {
+    console.error("🔥 Create cache index failed:", err);
+    return res.status(500).json({
+      message: "Failed to create cache index",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Get secondary cache index definition and size for a project:table
+ */
+export const getCacheIndexesHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    const definition = await getCacheIndexDefinition(project, table);
+    if (!definition) {
+      return res.status(404).json({
+        message: "No cache indexes declared",
+        project,
+        table
+      });
+    }
+
+    return res.status(200).json({
+      message: "Cache indexes retrieved",
+      definition,
+      indexedItems: await redis.hlen(cacheIndexLocKey(project, table))
+    });
+  } catch (err) {
+    console.error("🔥 Get cache indexes failed:", err);
+    return res.status(500).json({
+      message: "Failed to retrieve cache indexes",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Drop secondary cache indexes for a project:table
+ */
+export const deleteCacheIndexesHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    const keysDeleted = await dropCacheIndexData(project, table);
+    await redis.del(cacheIndexDefKey(project, table));
+
+    return res.status(200).json({
+      message: "Cache indexes dropped",
+      project,
+      table,
+      keysDeleted
+    });
+  } catch (err) {
+    console.error("🔥 Delete cache indexes failed:", err);
+    return res.status(500).json({
+      message: "Failed to drop cache indexes",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Start a cache drift audit (runs in the background)
+ * Request body: {
+ *   project: string,
+ *   table: string,
+ *   mode?: 'sample' | 'full' (default 'sample'),
+ *   sampleSize?: number (default 200),
+ *   repair?: boolean (default false)
+ * }
+ */
+export const startCacheAuditHandler = async (req, res) => {
+  try {
+    const { project, table, mode = 'sample', sampleSize = AUDIT_CONFIG.DEFAULT_SAMPLE_SIZE, repair = false } = req.body;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    if (!['sample', 'full'].includes(mode)) {
+      return res.status(400).json({
+        error: "Invalid 'mode'",
+        message: "mode must be 'sample' or 'full'"
+      });
+    }
+
+    const sampleSizeNum = parseInt(sampleSize);
+    if (isNaN(sampleSizeNum) || sampleSizeNum < 1) {
+      return res.status(400).json({
+        error: "Invalid 'sampleSize'",
+        message: "sampleSize must be a positive integer"
+      });
+    }
+
+    if (repair && await getBulkCacheLock(`${project}:${table}`)) {
+      return res.status(409).json({
+        error: "Bulk cache operation in progress",
+        message: `Cannot repair ${project}:${table} while a bulk cache operation is running`
+      });
+    }
+
+    const audit = {
+      auditId: randomUUID(),
+      project,
+      table,
+      mode,
+      sampleSize: mode === 'sample' ? sampleSizeNum : undefined,
+      repair: !!repair,
+      status: 'pending',
+      startedAt: new Date().toISOString()
+    };
+    await saveCacheAudit(audit);
+    await redis.lpush(tableAuditsKey(project, table), audit.auditId);
+    await redis.ltrim(tableAuditsKey(project, table), 0, AUDIT_CONFIG.AUDITS_PER_TABLE - 1);
+    await redis.expire(tableAuditsKey(project, table), AUDIT_CONFIG.TTL_SECONDS);
+
+    runCacheAudit(audit).catch(err => console.error(`🔥 Cache audit ${audit.auditId} crashed:`, err));
+
+    return res.status(202).json({
+      message: "Cache audit started",
+      auditId: audit.auditId,
+      project,
+      table,
+      mode,
+      repair: audit.repair,
+      statusUrl: `/cache/audit/${audit.auditId}`
+    });
+  } catch (err) {
+    console.error("🔥 Start cache audit failed:", err);
+    return res.status(500).json({
+      message: "Failed to start cache audit",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Get a stored cache audit report
+ */
+export const getCacheAuditHandler = async (req, res) => {
+  try {
+    const { auditId } = req.params;
+    const audit = await loadCacheAudit(auditId);
+
+    if (!audit) {
+      return res.status(404).json({
+        message: "Cache audit not found",
+        auditId
+      });
+    }
+
+    return res.status(200).json({
+      message: "Cache audit retrieved",
+      audit
+    });
+  } catch (err) {
+    console.error("🔥 Get cache audit failed:", err);
+    return res.status(500).json({
+      message: "Failed to retrieve cache audit",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * List recent cache audit reports for a project:table
+ */
+export const listCacheAuditsHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    const auditIds = await redis.lrange(tableAuditsKey(project, table), 0, -1);
+    const audits = (await Promise.all(auditIds.map(loadCacheAudit))).filter(Boolean);
+
+    return res.status(200).json({
+      message: "Cache audits retrieved",
+      project,
+      table,
+      count: audits.length,
+      audits
+    });
+  } catch (err) {
+    console.error("🔥 List cache audits failed:", err);
+    return res.status(500).json({
+      message: "Failed to list cache audits",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Declare (or replace) retention rules for a project:table
+ * Body: { project, table, rules: [{ id?, action: 'drop'|'keep', field, op, value }], schedule?: { intervalMinutes, dryRun? } }
+ */
+export const defineCacheRetentionHandler = async (req, res) => {
+  try {
+    const { project, table, rules, schedule } = req.body;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    const { rules: normalizedRules, error } = normalizeRetentionRules(rules);
+    if (error) {
+      return res.status(400).json({
+        error: "Invalid 'rules'",
+        message: error
+      });
+    }
+
+    let normalizedSchedule = null;
+    if (schedule !== undefined && schedule !== null) {
+      const intervalMinutes = parseInt(schedule.intervalMinutes);
+      if (isNaN(intervalMinutes) || intervalMinutes < 1) {
+        return res.status(400).json({
+          error: "Invalid 'schedule'",
+          message: "schedule.intervalMinutes must be a positive integer"
+        });
+      }
+      normalizedSchedule = { intervalMinutes, dryRun: !!schedule.dryRun };
+    }
+
+    const definition = {
+      project,
+      table,
+      rules: normalizedRules,
+      schedule: normalizedSchedule,
+      updatedAt: new Date().toISOString()
+    };
+    await redis.set(retentionDefKey(project, table), JSON.stringify(definition));
+    // A new schedule starts counting from now
+    await redis.del(retentionClaimKey(project, table));
+
+    return res.status(200).json({
+      message: "Retention rules saved",
+      definition,
+      schedulerEnabled: RETENTION_CONFIG.SCHEDULER_ENABLED
+    });
+  } catch (err) {
+    console.error("🔥 Define retention rules failed:", err);
+    return res.status(500).json({
+      message: "Failed to save retention rules",
+      error: err.message
+    });
   }
-}
+};
 
 /**
- * Handle REMOVE operations
+ * Get retention rules for a project:table
  */
-async function handleRemove(project, tableName, oldItem, itemsPerKey) {
-  // Unmarshall DynamoDB item to plain JSON
-  const unmarshalledOldItem = unmarshall(oldItem);
-  
-  // Helper function to extract item ID from DynamoDB format
-  const extractItemId = (item) => {
-    if (item.id && typeof item.id === 'object' && item.id.S) return item.id.S;
-    if (item.id && typeof item.id === 'string') return item.id;
-    if (item.pk && typeof item.pk === 'object' && item.pk.S) return item.pk.S;
-    if (item.pk && typeof item.pk === 'string') return item.pk;
-    if (item.PK && typeof item.PK === 'object' && item.PK.S) return item.PK.S;
-    if (item.PK && typeof item.PK === 'string') return item.PK;
-    return null;
-  };
-  
-  const itemId = extractItemId(oldItem);
-  
-  if (itemsPerKey === 1) {
-    // Remove single item
-    if (!itemId) {
-      return {
-        configId: project,
-        success: false,
-        operation: 'REMOVE',
-        error: 'No valid item ID found'
-      };
+export const getCacheRetentionHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
     }
-    
-    const cacheKey = `${project}:${tableName}:${itemId}`;
-    await redis.del(cacheKey);
-    
-    return {
-      configId: project,
-      success: true,
-      operation: 'REMOVE',
-      cacheKey
-    };
-  } else {
-    // For chunked data, find and remove from chunk
-    const searchPattern = `${project}:${tableName}:chunk:*`;
-    
-    // Use SCAN for Valkey compatibility
-    const keys = [];
-    let cursor = '0';
-    
-    do {
-      const result = await redis.scan(cursor, 'MATCH', searchPattern, 'COUNT', '100');
-      cursor = result[0];
-      keys.push(...result[1]);
-    } while (cursor !== '0');
-    
-    for (const key of keys) {
-      const value = await redis.get(key);
-      if (value) {
-        const items = JSON.parse(value);
-        
-        // Helper function to compare items considering DynamoDB format
-        const findItemIndex = (items, targetId) => {
-          return items.findIndex(item => {
-            const currentItemId = extractItemId(item);
-            return currentItemId === targetId;
-          });
-        };
-        
-        const itemIndex = findItemIndex(items, itemId);
-        
-        if (itemIndex !== -1) {
-          items.splice(itemIndex, 1);
-          
-          if (items.length === 0) {
-            // Remove empty chunk
-            await redis.del(key);
-          } else {
-            // Update chunk with remaining items
-            await redis.set(key, JSON.stringify(items));
-          }
-          
-          return {
-            configId: project,
-            success: true,
-            operation: 'REMOVE',
-            cacheKey: key
-          };
-        }
-      }
+
+    const definition = await getRetentionDefinition(project, table);
+    if (!definition) {
+      return res.status(404).json({
+        message: "No retention rules declared",
+        project,
+        table
+      });
     }
-    
-    return {
-      configId: project,
-      success: false,
-      operation: 'REMOVE',
-      cacheKey: 'not-found',
-      error: `Item with ID ${itemId} not found in cache`
-    };
+
+    const nextRunInMs = definition.schedule ? await redis.pttl(retentionClaimKey(project, table)) : null;
+
+    return res.status(200).json({
+      message: "Retention rules retrieved",
+      definition,
+      nextScheduledRunInMs: nextRunInMs === null ? null : Math.max(0, nextRunInMs)
+    });
+  } catch (err) {
+    console.error("🔥 Get retention rules failed:", err);
+    return res.status(500).json({
+      message: "Failed to retrieve retention rules",
+      error: err.message
+    });
   }
-}
+};
 
 /**
- * Process pending cache updates after bulk cache operation completes
+ * Delete retention rules (and their schedule) for a project:table
  */
-async function processPendingCacheUpdates(operationKey) {
+export const deleteCacheRetentionHandler = async (req, res) => {
   try {
-    const pendingUpdates = pendingCacheUpdates.get(operationKey);
-    
-    if (!pendingUpdates || pendingUpdates.length === 0) {
-      console.log(`📭 No pending updates to process for ${operationKey}`);
-      return;
+    const { project, table } = req.query;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
     }
-    
-    console.log(`🔄 Processing ${pendingUpdates.length} pending cache updates for ${operationKey}`);
-    
-    // Find active cache configurations for this table
-    const [project, tableName] = operationKey.split(':');
-    
-    // Get cache configurations for this table
-    const cacheConfigs = await findActiveCacheConfigs(tableName);
-    
-    if (cacheConfigs.length === 0) {
-      console.log(`⚠️ No active cache configurations found for ${operationKey}, skipping pending updates`);
-      pendingCacheUpdates.delete(operationKey);
-      return;
+
+    const deleted = await redis.del(retentionDefKey(project, table));
+    await redis.del(retentionClaimKey(project, table));
+
+    return res.status(200).json({
+      message: deleted ? "Retention rules deleted" : "No retention rules declared",
+      project,
+      table,
+      deleted: deleted > 0
+    });
+  } catch (err) {
+    console.error("🔥 Delete retention rules failed:", err);
+    return res.status(500).json({
+      message: "Failed to delete retention rules",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Run retention rules now. Dry runs (the default) only report what would be removed.
+ */
+export const startCacheRetentionRunHandler = async (req, res) => {
+  try {
+    const { project, table, dryRun = true } = req.body;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
     }
-    
-    let processedCount = 0;
-    let failedCount = 0;
-    
-    for (const update of pendingUpdates) {
-      try {
-        console.log(`📦 Processing queued update: ${update.type} for ${update.tableName}`);
-        
-        // Process each cache configuration
-        for (const config of cacheConfigs) {
-          const result = await processCacheUpdate(config, update.type, update.newItem, update.oldItem);
-          if (result.success) {
-            console.log(`✅ Queued update processed successfully for config ${config.id}`);
-          } else {
-            console.error(`❌ Failed to process queued update for config ${config.id}:`, result.error);
-            failedCount++;
-          }
-        }
-        
-        processedCount++;
-      } catch (err) {
-        console.error(`❌ Error processing queued update:`, err);
-        failedCount++;
-      }
+
+    if (!(await getRetentionDefinition(project, table))) {
+      return res.status(404).json({
+        message: "No retention rules declared",
+        project,
+        table
+      });
     }
-    
-    // Clear the processed updates
-    pendingCacheUpdates.delete(operationKey);
-    
-    console.log(`✅ Completed processing pending updates for ${operationKey}: ${processedCount} processed, ${failedCount} failed`);
-    
+
+    if (!dryRun && await getBulkCacheLock(`${project}:${table}`)) {
+      return res.status(409).json({
+        error: "Bulk cache operation in progress",
+        message: `Cannot apply retention rules to ${project}:${table} while a bulk cache operation is running`
+      });
+    }
+
+    const run = await createRetentionRun(project, table, !!dryRun, 'manual');
+    runCacheRetention(run).catch(err => console.error(`🔥 Retention run ${run.runId} crashed:`, err));
+
+    return res.status(202).json({
+      message: run.dryRun ? "Retention dry run started" : "Retention run started",
+      runId: run.runId,
+      project,
+      table,
+      dryRun: run.dryRun,
+      statusUrl: `/cache/retention/runs/${run.runId}`
+    });
   } catch (err) {
-    console.error(`🔥 Error in processPendingCacheUpdates for ${operationKey}:`, err);
+    console.error("🔥 Start retention run failed:", err);
+    return res.status(500).json({
+      message: "Failed to start retention run",
+      error: err.message
+    });
   }
-}
+};
 
 /**
- * Get active bulk cache operations
+ * Get a stored retention run report
  */
-export const getActiveBulkCacheOperations = async (req, res) => {
+export const getCacheRetentionRunHandler = async (req, res) => {
   try {
-    const activeOperations = Array.from(activeBulkCacheOperations);
-    
-    console.log(`📋 Active bulk cache operations: ${activeOperations.length}`);
-    
+    const { runId } = req.params;
+    const run = await loadRetentionRun(runId);
+
+    if (!run) {
+      return res.status(404).json({
+        message: "Retention run not found",
+        runId
+      });
+    }
+
     return res.status(200).json({
-      message: "Active bulk cache operations retrieved",
-      activeOperations,
-      count: activeOperations.length,
-      timestamp: new Date().toISOString()
+      message: "Retention run retrieved",
+      run
     });
   } catch (err) {
-    console.error("🔥 Get active bulk cache operations failed:", err);
+    console.error("🔥 Get retention run failed:", err);
     return res.status(500).json({
-      message: "Failed to retrieve active bulk cache operations",
+      message: "Failed to retrieve retention run",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * List recent retention run reports for a project:table
+ */
+export const listCacheRetentionRunsHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    const runIds = await redis.lrange(tableRetentionRunsKey(project, table), 0, -1);
+    const runs = (await Promise.all(runIds.map(loadRetentionRun))).filter(Boolean);
+
+    return res.status(200).json({
+      message: "Retention runs retrieved",
+      project,
+      table,
+      count: runs.length,
+      runs
+    });
+  } catch (err) {
+    console.error("🔥 List retention runs failed:", err);
+    return res.status(500).json({
+      message: "Failed to list retention runs",
       error: err.message
     });
   }
@@ -1938,8 +4658,12 @@ export const getActiveBulkCacheOperations = async (req, res) => {
  */
 export const clearActiveBulkCacheOperations = async (req, res) => {
   try {
-    const clearedCount = activeBulkCacheOperations.size;
-    activeBulkCacheOperations.clear();
+    const lockKeys = await scanKeys(`${LOCK_CONFIG.LOCK_PREFIX}*`);
+    let clearedCount = 0;
+    // Delete keys individually to avoid cross-slot errors in Redis Cluster
+    for (const key of lockKeys) {
+      clearedCount += await redis.del(key);
+    }
     
     console.log(`🧹 Cleared ${clearedCount} active bulk cache operations`);
     
@@ -1963,27 +4687,34 @@ export const clearActiveBulkCacheOperations = async (req, res) => {
 export const getPendingCacheUpdates = async (req, res) => {
   try {
     const pendingUpdates = {};
+    const queueKeys = await scanKeys(`${LOCK_CONFIG.PENDING_PREFIX}*`);
+    let totalPending = 0;
     
-    for (const [operationKey, updates] of pendingCacheUpdates.entries()) {
+    for (const queueKey of queueKeys) {
+      const operationKey = queueKey.slice(LOCK_CONFIG.PENDING_PREFIX.length);
+      const updates = (await redis.lrange(queueKey, 0, -1)).map(raw => JSON.parse(raw));
+      totalPending += updates.length;
       pendingUpdates[operationKey] = {
         count: updates.length,
+        lock: await getBulkCacheLock(operationKey),
         updates: updates.map(update => ({
           type: update.type,
           tableName: update.tableName,
+          queuedBy: update.queuedBy,
           timestamp: update.timestamp
         }))
       };
     }
     
-    const totalPending = Array.from(pendingCacheUpdates.values()).reduce((sum, updates) => sum + updates.length, 0);
+    const operationCount = Object.keys(pendingUpdates).length;
     
-    console.log(`📋 Pending cache updates: ${totalPending} total across ${pendingCacheUpdates.size} operations`);
+    console.log(`📋 Pending cache updates (cluster-wide): ${totalPending} total across ${operationCount} operations`);
     
     return res.status(200).json({
       message: "Pending cache updates retrieved",
       pendingUpdates,
       totalPending,
-      operationCount: pendingCacheUpdates.size,
+      operationCount,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
@@ -2004,8 +4735,9 @@ export const clearPendingCacheUpdates = async (req, res) => {
     
     if (operationKey) {
       // Clear specific operation
-      const clearedCount = pendingCacheUpdates.get(operationKey)?.length || 0;
-      pendingCacheUpdates.delete(operationKey);
+      const queueKey = pendingQueueKey(operationKey);
+      const clearedCount = await redis.llen(queueKey);
+      await redis.del(queueKey);
       
       console.log(`🧹 Cleared ${clearedCount} pending updates for ${operationKey}`);
       
@@ -2017,9 +4749,13 @@ export const clearPendingCacheUpdates = async (req, res) => {
       });
     } else {
       // Clear all pending updates
-      const totalCleared = Array.from(pendingCacheUpdates.values()).reduce((sum, updates) => sum + updates.length, 0);
-      const operationCount = pendingCacheUpdates.size;
-      pendingCacheUpdates.clear();
+      const queueKeys = await scanKeys(`${LOCK_CONFIG.PENDING_PREFIX}*`);
+      let totalCleared = 0;
+      for (const queueKey of queueKeys) {
+        totalCleared += await redis.llen(queueKey);
+        await redis.del(queueKey);
+      }
+      const operationCount = queueKeys.length;
       
       console.log(`🧹 Cleared all pending cache updates: ${totalCleared} updates across ${operationCount} operations`);
       
@@ -2039,9 +4775,18 @@ export const clearPendingCacheUpdates = async (req, res) => {
   }
 };
 
+// Release locks held by this instance so other workers don't wait for the lease
+async function releaseHeldBulkCacheLocks() {
+  for (const lock of Array.from(heldBulkCacheLocks.values())) {
+    await releaseBulkCacheLock(lock);
+  }
+}
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('🔄 Shutting down cache service...');
+  await releaseHeldBulkCacheLocks();
+  if (cacheEventSubscriber) await cacheEventSubscriber.quit();
   await redis.quit();
   console.log('✅ Cache service shutdown complete');
   process.exit(0);
@@ -2049,6 +4794,8 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('🔄 Shutting down cache service...');
+  await releaseHeldBulkCacheLocks();
+  if (cacheEventSubscriber) await cacheEventSubscriber.quit();
   await redis.quit();
   console.log('✅ Cache service shutdown complete');
   process.exit(0);
@@ -19,6 +19,12 @@ export async function describeKeySchema(tableName) {
   return { partitionKey, sortKey };
 }
 
+// Attach the item as it was before the write, for notification filters that
+// compare old values (not part of the response body)
+function withPreviousItem(response, previousItem) {
+  return { ...response, previousItem: previousItem || null };
+}
+
 export async function createItem(tableName, body) {
   const { item, requestDetails, status, itemIndex, totalItems, originalId, notificationMeta } = body;
   if (!item) return { statusCode: 400, body: JSON.stringify({ error: "Item is required" }) };
@@ -38,9 +44,9 @@ export async function createItem(tableName, body) {
   );
 
   // Only save the item as provided, no timestamp or _metadata
-  await docClient.send(new PutCommand({ TableName: tableName, Item: simplifiedItem }));
+  const result = await docClient.send(new PutCommand({ TableName: tableName, Item: simplifiedItem, ReturnValues: "ALL_OLD" }));
 
-  return {
+  return withPreviousItem({
     statusCode: 200,
     body: JSON.stringify({
       success: true,
@@ -48,7 +54,7 @@ export async function createItem(tableName, body) {
       ...(sortKey && { [sortKey]: simplifiedItem[sortKey] }),
       notificationMeta // Pass through for notification system
     })
-  };
+  }, result.Attributes);
 }
 
 export async function updateItem(tableName, body) {
@@ -82,19 +88,29 @@ export async function updateItem(tableName, body) {
   };
   updateExpr.push("#_metadata = :_metadata");
 
+  // ALL_OLD gives the old values atomically with the write. The update only
+  // SETs top-level attributes, so the new item is the old one with them applied.
   const result = await docClient.send(new UpdateCommand({
     TableName: tableName,
     Key: key,
     UpdateExpression: "SET " + updateExpr.join(", "),
     ExpressionAttributeNames,
     ExpressionAttributeValues,
-    ReturnValues: "ALL_NEW"
+    ReturnValues: "ALL_OLD"
   }));
 
-  return {
-    statusCode: 200,
-    body: JSON.stringify({ success: true, updatedItem: result.Attributes })
+  const updatedItem = {
+    ...result.Attributes,
+    ...key,
+    ...updates,
+    timestamp: ExpressionAttributeValues[":timestamp"],
+    _metadata: ExpressionAttributeValues[":_metadata"]
   };
+
+  return withPreviousItem({
+    statusCode: 200,
+    body: JSON.stringify({ success: true, updatedItem })
+  }, result.Attributes);
 }
 
 export async function getItem(tableName, query) {
@@ -155,11 +171,8 @@ export async function deleteItem(tableName, body) {
   const key = { [partitionKey]: body[partitionKey] };
   if (sortKey && body[sortKey]) key[sortKey] = body[sortKey];
 
-  await docClient.send(new DeleteCommand({ TableName: tableName, Key: key }));
-  return {
-    statusCode: 200,
-    body: JSON.stringify({ success: true })
-  };
+  const result = await docClient.send(new DeleteCommand({ TableName: tableName, Key: key, ReturnValues: "ALL_OLD" }));
+  return withPreviousItem({ statusCode: 200, body: JSON.stringify({ success: true }) }, result.Attributes);
 }
 
 export async function handler(event) {
@@ -10,8 +10,6 @@ import {
   getCacheStatsHandler,
   cacheHealthHandler,
   testCacheConnection,
-  clearUnwantedOrderDataHandler,
-  cleanupTimestampChunksHandler,
   getCachedDataInSequenceHandler
 } from './cache.js';
 import {
@@ -21,6 +19,7 @@ import {
   deleteIndicesHandler,
   searchHealthHandler
 } from './search-indexing.js';
+import { executeDuration } from './metrics.js';
 
 // DynamoDB table names
 const NAMESPACES_TABLE = 'brmh-namespaces';
@@ -749,8 +748,27 @@ const executeIndexing = async (event) => {
   }
 };
 
-// Main execute handler - routes to paginated, single, namespace, CRUD, cache, or indexing execution
+// executeType values with their own handler; anything else runs as "single"
+const EXECUTE_TYPES = ["sync", "get-all", "namespace", "crud", "cache", "indexing"];
+
+// Main execute handler - times each request for /metrics, then routes it
 export const execute = async (event) => {
+  let executeType = "single";
+  try {
+    const body = typeof event.body === "string" ? JSON.parse(event.body) : (event.body || event);
+    if (EXECUTE_TYPES.includes(body.executeType)) executeType = body.executeType;
+  } catch {
+    // routeExecution reports the malformed body
+  }
+
+  const stopTimer = executeDuration.startTimer({ execute_type: executeType });
+  const result = await routeExecution(event);
+  stopTimer({ outcome: (result?.statusCode || 200) < 400 ? "success" : "error" });
+  return result;
+};
+
+// Routes to paginated, single, namespace, CRUD, cache, or indexing execution
+const routeExecution = async (event) => {
   try {
     const body = typeof event.body === "string" ? JSON.parse(event.body) : (event.body || event);
     const { executeType = "single" } = body;
@@ -0,0 +1,172 @@
+/**
+ * Prometheus metrics for the cache, search and execution subsystems
+ *
+ * A small in-process registry rendered in the Prometheus text exposition
+ * format (0.0.4) at GET /metrics. Metrics are per process; scrape every
+ * instance and aggregate in Prometheus.
+ */
+
+const DEFAULT_LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (registry.has(name)) throw new Error(`Metric ${name} is already registered`);
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ...state }
+    registry.set(name, this);
+  }
+
+  // Fixed label order so the same label set always maps to one series
+  seriesFor(labels, init) {
+    const normalized = {};
+    for (const name of this.labelNames) normalized[name] = labels[name] ?? '';
+    const key = JSON.stringify(normalized);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: normalized, ...init() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) lines.push(...this.renderSeries(series));
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_LATENCY_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Returns a function that records the elapsed seconds when called
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+// Cache
+// project/table of lookups are request input: callers pass "other" for tables without a cache config
+export const cacheLookups = new Counter('brmh_cache_lookups_total', 'Cached data key lookups by result (hit, miss, refill)', ['project', 'table', 'result']);
+export const cacheBackendCommandDuration = new Histogram('brmh_cache_backend_command_duration_seconds', 'Cache backend (Redis/Valkey or memory) command latency', ['backend', 'command']);
+export const cacheBackendCommandErrors = new Counter('brmh_cache_backend_command_errors_total', 'Cache backend commands that failed', ['backend', 'command']);
+export const cacheJobItemsScanned = new Counter('brmh_cache_job_items_scanned_total', 'Items scanned from DynamoDB by parallel-segment cache jobs', ['project', 'table']);
+export const cacheJobSegmentsCompleted = new Gauge('brmh_cache_job_segments_completed', 'Completed segments of the latest cache job for a table', ['project', 'table']);
+export const cacheJobSegmentsTotal = new Gauge('brmh_cache_job_segments_total', 'Total segments of the latest cache job for a table', ['project', 'table']);
+export const cacheJobRunning = new Gauge('brmh_cache_job_running', '1 while this instance runs a cache job for the table', ['project', 'table']);
+export const cacheJobsFinished = new Counter('brmh_cache_jobs_finished_total', 'Cache job runs finished on this instance by status', ['status']);
+
+// Search indexing
+export const searchIndexingOperations = new Counter('brmh_search_indexing_operations_total', 'Search indexing operations by backend (algolia, local), operation (bulk, save, delete) and outcome', ['backend', 'operation', 'outcome']);
+export const searchIndexingRecords = new Counter('brmh_search_indexing_records_total', 'Records sent to the search backend by bulk table indexing, by outcome', ['backend', 'outcome']);
+export const searchIndexingDeadLetters = new Counter('brmh_search_indexing_dead_letters_total', 'Dead-lettered incremental index updates by event (recorded, replayed, replay_failed, discarded)', ['event']);
+
+// Execution
+export const executeDuration = new Histogram('brmh_execute_duration_seconds', 'Duration of /execute requests by executeType and outcome', ['execute_type', 'outcome'], [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]);
+
+// Lambda deployments
+export const lambdaDeployments = new Counter('brmh_lambda_deployments_total', 'LambdaDeploymentManager deployments by action (create, update) and outcome', ['action', 'outcome']);
+export const lambdaDeploymentDuration = new Histogram('brmh_lambda_deployment_duration_seconds', 'LambdaDeploymentManager deployment duration', ['action', 'outcome'], [1, 2.5, 5, 10, 30, 60, 120, 300, 900]);
+
+// Process
+const processStartTime = new Gauge('brmh_process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds');
+const processResidentMemory = new Gauge('brmh_process_resident_memory_bytes', 'Resident memory size in bytes');
+const processHeapUsed = new Gauge('brmh_process_heap_used_bytes', 'V8 heap used in bytes');
+processStartTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+/**
+ * Render every registered metric in Prometheus text format
+ */
+export function renderMetrics() {
+  const memory = process.memoryUsage();
+  processResidentMemory.set({}, memory.rss);
+  processHeapUsed.set({}, memory.heapUsed);
+
+  return `${Array.from(registry.values()).map(metric => metric.render()).join('\n')}\n`;
+}
+
+/**
+ * GET /metrics
+ */
+export const metricsHandler = (req, res) => {
+  try {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.status(200).send(renderMetrics());
+  } catch (err) {
+    console.error('🔥 Rendering metrics failed:', err);
+    return res.status(500).json({
+      message: "Failed to render metrics",
+      error: err.message
+    });
+  }
+};
@@ -0,0 +1,586 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import axios from 'axios';
+
+/**
+ * Notification channels besides WHAPI: SMTP email, Slack incoming webhooks and
+ * signed generic HTTP webhooks.
+ *
+ * A connection has a `type` (whapi when missing) and each action type only runs
+ * on its own connection type:
+ *
+ *   email         -> smtp     { host, port, secure, requireTls, allowInsecureAuth, username, password, from }
+ *   slack_message -> slack    { webhookUrl }
+ *   webhook       -> webhook  { url, secret, method, headers }
+ *
+ * Actions are rendered first (templates -> outgoing message) and then sent, so
+ * a dry run or a testMode connection can return exactly what would go out.
+ */
+
+export const CONNECTION_TYPES = ['whapi', 'smtp', 'slack', 'webhook'];
+
+export const ACTION_CONNECTION_TYPES = {
+  whapi: 'whapi',
+  whapi_message: 'whapi',
+  whapi_community: 'whapi',
+  whapi_group: 'whapi',
+  email: 'smtp',
+  slack_message: 'slack',
+  webhook: 'webhook'
+};
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const SIGNATURE_HEADER = 'X-BRMH-Signature';
+const TIMESTAMP_HEADER = 'X-BRMH-Timestamp';
+
+// ---------------------------------------------------------------------------
+// Templating
+// ---------------------------------------------------------------------------
+
+const PLACEHOLDER = /\{\{\s*([^}]+?)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([^}]+?)\s*\}\}$/;
+
+function resolvePath(context, path) {
+  let cur = context;
+  for (const part of path.split('.')) {
+    if (cur && Object.prototype.hasOwnProperty.call(cur, part)) cur = cur[part];
+    else return undefined;
+  }
+  return cur;
+}
+
+const stringify = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * Replace {{ path }} placeholders with values from context ({ trigger, event }).
+ * Missing values render empty, objects as JSON; escape is applied to each value.
+ */
+export function interpolate(template, context, escape = (value) => value) {
+  return String(template).replace(PLACEHOLDER, (_, path) => {
+    const value = resolvePath(context, path);
+    return value == null ? '' : escape(stringify(value));
+  });
+}
+
+/**
+ * Render a JSON template: every string is interpolated, and a string that is a
+ * single placeholder keeps the type of its value ("{{event.data}}" -> object).
+ */
+export function renderJsonTemplate(template, context, escape = (value) => value) {
+  if (typeof template === 'string') {
+    const whole = template.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      const value = resolvePath(context, whole[1]);
+      if (value === undefined) return null;
+      return typeof value === 'string' ? escape(value) : value;
+    }
+    return interpolate(template, context, escape);
+  }
+  if (Array.isArray(template)) return template.map(item => renderJsonTemplate(item, context, escape));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderJsonTemplate(value, context, escape)]));
+  }
+  return template;
+}
+
+export const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Slack mrkdwn control characters
+export const escapeSlack = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Header values must stay on one line
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+// Message override carried by manual fires and CRUD events
+const customMessageOf = (event) => event?.data?.message || event?.message;
+
+// ---------------------------------------------------------------------------
+// Connections
+// ---------------------------------------------------------------------------
+
+const isHttpUrl = (value, protocols = ['http:', 'https:']) => {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const parseAddresses = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(address => String(address).trim())
+  .filter(Boolean);
+
+// "Name <a@b.com>" -> "a@b.com"
+const bareAddress = (address) => (address.match(/<([^>]+)>/)?.[1] || address).trim();
+
+const isEmailAddress = (address) => /^[^\s@<>]+@[^\s@<>]+$/.test(bareAddress(address));
+
+/**
+ * Validate the type-specific fields of a new connection.
+ * Returns { fields } to store, or { error }. Webhook connections without a
+ * secret get a generated one.
+ */
+export function normalizeConnectionFields(type, body) {
+  switch (type) {
+    case 'whapi':
+      if (!body.token) return { error: 'token is required for whapi connections' };
+      return { fields: { baseUrl: body.baseUrl || 'https://gate.whapi.cloud', token: body.token } };
+
+    case 'smtp': {
+      const port = body.port === undefined ? (body.secure ? 465 : 587) : Number(body.port);
+      if (!body.host) return { error: 'host is required for smtp connections' };
+      if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: 'port must be a valid TCP port' };
+      if (!body.from || !isEmailAddress(body.from)) return { error: 'from must be an email address' };
+      if (body.username && !body.password) return { error: 'password is required when username is set' };
+      return {
+        fields: {
+          host: body.host,
+          port,
+          // secure: TLS from the first byte (port 465); otherwise STARTTLS when offered
+          secure: body.secure === undefined ? port === 465 : !!body.secure,
+          requireTls: !!body.requireTls,
+          // Sending the password over an unencrypted connection must be asked for
+          allowInsecureAuth: !!body.allowInsecureAuth,
+          username: body.username,
+          password: body.password,
+          from: body.from,
+          timeoutMs: Number(body.timeoutMs) || DEFAULT_TIMEOUT_MS
+        }
+      };
+    }
+
+    case 'slack':
+      if (!body.webhookUrl || !isHttpUrl(body.webhookUrl, ['https:'])) {
+        return { error: 'webhookUrl must be an https Slack incoming webhook URL' };
+      }
+      return { fields: { webhookUrl: body.webhookUrl, timeoutMs: Number(body.timeoutMs) || DEFAULT_TIMEOUT_MS } };
+
+    case 'webhook': {
+      const method = String(body.method || 'POST').toUpperCase();
+      if (!body.url || !isHttpUrl(body.url)) return { error: 'url must be an http(s) URL' };
+      if (!['POST', 'PUT', 'PATCH'].includes(method)) return { error: 'method must be POST, PUT or PATCH' };
+      if (body.headers !== undefined && (typeof body.headers !== 'object' || Array.isArray(body.headers))) {
+        return { error: 'headers must be an object' };
+      }
+      return {
+        fields: {
+          url: body.url,
+          method,
+          headers: body.headers || {},
+          secret: body.secret || randomBytes(32).toString('hex'),
+          timeoutMs: Number(body.timeoutMs) || DEFAULT_TIMEOUT_MS
+        }
+      };
+    }
+
+    default:
+      return { error: `type must be one of ${CONNECTION_TYPES.join(', ')}` };
+  }
+}
+
+/**
+ * Check that an action can run on a connection. Returns an error string or null.
+ */
+export function validateChannelAction(action, connection) {
+  if (!action || typeof action !== 'object') return 'action must be an object';
+  const actionType = action.type || 'whapi';
+  const expected = ACTION_CONNECTION_TYPES[actionType];
+  if (!expected) return `Unsupported action type "${actionType}"; expected one of ${Object.keys(ACTION_CONNECTION_TYPES).join(', ')}`;
+  if (connection && expected !== (connection.type || 'whapi')) {
+    return `Action type "${actionType}" needs a ${expected} connection, but the connection is ${connection.type || 'whapi'}`;
+  }
+
+  switch (actionType) {
+    case 'email':
+      if (parseAddresses(action.to).length === 0) return 'email actions need at least one "to" address';
+      break;
+    case 'slack_message':
+      if (action.blocksTemplate !== undefined && !Array.isArray(action.blocksTemplate)) return 'blocksTemplate must be an array of Slack blocks';
+      break;
+    case 'webhook':
+      if (action.headers !== undefined && (typeof action.headers !== 'object' || Array.isArray(action.headers))) return 'headers must be an object';
+      break;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function renderEmail(connection, action, context) {
+  const { event } = context;
+  const customMessage = customMessageOf(event);
+  const text = customMessage
+    || (action.textTemplate ? interpolate(action.textTemplate, context) : action.text)
+    || `Event ${event.type} at ${new Date().toISOString()}`;
+  const html = customMessage ? null : action.htmlTemplate ? interpolate(action.htmlTemplate, context, escapeHtml) : (action.html || null);
+  // Addresses may be templates that expand to a comma-separated list
+  const recipients = (field) => parseAddresses(
+    Array.isArray(action[field]) ? action[field].map(address => interpolate(address, context)) : interpolate(action[field] || '', context)
+  ).map(headerValue).filter(isEmailAddress);
+
+  return {
+    channel: 'email',
+    from: connection.from,
+    to: recipients('to'),
+    cc: recipients('cc'),
+    bcc: recipients('bcc'),
+    replyTo: action.replyTo ? headerValue(interpolate(action.replyTo, context)) : null,
+    subject: headerValue(action.subjectTemplate ? interpolate(action.subjectTemplate, context) : (action.subject || `Notification: ${event.type}`)),
+    text,
+    html
+  };
+}
+
+function renderSlack(connection, action, context) {
+  const { event, trigger } = context;
+  const customMessage = customMessageOf(event);
+  const body = {
+    text: customMessage
+      ? escapeSlack(customMessage)
+      : action.textTemplate
+        ? interpolate(action.textTemplate, context, escapeSlack)
+        : (action.text || `*${escapeSlack(trigger?.name || 'Notification')}*: ${escapeSlack(String(event.type))}`)
+  };
+  if (action.blocksTemplate && !customMessage) body.blocks = renderJsonTemplate(action.blocksTemplate, context, escapeSlack);
+  if (action.username) body.username = action.username;
+  if (action.iconEmoji) body.icon_emoji = action.iconEmoji;
+  if (action.channel) body.channel = action.channel;
+  return { channel: 'slack', body };
+}
+
+function renderWebhook(connection, action, context) {
+  const { event, trigger } = context;
+  const rendered = action.bodyTemplate !== undefined
+    ? renderJsonTemplate(action.bodyTemplate, context)
+    : { trigger: { id: trigger?.id, name: trigger?.name }, event, sentAt: new Date().toISOString() };
+  const body = typeof rendered === 'string' ? rendered : JSON.stringify(rendered);
+
+  // Stripe-style signature over "<timestamp>.<body>" so receivers can reject replays
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = createHmac('sha256', connection.secret).update(`${timestamp}.${body}`).digest('hex');
+
+  const headers = {
+    'Content-Type': action.contentType || 'application/json',
+    ...connection.headers,
+    ...Object.fromEntries(Object.entries(action.headers || {}).map(([name, value]) => [name, headerValue(interpolate(value, context))])),
+    'X-BRMH-Event': headerValue(event.type),
+    'X-BRMH-Delivery': randomUUID(),
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: `sha256=${signature}`
+  };
+
+  return { channel: 'webhook', method: connection.method || 'POST', url: connection.url, headers, body };
+}
+
+/**
+ * Render an email, slack_message or webhook action into the message it sends
+ */
+export function renderChannelAction(connection, action, event, trigger) {
+  const context = { trigger, event };
+  switch (action.type) {
+    case 'email':
+      return renderEmail(connection, action, context);
+    case 'slack_message':
+      return renderSlack(connection, action, context);
+    case 'webhook':
+      return renderWebhook(connection, action, context);
+    default:
+      throw new Error(`No channel renderer for action type ${action.type}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Sending
+// ---------------------------------------------------------------------------
+
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+const base64Body = (text) => Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+function buildMimeMessage(message) {
+  const domain = bareAddress(message.from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${message.from}`,
+    `To: ${message.to.join(', ')}`,
+    ...(message.cc.length > 0 ? [`Cc: ${message.cc.join(', ')}`] : []),
+    ...(message.replyTo ? [`Reply-To: ${message.replyTo}`] : []),
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+  const part = (type, content) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(content)
+  ].join('\r\n');
+
+  if (!message.html) return [...headers, part('text/plain', message.text)].join('\r\n');
+
+  const boundary = `brmh-${randomUUID()}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    part('text/plain', message.text),
+    `--${boundary}`,
+    part('text/html', message.html),
+    `--${boundary}--`
+  ].join('\r\n');
+}
+
+/**
+ * Minimal SMTP client: one message per connection, EHLO, STARTTLS when
+ * offered (or required), AUTH PLAIN/LOGIN, then MAIL/RCPT/DATA.
+ */
+class SmtpSession {
+  constructor(timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiters = [];
+    this.failure = null;
+    this.onData = (chunk) => this.receive(chunk);
+    this.onError = (err) => this.fail(err);
+    this.onClose = () => this.fail(new Error('SMTP connection closed'));
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+  }
+
+  detach() {
+    this.socket.setTimeout(0);
+    this.socket.off('data', this.onData);
+    this.socket.off('error', this.onError);
+    this.socket.off('close', this.onClose);
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let end;
+    while ((end = this.buffer.indexOf('\r\n')) >= 0) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+        this.lines = [];
+        const waiter = this.waiters.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(err) {
+    if (this.failure) return;
+    this.failure = err;
+    this.waiters.splice(0).forEach(waiter => waiter.reject(err));
+  }
+
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.failure) return Promise.reject(this.failure);
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  async expect(codes, label) {
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  // label keeps credentials out of error messages
+  async command(line, codes, label = line.split(' ')[0]) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(codes, label);
+  }
+}
+
+const connectSocket = (create, event, timeoutMs) => new Promise((resolve, reject) => {
+  const socket = create();
+  const timer = setTimeout(() => socket.destroy(new Error('SMTP connection timed out')), timeoutMs);
+  const onError = (err) => {
+    clearTimeout(timer);
+    reject(err);
+  };
+  socket.once('error', onError);
+  socket.once(event, () => {
+    clearTimeout(timer);
+    socket.off('error', onError);
+    resolve(socket);
+  });
+});
+
+export async function sendSmtpMail(connection, message) {
+  const { host, port, secure, requireTls, allowInsecureAuth, username, password } = connection;
+  const timeoutMs = connection.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const session = new SmtpSession(timeoutMs);
+
+  const socket = secure
+    ? await connectSocket(() => tls.connect({ host, port, servername: host }), 'secureConnect', timeoutMs)
+    : await connectSocket(() => net.connect({ host, port }), 'connect', timeoutMs);
+  session.attach(socket);
+
+  try {
+    await session.expect([220], 'greeting');
+    const hello = `EHLO ${os.hostname() || 'localhost'}`;
+    let capabilities = (await session.command(hello, [250])).lines.map(line => line.toUpperCase());
+
+    let encrypted = !!secure;
+    if (!secure && capabilities.some(line => line.startsWith('STARTTLS'))) {
+      await session.command('STARTTLS', [220]);
+      session.detach();
+      const secured = await connectSocket(() => tls.connect({ socket, servername: host }), 'secureConnect', timeoutMs);
+      session.attach(secured);
+      encrypted = true;
+      capabilities = (await session.command(hello, [250])).lines.map(line => line.toUpperCase());
+    } else if (!secure && requireTls) {
+      throw new Error(`SMTP server ${host} does not offer STARTTLS`);
+    }
+
+    if (username && !encrypted && !allowInsecureAuth) {
+      throw Object.assign(
+        new Error(`SMTP server ${host} does not offer STARTTLS; refusing to send credentials in plain text`),
+        { deliveryError: 'smtp_insecure_auth' }
+      );
+    }
+
+    if (username) {
+      const auth = capabilities.find(line => line.startsWith('AUTH')) || '';
+      if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+        const token = Buffer.from(`\u0000${username}\u0000${password}`).toString('base64');
+        await session.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+      } else {
+        await session.command('AUTH LOGIN', [334]);
+        await session.command(Buffer.from(username).toString('base64'), [334], 'AUTH LOGIN username');
+        await session.command(Buffer.from(password).toString('base64'), [235], 'AUTH LOGIN password');
+      }
+    }
+
+    await session.command(`MAIL FROM:<${bareAddress(message.from)}>`, [250]);
+    for (const recipient of [...message.to, ...message.cc, ...message.bcc]) {
+      await session.command(`RCPT TO:<${bareAddress(recipient)}>`, [250, 251], `RCPT ${bareAddress(recipient)}`);
+    }
+    await session.command('DATA', [354]);
+    // Dot-stuffing: a line starting with "." gets a second one
+    const data = buildMimeMessage(message).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    const accepted = await session.command(`${data}\r\n.`, [250], 'DATA body');
+    await session.command('QUIT', [221]).catch(() => {});
+
+    return { status: accepted.code, accepted: message.to.length + message.cc.length + message.bcc.length, response: accepted.lines.join(' ') };
+  } finally {
+    session.detach();
+    session.socket.destroy();
+  }
+}
+
+async function postJson(method, url, body, headers, timeoutMs) {
+  const res = await axios.request({ method, url, data: body, headers, timeout: timeoutMs, validateStatus: () => true });
+  return { status: res.status, data: res.data };
+}
+
+// Slack webhook URLs are credentials; results and logs only show their start
+const maskUrl = (url) => `${new URL(url).origin}/…`;
+
+const MASKED = '***';
+
+/**
+ * A connection as API responses show it: token, password and webhook secret
+ * are masked, Slack webhook URLs cut to their origin and webhook header
+ * values (often Authorization) hidden.
+ */
+export function redactConnection(connection) {
+  const redacted = { ...connection };
+  for (const field of ['token', 'password', 'secret']) {
+    if (redacted[field]) redacted[field] = MASKED;
+  }
+  if (redacted.webhookUrl) {
+    try {
+      redacted.webhookUrl = maskUrl(redacted.webhookUrl);
+    } catch {
+      redacted.webhookUrl = MASKED;
+    }
+  }
+  if (redacted.headers && typeof redacted.headers === 'object') {
+    redacted.headers = Object.fromEntries(Object.keys(redacted.headers).map(name => [name, MASKED]));
+  }
+  return redacted;
+}
+
+/**
+ * Send a rendered message. testMode connections return the message instead.
+ * Failed sends (network error, non-2xx, SMTP rejection) return { error }.
+ */
+export async function sendChannelMessage(connection, message) {
+  if (connection.testMode) {
+    const { channel, ...preview } = message;
+    if (channel === 'slack') return { testMode: true, channel, webhook: maskUrl(connection.webhookUrl), ...preview };
+    return { testMode: true, channel, ...preview };
+  }
+
+  try {
+    switch (message.channel) {
+      case 'email': {
+        if (message.to.length + message.cc.length + message.bcc.length === 0) {
+          return { channel: 'email', error: 'no_recipients' };
+        }
+        const result = await sendSmtpMail(connection, message);
+        return { channel: 'email', ...result };
+      }
+      case 'slack': {
+        const response = await postJson('POST', connection.webhookUrl, message.body, { 'Content-Type': 'application/json' }, connection.timeoutMs || DEFAULT_TIMEOUT_MS);
+        return { channel: 'slack', ...response, ...(response.status >= 300 && { error: `slack_http_${response.status}` }) };
+      }
+      case 'webhook': {
+        const response = await postJson(message.method, message.url, message.body, message.headers, connection.timeoutMs || DEFAULT_TIMEOUT_MS);
+        return {
+          channel: 'webhook',
+          deliveryId: message.headers['X-BRMH-Delivery'],
+          ...response,
+          ...(response.status >= 300 && { error: `webhook_http_${response.status}` })
+        };
+      }
+      default:
+        return { error: 'unsupported_channel', channel: message.channel };
+    }
+  } catch (err) {
+    console.error(`[Backend] ${message.channel} send failed:`, err.message);
+    return { channel: message.channel, error: err.deliveryError || `${message.channel}_send_failed`, message: err.message };
+  }
+}
+
+/**
+ * Check a webhook signature (for receivers written in Node)
+ * @param {string} secret - Connection secret
+ * @param {string} body - Raw request body
+ * @param {Object} headers - Request headers (lower-cased keys, as in Express)
+ * @param {number} toleranceSeconds - Maximum age of the timestamp
+ */
+export function verifyWebhookSignature(secret, body, headers, toleranceSeconds = 300) {
+  const timestamp = Number(headers[TIMESTAMP_HEADER.toLowerCase()]);
+  const signature = String(headers[SIGNATURE_HEADER.toLowerCase()] || '');
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  return signature.length === expected.length && timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
@@ -0,0 +1,125 @@
+import { interpolate } from './notification-channels.js';
+
+// Digest mode for notification triggers
+//
+// A trigger with a digest collects its matching events instead of sending one
+// message per event:
+//   { windowMinutes, maxEvents?, template?, itemTemplate? }
+// The batch is sent as one message when windowMinutes have passed since its
+// first event, or as soon as it holds maxEvents events. A batch is one
+// DynamoDB item, so it is also sent early once its events reach
+// MAX_BATCH_BYTES, and a single event over MAX_EVENT_BYTES is kept without
+// its data.new / data.old.
+//
+// itemTemplate is rendered once per event with { trigger, event, index }, and
+// the lines are joined into {{digest.items}}. template is rendered with
+// { trigger, digest: { count, items, from, to, eventTypes, tables, omitted } }.
+
+export const DIGEST_DEFAULTS = {
+  windowMinutes: 15,
+  template: '{{trigger.name}}: {{digest.count}} events from {{digest.from}} to {{digest.to}}\n{{digest.items}}',
+  itemTemplate: '• {{event.type}} {{event.tableName}} {{event.at}}',
+  // Events listed in {{digest.items}}; the rest are counted in {{digest.omitted}}
+  LIST_LIMIT: 50,
+  MAX_EVENTS: 500,
+  // DynamoDB items are limited to 400 KB; the rest is headroom for the other attributes
+  MAX_BATCH_BYTES: 300 * 1024,
+  MAX_EVENT_BYTES: 32 * 1024,
+  MAX_WINDOW_MINUTES: 24 * 60
+};
+
+// Returns an error string for an invalid digest, or null
+export function validateDigest(digest) {
+  if (digest === undefined || digest === null || digest === false) return null;
+  if (typeof digest !== 'object' || Array.isArray(digest)) return 'digest must be an object or false';
+  const { windowMinutes, maxEvents, template, itemTemplate } = digest;
+  if (windowMinutes !== undefined
+    && (typeof windowMinutes !== 'number' || !(windowMinutes >= 1 && windowMinutes <= DIGEST_DEFAULTS.MAX_WINDOW_MINUTES))) {
+    return `digest.windowMinutes must be a number between 1 and ${DIGEST_DEFAULTS.MAX_WINDOW_MINUTES}`;
+  }
+  if (maxEvents !== undefined
+    && (!Number.isInteger(maxEvents) || maxEvents < 2 || maxEvents > DIGEST_DEFAULTS.MAX_EVENTS)) {
+    return `digest.maxEvents must be an integer between 2 and ${DIGEST_DEFAULTS.MAX_EVENTS}`;
+  }
+  if (template !== undefined && typeof template !== 'string') return 'digest.template must be a string';
+  if (itemTemplate !== undefined && typeof itemTemplate !== 'string') return 'digest.itemTemplate must be a string';
+  const unknown = Object.keys(digest).filter(key => !['windowMinutes', 'maxEvents', 'template', 'itemTemplate'].includes(key));
+  if (unknown.length > 0) return `Unknown digest fields: ${unknown.join(', ')}`;
+  return null;
+}
+
+// Digest settings of a trigger, or null when it sends one message per event
+export function resolveDigest(trigger) {
+  if (!trigger?.digest || typeof trigger.digest !== 'object') return null;
+  return {
+    windowMinutes: trigger.digest.windowMinutes ?? DIGEST_DEFAULTS.windowMinutes,
+    maxEvents: Math.min(trigger.digest.maxEvents ?? DIGEST_DEFAULTS.MAX_EVENTS, DIGEST_DEFAULTS.MAX_EVENTS),
+    template: trigger.digest.template || DIGEST_DEFAULTS.template,
+    itemTemplate: trigger.digest.itemTemplate || DIGEST_DEFAULTS.itemTemplate
+  };
+}
+
+// Approximate stored size of a collected event
+export const eventBytes = (event) => Buffer.byteLength(JSON.stringify(event));
+
+// The part of an event kept in a digest batch. The raw CRUD request body and
+// response are dropped: data.new / data.old already hold the item. An event
+// still over MAX_EVENT_BYTES loses data.new / data.old too and gets data.truncated.
+export function compactEvent(event, at = new Date().toISOString()) {
+  const { body, result, ...data } = event.data || {};
+  const compacted = {
+    type: event.type,
+    method: event.method,
+    path: event.path,
+    tableName: event.tableName,
+    resource: event.resource,
+    actor: event.actor,
+    at,
+    data
+  };
+  if (eventBytes(compacted) <= DIGEST_DEFAULTS.MAX_EVENT_BYTES) return compacted;
+  const { new: newItem, old: oldItem, ...rest } = data;
+  return { ...compacted, data: { ...rest, truncated: true } };
+}
+
+// Render the summary text of a batch of compacted events
+export function renderDigestText(trigger, events) {
+  // A batch can outlive its trigger's digest setting; it is still rendered, with the defaults
+  const settings = resolveDigest(trigger) || resolveDigest({ digest: {} });
+  const listed = events.slice(0, DIGEST_DEFAULTS.LIST_LIMIT);
+  const omitted = events.length - listed.length;
+  const lines = listed.map((event, index) => interpolate(settings.itemTemplate, { trigger, event, index: index + 1 }).trim());
+  if (omitted > 0) lines.push(`… and ${omitted} more`);
+
+  const digest = {
+    count: events.length,
+    items: lines.join('\n'),
+    from: events[0]?.at,
+    to: events[events.length - 1]?.at,
+    eventTypes: [...new Set(events.map(event => event.type))].join(', '),
+    tables: [...new Set(events.map(event => event.tableName).filter(Boolean))].join(', '),
+    omitted
+  };
+  return interpolate(settings.template, { trigger, digest });
+}
+
+// The single event a flushed batch is delivered as. The rendered summary goes
+// in data.message, which replaces the action's own message template; webhook
+// actions receive the events themselves in data.events.
+export function buildDigestEvent(trigger, events) {
+  const text = renderDigestText(trigger, events);
+  return {
+    type: trigger.eventType,
+    method: 'DIGEST',
+    resource: 'digest',
+    digest: true,
+    data: {
+      message: text,
+      count: events.length,
+      from: events[0]?.at,
+      to: events[events.length - 1]?.at,
+      events
+    },
+    message: text
+  };
+}
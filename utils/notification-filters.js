@@ -0,0 +1,600 @@
+/**
+ * Filter expressions for notification triggers (`filters.expression`)
+ *
+ *   new.total > 5000 AND new.currency == "INR"
+ *   changed(status) AND new.status == "shipped"
+ *   NOT (new.tags contains "test") OR new.email matches /@example\.com$/i
+ *   new.region in ["eu", "uk"] && old.priority != "high"
+ *
+ * Paths start at `new` (item after the change), `old` (before it; updates and
+ * deletes), `data` (event.data) or `event` (the whole event). A path with any
+ * other first segment is read from `new`, so `total > 5000` means
+ * `new.total > 5000`. Use brackets for names that are not identifiers:
+ * new["namespace-id"], new.items[0].sku.
+ *
+ * Operators: == (or =), !=, >, >=, <, <=, in, not in, contains,
+ * matches (or =~) with /regex/flags or a string, AND/&&, OR/||, NOT/!, ( ).
+ * Literals: "strings", 'strings', numbers, true, false, null, [lists].
+ * Functions: changed(path), exists(path), lower(x), upper(x), len(x).
+ *
+ * Missing values are null: `new.x == null` is true when x is absent, and any
+ * ordering comparison with null is false. Numbers compare numerically with
+ * numeric strings ("5000.00" > 4999); two strings compare lexically, which
+ * orders ISO dates.
+ *
+ * Filters run synchronously on every event, so `matches` patterns that can
+ * backtrack catastrophically are rejected when the expression is compiled:
+ * backreferences, a repeated group that contains a quantifier or an
+ * alternation ((a+)+, (a|ab)*), and two unbounded quantifiers in a row that
+ * can match the same text (.*.*, \d+\d*).
+ */
+
+export class FilterExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'FilterExpressionError';
+    this.position = position;
+  }
+}
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_DEPTH = 32;
+const MAX_REGEX_INPUT = 10000;
+const ROOTS = ['new', 'old', 'data', 'event'];
+const FUNCTIONS = { changed: 1, exists: 1, lower: 1, upper: 1, len: 1 };
+const KEYWORDS = ['and', 'or', 'not', 'in', 'contains', 'matches', 'true', 'false', 'null'];
+
+// ---------------------------------------------------------------------------
+// Regex safety
+// ---------------------------------------------------------------------------
+
+// Split an already valid pattern into atoms: { type, text, repeat, optional, alternatives }.
+// repeat is null (at most once), 'bounded' ({2,5}) or 'unbounded' (*, +, {2,});
+// optional atoms may match nothing (?, *, {0,n}).
+function parseRegexAtoms(pattern) {
+  let i = 0;
+
+  function parseQuantifier() {
+    let min = 1;
+    let max = 1;
+    if (pattern[i] === '*' || pattern[i] === '+') {
+      min = pattern[i] === '*' ? 0 : 1;
+      max = Infinity;
+      i++;
+    } else if (pattern[i] === '?') {
+      min = 0;
+      i++;
+    } else if (pattern[i] === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+      if (!match) return { repeat: null, optional: false };
+      min = Number(match[1]);
+      max = match[2] === undefined ? min : match[3] === '' ? Infinity : Number(match[3]);
+      i += match[0].length;
+    } else {
+      return { repeat: null, optional: false };
+    }
+    if (pattern[i] === '?') i++; // lazy
+    return { repeat: max === Infinity ? 'unbounded' : max > 1 ? 'bounded' : null, optional: min === 0 };
+  }
+
+  function parseAtom() {
+    const start = i;
+    const ch = pattern[i];
+    if (ch === '(') {
+      i++;
+      let type = 'group';
+      if (pattern[i] === '?') {
+        if (pattern[i + 1] === '<' && pattern[i + 2] !== '=' && pattern[i + 2] !== '!') {
+          i = pattern.indexOf('>', i) + 1; // named group
+        } else {
+          type = pattern[i + 1] === ':' ? 'group' : 'lookaround';
+          i += pattern[i + 1] === '<' ? 3 : 2;
+        }
+      }
+      const alternatives = parseAlternatives();
+      i++; // )
+      return { type, text: pattern.slice(start, i), alternatives };
+    }
+    if (ch === '[') {
+      i++;
+      if (pattern[i] === '^') i++;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+      i++;
+      return { type: 'class', text: pattern.slice(start, i) };
+    }
+    i += ch === '\\' ? 2 : 1;
+    return { type: ch === '\\' ? 'escape' : 'char', text: pattern.slice(start, i) };
+  }
+
+  function parseAlternatives() {
+    const alternatives = [[]];
+    while (i < pattern.length && pattern[i] !== ')') {
+      if (pattern[i] === '|') {
+        alternatives.push([]);
+        i++;
+        continue;
+      }
+      const atom = parseAtom();
+      Object.assign(atom, parseQuantifier());
+      alternatives[alternatives.length - 1].push(atom);
+    }
+    return alternatives;
+  }
+
+  return parseAlternatives();
+}
+
+// Single literal characters (a, \.) never overlap a different literal
+const isLiteralAtom = (atom) => atom.type === 'char' || (atom.type === 'escape' && !/^\\[a-zA-Z0-9]$/.test(atom.text));
+const DISJOINT_CLASSES = ['\\s \\w', '\\s \\d'];
+
+// Whether no single character matches both atoms (conservative: false when unsure)
+const areDisjoint = (a, b) =>
+  (isLiteralAtom(a) && isLiteralAtom(b) && a.text !== b.text)
+  || DISJOINT_CLASSES.includes(`${a.text} ${b.text}`) || DISJOINT_CLASSES.includes(`${b.text} ${a.text}`);
+
+function containsRepetition(alternatives) {
+  return alternatives.length > 1 || alternatives.some(sequence =>
+    sequence.some(atom => atom.repeat || (atom.alternatives && containsRepetition(atom.alternatives))));
+}
+
+// Returns why a pattern can backtrack catastrophically, or null
+function findUnsafeRegex(alternatives) {
+  for (const sequence of alternatives) {
+    for (let k = 0; k < sequence.length; k++) {
+      const atom = sequence[k];
+      if (/^\\([1-9]|k)$/.test(atom.text)) return 'backreferences are not allowed';
+      if (atom.type === 'group' && atom.repeat && containsRepetition(atom.alternatives)) {
+        return `the repeated group ${atom.text} contains a quantifier or alternation`;
+      }
+      // Two unbounded repeats with nothing required in between split the text in O(n²) ways
+      if (atom.repeat === 'unbounded') {
+        for (let j = k - 1; j >= 0; j--) {
+          const previous = sequence[j];
+          if (previous.repeat === 'unbounded' && !areDisjoint(previous, atom)) {
+            return `${previous.text} and ${atom.text} are both repeated with nothing required between them`;
+          }
+          if (!previous.optional) break;
+        }
+      }
+      if (atom.alternatives) {
+        const reason = findUnsafeRegex(atom.alternatives);
+        if (reason) return reason;
+      }
+    }
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  const push = (type, value, start) => tokens.push({ type, value, start, raw: source.slice(start, i) });
+
+  while (i < source.length) {
+    const ch = source[i];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // A regex literal may only follow matches / =~
+    const previous = tokens[tokens.length - 1];
+    if (ch === '/' && previous && (previous.value === 'matches' || previous.value === '=~')) {
+      let pattern = '';
+      let inClass = false;
+      i++;
+      while (i < source.length && (source[i] !== '/' || inClass)) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          pattern += source[i] + source[i + 1];
+          i += 2;
+          continue;
+        }
+        if (source[i] === '[') inClass = true;
+        else if (source[i] === ']') inClass = false;
+        pattern += source[i++];
+      }
+      if (i >= source.length) throw new FilterExpressionError('Unterminated regex', start);
+      i++;
+      let flags = '';
+      while (i < source.length && /[a-z]/i.test(source[i])) flags += source[i++];
+      push('regex', { pattern, flags }, start);
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          const escaped = source[i + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+          i += 2;
+        } else {
+          value += source[i++];
+        }
+      }
+      if (i >= source.length) throw new FilterExpressionError('Unterminated string', start);
+      i++;
+      push('string', value, start);
+      continue;
+    }
+
+    const number = source.slice(i).match(/^\d+(\.\d+)?([eE][+-]?\d+)?/);
+    if (number) {
+      i += number[0].length;
+      push('number', Number(number[0]), start);
+      continue;
+    }
+
+    const identifier = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+    if (identifier) {
+      i += identifier[0].length;
+      const lower = identifier[0].toLowerCase();
+      if (KEYWORDS.includes(lower)) push('keyword', lower, start);
+      else push('identifier', identifier[0], start);
+      continue;
+    }
+
+    const operator = source.slice(i).match(/^(==|!=|>=|<=|=~|&&|\|\||[=<>!()[\],.\-])/);
+    if (operator) {
+      i += operator[0].length;
+      const value = { '&&': 'and', '||': 'or', '!': 'not', '=': '==' }[operator[0]] || operator[0];
+      push(['and', 'or', 'not'].includes(value) ? 'keyword' : 'punct', value, start);
+      continue;
+    }
+
+    throw new FilterExpressionError(`Unexpected character "${ch}"`, start);
+  }
+
+  tokens.push({ type: 'end', value: null, start: source.length });
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser (recursive descent; lowest precedence first)
+// ---------------------------------------------------------------------------
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isToken = (value) => peek().value === value && (peek().type === 'keyword' || peek().type === 'punct');
+  const accept = (value) => (isToken(value) ? next() : null);
+  const expect = (value) => {
+    if (!isToken(value)) throw new FilterExpressionError(`Expected "${value}"`, peek().start);
+    return next();
+  };
+  const nested = (fn) => {
+    if (++depth > MAX_DEPTH) throw new FilterExpressionError('Expression is nested too deeply', peek().start);
+    const node = fn();
+    depth--;
+    return node;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (accept('or')) node = { type: 'or', left: node, right: parseAnd() };
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (accept('and')) node = { type: 'and', left: node, right: parseNot() };
+    return node;
+  }
+
+  function parseNot() {
+    if (accept('not')) return nested(() => ({ type: 'not', operand: parseNot() }));
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    const token = peek();
+
+    if (['==', '!=', '>', '>=', '<', '<='].includes(token.value) && token.type === 'punct') {
+      next();
+      return { type: 'compare', operator: token.value, left, right: parseOperand() };
+    }
+    if (accept('in')) return { type: 'in', left, right: parseOperand() };
+    if (isToken('not') && tokens[index + 1].value === 'in' && tokens[index + 1].type === 'keyword') {
+      index += 2;
+      return { type: 'not', operand: { type: 'in', left, right: parseOperand() } };
+    }
+    if (accept('contains')) return { type: 'contains', left, right: parseOperand() };
+    if (accept('matches') || accept('=~')) return { type: 'matches', left, regex: parseRegex() };
+    return left;
+  }
+
+  function parseRegex() {
+    const token = next();
+    if (token.type !== 'regex' && token.type !== 'string') {
+      throw new FilterExpressionError('Expected a /regex/ or string pattern', token.start);
+    }
+    const { pattern, flags } = token.type === 'regex' ? token.value : { pattern: token.value, flags: '' };
+    let regex;
+    try {
+      regex = new RegExp(pattern, flags);
+    } catch (err) {
+      throw new FilterExpressionError(`Invalid regex: ${err.message}`, token.start);
+    }
+    const unsafe = findUnsafeRegex(parseRegexAtoms(pattern));
+    if (unsafe) throw new FilterExpressionError(`Regex may backtrack too much: ${unsafe}`, token.start);
+    return regex;
+  }
+
+  function parseOperand() {
+    const token = next();
+
+    if (token.type === 'string' || token.type === 'number') return { type: 'literal', value: token.value };
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      return { type: 'literal', value: { true: true, false: false, null: null }[token.value] };
+    }
+    if (token.value === '-' && peek().type === 'number') return { type: 'literal', value: -next().value };
+    if (token.value === '(' && token.type === 'punct') {
+      const node = nested(parseOr);
+      expect(')');
+      return node;
+    }
+    if (token.value === '[' && token.type === 'punct') {
+      return nested(() => {
+        const items = [];
+        if (!accept(']')) {
+          do items.push(parseOperand());
+          while (accept(','));
+          expect(']');
+        }
+        return { type: 'list', items };
+      });
+    }
+    if (token.type === 'identifier') {
+      if (isToken('(')) return parseCall(token);
+      return parsePath(token);
+    }
+    throw new FilterExpressionError(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`, token.start);
+  }
+
+  function parseCall(token) {
+    const name = token.value.toLowerCase();
+    if (!(name in FUNCTIONS)) {
+      throw new FilterExpressionError(`Unknown function "${token.value}" (available: ${Object.keys(FUNCTIONS).join(', ')})`, token.start);
+    }
+    expect('(');
+    const args = [];
+    if (!accept(')')) {
+      do args.push(nested(parseOr));
+      while (accept(','));
+      expect(')');
+    }
+    if (args.length !== FUNCTIONS[name]) {
+      throw new FilterExpressionError(`${name}() takes ${FUNCTIONS[name]} argument`, token.start);
+    }
+    if (name === 'changed' && (args[0].type !== 'path' || !['new', 'old'].includes(args[0].root))) {
+      throw new FilterExpressionError('changed() takes a field of the item, e.g. changed(status)', token.start);
+    }
+    return { type: 'call', name, args };
+  }
+
+  function parsePath(first) {
+    const segments = [first.value];
+    for (;;) {
+      if (accept('.')) {
+        const token = next();
+        if (token.type !== 'identifier' && token.type !== 'keyword') {
+          throw new FilterExpressionError('Expected a field name after "."', token.start);
+        }
+        segments.push(token.raw);
+      } else if (isToken('[')) {
+        next();
+        const token = next();
+        if (token.type !== 'string' && token.type !== 'number') {
+          throw new FilterExpressionError('Expected a string or number inside [ ]', token.start);
+        }
+        segments.push(String(token.value));
+        expect(']');
+      } else {
+        break;
+      }
+    }
+    // Paths without a known root read from the new item
+    return ROOTS.includes(segments[0])
+      ? { type: 'path', root: segments[0], segments: segments.slice(1) }
+      : { type: 'path', root: 'new', segments };
+  }
+
+  const ast = parseOr();
+  if (peek().type !== 'end') throw new FilterExpressionError(`Unexpected "${peek().value}"`, peek().start);
+  return ast;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function resolve(value, segments) {
+  let cur = value;
+  for (const segment of segments) {
+    if (cur === null || typeof cur !== 'object' || !Object.prototype.hasOwnProperty.call(cur, segment)) return null;
+    cur = cur[segment];
+  }
+  return cur === undefined ? null : cur;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+const asNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+};
+
+function looseEqual(a, b) {
+  if (deepEqual(a, b)) return true;
+  // 5000 == "5000"
+  if (typeof a === 'number' || typeof b === 'number') {
+    const x = asNumber(a);
+    const y = asNumber(b);
+    return x !== null && y !== null && x === y;
+  }
+  return false;
+}
+
+function compare(operator, a, b) {
+  if (operator === '==') return looseEqual(a, b);
+  if (operator === '!=') return !looseEqual(a, b);
+  if (a === null || b === null) return false;
+
+  let x = a;
+  let y = b;
+  if (typeof a === 'number' || typeof b === 'number') {
+    x = asNumber(a);
+    y = asNumber(b);
+    if (x === null || y === null) return false;
+  } else if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+  switch (operator) {
+    case '>': return x > y;
+    case '>=': return x >= y;
+    case '<': return x < y;
+    case '<=': return x <= y;
+    default: return false;
+  }
+}
+
+function evaluate(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'list':
+      return node.items.map(item => evaluate(item, context));
+    case 'path':
+      return resolve(context[node.root], node.segments);
+    case 'and':
+      return Boolean(evaluate(node.left, context)) && Boolean(evaluate(node.right, context));
+    case 'or':
+      return Boolean(evaluate(node.left, context)) || Boolean(evaluate(node.right, context));
+    case 'not':
+      return !evaluate(node.operand, context);
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, context), evaluate(node.right, context));
+    case 'in': {
+      const list = evaluate(node.right, context);
+      const value = evaluate(node.left, context);
+      return Array.isArray(list) && list.some(item => looseEqual(value, item));
+    }
+    case 'contains': {
+      const haystack = evaluate(node.left, context);
+      const needle = evaluate(node.right, context);
+      if (Array.isArray(haystack)) return haystack.some(item => looseEqual(item, needle));
+      return typeof haystack === 'string' && needle !== null && haystack.includes(String(needle));
+    }
+    case 'matches': {
+      const value = evaluate(node.left, context);
+      if (typeof value !== 'string' && typeof value !== 'number') return false;
+      node.regex.lastIndex = 0;
+      return node.regex.test(String(value).slice(0, MAX_REGEX_INPUT));
+    }
+    case 'call':
+      return callFunction(node, context);
+    default:
+      return false;
+  }
+}
+
+function callFunction({ name, args }, context) {
+  if (name === 'changed') {
+    // Same field in old and new, whether the path names old., new. or neither
+    const { segments } = args[0];
+    return !deepEqual(resolve(context.old, segments), resolve(context.new, segments));
+  }
+  const value = evaluate(args[0], context);
+  switch (name) {
+    case 'exists':
+      return value !== null;
+    case 'lower':
+      return typeof value === 'string' ? value.toLowerCase() : value;
+    case 'upper':
+      return typeof value === 'string' ? value.toUpperCase() : value;
+    case 'len':
+      if (typeof value === 'string' || Array.isArray(value)) return value.length;
+      if (value !== null && typeof value === 'object') return Object.keys(value).length;
+      return 0;
+    default:
+      return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+const compiled = new Map();
+const MAX_COMPILED = 500;
+
+/**
+ * Parse an expression. Throws FilterExpressionError (with .position) when invalid.
+ * @returns {{ source: string, test: (event: Object) => boolean }}
+ */
+export function compileFilterExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new FilterExpressionError('Filter expression must be a non-empty string');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new FilterExpressionError(`Filter expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+  if (compiled.has(source)) return compiled.get(source);
+
+  const ast = parse(source);
+  const filter = {
+    source,
+    test: (event) => Boolean(evaluate(ast, buildFilterContext(event)))
+  };
+  if (compiled.size >= MAX_COMPILED) compiled.delete(compiled.keys().next().value);
+  compiled.set(source, filter);
+  return filter;
+}
+
+/**
+ * Values an expression can read from an event
+ */
+export function buildFilterContext(event) {
+  const data = event?.data ?? null;
+  return {
+    event: event ?? null,
+    data,
+    new: data?.new ?? null,
+    old: data?.old ?? null
+  };
+}
+
+/**
+ * Validate an expression. Returns an error message or null.
+ */
+export function validateFilterExpression(source) {
+  try {
+    compileFilterExpression(source);
+    return null;
+  } catch (err) {
+    if (err instanceof FilterExpressionError) return err.message;
+    throw err;
+  }
+}
@@ -0,0 +1,96 @@
+// Delivery retry policies for notification triggers
+//
+// A trigger may carry a retryPolicy:
+//   { maxAttempts, initialDelayMs, backoffMultiplier, maxDelayMs }
+// Missing fields fall back to RETRY_DEFAULTS. maxAttempts counts the first
+// attempt, so { maxAttempts: 1 } (or retryPolicy: false) turns retries off.
+
+export const RETRY_DEFAULTS = {
+  maxAttempts: Math.max(1, parseInt(process.env.NOTIFY_RETRY_MAX_ATTEMPTS || '3')),
+  initialDelayMs: Math.max(0, parseInt(process.env.NOTIFY_RETRY_INITIAL_DELAY_MS || '1000')),
+  backoffMultiplier: 2,
+  maxDelayMs: 30000
+};
+
+const RETRY_LIMITS = {
+  maxAttempts: [1, 10],
+  initialDelayMs: [0, 60000],
+  backoffMultiplier: [1, 10],
+  maxDelayMs: [0, 300000]
+};
+
+// Failures that another attempt cannot fix: the trigger or connection has to change first
+const PERMANENT_ERRORS = new Set([
+  'no_action',
+  'connection_not_found',
+  'unsupported_action_type',
+  'connection_type_mismatch',
+  'unsupported_channel',
+  'invalid_action_config',
+  'invalid_community_config',
+  'invalid_group_config',
+  'no_groups_to_send_to',
+  'no_recipients',
+  'smtp_insecure_auth'
+]);
+
+// Returns an error string for an invalid retryPolicy, or null
+export function validateRetryPolicy(policy) {
+  if (policy === undefined || policy === null || policy === false) return null;
+  if (typeof policy !== 'object' || Array.isArray(policy)) return 'retryPolicy must be an object or false';
+  for (const [key, [min, max]] of Object.entries(RETRY_LIMITS)) {
+    if (policy[key] === undefined) continue;
+    const value = policy[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      return `retryPolicy.${key} must be a number between ${min} and ${max}`;
+    }
+    if (key === 'maxAttempts' && !Number.isInteger(value)) return 'retryPolicy.maxAttempts must be an integer';
+  }
+  const unknown = Object.keys(policy).filter(key => !(key in RETRY_LIMITS));
+  if (unknown.length > 0) return `Unknown retryPolicy fields: ${unknown.join(', ')}`;
+  return null;
+}
+
+export function resolveRetryPolicy(policy) {
+  if (policy === false) return { ...RETRY_DEFAULTS, maxAttempts: 1 };
+  return { ...RETRY_DEFAULTS, ...(policy && typeof policy === 'object' ? policy : {}) };
+}
+
+// Delay before retry number `attempt` (1-based): exponential, capped, with the
+// upper half jittered so failing triggers do not retry in lockstep
+export function retryDelay(policy, attempt) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.initialDelayMs * policy.backoffMultiplier ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Group ids whose send failed in a whapi_group / whapi_community result
+export function failedGroupIds(result) {
+  if (!Array.isArray(result?.results)) return [];
+  return result.results
+    .filter(({ response }) => response?.error || response?.status >= 400)
+    .map(({ groupId }) => groupId);
+}
+
+// Why a delivery failed, or null if it succeeded. WHAPI responses carry the
+// HTTP status without an error field, so 4xx/5xx are turned into whapi_http_N.
+export function deliveryError(result) {
+  if (!result) return null;
+  if (result.error) return result.error;
+  if (result.status >= 400) return `whapi_http_${result.status}`;
+  const failedGroup = Array.isArray(result.results)
+    && result.results.find(({ response }) => response?.error || response?.status >= 400);
+  if (failedGroup) return failedGroup.response.error || `whapi_http_${failedGroup.response.status}`;
+  return null;
+}
+
+// Permanent errors and client-side HTTP errors (other than timeouts and rate
+// limits) are dead-lettered at once instead of being retried
+export function isRetryableError(error) {
+  if (!error || PERMANENT_ERRORS.has(error)) return false;
+  const status = String(error).match(/_http_(\d{3})$/);
+  if (status) {
+    const code = Number(status[1]);
+    return code >= 500 || code === 408 || code === 429;
+  }
+  return true;
+}
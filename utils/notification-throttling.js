@@ -0,0 +1,143 @@
+import { createHash } from 'crypto';
+import { getCacheBackend } from './cache-backend.js';
+import { interpolate } from './notification-channels.js';
+
+// Delivery rules for notification triggers: how often, when, and how many
+// times the same thing may be sent.
+//
+//   rateLimit:  { maxSends, intervalMinutes }
+//   quietHours: { start: "22:00", end: "07:00", timezone: "Asia/Kolkata", mode: "defer" | "drop" }
+//   dedupe:     { keyTemplate: "{{event.tableName}}:{{event.data.new.id}}", windowMinutes }
+//
+// Rate-limit counters and dedupe keys live in the cache backend with a TTL.
+// When it cannot be reached the rules are skipped: sending a notification
+// twice is better than losing it.
+
+const KEY_PREFIX = 'notify:';
+const MINUTE_MS = 60000;
+const DAY_MINUTES = 24 * 60;
+
+const redis = getCacheBackend();
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+const isNumberIn = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+// "HH:MM" -> minutes after midnight, or null
+function parseClock(value) {
+  const match = typeof value === 'string' && value.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Returns an error string for invalid rateLimit / quietHours / dedupe settings, or null
+export function validateDeliveryRules({ rateLimit, quietHours, dedupe } = {}) {
+  if (rateLimit !== undefined && rateLimit !== null) {
+    if (!isObject(rateLimit)) return 'rateLimit must be an object';
+    if (!Number.isInteger(rateLimit.maxSends) || rateLimit.maxSends < 1 || rateLimit.maxSends > 10000) {
+      return 'rateLimit.maxSends must be an integer between 1 and 10000';
+    }
+    if (!isNumberIn(rateLimit.intervalMinutes, 1, DAY_MINUTES)) {
+      return `rateLimit.intervalMinutes must be a number between 1 and ${DAY_MINUTES}`;
+    }
+  }
+  if (quietHours !== undefined && quietHours !== null) {
+    if (!isObject(quietHours)) return 'quietHours must be an object';
+    const start = parseClock(quietHours.start);
+    const end = parseClock(quietHours.end);
+    if (start === null || end === null) return 'quietHours.start and quietHours.end must be "HH:MM" (24-hour)';
+    if (start === end) return 'quietHours.start and quietHours.end must differ';
+    if (!quietHours.timezone || !isTimeZone(quietHours.timezone)) {
+      return 'quietHours.timezone must be an IANA time zone such as "Europe/London"';
+    }
+    if (quietHours.mode !== undefined && !['defer', 'drop'].includes(quietHours.mode)) {
+      return 'quietHours.mode must be "defer" or "drop"';
+    }
+  }
+  if (dedupe !== undefined && dedupe !== null) {
+    if (!isObject(dedupe)) return 'dedupe must be an object';
+    if (typeof dedupe.keyTemplate !== 'string' || !dedupe.keyTemplate.trim()) {
+      return 'dedupe.keyTemplate must be a non-empty string';
+    }
+    if (!isNumberIn(dedupe.windowMinutes, 1, 7 * DAY_MINUTES)) {
+      return `dedupe.windowMinutes must be a number between 1 and ${7 * DAY_MINUTES}`;
+    }
+  }
+  return null;
+}
+
+// Minutes after midnight of `date` on the wall clock of `timeZone`
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+/**
+ * When the quiet hours around `now` end, or null if `now` is not in quiet hours.
+ * Works on the wall clock of the configured time zone, so DST changes move
+ * the quiet hours with the local time.
+ */
+export function quietHoursEnd(quietHours, now = new Date()) {
+  if (!quietHours) return null;
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  const minutes = localMinutes(now, quietHours.timezone);
+  const quiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!quiet) return null;
+
+  const startOfMinute = now.getTime() - (now.getTime() % MINUTE_MS);
+  let endAt = startOfMinute + ((end - minutes + DAY_MINUTES) % DAY_MINUTES) * MINUTE_MS;
+  // A DST change inside the quiet hours shifts the wall clock: correct by the difference
+  const drift = (localMinutes(new Date(endAt), quietHours.timezone) - end + DAY_MINUTES) % DAY_MINUTES;
+  if (drift !== 0) endAt -= (drift > DAY_MINUTES / 2 ? drift - DAY_MINUTES : drift) * MINUTE_MS;
+  return new Date(endAt);
+}
+
+/**
+ * Count a send against the trigger's rate limit (fixed windows of
+ * intervalMinutes). Returns { allowed, count, resetAt }.
+ */
+export async function checkRateLimit(trigger, now = Date.now()) {
+  const { rateLimit } = trigger;
+  if (!rateLimit) return { allowed: true };
+  const intervalMs = rateLimit.intervalMinutes * MINUTE_MS;
+  const window = Math.floor(now / intervalMs);
+  const resetAt = new Date((window + 1) * intervalMs).toISOString();
+  try {
+    const key = `${KEY_PREFIX}rate:${trigger.id}:${window}`;
+    const count = await redis.incr(key);
+    if (count === 1) await redis.expire(key, Math.ceil(intervalMs / 1000) + 60);
+    return { allowed: count <= rateLimit.maxSends, count, resetAt };
+  } catch (err) {
+    console.warn(`[Backend] Rate limit check skipped for trigger ${trigger.name}:`, err.message);
+    return { allowed: true };
+  }
+}
+
+/**
+ * Claim the event's dedupe key for the trigger's dedupe window.
+ * Returns { duplicate, key } where key is the rendered keyTemplate.
+ */
+export async function claimDedupeKey(trigger, event) {
+  const { dedupe } = trigger;
+  if (!dedupe) return { duplicate: false };
+  const key = interpolate(dedupe.keyTemplate, { trigger, event });
+  try {
+    const digest = createHash('sha256').update(key).digest('hex').slice(0, 32);
+    const claimed = await redis.set(`${KEY_PREFIX}dedupe:${trigger.id}:${digest}`, new Date().toISOString(),
+      'PX', Math.round(dedupe.windowMinutes * MINUTE_MS), 'NX');
+    return { duplicate: claimed === null, key };
+  } catch (err) {
+    console.warn(`[Backend] Dedupe check skipped for trigger ${trigger.name}:`, err.message);
+    return { duplicate: false, key };
+  }
+}
@@ -1,15 +1,43 @@
 import { v4 as uuidv4 } from 'uuid';
 import axios from 'axios';
-
-// Simple Notifications Service using DynamoDB and WHAPI
+import {
+  CONNECTION_TYPES,
+  ACTION_CONNECTION_TYPES,
+  interpolate,
+  normalizeConnectionFields,
+  validateChannelAction,
+  renderChannelAction,
+  sendChannelMessage,
+  redactConnection
+} from './notification-channels.js';
+import { compileFilterExpression, validateFilterExpression } from './notification-filters.js';
+import {
+  validateRetryPolicy,
+  resolveRetryPolicy,
+  retryDelay,
+  failedGroupIds,
+  deliveryError,
+  isRetryableError
+} from './notification-retries.js';
+import { DIGEST_DEFAULTS, validateDigest, resolveDigest, compactEvent, eventBytes, buildDigestEvent } from './notification-digests.js';
+import { validateDeliveryRules, quietHoursEnd, checkRateLimit, claimDedupeKey } from './notification-throttling.js';
+
+// Simple Notifications Service using DynamoDB, WHAPI, SMTP, Slack and webhooks
 // Tables used (must exist or will be created on demand if permitted by IAM):
 // - brmh-notify-connections
 // - brmh-notify-triggers
 // - brmh-notify-logs
+// - brmh-notify-failed (notifications still undelivered after their retries)
+// - brmh-notify-digests (events collected by digest triggers, one batch per trigger)
+// - brmh-notify-deferred (events held back by quiet hours)
 
 const CONNECTIONS_TABLE = process.env.NOTIFY_CONNECTIONS_TABLE || 'brmh-notify-connections';
 const TRIGGERS_TABLE = process.env.NOTIFY_TRIGGERS_TABLE || 'brmh-notify-triggers';
 const LOGS_TABLE = process.env.NOTIFY_LOGS_TABLE || 'brmh-notify-logs';
+const FAILED_TABLE = process.env.NOTIFY_FAILED_TABLE || 'brmh-notify-failed';
+const DIGESTS_TABLE = process.env.NOTIFY_DIGESTS_TABLE || 'brmh-notify-digests';
+const DEFERRED_TABLE = process.env.NOTIFY_DEFERRED_TABLE || 'brmh-notify-deferred';
+const SCHEDULER_TICK_MS = parseInt(process.env.NOTIFY_DIGEST_TICK_MS || '30000');
 
 let documentClientRef = null;
 let lowClientRef = null;
@@ -79,6 +107,20 @@ async function createLogEntry(entry) {
   return logItem;
 }
 
+// Full scan, following pagination
+async function scanAll(tableName) {
+  assertDocClient();
+  const { ScanCommand } = await import('@aws-sdk/lib-dynamodb');
+  const items = [];
+  let lastKey;
+  do {
+    const res = await documentClientRef.send(new ScanCommand({ TableName: tableName, ExclusiveStartKey: lastKey }));
+    items.push(...(res.Items || []));
+    lastKey = res.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
 async function getConnection(connectionId) {
   assertDocClient();
   const { GetCommand } = await import('@aws-sdk/lib-dynamodb');
@@ -111,6 +153,42 @@ async function getTriggerByName(name) {
   return items.find(t => t.name === name) || null;
 }
 
+async function getFailedNotification(id) {
+  assertDocClient();
+  const { GetCommand } = await import('@aws-sdk/lib-dynamodb');
+  const res = await documentClientRef.send(new GetCommand({ TableName: FAILED_TABLE, Key: { id } }));
+  return res.Item || null;
+}
+
+async function deleteFailedNotification(id) {
+  assertDocClient();
+  const { DeleteCommand } = await import('@aws-sdk/lib-dynamodb');
+  await documentClientRef.send(new DeleteCommand({ TableName: FAILED_TABLE, Key: { id } }));
+}
+
+// Failed notifications, oldest first
+async function listFailedNotifications({ triggerId, eventType } = {}) {
+  const items = await scanAll(FAILED_TABLE);
+  return items
+    .filter(item => (!triggerId || item.triggerId === triggerId) && (!eventType || item.eventType === eventType))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Failed notifications selected by { ids } or by { triggerId, eventType }
+async function selectFailedNotifications({ ids, triggerId, eventType } = {}) {
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+      throw Object.assign(new Error('ids must be a non-empty array of failed notification ids'), { status: 400 });
+    }
+    const items = await Promise.all(ids.map(getFailedNotification));
+    return { items: items.filter(Boolean), notFound: ids.filter((id, i) => !items[i]) };
+  }
+  if (!triggerId && !eventType) {
+    throw Object.assign(new Error('ids, triggerId or eventType is required'), { status: 400 });
+  }
+  return { items: await listFailedNotifications({ triggerId, eventType }), notFound: [] };
+}
+
 async function sendWhapiMessage(connection, payload) {
   const baseUrl = connection.baseUrl || 'https://gate.whapi.cloud';
   const token = connection.token;
@@ -181,36 +259,146 @@ function matchFilters(filters, event) {
     if (filters.method && String(filters.method).toUpperCase() !== String(event.method || '').toUpperCase()) return false;
     if (filters.pathContains && !(event.path || '').includes(filters.pathContains)) return false;
     if (filters.resource && filters.resource !== event.resource) return false;
+    // expression over event.data (see utils/notification-filters.js)
+    if (filters.expression && !compileFilterExpression(filters.expression).test(event)) return false;
     return true;
-  } catch {
+  } catch (err) {
+    console.warn('[Backend] Filter evaluation failed:', err.message);
     return false;
   }
 }
 
-async function executeAction(trigger, event) {
+// Returns an error string for invalid filters, or null
+function validateFilters(filters) {
+  if (filters === undefined || filters === null) return null;
+  if (typeof filters !== 'object' || Array.isArray(filters)) return 'filters must be an object';
+  if (filters.expression === undefined || filters.expression === '') return null;
+  const error = validateFilterExpression(filters.expression);
+  return error ? `Invalid filter expression: ${error}` : null;
+}
+
+// dryRun runs the action as if its connection were in testMode: the message is
+// rendered and returned but not sent
+async function executeAction(trigger, event, { dryRun = false } = {}) {
   const { action, connectionId } = trigger;
   console.log(`[Backend] executeAction for trigger ${trigger.name}:`, { action, connectionId });
   
   if (!action) return { skipped: true, reason: 'no_action' };
 
-  const connection = await getConnection(connectionId);
-  console.log(`[Backend] Connection found:`, connection ? { id: connection.id, name: connection.name, testMode: connection.testMode } : 'null');
+  let connection = await getConnection(connectionId);
+  console.log(`[Backend] Connection found:`, connection ? { id: connection.id, name: connection.name, type: connection.type || 'whapi', testMode: connection.testMode } : 'null');
   if (!connection) return { error: 'connection_not_found' };
+  if (dryRun) connection = { ...connection, testMode: true };
+
+  const actionType = action.type || 'whapi';
+  const connectionType = connection.type || 'whapi';
+  if (!ACTION_CONNECTION_TYPES[actionType]) return { error: 'unsupported_action_type', actionType };
+  if (ACTION_CONNECTION_TYPES[actionType] !== connectionType) {
+    return { error: 'connection_type_mismatch', actionType, connectionType };
+  }
 
   // Handle different action types
-  switch (action.type) {
+  switch (actionType) {
     case 'whapi_message':
+    case 'whapi':
       return await executeWhapiMessage(connection, action, event, trigger);
     case 'whapi_community':
       return await executeWhapiCommunity(connection, action, event, trigger);
     case 'whapi_group':
       return await executeWhapiGroup(connection, action, event, trigger);
-    case 'whapi':
-    default:
-      return await executeWhapiMessage(connection, action, event, trigger);
+    default: {
+      const message = renderChannelAction(connection, action, event, trigger);
+      const response = await sendChannelMessage(connection, message);
+      console.log(`[Backend] ${message.channel} response:`, { status: response.status, error: response.error, testMode: response.testMode });
+      return response;
+    }
+  }
+}
+
+// Run a trigger's action under its retry policy. Every attempt is recorded in
+// `attempts`; group sends are retried for the failed groups only, and
+// `trigger` comes back narrowed to the groups still undelivered.
+async function deliverWithRetries(trigger, event) {
+  const policy = resolveRetryPolicy(trigger.retryPolicy);
+  const attempts = [];
+  let current = trigger;
+  for (let attempt = 1; ; attempt++) {
+    const at = new Date().toISOString();
+    let result;
+    try {
+      result = await executeAction(current, event);
+    } catch (err) {
+      result = { error: 'delivery_exception', message: err.message };
+    }
+    const error = deliveryError(result);
+    const record = { attempt, at, status: error ? 'error' : 'ok', ...(error && { error }) };
+    attempts.push(record);
+    if (!error) return { result, attempts, trigger: current };
+
+    const pendingGroups = failedGroupIds(result);
+    if (pendingGroups.length > 0) {
+      current = { ...current, action: { ...current.action, groupIds: pendingGroups } };
+    }
+    if (attempt >= policy.maxAttempts || !isRetryableError(error)) {
+      return { result, attempts, error, trigger: current };
+    }
+    record.retryInMs = retryDelay(policy, attempt);
+    console.warn(`[Backend] Trigger ${trigger.name} failed on attempt ${attempt}/${policy.maxAttempts} (${error}), retrying in ${record.retryInMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, record.retryInMs));
+  }
+}
+
+// Keep an undelivered notification for inspection and replay via /notify/failed
+async function recordFailedNotification({ id, trigger, delivered, event, logId }) {
+  const now = new Date().toISOString();
+  const groupIds = failedGroupIds(delivered.result);
+  const item = {
+    id,
+    triggerId: trigger.id,
+    triggerName: trigger.name,
+    connectionId: trigger.connectionId,
+    eventType: event.type,
+    event,
+    error: delivered.error,
+    result: delivered.result,
+    attempts: delivered.attempts.length,
+    history: delivered.attempts,
+    ...(groupIds.length > 0 && { pendingGroupIds: groupIds }),
+    replayCount: 0,
+    logId,
+    namespaceTags: trigger.namespaceTags || [],
+    createdAt: now,
+    updatedAt: now
+  };
+  try {
+    await putItem(FAILED_TABLE, item);
+    console.error(`[Backend] Trigger ${trigger.name} failed after ${item.attempts} attempt(s), stored as failed notification ${id}`);
+  } catch (err) {
+    // Last resort: the log line is all that is left of this notification
+    console.error(`[Backend] Failed to store failed notification for trigger ${trigger.name}:`, err.message, { event, error: delivered.error });
+  }
+}
+
+// Send a failed notification again, once, with the trigger's current settings
+async function replayFailedNotification(item) {
+  const trigger = await getTriggerById(item.triggerId);
+  if (!trigger) return { error: 'trigger_not_found' };
+  const action = item.pendingGroupIds ? { ...trigger.action, groupIds: item.pendingGroupIds } : trigger.action;
+  try {
+    return await executeAction({ ...trigger, action }, item.event);
+  } catch (err) {
+    return { error: 'delivery_exception', message: err.message };
   }
 }
 
+// Reject triggers whose action cannot run: unknown type, missing fields, or a
+// connection of another type. Returns an error string or null.
+async function validateTriggerAction(action, connectionId) {
+  const connection = await getConnection(connectionId);
+  if (!connection) return `Connection ${connectionId} not found`;
+  return validateChannelAction(action, connection);
+}
+
 async function executeWhapiMessage(connection, action, event, trigger) {
   const to = action.to || (event?.recipient || null);
   
@@ -250,7 +438,8 @@ async function executeWhapiCommunity(connection, action, event, trigger) {
   for (const groupId of groupIds) {
     const payload = { to: groupId, body: text };
     console.log(`[Backend] Sending community message to group ${groupId}:`, { bodyLength: text.length, testMode: connection.testMode, customMessage: !!customMessage });
-    const response = await sendWhapiMessage(connection, payload);
+    const response = await sendWhapiMessage(connection, payload)
+      .catch(err => ({ error: 'whapi_send_failed', message: err.message }));
     results.push({ groupId, response });
   }
   
@@ -274,23 +463,307 @@ async function executeWhapiGroup(connection, action, event, trigger) {
   for (const groupId of groupIds) {
     const payload = { to: groupId, body: text };
     console.log(`[Backend] Sending group message to ${groupId}:`, { bodyLength: text.length, testMode: connection.testMode, customMessage: !!customMessage });
-    const response = await sendWhapiMessage(connection, payload);
+    const response = await sendWhapiMessage(connection, payload)
+      .catch(err => ({ error: 'whapi_send_failed', message: err.message }));
     results.push({ groupId, response });
   }
   
   return { groupIds, results };
 }
 
-function interpolate(template, context) {
-  return String(template).replace(/\{\{\s*([^}]+)\s*\}\}/g, (_, path) => {
-    const parts = path.split('.');
-    let cur = context;
-    for (const p of parts) {
-      if (cur && Object.prototype.hasOwnProperty.call(cur, p)) cur = cur[p];
-      else return '';
-    }
-    return cur == null ? '' : String(cur);
+const summarizeEvent = (event) => ({
+  method: event.method,
+  path: event.path,
+  tableName: event.tableName,
+  resource: event.resource
+});
+
+// Record an event a trigger did not send because of its delivery rules
+async function logSuppressed(trig, event, reason, details = {}) {
+  console.log(`[Backend] Trigger ${trig.name} suppressed (${reason})`);
+  return await createLogEntry({
+    kind: 'trigger_suppressed',
+    triggerId: trig.id,
+    eventType: event.type,
+    status: 'suppressed',
+    reason,
+    ...details,
+    namespaceTags: trig.namespaceTags || [],
+    eventSummary: summarizeEvent(event)
+  });
+}
+
+// Deliver one event for a trigger (with retries), log it and keep it if it failed
+async function deliverAndLog(trig, event, logFields = {}) {
+  console.log(`[Backend] Executing action for trigger: ${trig.name}`);
+  const delivered = await deliverWithRetries(trig, event);
+  console.log(`[Backend] Action result for ${trig.name}:`, delivered.result);
+  const failedId = delivered.error ? uuidv4() : undefined;
+  const log = await createLogEntry({
+    kind: 'trigger_execution',
+    triggerId: trig.id,
+    eventType: event.type,
+    status: delivered.error ? 'error' : 'ok',
+    result: delivered.result,
+    attempts: delivered.attempts,
+    attemptCount: delivered.attempts.length,
+    failedId,
+    ...logFields,
+    namespaceTags: trig.namespaceTags || [],
+    eventSummary: summarizeEvent(event)
   });
+  if (failedId) {
+    await recordFailedNotification({ id: failedId, trigger: delivered.trigger, delivered, event, logId: log.id });
+  }
+  return { ...delivered, log };
+}
+
+// Send unless the trigger's rate limit is used up; over the limit the event is
+// dropped and logged as suppressed
+async function sendUnderRateLimit(trig, event, logFields = {}) {
+  const rate = await checkRateLimit(trig);
+  if (!rate.allowed) {
+    return await logSuppressed(trig, event, 'rate_limit', {
+      rateLimit: { ...trig.rateLimit, count: rate.count, resetAt: rate.resetAt },
+      ...logFields
+    });
+  }
+  return await deliverAndLog(trig, event, logFields);
+}
+
+// Hold an event until the trigger's quiet hours end
+async function deferEvent(trig, event, sendAt) {
+  const now = new Date().toISOString();
+  const item = await putItem(DEFERRED_TABLE, {
+    id: uuidv4(),
+    triggerId: trig.id,
+    triggerName: trig.name,
+    eventType: event.type,
+    event,
+    sendAt: sendAt.toISOString(),
+    namespaceTags: trig.namespaceTags || [],
+    createdAt: now
+  });
+  console.log(`[Backend] Trigger ${trig.name} is in quiet hours, deferred until ${item.sendAt}`);
+  await createLogEntry({
+    kind: 'trigger_deferred',
+    triggerId: trig.id,
+    eventType: event.type,
+    status: 'deferred',
+    reason: 'quiet_hours',
+    deferredId: item.id,
+    sendAt: item.sendAt,
+    namespaceTags: trig.namespaceTags || [],
+    eventSummary: summarizeEvent(event)
+  });
+  return item;
+}
+
+// Send deferred events whose quiet hours are over. Each is removed before it is
+// sent, so it goes out once even with several instances running.
+async function sendDueDeferred() {
+  const { DeleteCommand } = await import('@aws-sdk/lib-dynamodb');
+  const now = new Date().toISOString();
+  const due = (await scanAll(DEFERRED_TABLE))
+    .filter(item => item.sendAt <= now)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const { id } of due) {
+    try {
+      const res = await documentClientRef.send(new DeleteCommand({ TableName: DEFERRED_TABLE, Key: { id }, ReturnValues: 'ALL_OLD' }));
+      const item = res.Attributes;
+      if (!item) continue;
+      const trigger = await getTriggerById(item.triggerId);
+      if (!trigger || trigger.active === false) {
+        await logSuppressed(trigger || { id: item.triggerId, name: item.triggerName }, item.event,
+          trigger ? 'trigger_inactive' : 'trigger_not_found', { deferredId: id });
+        continue;
+      }
+      // The quiet hours may have been moved since the event was deferred
+      const stillQuiet = quietHoursEnd(trigger.quietHours);
+      if (stillQuiet) {
+        await putItem(DEFERRED_TABLE, { ...item, sendAt: stillQuiet.toISOString() });
+        continue;
+      }
+      await sendUnderRateLimit(trigger, item.event, { deferredId: id, deferredAt: item.createdAt });
+    } catch (err) {
+      console.error(`[Backend] Sending deferred notification ${id} failed:`, err.message);
+    }
+  }
+}
+
+// Move the flush time of a trigger's open digest batch
+async function postponeDigest(triggerId, until) {
+  const { UpdateCommand } = await import('@aws-sdk/lib-dynamodb');
+  try {
+    await documentClientRef.send(new UpdateCommand({
+      TableName: DIGESTS_TABLE,
+      Key: { id: triggerId },
+      UpdateExpression: 'SET flushAt = :until',
+      ConditionExpression: 'attribute_exists(id)',
+      ExpressionAttributeValues: { ':until': until }
+    }));
+  } catch (err) {
+    // Already flushed: nothing to postpone
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  }
+}
+
+// Add an event to the trigger's open digest batch, opening one if needed.
+// The update is atomic, so concurrent events all land in the same batch.
+// Returns null, without adding the event, when it would take the batch past
+// MAX_BATCH_BYTES.
+async function collectDigestEvent(trig, settings, event) {
+  assertDocClient();
+  const { UpdateCommand } = await import('@aws-sdk/lib-dynamodb');
+  const now = new Date();
+  const collected = cleanItem(compactEvent(event, now.toISOString()));
+  const size = eventBytes(collected);
+  try {
+    const res = await documentClientRef.send(new UpdateCommand({
+      TableName: DIGESTS_TABLE,
+      Key: { id: trig.id },
+      UpdateExpression: 'SET #events = list_append(if_not_exists(#events, :empty), :event), #count = if_not_exists(#count, :zero) + :one, '
+        + '#bytes = if_not_exists(#bytes, :zero) + :size, '
+        + 'triggerId = :triggerId, openedAt = if_not_exists(openedAt, :now), flushAt = if_not_exists(flushAt, :flushAt), updatedAt = :now',
+      ConditionExpression: 'attribute_not_exists(#bytes) OR #bytes <= :room',
+      ExpressionAttributeNames: { '#events': 'events', '#count': 'eventCount', '#bytes': 'eventBytes' },
+      ExpressionAttributeValues: {
+        ':empty': [],
+        ':event': [collected],
+        ':zero': 0,
+        ':one': 1,
+        ':size': size,
+        ':room': DIGEST_DEFAULTS.MAX_BATCH_BYTES - size,
+        ':triggerId': trig.id,
+        ':now': now.toISOString(),
+        ':flushAt': new Date(now.getTime() + settings.windowMinutes * 60000).toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return res.Attributes;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return null;
+    throw err;
+  }
+}
+
+// Take a trigger's open batch (if any) and send it as one digest message.
+// The batch is removed before sending, so a batch is only ever flushed once.
+// During quiet hours, or with the rate limit used up, the batch is kept and
+// its flush moved to when sending is allowed again; a manual flush sends anyway.
+async function flushDigest(triggerId, reason) {
+  assertDocClient();
+  const { DeleteCommand } = await import('@aws-sdk/lib-dynamodb');
+  if (reason !== 'manual') {
+    const trigger = await getTriggerById(triggerId);
+    const quietUntil = trigger && quietHoursEnd(trigger.quietHours);
+    if (quietUntil) {
+      await postponeDigest(triggerId, quietUntil.toISOString());
+      return { deferred: true, reason: 'quiet_hours', flushAt: quietUntil.toISOString() };
+    }
+    const rate = trigger ? await checkRateLimit(trigger) : { allowed: true };
+    if (!rate.allowed) {
+      await postponeDigest(triggerId, rate.resetAt);
+      return { deferred: true, reason: 'rate_limit', flushAt: rate.resetAt };
+    }
+  }
+  const res = await documentClientRef.send(new DeleteCommand({
+    TableName: DIGESTS_TABLE,
+    Key: { id: triggerId },
+    ReturnValues: 'ALL_OLD'
+  }));
+  const batch = res.Attributes;
+  if (!batch?.events?.length) return null;
+
+  const digestFields = { count: batch.events.length, openedAt: batch.openedAt, reason };
+  const trigger = await getTriggerById(triggerId);
+  if (!trigger) {
+    console.warn(`[Backend] Dropping digest of ${batch.events.length} events: trigger ${triggerId} no longer exists`);
+    await createLogEntry({ kind: 'digest_dropped', triggerId, status: 'error', error: 'trigger_not_found', digest: digestFields });
+    return { error: 'trigger_not_found', digest: digestFields };
+  }
+
+  console.log(`[Backend] Flushing digest of ${batch.events.length} events for trigger ${trigger.name} (${reason})`);
+  const delivered = await deliverAndLog(trigger, buildDigestEvent(trigger, batch.events), { digest: digestFields });
+  return { ...delivered.result, ...(delivered.error && { error: delivered.error }), digest: digestFields, logId: delivered.log.id };
+}
+
+async function runTrigger(trig, event) {
+  try {
+    console.log(`[Backend] Processing trigger: ${trig.name} (${trig.id})`);
+    if (!matchFilters(trig.filters, event)) {
+      console.log(`[Backend] Trigger ${trig.name} filtered out`);
+      return;
+    }
+    const quietUntil = quietHoursEnd(trig.quietHours);
+    if (quietUntil && trig.quietHours.mode === 'drop') {
+      await logSuppressed(trig, event, 'quiet_hours', { quietUntil: quietUntil.toISOString() });
+      return;
+    }
+    const dedupe = await claimDedupeKey(trig, event);
+    if (dedupe.duplicate) {
+      await logSuppressed(trig, event, 'duplicate', { dedupeKey: dedupe.key, windowMinutes: trig.dedupe.windowMinutes });
+      return;
+    }
+    // Digest batches check quiet hours and the rate limit when they are flushed
+    const digest = resolveDigest(trig);
+    if (!digest) {
+      if (quietUntil) await deferEvent(trig, event, quietUntil);
+      else await sendUnderRateLimit(trig, event);
+      return;
+    }
+    let batch = await collectDigestEvent(trig, digest, event);
+    if (!batch) {
+      // The batch is full: send it and start a new one with this event
+      const flushed = await flushDigest(trig.id, 'max_bytes');
+      batch = flushed?.deferred ? null : await collectDigestEvent(trig, digest, event);
+      if (!batch) {
+        // The full batch has to wait (quiet hours, rate limit): handle the event on its own
+        console.warn(`[Backend] Digest batch of trigger ${trig.name} is full and cannot be sent yet, handling the event on its own`);
+        if (quietUntil) await deferEvent(trig, event, quietUntil);
+        else await sendUnderRateLimit(trig, event);
+        return;
+      }
+    }
+    console.log(`[Backend] Trigger ${trig.name} collected event ${batch.eventCount} for its digest (due ${batch.flushAt})`);
+    if (batch.eventCount >= digest.maxEvents) {
+      await flushDigest(trig.id, 'max_events');
+    }
+  } catch (err) {
+    console.error(`[Backend] Trigger ${trig.name} error:`, err);
+    await createLogEntry({ kind: 'notify_error', triggerId: trig.id, error: err.message, stack: err.stack, event }).catch(() => {});
+  }
+}
+
+// Send every digest batch whose window has passed
+async function flushDueDigests() {
+  const now = new Date().toISOString();
+  const due = (await scanAll(DIGESTS_TABLE)).filter(batch => batch.flushAt <= now);
+  for (const batch of due) {
+    try {
+      await flushDigest(batch.id, 'window');
+    } catch (err) {
+      console.error(`[Backend] Digest flush failed for trigger ${batch.id}:`, err.message);
+    }
+  }
+}
+
+// Periodically send due digest batches and deferred events
+let notificationSchedulerBusy = false;
+function startNotificationScheduler() {
+  const notificationSchedulerTimer = setInterval(async () => {
+    if (notificationSchedulerBusy) return;
+    notificationSchedulerBusy = true;
+    try {
+      await flushDueDigests();
+      await sendDueDeferred();
+    } catch (err) {
+      console.error('[Backend] Notification scheduler tick failed:', err.message);
+    } finally {
+      notificationSchedulerBusy = false;
+    }
+  }, SCHEDULER_TICK_MS);
+  notificationSchedulerTimer.unref();
 }
 
 export async function notifyEvent(event) {
@@ -306,30 +779,8 @@ export async function notifyEvent(event) {
     
     const triggers = await listTriggersByEvent(event.type);
     console.log(`[Backend] Found ${triggers.length} triggers for event type: ${event.type}`);
-    for (const trig of triggers) {
-      console.log(`[Backend] Processing trigger: ${trig.name} (${trig.id})`);
-      if (!matchFilters(trig.filters, event)) {
-        console.log(`[Backend] Trigger ${trig.name} filtered out`);
-        continue;
-      }
-      console.log(`[Backend] Executing action for trigger: ${trig.name}`);
-      const result = await executeAction(trig, event);
-      console.log(`[Backend] Action result for ${trig.name}:`, result);
-      await createLogEntry({
-        kind: 'trigger_execution',
-        triggerId: trig.id,
-        eventType: event.type,
-        status: result?.error ? 'error' : 'ok',
-        result,
-        namespaceTags: trig.namespaceTags || [],
-        eventSummary: {
-          method: event.method,
-          path: event.path,
-          tableName: event.tableName,
-          resource: event.resource
-        }
-      });
-    }
+    // Triggers run side by side so one trigger's retries do not hold up the others
+    await Promise.all(triggers.map(trig => runTrigger(trig, event)));
   } catch (err) {
     console.error('[Backend] notifyEvent error:', err);
     await createLogEntry({ kind: 'notify_error', error: err.message, stack: err.stack, event });
@@ -338,6 +789,7 @@ export async function notifyEvent(event) {
 
 export function registerNotificationRoutes(app, docClient) {
   documentClientRef = docClient;
+  startNotificationScheduler();
 
   // Also keep a low-level client for table management
   (async () => {
@@ -364,28 +816,39 @@ export function registerNotificationRoutes(app, docClient) {
       ensureTable(CONNECTIONS_TABLE).catch(() => {});
       ensureTable(TRIGGERS_TABLE).catch(() => {});
       ensureTable(LOGS_TABLE).catch(() => {});
+      ensureTable(FAILED_TABLE).catch(() => {});
+      ensureTable(DIGESTS_TABLE).catch(() => {});
+      ensureTable(DEFERRED_TABLE).catch(() => {});
     } catch {}
   })();
 
-  // Create or update a WHAPI connection
+  // Create a connection (whapi, smtp, slack or webhook)
   app.post('/notify/connection', async (req, res) => {
     try {
-      const { name, baseUrl, token, testMode = false, metadata = {} } = req.body || {};
-      if (!name || !token) {
-        return res.status(400).json({ success: false, error: 'name and token are required' });
+      const { name, type = 'whapi', testMode = false, metadata = {} } = req.body || {};
+      if (!name) {
+        return res.status(400).json({ success: false, error: 'name is required' });
+      }
+      if (!CONNECTION_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `type must be one of ${CONNECTION_TYPES.join(', ')}` });
+      }
+      const { fields, error } = normalizeConnectionFields(type, req.body);
+      if (error) {
+        return res.status(400).json({ success: false, error });
       }
       const item = {
         id: uuidv4(),
         name,
-        baseUrl: baseUrl || 'https://gate.whapi.cloud',
-        token,
+        type,
+        ...fields,
         testMode: !!testMode,
         metadata,
         createdAt: new Date().toISOString()
       };
       await putItem(CONNECTIONS_TABLE, item);
-      await createLogEntry({ kind: 'connection_saved', connectionId: item.id, name: item.name });
-      res.json({ success: true, connectionId: item.id });
+      await createLogEntry({ kind: 'connection_saved', connectionId: item.id, name: item.name, connectionType: type });
+      // A generated webhook secret is only returned here
+      res.json({ success: true, connectionId: item.id, ...(type === 'webhook' && !req.body.secret && { secret: item.secret }) });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
@@ -395,7 +858,7 @@ export function registerNotificationRoutes(app, docClient) {
   app.get('/notify/connections', async (_req, res) => {
     try {
       const items = await listConnections();
-      res.json({ success: true, items });
+      res.json({ success: true, items: items.map(redactConnection) });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
@@ -404,10 +867,30 @@ export function registerNotificationRoutes(app, docClient) {
   // Create a trigger
   app.post('/notify/trigger', async (req, res) => {
     try {
-      const { name, eventType, filters = {}, action, connectionId, active = true, namespaceTags = [] } = req.body || {};
+      const { name, eventType, filters = {}, action, connectionId, retryPolicy, digest, rateLimit, quietHours, dedupe, active = true, namespaceTags = [] } = req.body || {};
       if (!name || !eventType || !action || !connectionId) {
         return res.status(400).json({ success: false, error: 'name, eventType, action, connectionId are required' });
       }
+      const filtersError = validateFilters(filters);
+      if (filtersError) {
+        return res.status(400).json({ success: false, error: filtersError });
+      }
+      const retryPolicyError = validateRetryPolicy(retryPolicy);
+      if (retryPolicyError) {
+        return res.status(400).json({ success: false, error: retryPolicyError });
+      }
+      const digestError = validateDigest(digest);
+      if (digestError) {
+        return res.status(400).json({ success: false, error: digestError });
+      }
+      const rulesError = validateDeliveryRules({ rateLimit, quietHours, dedupe });
+      if (rulesError) {
+        return res.status(400).json({ success: false, error: rulesError });
+      }
+      const actionError = await validateTriggerAction(action, connectionId);
+      if (actionError) {
+        return res.status(400).json({ success: false, error: actionError });
+      }
       const item = {
         id: uuidv4(),
         name,
@@ -415,6 +898,11 @@ export function registerNotificationRoutes(app, docClient) {
         filters,
         action,
         connectionId,
+        retryPolicy,
+        digest,
+        rateLimit,
+        quietHours,
+        dedupe,
         namespaceTags: Array.isArray(namespaceTags) ? namespaceTags : [],
         active,
         createdAt: new Date().toISOString()
@@ -457,11 +945,39 @@ export function registerNotificationRoutes(app, docClient) {
     }
   });
 
-  // Test fire triggers by eventType
+  // Test fire triggers by eventType, or test-send one action:
+  // { triggerId, event?, dryRun? } or { connectionId, action, eventType?, event?, dryRun? }
   app.post('/notify/test', async (req, res) => {
     try {
-      const { eventType, event = {} } = req.body || {};
-      console.log('[Backend] Test fire request:', { eventType, event });
+      const { eventType, event = {}, triggerId, connectionId, action, dryRun = false } = req.body || {};
+      console.log('[Backend] Test fire request:', { eventType, event, triggerId, connectionId, dryRun });
+
+      if (triggerId || action) {
+        let trigger;
+        if (triggerId) {
+          trigger = await getTriggerById(triggerId) || await getTriggerByName(triggerId);
+          if (!trigger) return res.status(404).json({ success: false, error: 'Trigger not found' });
+        } else {
+          if (!connectionId) return res.status(400).json({ success: false, error: 'connectionId is required with action' });
+          const actionError = await validateTriggerAction(action, connectionId);
+          if (actionError) return res.status(400).json({ success: false, error: actionError });
+          trigger = { id: 'test-send', name: 'test-send', eventType: eventType || 'test', action, connectionId };
+        }
+
+        const testEvent = { type: eventType || trigger.eventType, method: 'TEST', resource: 'test', ...event };
+        const result = await executeAction(trigger, testEvent, { dryRun: !!dryRun });
+        const log = await createLogEntry({
+          kind: 'test_send',
+          triggerId: trigger.id,
+          eventType: testEvent.type,
+          status: result?.error ? 'error' : 'ok',
+          dryRun: !!dryRun,
+          result,
+          namespaceTags: trigger.namespaceTags || []
+        });
+        return res.json({ success: !result?.error, dryRun: !!dryRun, result, log });
+      }
+
       if (!eventType) return res.status(400).json({ success: false, error: 'eventType is required' });
       const payload = { type: eventType, ...event };
       console.log('[Backend] Calling notifyEvent with payload:', payload);
@@ -477,7 +993,7 @@ export function registerNotificationRoutes(app, docClient) {
   // Logs with enhanced filtering and pagination
   app.get('/notify/logs', async (req, res) => {
     try {
-      const { namespace, level, eventType, tableName, limit = 200, startTime, endTime } = req.query;
+      const { namespace, level, reason, eventType, tableName, triggerId, failedId, limit = 200, startTime, endTime } = req.query;
       let items = await scanTable(LOGS_TABLE, parseInt(limit));
       
       // Filter by namespace if provided
@@ -494,11 +1010,24 @@ export function registerNotificationRoutes(app, docClient) {
         items = items.filter(item => item.status === level);
       }
       
+      // Filter by why an event was suppressed or deferred
+      if (reason) {
+        items = items.filter(item => item.reason === reason);
+      }
+      
       // Filter by event type
       if (eventType) {
         items = items.filter(item => item.eventType === eventType);
       }
       
+      // Filter by trigger, or by failed notification (its first delivery and every replay)
+      if (triggerId) {
+        items = items.filter(item => item.triggerId === triggerId);
+      }
+      if (failedId) {
+        items = items.filter(item => item.failedId === failedId);
+      }
+      
       // Filter by table name
       if (tableName) {
         items = items.filter(item => 
@@ -521,13 +1050,155 @@ export function registerNotificationRoutes(app, docClient) {
         success: true, 
         items, 
         count: items.length,
-        filters: { namespace, level, eventType, tableName, startTime, endTime }
+        filters: { namespace, level, reason, eventType, tableName, triggerId, failedId, startTime, endTime }
       });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
   });
 
+  // Notifications still undelivered after their retries, oldest first
+  // (registered before /notify/:key, which would otherwise match /notify/failed)
+  app.get('/notify/failed', async (req, res) => {
+    try {
+      const { triggerId, eventType, limit = 100 } = req.query;
+      const max = Number(limit);
+      if (!Number.isInteger(max) || max < 1 || max > 1000) {
+        return res.status(400).json({ success: false, error: 'limit must be an integer between 1 and 1000' });
+      }
+      const items = await listFailedNotifications({ triggerId, eventType });
+      res.json({ success: true, items: items.slice(0, max), count: Math.min(items.length, max), total: items.length });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/notify/failed/:failedId', async (req, res) => {
+    try {
+      const item = await getFailedNotification(req.params.failedId);
+      if (!item) return res.status(404).json({ success: false, error: 'Failed notification not found' });
+      res.json({ success: true, item });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Replay failed notifications: { ids } or { triggerId?, eventType? }.
+  // Each is sent once with the trigger's current action and connection;
+  // delivered ones are removed, the others stay with the new error.
+  app.post('/notify/failed/replay', async (req, res) => {
+    try {
+      const { items, notFound } = await selectFailedNotifications(req.body || {});
+      const results = notFound.map(id => ({ id, status: 'not_found' }));
+
+      for (const item of items) {
+        const at = new Date().toISOString();
+        const result = await replayFailedNotification(item);
+        const error = deliveryError(result);
+        const attempt = { attempt: (item.attempts || 0) + 1, at, status: error ? 'error' : 'ok', ...(error && { error }), replay: true };
+        await createLogEntry({
+          kind: 'failed_replay',
+          failedId: item.id,
+          triggerId: item.triggerId,
+          eventType: item.eventType,
+          status: attempt.status,
+          result,
+          attempts: [...(item.history || []), attempt],
+          attemptCount: attempt.attempt,
+          namespaceTags: item.namespaceTags || []
+        });
+
+        if (!error) {
+          await deleteFailedNotification(item.id);
+          results.push({ id: item.id, status: 'delivered', result });
+          continue;
+        }
+        const groupIds = failedGroupIds(result);
+        await putItem(FAILED_TABLE, {
+          ...item,
+          error,
+          result,
+          attempts: attempt.attempt,
+          history: [...(item.history || []), attempt],
+          ...(groupIds.length > 0 && { pendingGroupIds: groupIds }),
+          replayCount: (item.replayCount || 0) + 1,
+          lastReplayAt: at,
+          updatedAt: at
+        });
+        results.push({ id: item.id, status: 'failed', error });
+      }
+
+      const delivered = results.filter(r => r.status === 'delivered').length;
+      console.log(`[Backend] Replayed ${delivered}/${items.length} failed notifications`);
+      res.json({ success: true, delivered, failed: results.filter(r => r.status === 'failed').length, results });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Drop failed notifications without sending them: { ids } or { triggerId?, eventType? }
+  app.post('/notify/failed/discard', async (req, res) => {
+    try {
+      const { items, notFound } = await selectFailedNotifications(req.body || {});
+      for (const item of items) {
+        await deleteFailedNotification(item.id);
+      }
+      console.log(`[Backend] Discarded ${items.length} failed notifications`);
+      res.json({ success: true, discarded: items.map(item => item.id), notFound });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/notify/failed/:failedId', async (req, res) => {
+    try {
+      const item = await getFailedNotification(req.params.failedId);
+      if (!item) return res.status(404).json({ success: false, error: 'Failed notification not found' });
+      await deleteFailedNotification(item.id);
+      res.json({ success: true, discarded: item.id });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Open digest batches, soonest due first (without their events)
+  app.get('/notify/digests', async (req, res) => {
+    try {
+      const { triggerId } = req.query;
+      const batches = (await scanAll(DIGESTS_TABLE))
+        .filter(batch => !triggerId || batch.triggerId === triggerId)
+        .map(({ events, ...batch }) => batch)
+        .sort((a, b) => a.flushAt.localeCompare(b.flushAt));
+      res.json({ success: true, items: batches, count: batches.length });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Send a trigger's open digest batch now instead of at the end of its window
+  app.post('/notify/digests/:triggerId/flush', async (req, res) => {
+    try {
+      const result = await flushDigest(req.params.triggerId, 'manual');
+      if (!result) return res.status(404).json({ success: false, error: 'No open digest for this trigger' });
+      res.json({ success: !result.error, result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Events held back by quiet hours, soonest due first
+  app.get('/notify/deferred', async (req, res) => {
+    try {
+      const { triggerId } = req.query;
+      const items = (await scanAll(DEFERRED_TABLE))
+        .filter(item => !triggerId || item.triggerId === triggerId)
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+      res.json({ success: true, items, count: items.length });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
   // Fire a specific trigger by id or name
   app.all('/notify/:key', async (req, res) => {
     try {
@@ -649,6 +1320,9 @@ export function registerNotificationRoutes(app, docClient) {
       const { connectionId } = req.params;
       const connection = await getConnection(connectionId);
       if (!connection) return res.status(404).json({ success: false, error: 'Connection not found' });
+      if ((connection.type || 'whapi') !== 'whapi') {
+        return res.status(400).json({ success: false, error: `Test ${connection.type} connections with POST /notify/test and an action` });
+      }
 
       // Test with a simple GET request to communities
       const response = await sendWhapiRequest(connection, 'GET', '/communities');
@@ -693,6 +1367,36 @@ export function registerNotificationRoutes(app, docClient) {
       if (!trigger) return res.status(404).json({ success: false, error: 'Trigger not found' });
       
       const updatedTrigger = { ...trigger, ...updates, updatedAt: new Date().toISOString() };
+      if ('filters' in updates) {
+        const filtersError = validateFilters(updatedTrigger.filters);
+        if (filtersError) {
+          return res.status(400).json({ success: false, error: filtersError });
+        }
+      }
+      if ('retryPolicy' in updates) {
+        const retryPolicyError = validateRetryPolicy(updatedTrigger.retryPolicy);
+        if (retryPolicyError) {
+          return res.status(400).json({ success: false, error: retryPolicyError });
+        }
+      }
+      if ('digest' in updates) {
+        const digestError = validateDigest(updatedTrigger.digest);
+        if (digestError) {
+          return res.status(400).json({ success: false, error: digestError });
+        }
+      }
+      if (['rateLimit', 'quietHours', 'dedupe'].some(key => key in updates)) {
+        const rulesError = validateDeliveryRules(updatedTrigger);
+        if (rulesError) {
+          return res.status(400).json({ success: false, error: rulesError });
+        }
+      }
+      if ('action' in updates || 'connectionId' in updates) {
+        const actionError = await validateTriggerAction(updatedTrigger.action, updatedTrigger.connectionId);
+        if (actionError) {
+          return res.status(400).json({ success: false, error: actionError });
+        }
+      }
       await putItem(TRIGGERS_TABLE, updatedTrigger);
       
       await createLogEntry({ 
@@ -800,12 +1504,37 @@ export function registerNotificationRoutes(app, docClient) {
       
       for (const triggerData of triggersToCreate) {
         try {
-          const { name, eventType, filters = {}, action, connectionId, active = true, namespaceTags = [] } = triggerData;
+          const { name, eventType, filters = {}, action, connectionId, retryPolicy, digest, rateLimit, quietHours, dedupe, active = true, namespaceTags = [] } = triggerData;
           
           if (!name || !eventType || !action || !connectionId) {
             errors.push({ triggerData, error: 'Missing required fields' });
             continue;
           }
+          const filtersError = validateFilters(filters);
+          if (filtersError) {
+            errors.push({ triggerData, error: filtersError });
+            continue;
+          }
+          const retryPolicyError = validateRetryPolicy(retryPolicy);
+          if (retryPolicyError) {
+            errors.push({ triggerData, error: retryPolicyError });
+            continue;
+          }
+          const digestError = validateDigest(digest);
+          if (digestError) {
+            errors.push({ triggerData, error: digestError });
+            continue;
+          }
+          const rulesError = validateDeliveryRules({ rateLimit, quietHours, dedupe });
+          if (rulesError) {
+            errors.push({ triggerData, error: rulesError });
+            continue;
+          }
+          const actionError = await validateTriggerAction(action, connectionId);
+          if (actionError) {
+            errors.push({ triggerData, error: actionError });
+            continue;
+          }
           
           const item = {
             id: uuidv4(),
@@ -814,6 +1543,11 @@ export function registerNotificationRoutes(app, docClient) {
             filters,
             action,
             connectionId,
+            retryPolicy,
+            digest,
+            rateLimit,
+            quietHours,
+            dedupe,
             namespaceTags: Array.isArray(namespaceTags) ? namespaceTags : [],
             active,
             createdAt: new Date().toISOString()
@@ -847,9 +1581,13 @@ export function registerNotificationRoutes(app, docClient) {
 }
 
 // Helper to derive and emit events for known flows
-export function buildCrudEvent({ method, tableName, body, result }) {
+// previousItem is the stored item before the write (null when there was none);
+// it becomes data.old, and the item after the write data.new
+export function buildCrudEvent({ method, tableName, body, result, previousItem = null }) {
   const typeMap = { POST: 'crud_create', PUT: 'crud_update', DELETE: 'crud_delete', GET: 'crud_read' };
-  const type = typeMap[String(method).toUpperCase()] || 'crud_operation';
+  const upperMethod = String(method).toUpperCase();
+  const type = typeMap[upperMethod] || 'crud_operation';
+  const newItem = { POST: body?.item, PUT: result?.updatedItem }[upperMethod] ?? null;
   
   // Extract notification metadata if present
   const notificationMeta = body?.notificationMeta || {};
@@ -864,6 +1602,8 @@ export function buildCrudEvent({ method, tableName, body, result }) {
     data: { 
       body, 
       result,
+      old: previousItem,
+      new: newItem,
       message: customMessage // Pass custom message if provided
     },
     recipient, // Include recipient if specified
@@ -0,0 +1,316 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { getCacheBackend } from './cache-backend.js';
+import { getSearchBackend } from './search-backend.js';
+
+/**
+ * Versioned search indices behind a logical alias (blue/green reindexing)
+ *
+ * Every build writes a new version `${prefix}${project}_${table}_${timestamp}`.
+ * The alias record (stored in the cache backend) names the live version that
+ * searches read, the version being built (which also receives live updates)
+ * and retired versions awaiting garbage collection:
+ *
+ *   { alias, project, table, indexName, previousIndexName, swappedAt,
+ *     building: { indexName, startedAt } | null,
+ *     retired: [{ indexName, retiredAt }] }
+ *
+ * Pointing the alias at a new version is a single SET, so readers switch
+ * atomically. All alias mutations happen under a per-alias lock.
+ *
+ * Live updates sent to a building version record their objectID in a set
+ * (`brmh-search-build-writes:<indexName>`), so the build's bulk saves of rows
+ * scanned earlier do not overwrite them (see recordBuildWrite).
+ */
+
+const ALIAS_CONFIG = {
+  KEY_PREFIX: 'brmh-search-alias:',
+  LOCK_PREFIX: 'brmh-search-alias-lock:',
+  BUILD_WRITES_PREFIX: 'brmh-search-build-writes:',
+  GC_CLAIM_KEY: 'brmh-search-gc-claim',
+  INSTANCE_ID: process.env.CACHE_INSTANCE_ID || `${os.hostname()}:${process.pid}`,
+  LOCK_LEASE_MS: 60000, // Lock expires unless renewed
+  RETENTION_MS: (parseFloat(process.env.SEARCH_INDEX_RETENTION_HOURS) || 24) * 3600000,
+  GC_ENABLED: process.env.SEARCH_INDEX_GC !== 'false',
+  GC_INTERVAL_MS: 15 * 60000
+};
+
+const redis = getCacheBackend();
+
+const aliasKey = (aliasName) => `${ALIAS_CONFIG.KEY_PREFIX}${aliasName}`;
+const aliasLockKey = (aliasName) => `${ALIAS_CONFIG.LOCK_PREFIX}${aliasName}`;
+const buildWritesKey = (indexName) => `${ALIAS_CONFIG.BUILD_WRITES_PREFIX}${indexName}`;
+const versionTimestamp = (indexName) => parseInt(indexName.split('_').pop());
+
+/**
+ * Logical index name for a project/table (version names append _<timestamp>)
+ */
+export const searchAliasName = (backend, project, table) => `${backend.indexPrefix}${project}_${table}`;
+
+/**
+ * Index versions built for a project/table, newest first
+ * @param {Object} backend - Search backend from getSearchBackend()
+ * @param {string} project - Project name
+ * @param {string} table - Table name
+ * @returns {Promise<Array>} Index summaries from backend.listIndices()
+ */
+export const findTableIndices = async (backend, project, table) => {
+  const prefix = `${searchAliasName(backend, project, table)}_`;
+  const indices = await backend.listIndices();
+  return indices
+    .filter(index => index.name.startsWith(prefix) && !Number.isNaN(versionTimestamp(index.name)))
+    .sort((a, b) => versionTimestamp(b.name) - versionTimestamp(a.name));
+};
+
+/**
+ * Load an alias record, or null if the table has never been built with aliases
+ */
+export async function getSearchAlias(aliasName) {
+  const value = await redis.get(aliasKey(aliasName));
+  return value ? JSON.parse(value) : null;
+}
+
+async function saveSearchAlias(record) {
+  await redis.set(aliasKey(record.alias), JSON.stringify(record));
+}
+
+/**
+ * Try to take the per-alias lock. Returns the lock handle, or null if another
+ * build, swap or GC pass holds it.
+ */
+export async function acquireSearchAliasLock(aliasName, purpose) {
+  const lockValue = JSON.stringify({
+    aliasName,
+    purpose,
+    ownerId: `${ALIAS_CONFIG.INSTANCE_ID}:${randomUUID()}`,
+    acquiredAt: new Date().toISOString()
+  });
+
+  const result = await redis.set(aliasLockKey(aliasName), lockValue, 'PX', ALIAS_CONFIG.LOCK_LEASE_MS, 'NX');
+  if (result !== 'OK') return null;
+
+  const renewTimer = setInterval(async () => {
+    try {
+      const renewed = await redis.compareAndPexpire(aliasLockKey(aliasName), lockValue, ALIAS_CONFIG.LOCK_LEASE_MS);
+      if (renewed !== 1) {
+        console.warn(`⚠️ Lost search alias lock for ${aliasName}`);
+        clearInterval(renewTimer);
+      }
+    } catch (err) {
+      console.error(`❌ Failed to renew search alias lock for ${aliasName}:`, err.message);
+    }
+  }, Math.floor(ALIAS_CONFIG.LOCK_LEASE_MS / 3));
+  renewTimer.unref();
+
+  return { aliasName, lockValue, renewTimer };
+}
+
+/**
+ * Release a lock returned by acquireSearchAliasLock
+ */
+export async function releaseSearchAliasLock(lock) {
+  if (!lock) return;
+  clearInterval(lock.renewTimer);
+  try {
+    await redis.compareAndDelete(aliasLockKey(lock.aliasName), lock.lockValue);
+  } catch (err) {
+    console.error(`❌ Failed to release search alias lock for ${lock.aliasName}:`, err.message);
+  }
+}
+
+/**
+ * Current holder of the alias lock ({ purpose, acquiredAt, ... }), or null
+ */
+export async function getSearchAliasLock(aliasName) {
+  const value = await redis.get(aliasLockKey(aliasName));
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Version that searches should read. Tables indexed before aliases existed
+ * fall back to their newest version (skipping one that is still building).
+ * @returns {Promise<{alias: string, indexName: string|null}>}
+ */
+export async function resolveLiveIndex(backend, project, table) {
+  const aliasName = searchAliasName(backend, project, table);
+  const record = await getSearchAlias(aliasName);
+  if (record?.indexName) return { alias: aliasName, indexName: record.indexName };
+
+  const versions = await findTableIndices(backend, project, table);
+  const live = versions.find(index => index.name !== record?.building?.indexName);
+  return { alias: aliasName, indexName: live ? live.name : null };
+}
+
+/**
+ * Versions that must receive a live record change: the live one plus any
+ * version being built, so it does not miss changes made during its scan
+ * @returns {Promise<{targets: string[], building: string|null}>}
+ */
+export async function resolveWriteTargets(backend, project, table) {
+  const { alias, indexName } = await resolveLiveIndex(backend, project, table);
+  const record = await getSearchAlias(alias);
+  const building = record?.building?.indexName || null;
+  return {
+    targets: [indexName, building].filter((name, i, all) => name && all.indexOf(name) === i),
+    building
+  };
+}
+
+/**
+ * Note that a live update is about to write objectID to a building version.
+ * Call before the write: a bulk save that read the set earlier then finds the
+ * objectID when it checks again after saving, and re-syncs the record.
+ */
+export async function recordBuildWrite(indexName, objectID) {
+  await redis.sadd(buildWritesKey(indexName), String(objectID));
+}
+
+/**
+ * objectIDs written to a building version by live updates so far
+ * @returns {Promise<Set<string>>}
+ */
+export async function getBuildWrites(indexName) {
+  return new Set(await redis.smembers(buildWritesKey(indexName)));
+}
+
+/**
+ * Record that a new version is being built (caller holds the alias lock)
+ */
+export async function markSearchAliasBuilding(backend, project, table, indexName) {
+  const aliasName = searchAliasName(backend, project, table);
+  const record = await getSearchAlias(aliasName) || {
+    alias: aliasName,
+    project,
+    table,
+    indexName: null,
+    previousIndexName: null,
+    swappedAt: null,
+    building: null,
+    retired: []
+  };
+
+  record.building = { indexName, startedAt: new Date().toISOString() };
+  await saveSearchAlias(record);
+  return record;
+}
+
+/**
+ * Forget an abandoned build (caller holds the alias lock)
+ */
+export async function clearSearchAliasBuilding(aliasName, indexName) {
+  const record = await getSearchAlias(aliasName);
+  await redis.del(buildWritesKey(indexName));
+  if (!record || record.building?.indexName !== indexName) return;
+  record.building = null;
+  await saveSearchAlias(record);
+}
+
+/**
+ * Point the alias at a version and retire every other version of the table
+ * (caller holds the alias lock). Retired versions are deleted by the GC once
+ * SEARCH_INDEX_RETENTION_HOURS have passed, so a swap can be rolled back until then.
+ */
+export async function swapSearchAlias(backend, project, table, indexName) {
+  const aliasName = searchAliasName(backend, project, table);
+  const record = await getSearchAlias(aliasName) || {
+    alias: aliasName, project, table, indexName: null, building: null, retired: []
+  };
+  const now = new Date().toISOString();
+  const previousIndexName = record.indexName
+    || (await resolveLiveIndex(backend, project, table)).indexName;
+
+  const retired = new Map(record.retired.map(entry => [entry.indexName, entry]));
+  retired.delete(indexName);
+  const versions = await findTableIndices(backend, project, table);
+  versions
+    .filter(index => index.name !== indexName && !retired.has(index.name))
+    .forEach(index => retired.set(index.name, { indexName: index.name, retiredAt: now }));
+
+  const updated = {
+    ...record,
+    indexName,
+    previousIndexName: previousIndexName !== indexName ? previousIndexName : record.previousIndexName || null,
+    swappedAt: now,
+    building: record.building?.indexName === indexName ? null : record.building,
+    retired: Array.from(retired.values())
+  };
+  await saveSearchAlias(updated);
+  await redis.del(buildWritesKey(indexName));
+  console.log(`🔀 Search alias ${aliasName} now points at ${indexName}`);
+  return updated;
+}
+
+/**
+ * Delete retired versions older than the retention period for one alias
+ * @returns {Promise<string[]>} Deleted index names
+ */
+export async function collectRetiredIndices(backend, aliasName, now = Date.now()) {
+  const lock = await acquireSearchAliasLock(aliasName, 'gc');
+  if (!lock) return [];
+
+  try {
+    const record = await getSearchAlias(aliasName);
+    if (!record) return [];
+
+    const deleted = [];
+    const kept = [];
+    for (const entry of record.retired) {
+      const protectedVersion = entry.indexName === record.indexName || entry.indexName === record.building?.indexName;
+      if (protectedVersion) continue;
+      if (now - Date.parse(entry.retiredAt) < ALIAS_CONFIG.RETENTION_MS) {
+        kept.push(entry);
+        continue;
+      }
+      try {
+        await backend.deleteIndex(entry.indexName);
+        deleted.push(entry.indexName);
+      } catch (err) {
+        // Already removed (e.g. through /search/delete)
+        if (err.status === 404) continue;
+        console.error(`❌ Failed to delete retired index ${entry.indexName}:`, err.message);
+        kept.push(entry);
+      }
+    }
+
+    if (deleted.length > 0 || kept.length !== record.retired.length) {
+      await saveSearchAlias({ ...record, retired: kept });
+    }
+    if (deleted.length > 0) {
+      console.log(`🗑️ Deleted ${deleted.length} retired versions of ${aliasName}: ${deleted.join(', ')}`);
+    }
+    return deleted;
+  } finally {
+    await releaseSearchAliasLock(lock);
+  }
+}
+
+async function collectAllRetiredIndices() {
+  const backend = getSearchBackend();
+  if (backend.checkConfig()) return;
+
+  let cursor = '0';
+  do {
+    const [next, keys] = await redis.scan(cursor, 'MATCH', `${ALIAS_CONFIG.KEY_PREFIX}*`, 'COUNT', '100');
+    cursor = next;
+    for (const key of keys) {
+      try {
+        await collectRetiredIndices(backend, key.slice(ALIAS_CONFIG.KEY_PREFIX.length));
+      } catch (err) {
+        console.error(`❌ Search index GC failed for ${key}:`, err.message);
+      }
+    }
+  } while (cursor !== '0');
+}
+
+// One instance per interval sweeps every alias (the claim key expires after the interval)
+if (ALIAS_CONFIG.GC_ENABLED) {
+  const searchGcTimer = setInterval(async () => {
+    try {
+      const claimed = await redis.set(ALIAS_CONFIG.GC_CLAIM_KEY, ALIAS_CONFIG.INSTANCE_ID, 'PX', ALIAS_CONFIG.GC_INTERVAL_MS, 'NX');
+      if (claimed === 'OK') await collectAllRetiredIndices();
+    } catch (err) {
+      console.error('❌ Search index GC tick failed:', err.message);
+    }
+  }, ALIAS_CONFIG.GC_INTERVAL_MS);
+  searchGcTimer.unref();
+}
@@ -0,0 +1,142 @@
+import { getCacheBackend } from './cache-backend.js';
+
+/**
+ * Search query analytics (opt-in with SEARCH_ANALYTICS_ENABLED=true)
+ *
+ * Each first-page query on /search/query is appended to an hourly list in the
+ * cache backend:
+ *
+ *   brmh-search-analytics:<YYYYMMDDHH> -> [{ t, project, table, query, filters, hits, latencyMs, userId }]
+ *
+ * Lists expire after the retention period and keep at most MAX_EVENTS_PER_HOUR
+ * entries (the newest), which bounds both storage and the cost of a report.
+ * Reports read the buckets of the window one at a time and aggregate as they go.
+ */
+
+export const ANALYTICS_CONFIG = {
+  ENABLED: process.env.SEARCH_ANALYTICS_ENABLED === 'true',
+  KEY_PREFIX: 'brmh-search-analytics:',
+  RETENTION_HOURS: (parseInt(process.env.SEARCH_ANALYTICS_RETENTION_DAYS) || 7) * 24,
+  MAX_EVENTS_PER_HOUR: parseInt(process.env.SEARCH_ANALYTICS_MAX_EVENTS_PER_HOUR) || 10000,
+  SLOW_QUERY_MS: parseInt(process.env.SEARCH_ANALYTICS_SLOW_MS) || 500,
+  READ_CHUNK: 1000
+};
+
+const HOUR_MS = 3600000;
+
+const redis = getCacheBackend();
+
+const bucketKey = (ms) => `${ANALYTICS_CONFIG.KEY_PREFIX}${new Date(ms).toISOString().slice(0, 13).replace(/[-T]/g, '')}`;
+
+// Queries that differ only in case or spacing are the same query
+export const normalizeQuery = (query) => query.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Record one search. Never throws: analytics must not fail a search.
+ * @param {Object} event - { project, table, query, filters, hits, latencyMs, userId }
+ */
+export async function recordSearchQuery({ project, table, query, filters = null, hits, latencyMs, userId = null }) {
+  if (!ANALYTICS_CONFIG.ENABLED) return;
+  try {
+    const now = Date.now();
+    const key = bucketKey(now);
+    const length = await redis.rpush(key, JSON.stringify({
+      t: now,
+      project,
+      table,
+      query: normalizeQuery(query),
+      filters,
+      hits,
+      latencyMs,
+      userId
+    }));
+    if (length === 1) {
+      await redis.expire(key, ANALYTICS_CONFIG.RETENTION_HOURS * 3600 + 3600);
+    } else if (length > ANALYTICS_CONFIG.MAX_EVENTS_PER_HOUR) {
+      await redis.ltrim(key, -ANALYTICS_CONFIG.MAX_EVENTS_PER_HOUR, -1);
+    }
+  } catch (err) {
+    console.error('❌ Failed to record search analytics:', err.message);
+  }
+}
+
+/**
+ * Aggregate the recorded queries of a time window
+ * @param {Object} options - { from, to (ms), project?, table?, limit, slowMs }
+ * @returns {Promise<Object>} { totalQueries, zeroResultQueries, topQueries, zeroResults, slowQueries }
+ */
+export async function buildSearchAnalyticsReport({ from, to, project, table, limit = 20, slowMs = ANALYTICS_CONFIG.SLOW_QUERY_MS }) {
+  const groups = new Map();
+  let slowest = [];
+  let totalQueries = 0;
+  let zeroResultQueries = 0;
+
+  for (let hour = Math.floor(from / HOUR_MS) * HOUR_MS; hour <= to; hour += HOUR_MS) {
+    const key = bucketKey(hour);
+    for (let start = 0; ; start += ANALYTICS_CONFIG.READ_CHUNK) {
+      const chunk = await redis.lrange(key, start, start + ANALYTICS_CONFIG.READ_CHUNK - 1);
+      for (const raw of chunk) {
+        const event = JSON.parse(raw);
+        if (event.t < from || event.t > to) continue;
+        if (project && event.project !== project) continue;
+        if (table && event.table !== table) continue;
+
+        totalQueries++;
+        if (event.hits === 0) zeroResultQueries++;
+
+        const groupKey = `${event.project}\u0000${event.table}\u0000${event.query}`;
+        let group = groups.get(groupKey);
+        if (!group) {
+          group = { project: event.project, table: event.table, query: event.query, count: 0, zeroResults: 0, totalHits: 0, totalLatencyMs: 0, users: new Set(), lastSeen: 0 };
+          groups.set(groupKey, group);
+        }
+        group.count++;
+        group.totalHits += event.hits;
+        group.totalLatencyMs += event.latencyMs;
+        if (event.hits === 0) group.zeroResults++;
+        if (event.userId) group.users.add(event.userId);
+        group.lastSeen = Math.max(group.lastSeen, event.t);
+
+        if (event.latencyMs >= slowMs) {
+          slowest.push(event);
+          if (slowest.length > limit * 2) {
+            slowest = slowest.sort((a, b) => b.latencyMs - a.latencyMs).slice(0, limit);
+          }
+        }
+      }
+      if (chunk.length < ANALYTICS_CONFIG.READ_CHUNK) break;
+    }
+  }
+
+  const summarize = (group) => ({
+    project: group.project,
+    table: group.table,
+    query: group.query,
+    count: group.count,
+    uniqueUsers: group.users.size,
+    avgHits: Math.round(group.totalHits / group.count * 10) / 10,
+    avgLatencyMs: Math.round(group.totalLatencyMs / group.count),
+    zeroResults: group.zeroResults,
+    lastSeen: new Date(group.lastSeen).toISOString()
+  });
+  const all = Array.from(groups.values());
+
+  return {
+    totalQueries,
+    zeroResultQueries,
+    zeroResultRate: totalQueries > 0 ? Math.round(zeroResultQueries / totalQueries * 1000) / 1000 : 0,
+    topQueries: all
+      .sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen)
+      .slice(0, limit)
+      .map(summarize),
+    zeroResults: all
+      .filter(group => group.zeroResults > 0)
+      .sort((a, b) => b.zeroResults - a.zeroResults || b.lastSeen - a.lastSeen)
+      .slice(0, limit)
+      .map(summarize),
+    slowQueries: slowest
+      .sort((a, b) => b.latencyMs - a.latencyMs)
+      .slice(0, limit)
+      .map(({ t, ...event }) => ({ ...event, timestamp: new Date(t).toISOString() }))
+  };
+}
@@ -0,0 +1,786 @@
+import algoliasearch from 'algoliasearch';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Search storage backends for utils/search-indexing.js
+ *
+ * Every backend exposes the same interface and returns the same result shapes,
+ * so the /search/* handlers behave identically whichever one is selected:
+ *
+ *   name, indexPrefix
+ *   checkConfig()                          -> null | { error, message }
+ *   listIndices()                          -> [{ name, entries, dataSize, lastBuildTimeS, createdAt, updatedAt }]
+ *   saveObjects(indexName, records, { wait }), saveObject(indexName, record), deleteObject(indexName, objectID)
+ *   countObjects(indexName)                -> number of records (after a waited save)
+ *   search(indexName, query, { filters, filterAttributes, hitsPerPage, page,
+ *                               facets, maxValuesPerFacet, sort, snippets, snippetWords })
+ *                                          -> { hits, nbHits, page, nbPages, hitsPerPage, processingTimeMS,
+ *                                               facets?, facets_stats? }
+ *   configureIndex(indexName, { facets, sorts })
+ *                                          -> set up a version being built for the facets and
+ *                                             sorts its indexing config declares (searchSettings)
+ *   deleteIndex(indexName)
+ *   health()                               -> backend-specific details
+ *
+ * filters is an Algolia-syntax string (see utils/search-query.js for the JSON
+ * DSL that compiles to it); sort is [{ field, order }]. Hits carry Algolia-shaped
+ * _highlightResult and, for requested snippets, _snippetResult.
+ *
+ * Select with SEARCH_BACKEND=algolia or SEARCH_BACKEND=local. When unset, Algolia
+ * is used if ALGOLIA_APP_ID and ALGOLIA_API_KEY are set, the local engine otherwise.
+ */
+
+/**
+ * Invalid query input (e.g. a malformed filter expression); handlers answer 400
+ */
+export class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.status = 400;
+  }
+}
+
+// Algolia replica that ranks a version by one sort order
+const sortReplicaName = (indexName, sort) =>
+  `${indexName}__sort_${sort.map(({ field, order }) => `${field}_${order}`).join('__')}`;
+
+/**
+ * Algolia backend (thin wrapper over the algoliasearch v4 client)
+ */
+function createAlgoliaBackend() {
+  const appId = process.env.ALGOLIA_APP_ID;
+  const apiKey = process.env.ALGOLIA_API_KEY;
+  let client = null;
+
+  const getClient = () => {
+    if (!client) client = algoliasearch(appId, apiKey);
+    return client;
+  };
+
+  // Sort replicas are an implementation detail: hide them from listings
+  const listIndices = async () => {
+    const { items } = await getClient().listIndices();
+    return items.filter(index => !index.primary).map(index => ({
+      name: index.name,
+      entries: index.entries,
+      dataSize: index.dataSize,
+      lastBuildTimeS: index.lastBuildTimeS,
+      createdAt: index.createdAt,
+      updatedAt: index.updatedAt
+    }));
+  };
+
+  return {
+    name: 'algolia',
+    indexPrefix: process.env.ALGOLIA_INDEX_PREFIX || '',
+
+    checkConfig() {
+      if (!appId || !apiKey) {
+        return {
+          error: "Missing Algolia credentials",
+          message: "ALGOLIA_APP_ID and ALGOLIA_API_KEY environment variables are required"
+        };
+      }
+      return null;
+    },
+
+    listIndices,
+
+    // wait: resolve only once Algolia has applied the batch (needed before counting)
+    async saveObjects(indexName, records, { wait = false } = {}) {
+      const response = getClient().initIndex(indexName).saveObjects(records);
+      return wait ? response.wait() : response;
+    },
+    saveObject: (indexName, record) => getClient().initIndex(indexName).saveObject(record),
+    deleteObject: (indexName, objectID) => getClient().initIndex(indexName).deleteObject(objectID),
+    // Deleting a primary detaches its replicas, so delete them too
+    async deleteIndex(indexName) {
+      const index = getClient().initIndex(indexName);
+      let replicas = [];
+      try {
+        ({ replicas = [] } = await index.getSettings());
+      } catch (err) {
+        if (err.status !== 404) throw err;
+      }
+      await index.delete().wait();
+      for (const replica of replicas) {
+        await getClient().initIndex(replica).delete();
+      }
+    },
+
+    // Algolia only filters and counts facets on attributesForFaceting, and sorts
+    // by attribute through a standard replica per sort order. Both are set up
+    // here, when a version is built, never from a search request.
+    async configureIndex(indexName, { facets = [], sorts = [] } = {}) {
+      const replicas = sorts.map(sort => sortReplicaName(indexName, sort));
+      await getClient().initIndex(indexName).setSettings({ attributesForFaceting: facets, replicas }).wait();
+      for (const [i, sort] of sorts.entries()) {
+        await getClient().initIndex(replicas[i]).setSettings({
+          attributesForFaceting: facets,
+          ranking: [...sort.map(({ field, order }) => `${order}(${field})`), 'typo', 'geo', 'words', 'filters', 'proximity', 'attribute', 'exact', 'custom']
+        }).wait();
+      }
+    },
+
+    async countObjects(indexName) {
+      try {
+        const { nbHits } = await getClient().initIndex(indexName).search('', { hitsPerPage: 0 });
+        return nbHits;
+      } catch (err) {
+        // Saving an empty batch never creates the index
+        if (err.status === 404) return 0;
+        throw err;
+      }
+    },
+
+    async search(indexName, query, {
+      filters,
+      filterAttributes = [],
+      hitsPerPage,
+      page,
+      facets,
+      maxValuesPerFacet,
+      sort = [],
+      snippets = [],
+      snippetWords = 10
+    } = {}) {
+      const targetName = sort.length > 0 ? sortReplicaName(indexName, sort) : indexName;
+
+      let result;
+      try {
+        result = await getClient().initIndex(targetName).search(query, {
+          hitsPerPage,
+          page,
+          ...(filters && { filters }),
+          ...(facets?.length > 0 && { facets, maxValuesPerFacet }),
+          ...(snippets.length > 0 && { attributesToSnippet: snippets.map(attribute => `${attribute}:${snippetWords}`) })
+        });
+      } catch (err) {
+        // Declared after this version was built: it has no replica until the next reindex
+        if (err.status === 404 && targetName !== indexName) {
+          throw new SearchQueryError(`Sort is not set up on ${indexName}; reindex to apply the config's searchSettings`);
+        }
+        throw err;
+      }
+      return {
+        hits: result.hits,
+        nbHits: result.nbHits,
+        page: result.page,
+        nbPages: result.nbPages,
+        hitsPerPage: result.hitsPerPage,
+        processingTimeMS: result.processingTimeMS,
+        ...(facets?.length > 0 && {
+          // Algolia omits facets without values; always return every requested one
+          facets: Object.fromEntries(facets.map(facet => [facet, result.facets?.[facet] || {}])),
+          facets_stats: result.facets_stats || {}
+        })
+      };
+    },
+
+    async health() {
+      const indices = await listIndices();
+      return { appId, connected: true, totalIndices: indices.length };
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Local engine: an embedded full-text index persisted as one JSON file per index
+// ---------------------------------------------------------------------------
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_HITS_PER_PAGE = 1000;
+
+// Lowercase, strip diacritics and split on anything that is not a letter or digit
+export function tokenize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Searchable text of a record: every value except objectID and _-prefixed metadata
+function collectSearchableTokens(value, tokens = [], topLevel = true) {
+  if (value == null) return tokens;
+  if (Array.isArray(value)) {
+    value.forEach(v => collectSearchableTokens(v, tokens, false));
+  } else if (typeof value === 'object') {
+    for (const [key, v] of Object.entries(value)) {
+      if (topLevel && (key === 'objectID' || key.startsWith('_'))) continue;
+      collectSearchableTokens(v, tokens, false);
+    }
+  } else {
+    tokens.push(...tokenize(value));
+  }
+  return tokens;
+}
+
+const getPath = (obj, attribute) =>
+  attribute.split('.').reduce((o, k) => (o && o[k] !== undefined ? o[k] : undefined), obj);
+
+const escapeHtml = (value) => value.replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+/**
+ * Parse an Algolia-style filter string into a predicate over records.
+ *
+ * Supported: attr:value, attr:"quoted value", attr:low TO high, attr < n
+ * (<, <=, =, !=, >=, >), NOT, AND, OR and parentheses. Array attributes
+ * match when any element matches.
+ */
+export function compileFilters(filters) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(<=|>=|!=|<|>|=|:)|([^\s()<>=!:"']+))/gy;
+  let match;
+  let pos = 0;
+  while (pos < filters.length) {
+    pattern.lastIndex = pos;
+    match = pattern.exec(filters);
+    if (!match || match[0].length === 0) {
+      if (/^\s*$/.test(filters.slice(pos))) break;
+      throw new SearchQueryError(`Invalid filters: unexpected character at position ${pos}`);
+    }
+    pos = pattern.lastIndex;
+    if (match[1]) tokens.push({ type: '(' });
+    else if (match[2]) tokens.push({ type: ')' });
+    else if (match[3]) tokens.push({ type: 'value', value: match[3].slice(1, -1).replace(/\\(.)/g, '$1'), quoted: true });
+    else if (match[4]) tokens.push({ type: 'op', value: match[4] });
+    else tokens.push({ type: 'value', value: match[5] });
+  }
+
+  let i = 0;
+  const peek = () => tokens[i];
+  const isKeyword = (word) => peek()?.type === 'value' && !peek().quoted && peek().value === word;
+  const expectValue = (what) => {
+    const token = tokens[i++];
+    if (!token || token.type !== 'value') throw new SearchQueryError(`Invalid filters: expected ${what}`);
+    return token.value;
+  };
+  const expectNumber = (what) => {
+    const raw = expectValue(what);
+    const number = Number(raw);
+    if (raw === '' || Number.isNaN(number)) throw new SearchQueryError(`Invalid filters: "${raw}" is not a number`);
+    return number;
+  };
+
+  const parseComparison = () => {
+    const attribute = expectValue('an attribute');
+    const op = tokens[i++];
+    if (!op || op.type !== 'op') throw new SearchQueryError(`Invalid filters: expected an operator after "${attribute}"`);
+
+    if (op.value === ':') {
+      const value = expectValue(`a value for "${attribute}"`);
+      if (isKeyword('TO')) {
+        i++;
+        const low = Number(value);
+        const high = expectNumber(`an upper bound for "${attribute}"`);
+        if (Number.isNaN(low)) throw new SearchQueryError(`Invalid filters: "${value}" is not a number`);
+        return (record) => anyValue(record, attribute, v => typeof v === 'number' && v >= low && v <= high);
+      }
+      const expected = value.toLowerCase();
+      return (record) => anyValue(record, attribute, v => v != null && String(v).toLowerCase() === expected);
+    }
+
+    const bound = expectNumber(`a number for "${attribute}"`);
+    const compare = {
+      '<': (v) => v < bound,
+      '<=': (v) => v <= bound,
+      '=': (v) => v === bound,
+      '!=': (v) => v !== bound,
+      '>=': (v) => v >= bound,
+      '>': (v) => v > bound
+    }[op.value];
+    return (record) => anyValue(record, attribute, v => typeof v === 'number' && compare(v));
+  };
+
+  const parseUnary = () => {
+    if (isKeyword('NOT')) {
+      i++;
+      const inner = parseUnary();
+      return (record) => !inner(record);
+    }
+    if (peek()?.type === '(') {
+      i++;
+      const inner = parseOr();
+      if (peek()?.type !== ')') throw new SearchQueryError('Invalid filters: missing closing parenthesis');
+      i++;
+      return inner;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    const parts = [parseUnary()];
+    while (isKeyword('AND')) {
+      i++;
+      parts.push(parseUnary());
+    }
+    return parts.length === 1 ? parts[0] : (record) => parts.every(part => part(record));
+  };
+
+  function parseOr() {
+    const parts = [parseAnd()];
+    while (isKeyword('OR')) {
+      i++;
+      parts.push(parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : (record) => parts.some(part => part(record));
+  }
+
+  if (tokens.length === 0) return () => true;
+  const predicate = parseOr();
+  if (i < tokens.length) throw new SearchQueryError('Invalid filters: unexpected input after expression');
+  return predicate;
+}
+
+function anyValue(record, attribute, test) {
+  const value = getPath(record, attribute);
+  return Array.isArray(value) ? value.some(test) : test(value);
+}
+
+/**
+ * One in-memory index: stored records plus an inverted index rebuilt on load
+ */
+class LocalIndex {
+  constructor(name, { createdAt = Date.now(), updatedAt = createdAt } = {}) {
+    this.name = name;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+    this.objects = new Map(); // objectID -> record
+    this.postings = new Map(); // term -> Map(objectID -> term frequency)
+    this.docLengths = new Map(); // objectID -> token count
+    this.totalLength = 0;
+  }
+
+  put(record) {
+    const objectID = String(record.objectID);
+    this.remove(objectID);
+    this.objects.set(objectID, record);
+
+    const tokens = collectSearchableTokens(record);
+    const frequencies = new Map();
+    tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+    for (const [term, tf] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(objectID, tf);
+    }
+    this.docLengths.set(objectID, tokens.length);
+    this.totalLength += tokens.length;
+  }
+
+  remove(objectID) {
+    const existing = this.objects.get(objectID);
+    if (!existing) return false;
+
+    for (const term of new Set(collectSearchableTokens(existing))) {
+      const docs = this.postings.get(term);
+      if (!docs) continue;
+      docs.delete(objectID);
+      if (docs.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= this.docLengths.get(objectID) || 0;
+    this.docLengths.delete(objectID);
+    this.objects.delete(objectID);
+    return true;
+  }
+
+  // objectID -> summed term frequency for one query term (prefix match for the last term)
+  matchTerm(term, prefix) {
+    const matches = new Map();
+    const add = (docs) => {
+      for (const [objectID, tf] of docs) matches.set(objectID, (matches.get(objectID) || 0) + tf);
+    };
+    if (prefix) {
+      for (const [indexed, docs] of this.postings) {
+        if (indexed.startsWith(term)) add(docs);
+      }
+    } else if (this.postings.has(term)) {
+      add(this.postings.get(term));
+    }
+    return matches;
+  }
+
+  search(query, {
+    filters,
+    hitsPerPage = 20,
+    page = 0,
+    facets,
+    maxValuesPerFacet = 100,
+    sort = [],
+    snippets = [],
+    snippetWords = 10
+  } = {}) {
+    const started = Date.now();
+    const predicate = filters ? compileFilters(filters) : () => true;
+    const terms = tokenize(query || '');
+    const perPage = Math.min(Math.max(parseInt(hitsPerPage) || 20, 1), MAX_HITS_PER_PAGE);
+    const pageNumber = Math.max(parseInt(page) || 0, 0);
+
+    let scored;
+    if (terms.length === 0) {
+      scored = Array.from(this.objects.keys(), objectID => ({ objectID, score: 0 }));
+    } else {
+      // Every term must match (AND); the last one matches as a prefix so
+      // search-as-you-type works. Ranked by BM25.
+      const docCount = this.objects.size;
+      const avgLength = docCount > 0 ? this.totalLength / docCount : 0;
+      let scores = null;
+
+      terms.forEach((term, position) => {
+        const matches = this.matchTerm(term, position === terms.length - 1);
+        const idf = Math.log(1 + (docCount - matches.size + 0.5) / (matches.size + 0.5));
+        const next = new Map();
+        for (const [objectID, tf] of matches) {
+          if (scores && !scores.has(objectID)) continue;
+          const length = this.docLengths.get(objectID) || 0;
+          const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (avgLength ? length / avgLength : 0));
+          next.set(objectID, (scores?.get(objectID) || 0) + idf * (tf * (BM25_K1 + 1)) / norm);
+        }
+        scores = next;
+      });
+
+      scored = Array.from(scores, ([objectID, score]) => ({ objectID, score }));
+    }
+
+    const byRelevance = (a, b) => b.score - a.score || (a.objectID < b.objectID ? -1 : a.objectID > b.objectID ? 1 : 0);
+    const matched = scored
+      .filter(({ objectID }) => predicate(this.objects.get(objectID)))
+      .sort(sort.length > 0 ? compareByAttributes(sort, this.objects, byRelevance) : byRelevance);
+
+    const hits = matched
+      .slice(pageNumber * perPage, (pageNumber + 1) * perPage)
+      .map(({ objectID }) => {
+        const record = this.objects.get(objectID);
+        const hit = { ...record, _highlightResult: highlightRecord(record, terms) };
+        if (snippets.length > 0) hit._snippetResult = snippetRecord(record, terms, snippets, snippetWords);
+        return hit;
+      });
+
+    const result = {
+      hits,
+      nbHits: matched.length,
+      page: pageNumber,
+      nbPages: Math.ceil(matched.length / perPage),
+      hitsPerPage: perPage,
+      processingTimeMS: Date.now() - started
+    };
+
+    if (facets?.length > 0) {
+      Object.assign(result, countFacets(matched.map(({ objectID }) => this.objects.get(objectID)), facets, maxValuesPerFacet));
+      result.processingTimeMS = Date.now() - started;
+    }
+    return result;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      objects: Array.from(this.objects.values())
+    };
+  }
+}
+
+// Query term a word matches (the last term matches as a prefix), or undefined
+function matchingTerm(word, terms) {
+  const [normalized] = tokenize(word);
+  return terms.find((term, position) =>
+    position === terms.length - 1 ? normalized?.startsWith(term) : normalized === term
+  );
+}
+
+// Escape text and wrap words that match the query in <em>
+function markMatches(text, terms) {
+  const matchedWords = new Set();
+  const value = escapeHtml(text).replace(/[\p{L}\p{N}]+/gu, (word) => {
+    const term = matchingTerm(word, terms);
+    if (term === undefined) return word;
+    matchedWords.add(term);
+    return `<em>${word}</em>`;
+  });
+  const matchLevel = matchedWords.size === 0 ? 'none' : matchedWords.size === new Set(terms).size ? 'full' : 'partial';
+  return { value, matchLevel, matchedWords: Array.from(matchedWords) };
+}
+
+// Algolia-shaped _highlightResult for top-level string and number attributes
+function highlightRecord(record, terms) {
+  const result = {};
+  for (const [attribute, value] of Object.entries(record)) {
+    if (attribute === 'objectID' || attribute.startsWith('_')) continue;
+    if (typeof value !== 'string' && typeof value !== 'number') continue;
+    result[attribute] = markMatches(String(value), terms);
+  }
+  return result;
+}
+
+// Algolia-shaped _snippetResult: a window of snippetWords words around the first match
+function snippetRecord(record, terms, attributes, snippetWords) {
+  const result = {};
+  for (const attribute of attributes) {
+    const value = record[attribute];
+    if (typeof value !== 'string' && typeof value !== 'number') continue;
+
+    const text = String(value);
+    const words = Array.from(text.matchAll(/[\p{L}\p{N}]+/gu));
+    if (words.length <= snippetWords) {
+      const { value: marked, matchLevel } = markMatches(text, terms);
+      result[attribute] = { value: marked, matchLevel };
+      continue;
+    }
+
+    const firstMatch = Math.max(0, words.findIndex(word => matchingTerm(word[0], terms) !== undefined));
+    const startWord = Math.max(0, Math.min(firstMatch - Math.floor((snippetWords - 1) / 2), words.length - snippetWords));
+    const endWord = startWord + snippetWords - 1;
+    const from = startWord === 0 ? 0 : words[startWord].index;
+    const to = endWord === words.length - 1 ? text.length : words[endWord].index + words[endWord][0].length;
+    const { value: marked, matchLevel } = markMatches(text.slice(from, to), terms);
+
+    result[attribute] = {
+      value: `${from > 0 ? '…' : ''}${marked}${to < text.length ? '…' : ''}`,
+      matchLevel
+    };
+  }
+  return result;
+}
+
+// Sort by attributes (missing values last), then by relevance
+function compareByAttributes(sort, objects, tieBreak) {
+  return (a, b) => {
+    const recordA = objects.get(a.objectID);
+    const recordB = objects.get(b.objectID);
+    for (const { field, order } of sort) {
+      const valueA = getPath(recordA, field);
+      const valueB = getPath(recordB, field);
+      if (valueA == null || valueB == null) {
+        if (valueA == null && valueB == null) continue;
+        return valueA == null ? 1 : -1;
+      }
+      const cmp = typeof valueA === 'number' && typeof valueB === 'number'
+        ? valueA - valueB
+        : String(valueA).localeCompare(String(valueB));
+      if (cmp !== 0) return order === 'desc' ? -cmp : cmp;
+    }
+    return tieBreak(a, b);
+  };
+}
+
+// Algolia-shaped facets ({ attr: { value: count } }) and facets_stats for numeric facets
+function countFacets(records, attributes, maxValuesPerFacet) {
+  const facets = {};
+  const stats = {};
+
+  for (const attribute of attributes) {
+    const counts = new Map();
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let numericCount = 0;
+
+    for (const record of records) {
+      const value = getPath(record, attribute);
+      for (const v of Array.isArray(value) ? value : [value]) {
+        if (v === null || v === undefined || typeof v === 'object') continue;
+        counts.set(String(v), (counts.get(String(v)) || 0) + 1);
+        if (typeof v === 'number') {
+          min = Math.min(min, v);
+          max = Math.max(max, v);
+          sum += v;
+          numericCount++;
+        }
+      }
+    }
+
+    facets[attribute] = Object.fromEntries(
+      Array.from(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, maxValuesPerFacet)
+    );
+    if (numericCount > 0) stats[attribute] = { min, max, avg: sum / numericCount, sum };
+  }
+
+  return { facets, facets_stats: stats };
+}
+
+/**
+ * Embedded backend: indices load lazily from SEARCH_DATA_DIR and every change is
+ * written back with an atomic rename. Writes to the same index are coalesced so a
+ * burst of single-record updates causes at most one write in flight plus one queued.
+ */
+export class LocalSearchBackend {
+  constructor({ dataDir }) {
+    this.name = 'local';
+    this.indexPrefix = process.env.SEARCH_INDEX_PREFIX || '';
+    this.dataDir = dataDir;
+    this.indices = new Map(); // name -> LocalIndex
+    this.saves = new Map(); // name -> { promise, dirty }
+  }
+
+  checkConfig() {
+    return null;
+  }
+
+  filePath(indexName) {
+    return path.join(this.dataDir, `${encodeURIComponent(indexName)}.json`);
+  }
+
+  async loadIndex(indexName, { create = false } = {}) {
+    if (this.indices.has(indexName)) return this.indices.get(indexName);
+
+    let index = null;
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(this.filePath(indexName), 'utf8'));
+      // Another caller may have finished loading while we were reading
+      if (this.indices.has(indexName)) return this.indices.get(indexName);
+      index = new LocalIndex(indexName, stored);
+      stored.objects.forEach(record => index.put(record));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      if (!create) return null;
+      if (this.indices.has(indexName)) return this.indices.get(indexName);
+      index = new LocalIndex(indexName);
+    }
+
+    this.indices.set(indexName, index);
+    return index;
+  }
+
+  persist(indexName) {
+    const pending = this.saves.get(indexName);
+    if (pending) {
+      pending.dirty = true;
+      return pending.promise;
+    }
+
+    const state = { dirty: false, promise: null };
+    state.promise = (async () => {
+      try {
+        do {
+          state.dirty = false;
+          const index = this.indices.get(indexName);
+          if (!index) return;
+          const target = this.filePath(indexName);
+          const tmp = `${target}.${process.pid}.tmp`;
+          await fs.promises.mkdir(this.dataDir, { recursive: true });
+          await fs.promises.writeFile(tmp, JSON.stringify(index));
+          await fs.promises.rename(tmp, target);
+        } while (state.dirty);
+      } finally {
+        this.saves.delete(indexName);
+      }
+    })();
+    this.saves.set(indexName, state);
+    return state.promise;
+  }
+
+  async listIndices() {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.dataDir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const names = new Set(this.indices.keys());
+    files
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => names.add(decodeURIComponent(file.slice(0, -'.json'.length))));
+
+    const indices = [];
+    for (const name of names) {
+      const index = await this.loadIndex(name);
+      if (!index) continue;
+      indices.push({
+        name,
+        entries: index.objects.size,
+        dataSize: Buffer.byteLength(JSON.stringify(index)),
+        lastBuildTimeS: 0,
+        createdAt: new Date(index.createdAt).toISOString(),
+        updatedAt: new Date(index.updatedAt).toISOString()
+      });
+    }
+    return indices;
+  }
+
+  async saveObjects(indexName, records) {
+    const index = await this.loadIndex(indexName, { create: true });
+    records.forEach(record => index.put(record));
+    index.updatedAt = Date.now();
+    await this.persist(indexName);
+    return { objectIDs: records.map(record => String(record.objectID)) };
+  }
+
+  saveObject(indexName, record) {
+    return this.saveObjects(indexName, [record]);
+  }
+
+  async countObjects(indexName) {
+    const index = await this.loadIndex(indexName);
+    return index ? index.objects.size : 0;
+  }
+
+  async deleteObject(indexName, objectID) {
+    const index = await this.loadIndex(indexName);
+    if (!index || !index.remove(String(objectID))) return { deleted: false };
+    index.updatedAt = Date.now();
+    await this.persist(indexName);
+    return { deleted: true };
+  }
+
+  async deleteIndex(indexName) {
+    await this.saves.get(indexName)?.promise;
+    this.indices.delete(indexName);
+    await fs.promises.rm(this.filePath(indexName), { force: true });
+  }
+
+  // Any attribute can be faceted and sorted on locally: nothing to set up
+  async configureIndex() {}
+
+  async search(indexName, query, options = {}) {
+    const index = await this.loadIndex(indexName);
+    if (!index) throw new Error(`Index ${indexName} does not exist`);
+    return index.search(query, options);
+  }
+
+  async health() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    await fs.promises.access(this.dataDir, fs.constants.W_OK);
+    const indices = await this.listIndices();
+    return { dataDir: this.dataDir, writable: true, totalIndices: indices.length };
+  }
+}
+
+let backendInstance = null;
+
+/**
+ * Shared search backend for this process, selected on first use
+ */
+export function getSearchBackend() {
+  if (backendInstance) return backendInstance;
+
+  const hasAlgoliaCredentials = Boolean(process.env.ALGOLIA_APP_ID && process.env.ALGOLIA_API_KEY);
+  const backendType = (process.env.SEARCH_BACKEND || (hasAlgoliaCredentials ? 'algolia' : 'local')).toLowerCase();
+
+  if (backendType === 'algolia') {
+    backendInstance = createAlgoliaBackend();
+    console.log('🔎 Search backend: Algolia');
+  } else if (backendType === 'local') {
+    backendInstance = new LocalSearchBackend({
+      dataDir: process.env.SEARCH_DATA_DIR || path.join(__dirname, '../data/search-indices')
+    });
+    console.log(`🔎 Search backend: local full-text engine (${backendInstance.dataDir})`);
+  } else {
+    throw new Error(`Unknown SEARCH_BACKEND "${backendType}" (expected "algolia" or "local")`);
+  }
+
+  return backendInstance;
+}
@@ -0,0 +1,172 @@
+import { randomUUID } from 'crypto';
+import { DynamoDBClient, DescribeTableCommand, CreateTableCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, PutCommand, GetCommand, DeleteCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
+
+/**
+ * Dead-letter store for incremental index updates that still fail after retries
+ *
+ * One DynamoDB item per failed (table, item, indexing config) update:
+ *
+ *   { id, tableName, project, configId, operationType, itemKey, error,
+ *     attempts, replayCount, createdAt, updatedAt, lastReplayAt }
+ *
+ * Only the item key is stored. A replay re-reads the item from its table, so it
+ * indexes the current state (or removes the record if the item is gone) instead
+ * of a stale copy, and the store never holds unmasked item data.
+ */
+
+export const DEAD_LETTER_CONFIG = {
+  TABLE: process.env.SEARCH_DEAD_LETTER_TABLE || 'brmh-indexing-dead-letters',
+  MAX_ATTEMPTS: Math.max(1, parseInt(process.env.SEARCH_INDEXING_MAX_ATTEMPTS || '3')),
+  BASE_DELAY_MS: parseInt(process.env.SEARCH_INDEXING_RETRY_DELAY_MS || '500'),
+  MAX_DELAY_MS: 10000
+};
+
+const ddb = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddb);
+
+const keySchemaCache = new Map();
+let tableReady = null;
+
+// Create the dead-letter table on first use
+function ensureDeadLetterTable() {
+  if (!tableReady) {
+    tableReady = (async () => {
+      try {
+        await ddb.send(new DescribeTableCommand({ TableName: DEAD_LETTER_CONFIG.TABLE }));
+      } catch (err) {
+        if (err.name !== 'ResourceNotFoundException') throw err;
+        console.log(`📦 Creating dead-letter table ${DEAD_LETTER_CONFIG.TABLE}`);
+        await ddb.send(new CreateTableCommand({
+          TableName: DEAD_LETTER_CONFIG.TABLE,
+          BillingMode: 'PAY_PER_REQUEST',
+          AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+          KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }]
+        }));
+        for (let i = 0; i < 30; i++) {
+          const { Table } = await ddb.send(new DescribeTableCommand({ TableName: DEAD_LETTER_CONFIG.TABLE }));
+          if (Table.TableStatus === 'ACTIVE') return;
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+      }
+    })().catch(err => {
+      tableReady = null;
+      throw err;
+    });
+  }
+  return tableReady;
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential with full jitter
+ */
+export const retryDelay = (attempt) => {
+  const ceiling = Math.min(DEAD_LETTER_CONFIG.MAX_DELAY_MS, DEAD_LETTER_CONFIG.BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+};
+
+/**
+ * Key attribute names of a table (falls back to `id` when it cannot be described)
+ */
+export async function getTableKeyAttributes(tableName) {
+  if (!keySchemaCache.has(tableName)) {
+    try {
+      const { Table } = await ddb.send(new DescribeTableCommand({ TableName: tableName }));
+      keySchemaCache.set(tableName, Table.KeySchema.map(key => key.AttributeName));
+    } catch (err) {
+      console.warn(`⚠️ Could not read key schema of ${tableName}, assuming "id":`, err.message);
+      return ['id'];
+    }
+  }
+  return keySchemaCache.get(tableName);
+}
+
+/**
+ * Read the current version of an item by key, or null if it no longer exists
+ */
+export async function getSourceItem(tableName, itemKey) {
+  const response = await docClient.send(new GetCommand({ TableName: tableName, Key: itemKey }));
+  return response.Item || null;
+}
+
+/**
+ * Store a failed index update
+ * @param {Object} entry - { tableName, project, configId, operationType, itemKey, error, attempts }
+ */
+export async function recordDeadLetter({ tableName, project = null, configId = null, operationType, itemKey, error, attempts }) {
+  await ensureDeadLetterTable();
+  const now = new Date().toISOString();
+  const entry = {
+    id: randomUUID(),
+    tableName,
+    project,
+    configId,
+    operationType,
+    itemKey,
+    error: String(error?.message || error),
+    attempts,
+    replayCount: 0,
+    createdAt: now,
+    updatedAt: now,
+    lastReplayAt: null
+  };
+  await docClient.send(new PutCommand({ TableName: DEAD_LETTER_CONFIG.TABLE, Item: entry }));
+  return entry;
+}
+
+export async function getDeadLetter(id) {
+  await ensureDeadLetterTable();
+  const response = await docClient.send(new GetCommand({ TableName: DEAD_LETTER_CONFIG.TABLE, Key: { id } }));
+  return response.Item || null;
+}
+
+export async function saveDeadLetter(entry) {
+  await docClient.send(new PutCommand({
+    TableName: DEAD_LETTER_CONFIG.TABLE,
+    Item: { ...entry, updatedAt: new Date().toISOString() }
+  }));
+}
+
+export async function deleteDeadLetter(id) {
+  await ensureDeadLetterTable();
+  await docClient.send(new DeleteCommand({ TableName: DEAD_LETTER_CONFIG.TABLE, Key: { id } }));
+}
+
+/**
+ * Dead letters, oldest first
+ * @param {Object} filters - { tableName, project }
+ */
+export async function listDeadLetters({ tableName, project } = {}) {
+  await ensureDeadLetterTable();
+  const conditions = [];
+  const names = {};
+  const values = {};
+  if (tableName) {
+    conditions.push('#tableName = :tableName');
+    names['#tableName'] = 'tableName';
+    values[':tableName'] = tableName;
+  }
+  if (project) {
+    conditions.push('#project = :project');
+    names['#project'] = 'project';
+    values[':project'] = project;
+  }
+
+  const entries = [];
+  let lastKey;
+  do {
+    const response = await docClient.send(new ScanCommand({
+      TableName: DEAD_LETTER_CONFIG.TABLE,
+      ...(conditions.length > 0 && {
+        FilterExpression: conditions.join(' AND '),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+      }),
+      ExclusiveStartKey: lastKey
+    }));
+    entries.push(...(response.Items || []));
+    lastKey = response.LastEvaluatedKey;
+  } while (lastKey);
+
+  return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
@@ -0,0 +1,276 @@
+import { createHash } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Field mappings for search indexing configs (brmh-indexing `fieldMapping`)
+ *
+ * Decide what part of a DynamoDB item reaches the search index:
+ *
+ *   {
+ *     include:  ["orderNumber", "customer.name"],         // keep only these paths
+ *     exclude:  ["customer.phone", "addresses.*.street"],  // drop these paths
+ *     rename:   { "orderNumber": "order" },               // move path -> new path
+ *     computed: { "city": "shippingAddress.city" },       // new field <- path of the source item
+ *     types:    { "total": "number", "createdAt": "date" },
+ *     mask:     { "email": "email", "card": "last4" }
+ *   }
+ *
+ * Steps run in that order. Paths use dots, and `*` matches every element or
+ * key at that level (not in include or rename). Computed fields read the
+ * original item, so they can keep part of a field that is excluded.
+ */
+
+export const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'timestamp', 'array'];
+export const MASK_STRATEGIES = ['redact', 'hash', 'last4', 'email'];
+
+// Helper to get nested value by dot notation
+export const getNested = (obj, path) =>
+  path.split('.').reduce((o, k) => (o && o[k] !== undefined ? o[k] : undefined), obj);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// [container, key] pairs addressed by a path, expanding `*` segments
+function matchPath(obj, segments) {
+  let matches = [[{ root: obj }, 'root']];
+  for (const segment of segments) {
+    const next = [];
+    for (const [container, key] of matches) {
+      const value = container[key];
+      if (value === null || typeof value !== 'object') continue;
+      if (segment === '*') {
+        Object.keys(value).forEach(k => next.push([value, k]));
+      } else if (value[segment] !== undefined) {
+        next.push([value, segment]);
+      }
+    }
+    matches = next;
+  }
+  return matches;
+}
+
+function setPath(obj, path, value) {
+  const segments = path.split('.');
+  let target = obj;
+  segments.slice(0, -1).forEach(segment => {
+    if (!isPlainObject(target[segment])) target[segment] = {};
+    target = target[segment];
+  });
+  target[segments[segments.length - 1]] = value;
+}
+
+function deletePath(obj, path) {
+  matchPath(obj, path.split('.')).forEach(([container, key]) => {
+    if (Array.isArray(container)) container[key] = null;
+    else delete container[key];
+  });
+}
+
+function readComputed(item, path) {
+  if (!path.includes('*')) return getNested(item, path);
+  return matchPath(item, path.split('.')).map(([container, key]) => container[key]);
+}
+
+/**
+ * Convert a value to a field type; undefined when it cannot be converted
+ */
+export function coerceValue(value, type) {
+  if (value === null || value === undefined) return value;
+  switch (type) {
+    case 'string':
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    case 'number':
+    case 'integer': {
+      if (typeof value === 'boolean' || value === '') return undefined;
+      const number = Number(value);
+      if (!Number.isFinite(number)) return undefined;
+      return type === 'integer' ? Math.trunc(number) : number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', '1', 'yes', 1].includes(typeof value === 'string' ? value.toLowerCase() : value)) return true;
+      if (['false', '0', 'no', 0].includes(typeof value === 'string' ? value.toLowerCase() : value)) return false;
+      return undefined;
+    case 'date':
+    case 'timestamp': {
+      const ms = typeof value === 'number' ? value : Date.parse(value);
+      if (!Number.isFinite(ms)) return undefined;
+      return type === 'date' ? new Date(ms).toISOString() : ms;
+    }
+    case 'array':
+      return Array.isArray(value) ? value : [value];
+    default:
+      return value;
+  }
+}
+
+/**
+ * Mask a value so it can be searched for or displayed without exposing it
+ */
+export function maskValue(value, strategy) {
+  if (value === null || value === undefined) return value;
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  switch (strategy) {
+    case 'redact':
+      return '[REDACTED]';
+    case 'hash':
+      // Stable, so equal values still match in filters
+      return createHash('sha256').update(text).digest('hex').slice(0, 16);
+    case 'last4':
+      return text.length <= 4 ? '*'.repeat(text.length) : `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+    case 'email': {
+      const at = text.indexOf('@');
+      if (at < 1) return '[REDACTED]';
+      return `${text[0]}***${text.slice(at)}`;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate and normalise a field mapping. Returns { fieldMapping } or { error }.
+ * A missing or empty mapping normalises to null (index the item as is).
+ */
+export function normalizeFieldMapping(mapping) {
+  if (mapping === undefined || mapping === null) return { fieldMapping: null };
+  if (!isPlainObject(mapping)) return { error: "fieldMapping must be an object" };
+
+  const known = ['include', 'exclude', 'rename', 'computed', 'types', 'mask'];
+  const unknown = Object.keys(mapping).filter(key => !known.includes(key));
+  if (unknown.length > 0) return { error: `fieldMapping has unknown keys: ${unknown.join(', ')}` };
+
+  const isPath = (path) => typeof path === 'string' && path.length > 0 && !path.split('.').includes('');
+  const normalized = {};
+
+  for (const key of ['include', 'exclude']) {
+    if (mapping[key] === undefined) continue;
+    if (!Array.isArray(mapping[key]) || !mapping[key].every(isPath)) {
+      return { error: `fieldMapping.${key} must be an array of dotted paths` };
+    }
+    if (key === 'include' && mapping[key].some(path => path.split('.').includes('*'))) {
+      return { error: "fieldMapping.include paths cannot contain '*'" };
+    }
+    if (mapping[key].length > 0) normalized[key] = [...new Set(mapping[key])];
+  }
+
+  for (const key of ['rename', 'computed', 'types', 'mask']) {
+    if (mapping[key] === undefined) continue;
+    if (!isPlainObject(mapping[key])) return { error: `fieldMapping.${key} must be an object` };
+
+    for (const [path, value] of Object.entries(mapping[key])) {
+      const label = `fieldMapping.${key}["${path}"]`;
+      if (!isPath(path)) return { error: `${label}: "${path}" is not a valid path` };
+
+      if (key === 'rename') {
+        if (!isPath(value) || path.includes('*') || value.includes('*')) {
+          return { error: `${label} must be a dotted path without '*'` };
+        }
+      } else if (key === 'computed') {
+        if (path.includes('*')) return { error: `${label}: computed field names cannot contain '*'` };
+        if (!isPath(value)) return { error: `${label} must be a dotted source path` };
+      } else if (key === 'types') {
+        if (!FIELD_TYPES.includes(value)) return { error: `${label} must be one of ${FIELD_TYPES.join(', ')}` };
+      } else if (!MASK_STRATEGIES.includes(value)) {
+        return { error: `${label} must be one of ${MASK_STRATEGIES.join(', ')}` };
+      }
+    }
+    if (Object.keys(mapping[key]).length > 0) normalized[key] = { ...mapping[key] };
+  }
+
+  return { fieldMapping: Object.keys(normalized).length > 0 ? normalized : null };
+}
+
+/**
+ * Apply a normalised field mapping to an item (the item is not modified)
+ * @param {Object} item - Item as read from the table (after customFields selection)
+ * @param {Object} fieldMapping - Output of normalizeFieldMapping
+ * @param {Object} source - Original item that computed fields read from
+ */
+export function applyFieldMapping(item, fieldMapping, source = item) {
+  const { include, exclude = [], rename = {}, computed = {}, types = {}, mask = {} } = fieldMapping;
+  let doc;
+
+  if (include) {
+    doc = {};
+    include.forEach(path => {
+      const value = getNested(item, path);
+      if (value !== undefined) setPath(doc, path, structuredClone(value));
+    });
+  } else {
+    doc = structuredClone(item);
+  }
+
+  exclude.forEach(path => deletePath(doc, path));
+
+  for (const [from, to] of Object.entries(rename)) {
+    const value = getNested(doc, from);
+    if (value === undefined) continue;
+    deletePath(doc, from);
+    setPath(doc, to, value);
+  }
+
+  for (const [field, path] of Object.entries(computed)) {
+    const value = readComputed(source, path);
+    if (value !== undefined) setPath(doc, field, structuredClone(value));
+  }
+
+  for (const [path, type] of Object.entries(types)) {
+    matchPath(doc, path.split('.')).forEach(([container, key]) => {
+      const value = coerceValue(container[key], type);
+      if (value === undefined) delete container[key];
+      else container[key] = value;
+    });
+  }
+
+  for (const [path, strategy] of Object.entries(mask)) {
+    matchPath(doc, path.split('.')).forEach(([container, key]) => {
+      container[key] = maskValue(container[key], strategy);
+    });
+  }
+
+  return doc;
+}
+
+/**
+ * objectID of an item: the values of its table key attributes ("#"-joined for
+ * a composite key). Without a known key schema it falls back to `id`.
+ * @param {Object} item - Plain (unwrapped) item
+ * @param {string[]} keyAttributes - Key attribute names of the item's table
+ * @returns {string|undefined}
+ */
+export function itemObjectID(item, keyAttributes = []) {
+  const values = keyAttributes.map(attribute => item[attribute]);
+  if (values.length > 0 && values.every(value => value !== undefined && value !== null)) {
+    return values.map(String).join('#');
+  }
+  return item.id ?? item.objectID;
+}
+
+/**
+ * Build the search document for an item under an indexing config: legacy
+ * customFields selection, then the field mapping, then index metadata.
+ * objectID always comes from the original item's key so updates and removals
+ * address the same record whatever the mapping drops.
+ * @param {Object} item - Plain (unwrapped) item
+ * @param {Object} config - { customFields?, fieldMapping? }
+ * @param {Object} meta - { project, table, timestamp, keyAttributes }
+ */
+export function buildIndexDocument(item, { customFields = [], fieldMapping = null } = {}, { project, table, timestamp, keyAttributes = [] }) {
+  const base = Array.isArray(customFields) && customFields.length > 0
+    ? customFields.reduce((acc, key) => {
+        const value = getNested(item, key);
+        if (value !== undefined) acc[key.replace(/^Item\./, '')] = value;
+        return acc;
+      }, {})
+    : item;
+
+  const mapped = fieldMapping ? applyFieldMapping(base, fieldMapping, item) : base;
+
+  return {
+    ...mapped,
+    _project: project,
+    _table: table,
+    _timestamp: timestamp,
+    objectID: itemObjectID(item, keyAttributes) ?? uuidv4()
+  };
+}
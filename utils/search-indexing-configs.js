@@ -0,0 +1,468 @@
+import { DynamoDBClient, DescribeTableCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
+import {
+  createIndexingConfig,
+  updateIndexingConfig,
+  deleteIndexingConfig
+} from '../lib/unified-handlers.js';
+import { buildIndexDocument, normalizeFieldMapping } from './search-field-mapping.js';
+import { normalizeSearchSettings } from './search-query.js';
+
+/**
+ * Lifecycle of search indexing configs (brmh-indexing) with validation
+ *
+ * A config is checked against the table it indexes before it is saved:
+ * DescribeTable gives the key schema and item count, and a sample scan gives
+ * the attribute paths that actually occur. Shape problems, a missing table,
+ * reserved output fields and a second active config for the same
+ * project/table are errors. Record objectIDs come from the table's key
+ * attributes, so any key schema can be indexed. Paths that no sampled item contains are only
+ * warnings, since optional attributes may simply be missing from the sample.
+ *
+ * The same sample is run through buildIndexDocument, which gives the preview
+ * documents and the size estimate of the index.
+ */
+
+export const CONFIG_VALIDATION = {
+  TABLE: 'brmh-indexing',
+  SAMPLE_ITEMS: parseInt(process.env.SEARCH_CONFIG_SAMPLE_ITEMS) || 100,
+  MAX_PREVIEW_DOCUMENTS: 20,
+  MAX_RECORD_BYTES: parseInt(process.env.SEARCH_MAX_RECORD_BYTES) || 100000,
+  MAX_PATH_DEPTH: 6,
+  MAX_PATHS: 2000
+};
+
+const CONFIG_STATUSES = ['active', 'inactive'];
+const CONFIG_FIELDS = ['project', 'table', 'description', 'customFields', 'fieldMapping', 'searchSettings', 'status'];
+const RESERVED_FIELDS = ['objectID', '_project', '_table', '_timestamp'];
+
+const ddb = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(ddb);
+
+// Configs written by older tools keep their fields under `data`
+const unwrapConfig = (item) => (item ? item.data || item : null);
+
+export async function getIndexingConfig(configId) {
+  const response = await docClient.send(new GetCommand({ TableName: CONFIG_VALIDATION.TABLE, Key: { id: configId } }));
+  return unwrapConfig(response.Item);
+}
+
+export async function listIndexingConfigs({ table, project } = {}) {
+  const conditions = [];
+  const names = {};
+  const values = {};
+  if (table) {
+    conditions.push('#table = :table');
+    names['#table'] = 'table';
+    values[':table'] = table;
+  }
+  if (project) {
+    conditions.push('#project = :project');
+    names['#project'] = 'project';
+    values[':project'] = project;
+  }
+
+  const configs = [];
+  let lastKey;
+  do {
+    const response = await docClient.send(new ScanCommand({
+      TableName: CONFIG_VALIDATION.TABLE,
+      ...(conditions.length > 0 && {
+        FilterExpression: conditions.join(' AND '),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+      }),
+      ExclusiveStartKey: lastKey
+    }));
+    configs.push(...(response.Items || []).map(unwrapConfig));
+    lastKey = response.LastEvaluatedKey;
+  } while (lastKey);
+
+  return configs.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+// Attribute paths of a value, `*` standing for array elements
+function addPaths(value, prefix, paths, depth = 0) {
+  if (value === null || typeof value !== 'object' || depth >= CONFIG_VALIDATION.MAX_PATH_DEPTH) return;
+  const entries = Array.isArray(value) ? value.map(element => ['*', element]) : Object.entries(value);
+  for (const [key, child] of entries) {
+    if (paths.size >= CONFIG_VALIDATION.MAX_PATHS) return;
+    const path = prefix ? `${prefix}.${key}` : key;
+    paths.add(path);
+    addPaths(child, path, paths, depth + 1);
+  }
+}
+
+// Path -> number of values that contain it
+function countPaths(values) {
+  const counts = new Map();
+  for (const value of values) {
+    const paths = new Set();
+    addPaths(value, '', paths);
+    paths.forEach(path => counts.set(path, (counts.get(path) || 0) + 1));
+  }
+  return counts;
+}
+
+// A config path matches a sampled path segment by segment; `*` on either side
+// matches any key, and a numeric segment matches an array element
+function pathMatches(pattern, path) {
+  const patternSegments = pattern.split('.');
+  const pathSegments = path.split('.');
+  if (patternSegments.length !== pathSegments.length) return false;
+  return patternSegments.every((segment, i) =>
+    segment === '*' || segment === pathSegments[i] || (pathSegments[i] === '*' && /^\d+$/.test(segment))
+  );
+}
+
+const pathFound = (pattern, counts) => [...counts.keys()].some(path => pathMatches(pattern, path));
+
+/**
+ * Check the shape of a config, without touching DynamoDB
+ * @returns {{config: Object, errors: string[]}} config has defaults applied and a normalised
+ *   fieldMapping and searchSettings
+ */
+function checkConfigShape(input) {
+  const errors = [];
+  const config = {
+    project: input.project ?? 'default',
+    table: input.table,
+    description: input.description ?? '',
+    customFields: input.customFields ?? [],
+    fieldMapping: null,
+    searchSettings: null,
+    status: input.status ?? 'active'
+  };
+
+  if (typeof config.table !== 'string' || config.table.length === 0) {
+    errors.push('table is required');
+  }
+  if (typeof config.project !== 'string' || config.project.length === 0) {
+    errors.push('project must be a non-empty string');
+  }
+  if (typeof config.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (!CONFIG_STATUSES.includes(config.status)) {
+    errors.push(`status must be one of ${CONFIG_STATUSES.join(', ')}`);
+  }
+  if (!Array.isArray(config.customFields) || !config.customFields.every(field => typeof field === 'string' && field.length > 0)) {
+    errors.push('customFields must be an array of field paths');
+  }
+
+  const { fieldMapping, error: mappingError } = normalizeFieldMapping(input.fieldMapping);
+  if (mappingError) errors.push(`Invalid fieldMapping: ${mappingError}`);
+  else config.fieldMapping = fieldMapping;
+
+  const { searchSettings, error: settingsError } = normalizeSearchSettings(input.searchSettings);
+  if (settingsError) errors.push(`Invalid searchSettings: ${settingsError}`);
+  else config.searchSettings = searchSettings;
+
+  return { config, errors };
+}
+
+async function describeSourceTable(tableName) {
+  try {
+    const { Table } = await ddb.send(new DescribeTableCommand({ TableName: tableName }));
+    const types = Object.fromEntries((Table.AttributeDefinitions || []).map(def => [def.AttributeName, def.AttributeType]));
+    return {
+      name: tableName,
+      keySchema: Table.KeySchema.map(key => ({ attribute: key.AttributeName, keyType: key.KeyType, type: types[key.AttributeName] })),
+      itemCount: Table.ItemCount ?? 0,
+      sizeBytes: Table.TableSizeBytes ?? 0
+    };
+  } catch (err) {
+    if (err.name === 'ResourceNotFoundException') return null;
+    throw err;
+  }
+}
+
+/**
+ * Validate a config against its table and build documents from a sample of items
+ * @param {Object} input - Config fields (project, table, description, customFields, fieldMapping, searchSettings, status)
+ * @param {Object} options - { excludeId } config to ignore in the duplicate check (the one being updated)
+ * @returns {Promise<Object>} { valid, errors, warnings, config, table, samples }
+ *   samples: [{ key, document }] for every sampled item
+ */
+export async function inspectIndexingConfig(input, { excludeId = null } = {}) {
+  const { config, errors } = checkConfigShape(input);
+  const warnings = [];
+  let tableInfo = null;
+  let samples = [];
+  const result = () => ({ valid: errors.length === 0, errors, warnings, config, table: tableInfo, samples });
+
+  if (typeof config.table !== 'string' || config.table.length === 0) return result();
+
+  const table = await describeSourceTable(config.table);
+  if (!table) {
+    errors.push(`Table "${config.table}" does not exist`);
+    return result();
+  }
+
+  const response = await docClient.send(new ScanCommand({ TableName: config.table, Limit: CONFIG_VALIDATION.SAMPLE_ITEMS }));
+  const items = response.Items || [];
+  const keyAttributes = table.keySchema.map(key => key.attribute);
+  const itemCounts = countPaths(items);
+
+  tableInfo = {
+    ...table,
+    sampledItems: items.length,
+    // The sample is the whole table when the scan did not stop early
+    completeSample: !response.LastEvaluatedKey,
+    attributes: [...itemCounts.entries()]
+      .filter(([path]) => !path.includes('.'))
+      .map(([name, presentIn]) => ({ name, presentIn, key: keyAttributes.includes(name) }))
+      .sort((a, b) => b.presentIn - a.presentIn || a.name.localeCompare(b.name))
+  };
+
+  if (errors.length > 0) return result();
+
+  // Documents exactly as /search/index would build them
+  const timestamp = Date.now();
+  samples = items.map(item => ({
+    key: Object.fromEntries(keyAttributes.map(attribute => [attribute, item[attribute]])),
+    document: buildIndexDocument(item, config, { project: config.project, table: config.table, timestamp, keyAttributes })
+  }));
+
+  const { rename = {}, computed = {}, types = {}, mask = {} } = config.fieldMapping || {};
+  [...Object.values(rename), ...Object.keys(computed)]
+    .filter(field => RESERVED_FIELDS.includes(field.split('.')[0]))
+    .forEach(field => errors.push(`"${field}" is reserved for index metadata (${RESERVED_FIELDS.join(', ')})`));
+
+  const active = (await listIndexingConfigs({ table: config.table, project: config.project }))
+    .filter(other => other.status === 'active' && other.id !== excludeId);
+  if (config.status === 'active' && active.length > 0) {
+    errors.push(`Indexing config ${active[0].id} is already active for table "${config.table}" in project "${config.project}"`);
+  }
+
+  if (items.length === 0) {
+    warnings.push(`Table "${config.table}" has no items, so field paths could not be checked`);
+    return result();
+  }
+
+  // Paths read from the source item
+  const sourcePaths = [
+    ...config.customFields.map(path => ['customFields', path]),
+    ...(config.fieldMapping?.include || []).map(path => ['fieldMapping.include', path]),
+    ...(config.fieldMapping?.exclude || []).map(path => ['fieldMapping.exclude', path]),
+    ...Object.keys(rename).map(path => ['fieldMapping.rename', path]),
+    ...Object.values(computed).map(path => ['fieldMapping.computed', path])
+  ];
+  // Paths of the output document (after renames)
+  const documentCounts = countPaths(samples.map(sample => sample.document));
+  const documentPaths = [
+    ...Object.keys(types).map(path => ['fieldMapping.types', path]),
+    ...Object.keys(mask).map(path => ['fieldMapping.mask', path])
+  ];
+  sourcePaths
+    .filter(([, path]) => !pathFound(path, itemCounts))
+    .concat(documentPaths.filter(([, path]) => !pathFound(path, documentCounts)))
+    .forEach(([label, path]) => warnings.push(`${label}: "${path}" does not occur in ${items.length} sampled items`));
+
+  const emptyDocuments = samples.filter(({ document }) =>
+    Object.keys(document).every(field => RESERVED_FIELDS.includes(field))
+  ).length;
+  if (emptyDocuments > 0) {
+    warnings.push(`${emptyDocuments} of ${items.length} sampled documents have no fields besides index metadata`);
+  }
+
+  return result();
+}
+
+/**
+ * Estimate the index size from the sampled documents
+ */
+function estimateIndexSize(table, samples) {
+  const sizes = samples.map(({ document }) => Buffer.byteLength(JSON.stringify(document)));
+  const documents = table.completeSample ? samples.length : Math.max(table.itemCount, samples.length);
+  const avgDocumentBytes = sizes.length > 0 ? Math.round(sizes.reduce((sum, size) => sum + size, 0) / sizes.length) : 0;
+  return {
+    documents,
+    exact: table.completeSample,
+    sampledDocuments: sizes.length,
+    avgDocumentBytes,
+    maxDocumentBytes: sizes.length > 0 ? Math.max(...sizes) : 0,
+    estimatedIndexBytes: avgDocumentBytes * documents,
+    sourceTableBytes: table.sizeBytes
+  };
+}
+
+const pickConfigFields = (body) =>
+  Object.fromEntries(CONFIG_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+const invalidConfigResponse = (res, inspection) => res.status(400).json({
+  error: "Invalid indexing config",
+  message: inspection.errors.join('; '),
+  errors: inspection.errors,
+  warnings: inspection.warnings,
+  table: inspection.table
+});
+
+/**
+ * Express handler listing indexing configs
+ * Query: table?, project?
+ */
+export const listIndexingConfigsHandler = async (req, res) => {
+  try {
+    const { table, project } = req.query;
+    const configs = await listIndexingConfigs({ table, project });
+    res.json({ configs, count: configs.length });
+  } catch (err) {
+    console.error('❌ Error listing indexing configs:', err);
+    res.status(500).json({ message: "Failed to list indexing configs", error: err.message });
+  }
+};
+
+export const getIndexingConfigHandler = async (req, res) => {
+  try {
+    const config = await getIndexingConfig(req.params.configId);
+    if (!config) {
+      return res.status(404).json({ error: "Indexing config not found", message: `No indexing config ${req.params.configId}` });
+    }
+    res.json({ config });
+  } catch (err) {
+    console.error('❌ Error getting indexing config:', err);
+    res.status(500).json({ message: "Failed to get indexing config", error: err.message });
+  }
+};
+
+/**
+ * Express handler validating a config without saving it
+ * Request body: { project?, table, description?, customFields?, fieldMapping?, searchSettings?, status?, configId? }
+ * With configId the body fields override that stored config (to check an edit).
+ */
+export const validateIndexingConfigHandler = async (req, res) => {
+  try {
+    const { configId } = req.body || {};
+    let base = {};
+    if (configId) {
+      base = await getIndexingConfig(configId);
+      if (!base) {
+        return res.status(404).json({ error: "Indexing config not found", message: `No indexing config ${configId}` });
+      }
+    }
+
+    const { valid, errors, warnings, config, table } = await inspectIndexingConfig(
+      { ...base, ...pickConfigFields(req.body || {}) },
+      { excludeId: configId || null }
+    );
+    res.json({ valid, errors, warnings, config, table });
+  } catch (err) {
+    console.error('❌ Error validating indexing config:', err);
+    res.status(500).json({ message: "Failed to validate indexing config", error: err.message });
+  }
+};
+
+/**
+ * Express handler previewing the documents a config produces (dry run)
+ * Request body: same as /search/configs/validate, plus sampleSize (1-20, default 5)
+ * Returns the validation result, the first sampleSize documents with their
+ * source keys, and an estimate of the index size.
+ */
+export const previewIndexingConfigHandler = async (req, res) => {
+  try {
+    const { configId, sampleSize = 5 } = req.body || {};
+    const size = Number(sampleSize);
+    if (!Number.isInteger(size) || size < 1 || size > CONFIG_VALIDATION.MAX_PREVIEW_DOCUMENTS) {
+      return res.status(400).json({
+        error: "Invalid sampleSize",
+        message: `sampleSize must be an integer between 1 and ${CONFIG_VALIDATION.MAX_PREVIEW_DOCUMENTS}`
+      });
+    }
+
+    let base = {};
+    if (configId) {
+      base = await getIndexingConfig(configId);
+      if (!base) {
+        return res.status(404).json({ error: "Indexing config not found", message: `No indexing config ${configId}` });
+      }
+    }
+
+    const inspection = await inspectIndexingConfig(
+      { ...base, ...pickConfigFields(req.body) },
+      { excludeId: configId || null }
+    );
+    const { valid, errors, warnings, config, table, samples } = inspection;
+    const estimate = table && samples.length > 0 ? estimateIndexSize(table, samples) : null;
+    if (estimate && estimate.maxDocumentBytes > CONFIG_VALIDATION.MAX_RECORD_BYTES) {
+      warnings.push(`Largest sampled document is ${estimate.maxDocumentBytes} bytes, over the ${CONFIG_VALIDATION.MAX_RECORD_BYTES}-byte record limit`);
+    }
+
+    res.json({
+      valid,
+      errors,
+      warnings,
+      config,
+      table,
+      documents: samples.slice(0, size),
+      estimate
+    });
+  } catch (err) {
+    console.error('❌ Error previewing indexing config:', err);
+    res.status(500).json({ message: "Failed to preview indexing config", error: err.message });
+  }
+};
+
+/**
+ * Express handler creating a config; rejected with 400 when validation fails
+ * Request body: { project?, table, description?, customFields?, fieldMapping?, searchSettings?, status? }
+ */
+export const createIndexingConfigHandler = async (req, res) => {
+  try {
+    const inspection = await inspectIndexingConfig(pickConfigFields(req.body || {}));
+    if (!inspection.valid) return invalidConfigResponse(res, inspection);
+
+    const config = await createIndexingConfig(inspection.config);
+    res.status(201).json({ message: "Indexing config created", config, warnings: inspection.warnings });
+  } catch (err) {
+    console.error('❌ Error creating indexing config:', err);
+    res.status(500).json({ message: "Failed to create indexing config", error: err.message });
+  }
+};
+
+/**
+ * Express handler updating a config; the merged config is validated first
+ */
+export const updateIndexingConfigHandler = async (req, res) => {
+  try {
+    const { configId } = req.params;
+    const existing = await getIndexingConfig(configId);
+    if (!existing) {
+      return res.status(404).json({ error: "Indexing config not found", message: `No indexing config ${configId}` });
+    }
+
+    const changes = pickConfigFields(req.body || {});
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: "Nothing to update",
+        message: `Provide at least one of ${CONFIG_FIELDS.join(', ')}`
+      });
+    }
+
+    const inspection = await inspectIndexingConfig({ ...existing, ...changes }, { excludeId: configId });
+    if (!inspection.valid) return invalidConfigResponse(res, inspection);
+
+    const updates = Object.fromEntries(Object.keys(changes).map(field => [field, inspection.config[field]]));
+    const config = await updateIndexingConfig(configId, updates);
+    res.json({ message: "Indexing config updated", config, warnings: inspection.warnings });
+  } catch (err) {
+    console.error('❌ Error updating indexing config:', err);
+    res.status(500).json({ message: "Failed to update indexing config", error: err.message });
+  }
+};
+
+export const deleteIndexingConfigHandler = async (req, res) => {
+  try {
+    const { configId } = req.params;
+    const existing = await getIndexingConfig(configId);
+    if (!existing) {
+      return res.status(404).json({ error: "Indexing config not found", message: `No indexing config ${configId}` });
+    }
+
+    await deleteIndexingConfig(configId);
+    res.json({ message: "Indexing config deleted", configId });
+  } catch (err) {
+    console.error('❌ Error deleting indexing config:', err);
+    res.status(500).json({ message: "Failed to delete indexing config", error: err.message });
+  }
+};
@@ -1,18 +1,47 @@
-import { DynamoDBClient, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, ScanCommand, DescribeTableCommand } from "@aws-sdk/client-dynamodb";
 import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
 import { unmarshall } from "@aws-sdk/util-dynamodb";
-import algoliasearch from 'algoliasearch';
-import { v4 as uuidv4 } from 'uuid';
+import { randomUUID } from 'crypto';
+import { getCacheBackend } from './cache-backend.js';
+import { getSearchBackend } from './search-backend.js';
+import { buildIndexDocument, itemObjectID, normalizeFieldMapping } from './search-field-mapping.js';
+import { normalizeSearchOptions, normalizeSearchSettings, checkDeclaredSearchOptions } from './search-query.js';
+import { ANALYTICS_CONFIG, recordSearchQuery, buildSearchAnalyticsReport } from './search-analytics.js';
+import {
+  DEAD_LETTER_CONFIG,
+  retryDelay,
+  getTableKeyAttributes,
+  getSourceItem,
+  recordDeadLetter,
+  getDeadLetter,
+  saveDeadLetter,
+  deleteDeadLetter,
+  listDeadLetters
+} from './search-dead-letters.js';
+import {
+  searchAliasName,
+  findTableIndices,
+  getSearchAlias,
+  getSearchAliasLock,
+  acquireSearchAliasLock,
+  releaseSearchAliasLock,
+  resolveLiveIndex,
+  resolveWriteTargets,
+  recordBuildWrite,
+  getBuildWrites,
+  markSearchAliasBuilding,
+  clearSearchAliasBuilding,
+  swapSearchAlias,
+  collectRetiredIndices
+} from './search-aliases.js';
+import { searchIndexingOperations, searchIndexingRecords, searchIndexingDeadLetters } from './metrics.js';
 
 console.log('Search indexing service: importing modules and initializing clients');
 
 // Initialize DynamoDB clients
 const ddb = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(ddb);
-
-// Helper to get nested value by dot notation
-const getNested = (obj, path) =>
-  path.split('.').reduce((o, k) => (o && o[k] !== undefined ? o[k] : undefined), obj);
+const redis = getCacheBackend();
 
 // Helper to unwrap DynamoDB AttributeValue format to plain JSON
 function unwrap(val) {
@@ -33,9 +62,10 @@ function unwrap(val) {
 /**
  * Find active indexing configurations for a specific table
  * @param {string} tableName - The table name to search for
+ * @param {Object} options - { throwOnError } to fail instead of returning []
  * @returns {Promise<Array>} Array of active indexing configurations
  */
-export const findActiveIndexingConfigs = async (tableName) => {
+export const findActiveIndexingConfigs = async (tableName, { throwOnError = false } = {}) => {
   try {
     console.log(`🔍 Finding active indexing configurations for table: ${tableName}`);
     
@@ -59,111 +89,230 @@ export const findActiveIndexingConfigs = async (tableName) => {
     return configs;
   } catch (error) {
     console.error(`❌ Error finding indexing configurations for table ${tableName}:`, error);
+    if (throwOnError) throw error;
     return [];
   }
 };
 
+const SEARCH_SETTINGS_TTL_MS = 30000;
+const searchSettingsCache = new Map(); // "project/table" -> { searchSettings, expiresAt }
+
+/**
+ * searchSettings (declared facets and sorts) of the project/table's active
+ * indexing config, cached briefly so searches do not scan brmh-indexing
+ */
+async function getDeclaredSearchSettings(project, table) {
+  const cacheKey = `${project}/${table}`;
+  const cached = searchSettingsCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.searchSettings;
+
+  const configs = await findActiveIndexingConfigs(table, { throwOnError: true });
+  const config = configs.find(c => c.project === project);
+  // A stored value that no longer validates declares nothing
+  const searchSettings = normalizeSearchSettings(config?.searchSettings).searchSettings || { facets: [], sorts: [] };
+  searchSettingsCache.set(cacheKey, { searchSettings, expiresAt: Date.now() + SEARCH_SETTINGS_TTL_MS });
+  return searchSettings;
+}
+
+// Filter-tree attributes, facets and sorts need the config's searchSettings
+const usesDeclaredOptions = (options) =>
+  options.filterAttributes?.length > 0 || options.facets?.length > 0 || Boolean(options.sort);
+
+/**
+ * Save or remove an item in every write target of one indexing config.
+ * Throws on failure so the caller can retry; errors that a retry cannot fix
+ * (an invalid fieldMapping) have retryable: false and are dead-lettered at once.
+ */
+async function applyIndexUpdate(backend, config, tableName, unwrappedItem, operationType) {
+  const { project } = config;
+  const metricOperation = operationType === 'REMOVE' ? 'delete' : 'save';
+  const { fieldMapping, error: mappingError } = normalizeFieldMapping(config.fieldMapping);
+  if (mappingError) {
+    throw Object.assign(new Error(`Indexing config ${config.id} has an invalid fieldMapping: ${mappingError}`), { retryable: false });
+  }
+  
+  // The live version, plus the version being rebuilt if a reindex is running
+  const { targets: targetIndices, building } = await resolveWriteTargets(backend, project, tableName);
+  
+  if (targetIndices.length === 0) {
+    console.log(`⚠️ No indices found for project: ${project}, table: ${tableName}`);
+    return;
+  }
+  
+  // Prepare the item for indexing (customFields and fieldMapping of the config)
+  const keyAttributes = await getTableKeyAttributes(tableName);
+  const enrichedItem = buildIndexDocument(unwrappedItem, { customFields: config.customFields, fieldMapping }, {
+    project,
+    table: tableName,
+    timestamp: Date.now(),
+    keyAttributes
+  });
+  
+  // Perform the appropriate operation
+  switch (operationType) {
+    case 'INSERT':
+    case 'MODIFY':
+      // Add or update the item
+      if (building) await recordBuildWrite(building, enrichedItem.objectID);
+      for (const indexName of targetIndices) {
+        await backend.saveObject(indexName, enrichedItem);
+        searchIndexingOperations.inc({ backend: backend.name, operation: metricOperation, outcome: 'success' });
+        console.log(`✅ Indexed item in ${indexName} (${operationType})`);
+      }
+      break;
+      
+    case 'REMOVE':
+      // Remove the item
+      const objectID = itemObjectID(unwrappedItem, keyAttributes);
+      if (objectID) {
+        if (building) await recordBuildWrite(building, objectID);
+        for (const indexName of targetIndices) {
+          await backend.deleteObject(indexName, objectID);
+          searchIndexingOperations.inc({ backend: backend.name, operation: metricOperation, outcome: 'success' });
+          console.log(`✅ Removed item from ${indexName} (${operationType})`);
+        }
+      }
+      break;
+      
+    default:
+      console.log(`⚠️ Unknown operation type: ${operationType}`);
+  }
+}
+
+/**
+ * Run an indexing step, retrying with exponential backoff
+ * (SEARCH_INDEXING_MAX_ATTEMPTS attempts in total). Errors with
+ * retryable: false are thrown at once.
+ */
+async function withIndexingRetries(fn, label, onRetry = () => {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.retryable === false || attempt >= DEAD_LETTER_CONFIG.MAX_ATTEMPTS) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = retryDelay(attempt);
+      onRetry();
+      console.warn(`⚠️ ${label} failed on attempt ${attempt}/${DEAD_LETTER_CONFIG.MAX_ATTEMPTS}, retrying in ${delay}ms: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Key of the item in its table, so a replay can read it again
+async function extractItemKey(tableName, unwrappedItem) {
+  const keyAttributes = await getTableKeyAttributes(tableName);
+  return Object.fromEntries(keyAttributes.map(attribute => [attribute, unwrap(unwrappedItem[attribute])]));
+}
+
+/**
+ * Bulk-save scanned rows into a version that is being built without undoing
+ * live updates made since the scan. Rows a live update already wrote are
+ * skipped; rows a live update wrote while the save was in flight are re-read
+ * from the table afterwards, so the version keeps their current state (or
+ * drops them if they were removed).
+ * @param {Array} items - Scanned plain items
+ * @param {Function} toDocument - item -> index document
+ * @returns {Promise<{saved: number, skipped: number, resynced: number}>}
+ */
+async function saveBuildPage(backend, indexName, tableName, items, toDocument, { wait = false } = {}) {
+  const writtenBefore = await getBuildWrites(indexName);
+  const pending = items
+    .map(item => ({ item, document: toDocument(item) }))
+    .filter(({ document }) => !writtenBefore.has(String(document.objectID)));
+  await backend.saveObjects(indexName, pending.map(({ document }) => document), { wait });
+
+  const writtenAfter = await getBuildWrites(indexName);
+  const raced = pending.filter(({ document }) => writtenAfter.has(String(document.objectID)));
+  for (const { item, document } of raced) {
+    const current = await getSourceItem(tableName, await extractItemKey(tableName, item));
+    if (current) {
+      await backend.saveObject(indexName, toDocument(unwrap(current)));
+    } else {
+      await backend.deleteObject(indexName, document.objectID);
+    }
+  }
+  if (raced.length > 0) {
+    console.log(`🔁 Re-synced ${raced.length} records of ${indexName} changed while their page was saved`);
+  }
+
+  return { saved: pending.length, skipped: items.length - pending.length, resynced: raced.length };
+}
+
+async function deadLetterIndexUpdate(tableName, unwrappedItem, operationType, config, error) {
+  try {
+    const entry = await recordDeadLetter({
+      tableName,
+      project: config?.project || null,
+      configId: config?.id || null,
+      operationType,
+      itemKey: await extractItemKey(tableName, unwrappedItem),
+      error,
+      attempts: error.attempts || 1
+    });
+    searchIndexingDeadLetters.inc({ event: 'recorded' });
+    console.error(`📥 Dead-lettered ${operationType} for table ${tableName} as ${entry.id}`);
+  } catch (storeError) {
+    // Last resort: the log line is all that is left of this update
+    console.error(`🔥 Failed to dead-letter ${operationType} for table ${tableName}:`, storeError.message, { item: unwrappedItem, error: error.message });
+  }
+}
+
 /**
- * Update indexing for a specific item based on active configurations
+ * Update indexing for a specific item based on active configurations.
+ * Each config is retried with backoff; updates that still fail are written to
+ * the dead-letter store for replay through /search/dead-letters/replay.
  * @param {string} tableName - The table name
  * @param {Object} item - The item data (new or updated)
  * @param {string} operationType - 'INSERT', 'MODIFY', or 'REMOVE'
  * @param {Object} oldItem - The old item data (for MODIFY operations)
  */
 export const updateIndexingForItem = async (tableName, item, operationType, oldItem = null) => {
+  const unwrappedItem = unwrap(item);
   try {
     console.log(`🔄 Updating indexing for table: ${tableName}, operation: ${operationType}`);
     
     // Find active indexing configurations for this table
-    const activeConfigs = await findActiveIndexingConfigs(tableName);
+    let activeConfigs;
+    try {
+      activeConfigs = await withIndexingRetries(
+        () => findActiveIndexingConfigs(tableName, { throwOnError: true }),
+        `Indexing config lookup for ${tableName}`
+      );
+    } catch (lookupError) {
+      await deadLetterIndexUpdate(tableName, unwrappedItem, operationType, null, lookupError);
+      return;
+    }
     
     if (activeConfigs.length === 0) {
       console.log(`ℹ️ No active indexing configurations found for table: ${tableName}`);
       return;
     }
     
-    const ALGOLIA_APP_ID = process.env.ALGOLIA_APP_ID;
-    const ALGOLIA_API_KEY = process.env.ALGOLIA_API_KEY;
-    const ALGOLIA_INDEX_PREFIX = process.env.ALGOLIA_INDEX_PREFIX || '';
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
     
-    if (!ALGOLIA_APP_ID || !ALGOLIA_API_KEY) {
-      console.error("❌ Missing Algolia credentials for indexing update");
+    if (configError) {
+      console.error(`❌ ${configError.error} for indexing update`);
       return;
     }
     
-    const client = algoliasearch(ALGOLIA_APP_ID, ALGOLIA_API_KEY);
+    const metricOperation = operationType === 'REMOVE' ? 'delete' : 'save';
     
     // Process each active configuration
     for (const config of activeConfigs) {
       try {
-        const { project, customFields = [] } = config;
-        
-        // Find the most recent index for this project/table
-        const searchPattern = `${ALGOLIA_INDEX_PREFIX}${project}_${tableName}_*`;
-        const { items: indices } = await client.listIndices();
-        const matchingIndices = indices.filter(index => 
-          index.name.startsWith(`${ALGOLIA_INDEX_PREFIX}${project}_${tableName}_`)
+        await withIndexingRetries(
+          () => applyIndexUpdate(backend, config, tableName, unwrappedItem, operationType),
+          `Indexing ${operationType} for ${config.project}/${tableName}`,
+          () => searchIndexingOperations.inc({ backend: backend.name, operation: metricOperation, outcome: 'retry' })
         );
-        
-        if (matchingIndices.length === 0) {
-          console.log(`⚠️ No indices found for project: ${project}, table: ${tableName}`);
-          continue;
-        }
-        
-        // Use the most recent index
-        const sortedIndices = matchingIndices.sort((a, b) => {
-          const aTimestamp = parseInt(a.name.split('_').pop());
-          const bTimestamp = parseInt(b.name.split('_').pop());
-          return bTimestamp - aTimestamp;
-        });
-        
-        const indexName = sortedIndices[0].name;
-        const index = client.initIndex(indexName);
-        
-        // Prepare the item for indexing
-        const unwrappedItem = unwrap(item);
-        const enrichedItem = {
-          ...unwrappedItem,
-          _project: project,
-          _table: tableName,
-          _timestamp: Date.now(),
-          objectID: unwrappedItem.id || unwrappedItem.objectID || uuidv4()
-        };
-        
-        // Add custom fields if specified
-        if (customFields.length > 0) {
-          customFields.forEach(field => {
-            const value = getNested(unwrappedItem, field);
-            if (value !== undefined) {
-              enrichedItem[field.replace(/^Item\./, '')] = value;
-            }
-          });
-        }
-        
-        // Perform the appropriate operation
-        switch (operationType) {
-          case 'INSERT':
-          case 'MODIFY':
-            // Add or update the item
-            await index.saveObject(enrichedItem);
-            console.log(`✅ Indexed item in ${indexName} (${operationType})`);
-            break;
-            
-          case 'REMOVE':
-            // Remove the item
-            const objectID = unwrappedItem.id || unwrappedItem.objectID;
-            if (objectID) {
-              await index.deleteObject(objectID);
-              console.log(`✅ Removed item from ${indexName} (${operationType})`);
-            }
-            break;
-            
-          default:
-            console.log(`⚠️ Unknown operation type: ${operationType}`);
-        }
-        
       } catch (configError) {
+        searchIndexingOperations.inc({ backend: backend.name, operation: metricOperation, outcome: 'failure' });
         console.error(`❌ Error processing indexing config for table ${tableName}:`, configError);
+        await deadLetterIndexUpdate(tableName, unwrappedItem, operationType, config, configError);
         // Continue with other configurations
       }
     }
@@ -258,12 +407,335 @@ export const updateIndexingFromLambdaHandler = async (req, res) => {
   }
 };
 
+const DEAD_LETTER_LIST_LIMIT = 1000;
+
+// Dead letters selected by { ids } or by { tableName, project }
+async function selectDeadLetters({ ids, tableName, project }) {
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+      throw Object.assign(new Error("ids must be a non-empty array of dead-letter ids"), { status: 400 });
+    }
+    const entries = await Promise.all(ids.map(getDeadLetter));
+    return {
+      entries: entries.filter(Boolean),
+      notFound: ids.filter((id, i) => !entries[i])
+    };
+  }
+  if (!tableName && !project) {
+    throw Object.assign(new Error("ids, tableName or project is required"), { status: 400 });
+  }
+  return { entries: await listDeadLetters({ tableName, project }), notFound: [] };
+}
+
+/**
+ * Re-run a dead-lettered update against the current state of the item:
+ * index it if it still exists, remove it from the index otherwise
+ */
+async function replayDeadLetter(entry) {
+  const backend = getSearchBackend();
+  const configError = backend.checkConfig();
+  if (configError) throw new Error(configError.message);
+
+  const activeConfigs = await findActiveIndexingConfigs(entry.tableName, { throwOnError: true });
+  const configs = entry.configId ? activeConfigs.filter(config => config.id === entry.configId) : activeConfigs;
+  if (entry.configId && configs.length === 0) {
+    throw new Error(`Indexing config ${entry.configId} is no longer active`);
+  }
+
+  const currentItem = await getSourceItem(entry.tableName, entry.itemKey);
+  const [item, operationType] = currentItem ? [currentItem, 'MODIFY'] : [entry.itemKey, 'REMOVE'];
+  for (const config of configs) {
+    await applyIndexUpdate(backend, config, entry.tableName, item, operationType);
+  }
+  return operationType;
+}
+
+/**
+ * List dead-lettered index updates, oldest first
+ * Query params: { tableName?, project?, limit? }
+ */
+export const listDeadLettersHandler = async (req, res) => {
+  try {
+    const { tableName, project, limit = 100 } = req.query;
+    const max = Number(limit);
+    if (!Number.isInteger(max) || max < 1 || max > DEAD_LETTER_LIST_LIMIT) {
+      return res.status(400).json({
+        error: "Invalid limit",
+        message: `limit must be an integer between 1 and ${DEAD_LETTER_LIST_LIMIT}`
+      });
+    }
+
+    const entries = await listDeadLetters({ tableName, project });
+    return res.status(200).json({
+      message: "Dead letters retrieved",
+      total: entries.length,
+      entries: entries.slice(0, max),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("🔥 Listing dead letters failed:", error);
+    return res.status(500).json({
+      message: "Failed to list dead letters",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replay dead-lettered index updates. Replayed entries are removed; entries
+ * that fail again stay with the new error.
+ * Request body: { ids: string[] } or { tableName?, project? }
+ */
+export const replayDeadLettersHandler = async (req, res) => {
+  try {
+    const { entries, notFound } = await selectDeadLetters(req.body || {});
+    const results = notFound.map(id => ({ id, status: 'not_found' }));
+
+    for (const entry of entries) {
+      const now = new Date().toISOString();
+      try {
+        const operationType = await replayDeadLetter(entry);
+        await deleteDeadLetter(entry.id);
+        searchIndexingDeadLetters.inc({ event: 'replayed' });
+        results.push({ id: entry.id, status: 'replayed', operationType });
+      } catch (error) {
+        searchIndexingDeadLetters.inc({ event: 'replay_failed' });
+        console.error(`❌ Replay of dead letter ${entry.id} failed:`, error.message);
+        await saveDeadLetter({
+          ...entry,
+          error: error.message,
+          replayCount: (entry.replayCount || 0) + 1,
+          lastReplayAt: now
+        });
+        results.push({ id: entry.id, status: 'failed', error: error.message });
+      }
+    }
+
+    const replayed = results.filter(result => result.status === 'replayed').length;
+    console.log(`🔁 Replayed ${replayed}/${entries.length} dead letters`);
+    return res.status(200).json({
+      message: "Dead-letter replay completed",
+      replayed,
+      failed: results.filter(result => result.status === 'failed').length,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: "Invalid replay request", message: error.message });
+    }
+    console.error("🔥 Dead-letter replay failed:", error);
+    return res.status(500).json({
+      message: "Failed to replay dead letters",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Discard dead-lettered index updates without replaying them
+ * Request body: { ids: string[] } or { tableName?, project? }
+ */
+export const discardDeadLettersHandler = async (req, res) => {
+  try {
+    const { entries, notFound } = await selectDeadLetters(req.body || {});
+    for (const entry of entries) {
+      await deleteDeadLetter(entry.id);
+      searchIndexingDeadLetters.inc({ event: 'discarded' });
+    }
+
+    console.log(`🗑️ Discarded ${entries.length} dead letters`);
+    return res.status(200).json({
+      message: "Dead letters discarded",
+      discarded: entries.map(entry => entry.id),
+      notFound,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: "Invalid discard request", message: error.message });
+    }
+    console.error("🔥 Discarding dead letters failed:", error);
+    return res.status(500).json({
+      message: "Failed to discard dead letters",
+      error: error.message
+    });
+  }
+};
+
+// Allowed index/table count difference, as a fraction of the table count
+const REINDEX_COUNT_TOLERANCE = parseFloat(process.env.SEARCH_REINDEX_COUNT_TOLERANCE || '0.01');
+
+/**
+ * Count the items of a DynamoDB table (paginated Scan with Select COUNT)
+ */
+async function countTableItems(table) {
+  let count = 0;
+  let lastEvaluatedKey;
+  do {
+    const response = await ddb.send(new ScanCommand({
+      TableName: table,
+      Select: 'COUNT',
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+    count += response.Count || 0;
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return count;
+}
+
+/**
+ * Compare a freshly built version with its source table before it goes live.
+ * Live updates also reach the version being built, so its count should track
+ * the table's current count.
+ */
+async function verifyIndexVersion(backend, indexName, table, scannedCount, tolerance) {
+  const [tableCount, indexedCount] = await Promise.all([
+    countTableItems(table),
+    backend.countObjects(indexName)
+  ]);
+  const difference = Math.abs(indexedCount - tableCount);
+  const allowedDifference = Math.floor(tableCount * tolerance);
+
+  return {
+    tableCount,
+    scannedCount,
+    indexedCount,
+    difference,
+    allowedDifference,
+    passed: difference <= allowedDifference
+  };
+}
+
+/**
+ * Validate a reindex request and resolve its mapping: customFields and
+ * fieldMapping from the request, else from the table's active indexing config
+ * (a failed lookup aborts rather than indexing fields the mapping would drop).
+ * @returns {Promise<{options?: Object, error?: {status: number, body: Object}}>}
+ */
+async function prepareReindexOptions(requestBody) {
+  const {
+    project,
+    table,
+    countTolerance = REINDEX_COUNT_TOLERANCE,
+    skipVerification = false
+  } = requestBody;
+
+  if (!project || !table) {
+    console.error("Missing 'project' or 'table' in request");
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: "Missing 'project' or 'table'",
+          message: "Both project and table are required parameters"
+        }
+      }
+    };
+  }
+
+  const tolerance = Number(countTolerance);
+  if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 1) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: "Invalid countTolerance",
+          message: "countTolerance must be a number between 0 and 1"
+        }
+      }
+    };
+  }
+
+  const activeConfigs = await findActiveIndexingConfigs(table, { throwOnError: true });
+  const indexingConfig = activeConfigs.find(config => config.project === project) || {};
+  const customFields = requestBody.customFields ?? indexingConfig.customFields ?? [];
+  const { fieldMapping, error: mappingError } = normalizeFieldMapping(requestBody.fieldMapping ?? indexingConfig.fieldMapping);
+  if (mappingError) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: "Invalid fieldMapping",
+          message: mappingError
+        }
+      }
+    };
+  }
+  // Facets and sorts come from the config only, never from the request
+  const { searchSettings, error: settingsError } = normalizeSearchSettings(indexingConfig.searchSettings);
+  if (settingsError) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: "Invalid searchSettings",
+          message: `Indexing config for ${project}/${table}: ${settingsError}`
+        }
+      }
+    };
+  }
+
+  return {
+    options: { project, table, customFields, fieldMapping, searchSettings, tolerance, skipVerification: Boolean(skipVerification) }
+  };
+}
+
+/**
+ * Take the alias lock for a build. Fails while another build, swap or GC holds
+ * it, and while a paused or failed reindex job still owns the building version.
+ * @returns {Promise<{lock?: Object, error?: Object}>} error is a 409 response body
+ */
+async function acquireReindexLock(aliasName) {
+  const lock = await acquireSearchAliasLock(aliasName, 'reindex');
+  if (!lock) {
+    const holder = await getSearchAliasLock(aliasName);
+    return {
+      error: {
+        error: "Reindex already in progress",
+        message: `${aliasName} is locked by another ${holder?.purpose || 'operation'}`,
+        lock: holder
+      }
+    };
+  }
+
+  const unfinished = await findUnfinishedReindexJob(aliasName);
+  if (unfinished) {
+    await releaseSearchAliasLock(lock);
+    return {
+      error: {
+        error: "Reindex job unfinished",
+        message: `Job ${unfinished.jobId} for ${aliasName} is ${unfinished.status}; resume or cancel it first`,
+        jobId: unfinished.jobId,
+        statusUrl: `/search/jobs/${unfinished.jobId}`
+      }
+    };
+  }
+
+  return { lock };
+}
+
 /**
- * Express handler for indexing DynamoDB table data to Algolia
+ * Express handler for (re)indexing DynamoDB table data into the search backend.
+ *
+ * customFields and fieldMapping default to the active brmh-indexing config
+ * for the project/table, so reindexing applies the same mapping as live updates.
+ * The new version is set up for the facets and sorts declared in the config's
+ * searchSettings.
+ *
+ * Blue/green: the table is scanned into a new version while searches keep
+ * reading the live one. The new version is verified against the table's item
+ * count and only then does the alias switch to it; a failed build is deleted
+ * and the live version stays untouched.
+ *
  * Request body: {
  *   project: string,
  *   table: string,
- *   customFields: string[] (optional)
+ *   customFields: string[] (optional),
+ *   fieldMapping: Object (optional, see utils/search-field-mapping.js),
+ *   countTolerance?: number (fraction of the table count, default SEARCH_REINDEX_COUNT_TOLERANCE or 0.01),
+ *   skipVerification?: boolean,
+ *   background?: boolean (run as a tracked, resumable job and return 202 with its jobId)
  * }
  */
 export const indexTableHandler = async (req, res) => {
@@ -290,147 +762,761 @@ export const indexTableHandler = async (req, res) => {
       }
     }
     
-    const { project, table, customFields = [] } = requestBody;
+    const { options, error: optionsError } = await prepareReindexOptions(requestBody);
+    if (optionsError) {
+      return res.status(optionsError.status).json(optionsError.body);
+    }
+    const { project, table, customFields, fieldMapping, searchSettings, tolerance, skipVerification } = options;
+
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
+
+    if (configError) {
+      console.error(configError.error);
+      return res.status(500).json(configError);
+    }
+
+    // Background mode: a tracked, resumable job (see /search/jobs)
+    if (requestBody.background) {
+      return startReindexJob(backend, options, res);
+    }
+
+    const aliasName = searchAliasName(backend, project, table);
+    const { lock, error: lockError } = await acquireReindexLock(aliasName);
+    if (lockError) {
+      return res.status(409).json(lockError);
+    }
+
+    const timestamp = Date.now();
+    const indexName = `${aliasName}_${timestamp}`;
+    let aliasRecord = null;
+    let recordCount = 0;
+    let verification = null;
+
+    try {
+      await markSearchAliasBuilding(backend, project, table, indexName);
+      await backend.configureIndex(indexName, searchSettings);
+      console.log(`📤 Building ${indexName} for table: ${table}, project: ${project}`);
+
+      // Scan DynamoDB table
+      let records = [];
+      let lastEvaluatedKey = null;
+      let scanCount = 0;
+
+      do {
+        scanCount++;
+        console.log(`Scanning DynamoDB page ${scanCount}: table=${table}`);
+        
+        const command = new ScanCommand({ 
+          TableName: table, 
+          ExclusiveStartKey: lastEvaluatedKey
+        });
+        
+        const response = await ddb.send(command);
+        const scanned = response.Items.map(unmarshall);
+        records = records.concat(scanned);
+        lastEvaluatedKey = response.LastEvaluatedKey;
+        
+        console.log(`Scanned ${scanned.length} items, total so far: ${records.length}`);
+      } while (lastEvaluatedKey);
+
+      console.log(`✅ DynamoDB scan complete. Total records: ${records.length}`);
+
+      recordCount = records.length;
+
+      console.log(`📝 Preparing ${recordCount} records for ${backend.name} indexing`);
+
+      const keyAttributes = await getTableKeyAttributes(table);
+      const toDocument = (item) =>
+        buildIndexDocument(unwrap(item), { customFields, fieldMapping }, { project, table, timestamp, keyAttributes });
+
+      try {
+        // Skips (or re-syncs) records that live updates changed during the scan
+        await saveBuildPage(backend, indexName, table, records, toDocument, { wait: true });
+        searchIndexingOperations.inc({ backend: backend.name, operation: 'bulk', outcome: 'success' });
+        searchIndexingRecords.inc({ backend: backend.name, outcome: 'success' }, recordCount);
+        console.log(`✅ ${backend.name} indexing successful for index: ${indexName}`);
+      } catch (err) {
+        searchIndexingOperations.inc({ backend: backend.name, operation: 'bulk', outcome: 'failure' });
+        searchIndexingRecords.inc({ backend: backend.name, outcome: 'failure' }, recordCount);
+        console.error(`❌ ${backend.name} indexing failed:`, err);
+        return res.status(500).json({
+          message: "Search indexing failed",
+          error: err.message,
+          durationMs: Date.now() - start
+        });
+      }
+
+      if (!skipVerification) {
+        verification = await verifyIndexVersion(backend, indexName, table, recordCount, tolerance);
+        if (!verification.passed) {
+          console.error(`❌ Verification failed for ${indexName}:`, verification);
+          return res.status(409).json({
+            error: "Index verification failed",
+            message: `Index has ${verification.indexedCount} records but table ${table} has ${verification.tableCount}; the live index was not changed`,
+            indexName,
+            verification,
+            durationMs: Date.now() - start
+          });
+        }
+      }
+
+      aliasRecord = await swapSearchAlias(backend, project, table, indexName);
+    } finally {
+      // Anything short of a swap leaves the live version in place and drops the build
+      if (!aliasRecord) {
+        await clearSearchAliasBuilding(aliasName, indexName)
+          .catch(err => console.error(`❌ Failed to clear build of ${indexName}:`, err.message));
+        await backend.deleteIndex(indexName)
+          .catch(err => console.error(`❌ Failed to delete abandoned version ${indexName}:`, err.message));
+      }
+      await releaseSearchAliasLock(lock);
+    }
+
+    collectRetiredIndices(backend, aliasName)
+      .catch(err => console.error(`❌ Search index GC failed for ${aliasName}:`, err.message));
+
+    const duration = Date.now() - start;
+
+    console.log("✅ Indexing complete");
+    console.log("📊 Records indexed:", recordCount);
+    console.log("⏱️ Indexing duration (ms):", duration);
+
+    return res.status(200).json({
+      message: "Indexing complete",
+      project,
+      table,
+      alias: aliasName,
+      indexName,
+      previousIndexName: aliasRecord.previousIndexName,
+      recordCount,
+      verification,
+      durationMs: duration,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    const duration = Date.now() - start;
+    console.error("🔥 Index handler failed:", err);
+    console.log("⏱️ Failed after (ms):", duration);
+
+    return res.status(500).json({
+      message: "Indexing operation failed",
+      error: err.message,
+      durationMs: duration,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Background reindex jobs: a blue/green build that checkpoints its scan
+// position (LastEvaluatedKey) after every page, so it can be paused, resumed
+// or picked up again after a restart
+const REINDEX_JOB_CONFIG = {
+  PREFIX: 'brmh-search-reindex-job:',
+  ACTIVE_PREFIX: 'brmh-search-reindex-active:',
+  ALIAS_JOBS_PREFIX: 'brmh-search-reindex-jobs:',
+  TTL_SECONDS: parseInt(process.env.SEARCH_REINDEX_JOB_TTL_SECONDS) || 604800, // 7 days once finished
+  JOBS_PER_ALIAS: 20,
+  AUTO_RESUME: process.env.SEARCH_REINDEX_AUTO_RESUME !== 'false',
+  RESUME_INTERVAL_MS: 30000
+};
+
+// A job that still owns its building version: running, paused, or failed before verification
+const isUnfinishedJob = (job) =>
+  ['running', 'verifying', 'paused'].includes(job.status) || (job.status === 'failed' && job.resumable);
+
+const reindexJobKey = (jobId) => `${REINDEX_JOB_CONFIG.PREFIX}${jobId}`;
+const reindexJobControlKey = (jobId) => `${REINDEX_JOB_CONFIG.PREFIX}${jobId}:control`;
+const activeReindexJobKey = (aliasName) => `${REINDEX_JOB_CONFIG.ACTIVE_PREFIX}${aliasName}`;
+const aliasReindexJobsKey = (aliasName) => `${REINDEX_JOB_CONFIG.ALIAS_JOBS_PREFIX}${aliasName}`;
+
+// Unfinished jobs never expire; finished ones are kept for TTL_SECONDS
+async function saveReindexJob(job) {
+  job.updatedAt = new Date().toISOString();
+  if (isUnfinishedJob(job)) {
+    await redis.set(reindexJobKey(job.jobId), JSON.stringify(job));
+  } else {
+    await redis.set(reindexJobKey(job.jobId), JSON.stringify(job), 'EX', REINDEX_JOB_CONFIG.TTL_SECONDS);
+  }
+}
+
+async function loadReindexJob(jobId) {
+  const value = await redis.get(reindexJobKey(jobId));
+  return value ? JSON.parse(value) : null;
+}
+
+async function findUnfinishedReindexJob(aliasName) {
+  const jobId = await redis.get(activeReindexJobKey(aliasName));
+  if (!jobId) return null;
+  const job = await loadReindexJob(jobId);
+  if (job && isUnfinishedJob(job)) return job;
+  await redis.del(activeReindexJobKey(aliasName));
+  return null;
+}
+
+// A running job whose lock is gone (or held by someone else) was interrupted
+async function effectiveReindexJobStatus(job) {
+  if (job.status !== 'running' && job.status !== 'verifying') return job.status;
+  const lock = await getSearchAliasLock(job.alias);
+  return lock && lock.ownerId === job.lockOwnerId ? job.status : 'interrupted';
+}
+
+// Drop the job's version and stop routing live updates to it (caller holds the alias lock)
+async function discardReindexBuild(backend, job) {
+  await clearSearchAliasBuilding(job.alias, job.indexName)
+    .catch(err => console.error(`❌ Failed to clear build of ${job.indexName}:`, err.message));
+  await backend.deleteIndex(job.indexName)
+    .catch(err => console.error(`❌ Failed to delete abandoned version ${job.indexName}:`, err.message));
+}
+
+// Record a terminal status and free the alias for the next build
+async function finishReindexJob(job, status, fields = {}) {
+  Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+  await saveReindexJob(job);
+  await redis.compareAndDelete(activeReindexJobKey(job.alias), job.jobId);
+  await redis.del(reindexJobControlKey(job.jobId));
+}
+
+/**
+ * Scan the rest of the table into the job's version, then verify and swap.
+ * Runs while holding the alias lock and releases it when it stops.
+ */
+async function runReindexJob(job, lock) {
+  const backend = getSearchBackend();
+  const { project, table } = job;
+
+  try {
+    job.status = 'running';
+    job.runs = (job.runs || 0) + 1;
+    job.lockOwnerId = JSON.parse(lock.lockValue).ownerId;
+    job.runStartedAt = new Date().toISOString();
+    job.scannedAtRunStart = job.scannedCount;
+    job.error = undefined;
+    await saveReindexJob(job);
+    // Live updates keep reaching the version while the job runs or is paused
+    await markSearchAliasBuilding(backend, project, table, job.indexName);
+    await backend.configureIndex(job.indexName, job.searchSettings);
+    const keyAttributes = await getTableKeyAttributes(table);
+
+    console.log(`🚀 Reindex job ${job.jobId} ${job.runs > 1 ? 'resumed' : 'started'}: ${table} -> ${job.indexName}`);
+
+    while (!job.scanComplete) {
+      const control = await redis.get(reindexJobControlKey(job.jobId));
+      if (control === 'pause') {
+        await redis.del(reindexJobControlKey(job.jobId));
+        job.status = 'paused';
+        job.pausedAt = new Date().toISOString();
+        await saveReindexJob(job);
+        console.log(`⏸️ Reindex job ${job.jobId} paused after ${job.scannedCount} items`);
+        return;
+      }
+      if (control === 'cancel') {
+        await discardReindexBuild(backend, job);
+        await finishReindexJob(job, 'cancelled');
+        console.log(`🛑 Reindex job ${job.jobId} cancelled after ${job.scannedCount} items`);
+        return;
+      }
+
+      const response = await ddb.send(new ScanCommand({
+        TableName: table,
+        ExclusiveStartKey: job.lastEvaluatedKey || undefined
+      }));
+      const records = (response.Items || []).map(unmarshall);
+      const toDocument = (item) =>
+        buildIndexDocument(unwrap(item), { customFields: job.customFields, fieldMapping: job.fieldMapping }, {
+          project,
+          table,
+          timestamp: job.versionTimestamp,
+          keyAttributes
+        });
+      const lastPage = !response.LastEvaluatedKey;
+
+      // Saves are idempotent, so a page replayed after a crash does no harm.
+      // Waiting on the last page also waits for every earlier task of the index.
+      // Records that live updates changed since the scan are skipped or re-synced.
+      if (records.length > 0 || lastPage) {
+        try {
+          await withIndexingRetries(
+            () => saveBuildPage(backend, job.indexName, table, records, toDocument, { wait: lastPage }),
+            `Reindex job ${job.jobId} page ${job.pages + 1}`
+          );
+          searchIndexingOperations.inc({ backend: backend.name, operation: 'bulk', outcome: 'success' });
+          searchIndexingRecords.inc({ backend: backend.name, outcome: 'success' }, records.length);
+        } catch (err) {
+          searchIndexingOperations.inc({ backend: backend.name, operation: 'bulk', outcome: 'failure' });
+          searchIndexingRecords.inc({ backend: backend.name, outcome: 'failure' }, records.length);
+          throw err;
+        }
+      }
+
+      job.pages++;
+      job.scannedCount += records.length;
+      job.lastEvaluatedKey = response.LastEvaluatedKey || null;
+      job.scanComplete = lastPage;
+      await saveReindexJob(job);
+
+      if (job.pages % 10 === 0 || lastPage) {
+        console.log(`📊 Reindex job ${job.jobId}: ${job.scannedCount} items, ${job.pages} pages${lastPage ? ' (scan complete)' : ''}`);
+      }
+    }
+
+    if (!job.skipVerification) {
+      job.status = 'verifying';
+      await saveReindexJob(job);
+      job.verification = await verifyIndexVersion(backend, job.indexName, table, job.scannedCount, job.tolerance);
+      if (!job.verification.passed) {
+        console.error(`❌ Verification failed for ${job.indexName}:`, job.verification);
+        await discardReindexBuild(backend, job);
+        await finishReindexJob(job, 'failed', {
+          error: `Index has ${job.verification.indexedCount} records but table ${table} has ${job.verification.tableCount}; the live index was not changed`,
+          resumable: false
+        });
+        return;
+      }
+    }
+
+    if (await redis.get(reindexJobControlKey(job.jobId)) === 'cancel') {
+      await discardReindexBuild(backend, job);
+      await finishReindexJob(job, 'cancelled');
+      console.log(`🛑 Reindex job ${job.jobId} cancelled before the swap`);
+      return;
+    }
+
+    const aliasRecord = await swapSearchAlias(backend, project, table, job.indexName);
+    await finishReindexJob(job, 'completed', {
+      previousIndexName: aliasRecord.previousIndexName,
+      completedAt: new Date().toISOString()
+    });
+    console.log(`✅ Reindex job ${job.jobId} completed: ${job.scannedCount} items in ${job.indexName}`);
+
+    collectRetiredIndices(backend, job.alias)
+      .catch(err => console.error(`❌ Search index GC failed for ${job.alias}:`, err.message));
+  } catch (err) {
+    // The version and checkpoint stay, so the job can be resumed or cancelled
+    console.error(`🔥 Reindex job ${job.jobId} failed:`, err);
+    job.status = 'failed';
+    job.error = err.message;
+    job.resumable = true;
+    await saveReindexJob(job).catch(() => {});
+  } finally {
+    await releaseSearchAliasLock(lock);
+  }
+}
+
+/**
+ * Create a job for a validated reindex request and run it in the background
+ */
+async function startReindexJob(backend, options, res) {
+  const { project, table } = options;
+  const aliasName = searchAliasName(backend, project, table);
+  const { lock, error: lockError } = await acquireReindexLock(aliasName);
+  if (lockError) {
+    return res.status(409).json(lockError);
+  }
+
+  let job;
+  try {
+    let estimatedTotalItems = null;
+    try {
+      const { Table } = await ddb.send(new DescribeTableCommand({ TableName: table }));
+      estimatedTotalItems = Table.ItemCount ?? null;
+    } catch (err) {
+      console.warn(`⚠️ Could not describe ${table} for ETA estimation:`, err.message);
+    }
+
+    const versionTimestamp = Date.now();
+    job = {
+      jobId: randomUUID(),
+      project,
+      table,
+      alias: aliasName,
+      indexName: `${aliasName}_${versionTimestamp}`,
+      versionTimestamp,
+      customFields: options.customFields,
+      fieldMapping: options.fieldMapping,
+      searchSettings: options.searchSettings,
+      tolerance: options.tolerance,
+      skipVerification: options.skipVerification,
+      status: 'running',
+      runs: 0,
+      pages: 0,
+      scannedCount: 0,
+      lastEvaluatedKey: null,
+      scanComplete: false,
+      estimatedTotalItems,
+      lockOwnerId: JSON.parse(lock.lockValue).ownerId,
+      createdAt: new Date().toISOString()
+    };
+    await saveReindexJob(job);
+    await redis.set(activeReindexJobKey(aliasName), job.jobId);
+    await redis.lpush(aliasReindexJobsKey(aliasName), job.jobId);
+    await redis.ltrim(aliasReindexJobsKey(aliasName), 0, REINDEX_JOB_CONFIG.JOBS_PER_ALIAS - 1);
+  } catch (err) {
+    await releaseSearchAliasLock(lock);
+    throw err;
+  }
+
+  runReindexJob(job, lock).catch(err => console.error(`🔥 Reindex job ${job.jobId} crashed:`, err));
+
+  return res.status(202).json({
+    message: "Reindex job started",
+    jobId: job.jobId,
+    project,
+    table,
+    alias: aliasName,
+    indexName: job.indexName,
+    estimatedTotalItems: job.estimatedTotalItems,
+    statusUrl: `/search/jobs/${job.jobId}`
+  });
+}
+
+/**
+ * Status report for a job: scan position, progress, throughput and ETA
+ */
+async function buildReindexJobStatus(job) {
+  const status = await effectiveReindexJobStatus(job);
+  const elapsedSeconds = job.runStartedAt ? Math.max(1, (Date.now() - Date.parse(job.runStartedAt)) / 1000) : null;
+  const itemsPerSecond = status === 'running' && elapsedSeconds
+    ? (job.scannedCount - (job.scannedAtRunStart || 0)) / elapsedSeconds
+    : null;
+
+  const estimatedTotal = job.estimatedTotalItems;
+  let etaSeconds = null;
+  if (status === 'running' && itemsPerSecond > 0 && estimatedTotal) {
+    etaSeconds = Math.max(0, Math.round((estimatedTotal - job.scannedCount) / itemsPerSecond));
+  }
+
+  return {
+    jobId: job.jobId,
+    project: job.project,
+    table: job.table,
+    alias: job.alias,
+    indexName: job.indexName,
+    status,
+    ...(status === 'failed' && { resumable: job.resumable }),
+    pendingControl: await redis.get(reindexJobControlKey(job.jobId)),
+    runs: job.runs,
+    createdAt: job.createdAt,
+    runStartedAt: job.runStartedAt,
+    pausedAt: job.pausedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt,
+    error: job.error,
+    verification: job.verification,
+    previousIndexName: job.previousIndexName,
+    progress: {
+      pages: job.pages,
+      scannedCount: job.scannedCount,
+      estimatedTotalItems: estimatedTotal,
+      percent: estimatedTotal ? Math.min(100, (job.scannedCount / estimatedTotal) * 100).toFixed(2) : null,
+      scanComplete: job.scanComplete,
+      lastEvaluatedKey: job.lastEvaluatedKey,
+      itemsPerSecond: itemsPerSecond !== null ? Number(itemsPerSecond.toFixed(2)) : null,
+      etaSeconds,
+      etaAt: etaSeconds !== null ? new Date(Date.now() + etaSeconds * 1000).toISOString() : null
+    }
+  };
+}
+
+/**
+ * Take the alias lock for an interrupted, paused or failed job and run it from
+ * its checkpoint. Returns false if the lock is held elsewhere.
+ */
+async function resumeReindexJob(job) {
+  const lock = await acquireSearchAliasLock(job.alias, 'reindex');
+  if (!lock) return false;
+  runReindexJob(job, lock).catch(err => console.error(`🔥 Reindex job ${job.jobId} crashed:`, err));
+  return true;
+}
+
+// Pick up jobs whose process died (their alias lock lease expired)
+async function resumeInterruptedReindexJobs() {
+  let cursor = '0';
+  do {
+    const [next, keys] = await redis.scan(cursor, 'MATCH', `${REINDEX_JOB_CONFIG.ACTIVE_PREFIX}*`, 'COUNT', '100');
+    cursor = next;
+    for (const key of keys) {
+      try {
+        const job = await findUnfinishedReindexJob(key.slice(REINDEX_JOB_CONFIG.ACTIVE_PREFIX.length));
+        if (!job || await effectiveReindexJobStatus(job) !== 'interrupted') continue;
+        if (getSearchBackend().checkConfig()) return;
+        if (await resumeReindexJob(job)) {
+          console.log(`♻️ Resuming interrupted reindex job ${job.jobId} from ${job.scannedCount} items`);
+        }
+      } catch (err) {
+        console.error(`❌ Failed to resume reindex job for ${key}:`, err.message);
+      }
+    }
+  } while (cursor !== '0');
+}
+
+if (REINDEX_JOB_CONFIG.AUTO_RESUME) {
+  const reindexResumeTimer = setInterval(() => {
+    resumeInterruptedReindexJobs().catch(err => console.error('❌ Reindex job resume tick failed:', err.message));
+  }, REINDEX_JOB_CONFIG.RESUME_INTERVAL_MS);
+  reindexResumeTimer.unref();
+}
+
+/**
+ * Get the status of a reindex job
+ */
+export const getReindexJobHandler = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await loadReindexJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        message: "Reindex job not found",
+        jobId
+      });
+    }
+
+    return res.status(200).json({
+      message: "Reindex job status retrieved",
+      job: await buildReindexJobStatus(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error("🔥 Get reindex job status failed:", err);
+    return res.status(500).json({
+      message: "Failed to retrieve reindex job status",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * List recent reindex jobs for a project/table
+ */
+export const listReindexJobsHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
 
-    // Validation
     if (!project || !table) {
-      console.error("Missing 'project' or 'table' in request");
-      return res.status(400).json({ 
-        error: "Missing 'project' or 'table'",
-        message: "Both project and table are required parameters"
+      return res.status(400).json({
+        error: "Missing parameters",
+        message: "Both project and table are required"
+      });
+    }
+
+    const aliasName = searchAliasName(getSearchBackend(), project, table);
+    const jobIds = await redis.lrange(aliasReindexJobsKey(aliasName), 0, -1);
+    const jobs = [];
+    for (const id of jobIds) {
+      const job = await loadReindexJob(id);
+      if (job) jobs.push(await buildReindexJobStatus(job));
+    }
+
+    return res.status(200).json({
+      message: "Reindex jobs retrieved",
+      project,
+      table,
+      alias: aliasName,
+      count: jobs.length,
+      jobs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error("🔥 List reindex jobs failed:", err);
+    return res.status(500).json({
+      message: "Failed to list reindex jobs",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Pause a running job after its current page. Progress is kept and live
+ * updates keep reaching the version until it is resumed or cancelled.
+ */
+export const pauseReindexJobHandler = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await loadReindexJob(jobId);
+    if (!job) {
+      return res.status(404).json({ message: "Reindex job not found", jobId });
+    }
+
+    const status = await effectiveReindexJobStatus(job);
+    if (status === 'interrupted') {
+      // Nothing is running; hold the lock so the resume sweep cannot pick it up meanwhile
+      const lock = await acquireSearchAliasLock(job.alias, 'reindex-pause');
+      if (!lock) {
+        return res.status(409).json({
+          error: "Alias locked",
+          message: `${job.alias} is locked; retry shortly`,
+          lock: await getSearchAliasLock(job.alias)
+        });
+      }
+      try {
+        job.status = 'paused';
+        job.pausedAt = new Date().toISOString();
+        await saveReindexJob(job);
+      } finally {
+        await releaseSearchAliasLock(lock);
+      }
+      return res.status(200).json({ message: "Reindex job paused", job: await buildReindexJobStatus(job) });
+    }
+    if (status !== 'running') {
+      return res.status(409).json({
+        error: "Job not running",
+        message: `Job ${jobId} is ${status}`
       });
     }
 
-    const ALGOLIA_APP_ID = process.env.ALGOLIA_APP_ID;
-    const ALGOLIA_API_KEY = process.env.ALGOLIA_API_KEY;
-    const ALGOLIA_INDEX_PREFIX = process.env.ALGOLIA_INDEX_PREFIX || '';
+    await redis.set(reindexJobControlKey(jobId), 'pause');
+    return res.status(202).json({
+      message: "Pause requested; the job stops after its current page",
+      jobId,
+      statusUrl: `/search/jobs/${jobId}`
+    });
+  } catch (err) {
+    console.error("🔥 Pause reindex job failed:", err);
+    return res.status(500).json({
+      message: "Failed to pause reindex job",
+      error: err.message
+    });
+  }
+};
 
-    if (!ALGOLIA_APP_ID || !ALGOLIA_API_KEY) {
-      console.error("Missing Algolia credentials");
-      return res.status(500).json({ 
-        error: "Missing Algolia credentials",
-        message: "ALGOLIA_APP_ID and ALGOLIA_API_KEY environment variables are required"
-      });
+/**
+ * Resume a paused, failed or interrupted job from its last checkpoint
+ */
+export const resumeReindexJobHandler = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await loadReindexJob(jobId);
+    if (!job) {
+      return res.status(404).json({ message: "Reindex job not found", jobId });
     }
 
-    console.log(`📤 Starting indexing operation for table: ${table}, project: ${project}`);
-    
-    // Scan DynamoDB table
-    let records = [];
-    let lastEvaluatedKey = null;
-    let scanCount = 0;
-
-    do {
-      scanCount++;
-      console.log(`Scanning DynamoDB page ${scanCount}: table=${table}`);
-      
-      const command = new ScanCommand({ 
-        TableName: table, 
-        ExclusiveStartKey: lastEvaluatedKey
+    const status = await effectiveReindexJobStatus(job);
+    const resumable = status === 'paused' || status === 'interrupted' || (status === 'failed' && job.resumable);
+    if (!resumable) {
+      return res.status(409).json({
+        error: "Job not resumable",
+        message: `Job ${jobId} is ${status}`
       });
-      
-      const response = await ddb.send(command);
-      const scanned = response.Items.map(unmarshall);
-      records = records.concat(scanned);
-      lastEvaluatedKey = response.LastEvaluatedKey;
-      
-      console.log(`Scanned ${scanned.length} items, total so far: ${records.length}`);
-    } while (lastEvaluatedKey);
-
-    console.log(`✅ DynamoDB scan complete. Total records: ${records.length}`);
+    }
 
-    // Prepare records for Algolia
-    const timestamp = Date.now();
-    const indexName = `${ALGOLIA_INDEX_PREFIX}${project}_${table}_${timestamp}`;
-    
-    const enrichedRecords = records.map(item => {
-      // Unwrap the whole item first
-      const unwrapped = unwrap(item);
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
+    if (configError) {
+      return res.status(500).json(configError);
+    }
 
-      const base = Array.isArray(customFields) && customFields.length > 0
-        ? customFields.reduce((acc, key) => {
-            const value = getNested(unwrapped, key);
-            if (value !== undefined) acc[key.replace(/^Item\./, '')] = value;
-            return acc;
-          }, {})
-        : unwrapped;
+    if (!await resumeReindexJob(job)) {
+      const holder = await getSearchAliasLock(job.alias);
+      return res.status(409).json({
+        error: "Reindex already in progress",
+        message: `${job.alias} is locked by another ${holder?.purpose || 'operation'}`,
+        lock: holder
+      });
+    }
 
-      return {
-        ...base,
-        _project: project,
-        _table: table,
-        _timestamp: timestamp,
-        objectID: base.id || base.objectID || uuidv4()
-      };
+    return res.status(202).json({
+      message: "Reindex job resumed from checkpoint",
+      jobId,
+      scannedCount: job.scannedCount,
+      statusUrl: `/search/jobs/${jobId}`
     });
+  } catch (err) {
+    console.error("🔥 Resume reindex job failed:", err);
+    return res.status(500).json({
+      message: "Failed to resume reindex job",
+      error: err.message
+    });
+  }
+};
 
-    console.log(`📝 Preparing ${enrichedRecords.length} records for Algolia indexing`);
-
-    // Index to Algolia
-    const client = algoliasearch(ALGOLIA_APP_ID, ALGOLIA_API_KEY);
+/**
+ * Cancel a job and delete its version. A running job stops after its current
+ * page; a paused, failed or interrupted one is cleaned up immediately.
+ */
+export const cancelReindexJobHandler = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await loadReindexJob(jobId);
+    if (!job) {
+      return res.status(404).json({ message: "Reindex job not found", jobId });
+    }
 
-    try {
-      const index = client.initIndex(indexName);
-      await index.saveObjects(enrichedRecords);
-      console.log(`✅ Algolia indexing successful for index: ${indexName}`);
-    } catch (err) {
-      console.error('❌ Algolia indexing failed:', err);
-      return res.status(500).json({
-        message: "Algolia indexing failed",
-        error: err.message,
-        durationMs: Date.now() - start
+    const status = await effectiveReindexJobStatus(job);
+    if (!isUnfinishedJob(job)) {
+      return res.status(409).json({
+        error: "Job already finished",
+        message: `Job ${jobId} is ${status}`
       });
     }
 
-    const duration = Date.now() - start;
+    if (status === 'running' || status === 'verifying') {
+      await redis.set(reindexJobControlKey(jobId), 'cancel');
+      return res.status(202).json({
+        message: "Cancellation requested; the job stops after its current page",
+        jobId,
+        statusUrl: `/search/jobs/${jobId}`
+      });
+    }
 
-    console.log("✅ Indexing complete");
-    console.log("📊 Records indexed:", enrichedRecords.length);
-    console.log("⏱️ Indexing duration (ms):", duration);
+    const backend = getSearchBackend();
+    const lock = await acquireSearchAliasLock(job.alias, 'reindex-cancel');
+    if (!lock) {
+      return res.status(409).json({
+        error: "Alias locked",
+        message: `${job.alias} is locked; retry shortly`,
+        lock: await getSearchAliasLock(job.alias)
+      });
+    }
+    try {
+      await discardReindexBuild(backend, job);
+      await finishReindexJob(job, 'cancelled');
+    } finally {
+      await releaseSearchAliasLock(lock);
+    }
 
+    console.log(`🛑 Reindex job ${jobId} cancelled`);
     return res.status(200).json({
-      message: "Indexing complete",
-      project,
-      table,
-      indexName,
-      recordCount: enrichedRecords.length,
-      durationMs: duration,
-      timestamp: new Date().toISOString()
+      message: "Reindex job cancelled",
+      job: await buildReindexJobStatus(job)
     });
-
   } catch (err) {
-    const duration = Date.now() - start;
-    console.error("🔥 Index handler failed:", err);
-    console.log("⏱️ Failed after (ms):", duration);
-
+    console.error("🔥 Cancel reindex job failed:", err);
     return res.status(500).json({
-      message: "Indexing operation failed",
-      error: err.message,
-      durationMs: duration,
-      timestamp: new Date().toISOString()
+      message: "Failed to cancel reindex job",
+      error: err.message
     });
   }
 };
 
 /**
- * Express handler for searching indexed data in Algolia
+ * Express handler for searching indexed data
  * Request body: {
  *   project: string,
  *   table: string,
- *   query: string,
- *   filters?: string,
+ *   query: string ("" matches every record),
+ *   filters?: string (Algolia syntax) | Object (filter DSL, see utils/search-query.js),
+ *   facets?: string[],
+ *   maxValuesPerFacet?: number,
+ *   sort?: Array<string | { field, order }> ("price:desc"),
+ *   snippets?: string[],
+ *   snippetWords?: number,
  *   hitsPerPage?: number,
  *   page?: number
  * }
+ * Filter-tree attributes, facets and sorts must be declared in the indexing
+ * config's searchSettings; anything else is rejected with 400.
  */
 export const searchIndexHandler = async (req, res) => {
+  const startedAt = Date.now();
   try {
-    const { project, table, query, filters, hitsPerPage = 20, page = 0 } = req.body;
+    const { project, table, query, hitsPerPage = 20, page = 0 } = req.body;
 
     console.log('Search handler invoked with request:', JSON.stringify(req.body));
 
     // Validation
-    if (!project || !table || !query) {
+    if (!project || !table || typeof query !== 'string') {
       console.error("Missing required parameters");
       return res.status(400).json({ 
         error: "Missing required parameters",
@@ -438,31 +1524,35 @@ export const searchIndexHandler = async (req, res) => {
       });
     }
 
-    const ALGOLIA_APP_ID = process.env.ALGOLIA_APP_ID;
-    const ALGOLIA_API_KEY = process.env.ALGOLIA_API_KEY;
-    const ALGOLIA_INDEX_PREFIX = process.env.ALGOLIA_INDEX_PREFIX || '';
-
-    if (!ALGOLIA_APP_ID || !ALGOLIA_API_KEY) {
-      console.error("Missing Algolia credentials");
-      return res.status(500).json({ 
-        error: "Missing Algolia credentials",
-        message: "ALGOLIA_APP_ID and ALGOLIA_API_KEY environment variables are required"
+    let searchOptions;
+    try {
+      searchOptions = normalizeSearchOptions(req.body);
+      if (usesDeclaredOptions(searchOptions)) {
+        checkDeclaredSearchOptions(searchOptions, await getDeclaredSearchSettings(project, table));
+      }
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      return res.status(400).json({
+        error: "Invalid search parameters",
+        message: err.message
       });
     }
 
-    const client = algoliasearch(ALGOLIA_APP_ID, ALGOLIA_API_KEY);
-    
-    // Search across all indices for this project/table
-    const searchPattern = `${ALGOLIA_INDEX_PREFIX}${project}_${table}_*`;
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
+
+    if (configError) {
+      console.error(configError.error);
+      return res.status(500).json(configError);
+    }
+
+    const searchPattern = `${backend.indexPrefix}${project}_${table}_*`;
     
     try {
-      // List indices to find matching ones
-      const { items: indices } = await client.listIndices();
-      const matchingIndices = indices.filter(index => 
-        index.name.startsWith(`${ALGOLIA_INDEX_PREFIX}${project}_${table}_`)
-      );
+      // Read the version the alias points at, never one that is still being built
+      const { alias, indexName } = await resolveLiveIndex(backend, project, table);
 
-      if (matchingIndices.length === 0) {
+      if (!indexName) {
         return res.status(404).json({
           message: "No indices found for the specified project and table",
           project,
@@ -471,30 +1561,28 @@ export const searchIndexHandler = async (req, res) => {
         });
       }
 
-      // Use the most recent index (highest timestamp)
-      const sortedIndices = matchingIndices.sort((a, b) => {
-        const aTimestamp = parseInt(a.name.split('_').pop());
-        const bTimestamp = parseInt(b.name.split('_').pop());
-        return bTimestamp - aTimestamp;
-      });
-
-      const indexName = sortedIndices[0].name;
-      console.log(`🔍 Searching in index: ${indexName}`);
+      console.log(`🔍 Searching in index: ${indexName} (alias ${alias})`);
 
-      const index = client.initIndex(indexName);
-      
-      const searchParams = {
-        hitsPerPage,
-        page,
-        ...(filters && { filters })
-      };
+      const searchResults = await backend.search(indexName, query, { ...searchOptions, hitsPerPage, page });
 
-      const searchResults = await index.search(query, searchParams);
+      // Only the first page counts, so paging through results is one search
+      if (Number(page) === 0 && req.body.analytics !== false) {
+        recordSearchQuery({
+          project,
+          table,
+          query,
+          filters: searchOptions.filters || null,
+          hits: searchResults.nbHits,
+          latencyMs: Date.now() - startedAt,
+          userId: req.body.userId || req.headers['x-user-id'] || null
+        });
+      }
 
       return res.status(200).json({
         message: "Search completed",
         project,
         table,
+        alias,
         indexName,
         query,
         hits: searchResults.hits,
@@ -503,11 +1591,20 @@ export const searchIndexHandler = async (req, res) => {
         nbPages: searchResults.nbPages,
         hitsPerPage: searchResults.hitsPerPage,
         processingTimeMS: searchResults.processingTimeMS,
+        ...(searchOptions.filters && { filters: searchOptions.filters }),
+        ...(searchResults.facets && { facets: searchResults.facets, facets_stats: searchResults.facets_stats }),
+        ...(searchOptions.sort && { sort: searchOptions.sort }),
         timestamp: new Date().toISOString()
       });
 
     } catch (err) {
-      console.error('❌ Algolia search failed:', err);
+      console.error(`❌ ${backend.name} search failed:`, err);
+      if (err.status === 400) {
+        return res.status(400).json({
+          error: "Invalid search parameters",
+          message: err.message
+        });
+      }
       return res.status(500).json({
         message: "Search failed",
         error: err.message
@@ -524,6 +1621,291 @@ export const searchIndexHandler = async (req, res) => {
   }
 };
 
+/**
+ * Search analytics report: top queries, zero-result queries and slow queries
+ * Query params: { hours? | from?, to?, project?, table?, limit?, slowMs? }
+ */
+export const searchAnalyticsHandler = async (req, res) => {
+  try {
+    const { hours, from, to, project, table, limit = 20, slowMs = ANALYTICS_CONFIG.SLOW_QUERY_MS } = req.query;
+    const parseTime = (value) => (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+
+    const end = to !== undefined ? parseTime(to) : Date.now();
+    const start = from !== undefined ? parseTime(from) : end - (Number(hours ?? 24) * 3600000);
+    const errors = [];
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+      errors.push('from/to must be ISO dates or epoch milliseconds with from <= to, and hours a positive number');
+    } else if (end - start > ANALYTICS_CONFIG.RETENTION_HOURS * 3600000) {
+      errors.push(`the window cannot exceed the ${ANALYTICS_CONFIG.RETENTION_HOURS / 24}-day retention period`);
+    }
+    if (!Number.isInteger(Number(limit)) || Number(limit) < 1 || Number(limit) > 100) {
+      errors.push('limit must be an integer between 1 and 100');
+    }
+    if (!Number.isFinite(Number(slowMs)) || Number(slowMs) < 0) {
+      errors.push('slowMs must be a non-negative number');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid analytics parameters", message: errors.join('; ') });
+    }
+
+    const report = await buildSearchAnalyticsReport({
+      from: start,
+      to: end,
+      project,
+      table,
+      limit: Number(limit),
+      slowMs: Number(slowMs)
+    });
+
+    return res.status(200).json({
+      message: "Search analytics retrieved",
+      enabled: ANALYTICS_CONFIG.ENABLED,
+      window: { from: new Date(start).toISOString(), to: new Date(end).toISOString() },
+      ...(project && { project }),
+      ...(table && { table }),
+      slowMs: Number(slowMs),
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error("🔥 Search analytics report failed:", err);
+    return res.status(500).json({
+      message: "Failed to build search analytics report",
+      error: err.message
+    });
+  }
+};
+
+// Federated search: per-source quota (hits) and timeout, merged by reciprocal rank
+const FEDERATED_CONFIG = {
+  MAX_SOURCES: 20,
+  DEFAULT_SOURCE_LIMIT: 5,
+  MAX_SOURCE_LIMIT: 50,
+  DEFAULT_TIMEOUT_MS: parseInt(process.env.SEARCH_FEDERATED_TIMEOUT_MS) || 1000,
+  MAX_TIMEOUT_MS: 10000,
+  RANK_CONSTANT: 60 // k in weight / (k + rank)
+};
+
+/**
+ * Active indexing configs of a project (sources of a project-wide federated search)
+ */
+async function findProjectIndexingConfigs(project) {
+  const configs = [];
+  let lastEvaluatedKey;
+  do {
+    const response = await ddb.send(new ScanCommand({
+      TableName: 'brmh-indexing',
+      FilterExpression: '#project = :project AND #status = :status',
+      ExpressionAttributeNames: { '#project': 'project', '#status': 'status' },
+      ExpressionAttributeValues: { ':project': { S: project }, ':status': { S: 'active' } },
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+    configs.push(...(response.Items || []).map(unmarshall));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return configs;
+}
+
+// Reject with a timeout error unless the promise settles within ms
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${ms} ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+    promise.then(
+      value => { clearTimeout(timer); resolve(value); },
+      error => { clearTimeout(timer); reject(error); }
+    );
+  });
+}
+
+/**
+ * Express handler for searching several indices at once
+ * Request body: {
+ *   query: string,
+ *   sources?: [{
+ *     project: string,
+ *     table: string,
+ *     type?: string (label on merged hits, default the table name),
+ *     limit?: number (hits taken from this source, default 5),
+ *     timeoutMs?: number (default SEARCH_FEDERATED_TIMEOUT_MS or 1000),
+ *     weight?: number (score multiplier, default 1),
+ *     filters?: string | Object (as in /search/query)
+ *   }],
+ *   project?: string (without sources: every active indexing config of the project),
+ *   limit?: number (merged hits returned, default all),
+ *   snippets?: string[],
+ *   snippetWords?: number
+ * }
+ */
+export const federatedSearchHandler = async (req, res) => {
+  const start = Date.now();
+
+  try {
+    const { query, project, limit, snippets, snippetWords } = req.body;
+    let { sources } = req.body;
+
+    console.log('Federated search handler invoked with request:', JSON.stringify(req.body));
+
+    if (typeof query !== 'string' || (!Array.isArray(sources) && !project)) {
+      return res.status(400).json({
+        error: "Missing required parameters",
+        message: "query and either sources or project are required parameters"
+      });
+    }
+
+    if (!Array.isArray(sources)) {
+      const configs = await findProjectIndexingConfigs(project);
+      sources = configs.map(config => ({ project, table: config.table, type: config.table }));
+    }
+
+    if (sources.length === 0 || sources.length > FEDERATED_CONFIG.MAX_SOURCES) {
+      return res.status(400).json({
+        error: "Invalid sources",
+        message: `Between 1 and ${FEDERATED_CONFIG.MAX_SOURCES} sources are required`
+      });
+    }
+
+    // Validate every source before querying any of them
+    let plans;
+    try {
+      plans = sources.map((source, i) => {
+        const label = `sources[${i}]`;
+        if (!source?.project || !source?.table) {
+          throw Object.assign(new Error(`${label} needs project and table`), { status: 400 });
+        }
+        const sourceLimit = Number(source.limit ?? FEDERATED_CONFIG.DEFAULT_SOURCE_LIMIT);
+        const timeoutMs = Number(source.timeoutMs ?? FEDERATED_CONFIG.DEFAULT_TIMEOUT_MS);
+        const weight = Number(source.weight ?? 1);
+        if (!Number.isInteger(sourceLimit) || sourceLimit < 1 || sourceLimit > FEDERATED_CONFIG.MAX_SOURCE_LIMIT) {
+          throw Object.assign(new Error(`${label}.limit must be an integer between 1 and ${FEDERATED_CONFIG.MAX_SOURCE_LIMIT}`), { status: 400 });
+        }
+        if (!Number.isFinite(timeoutMs) || timeoutMs < 1 || timeoutMs > FEDERATED_CONFIG.MAX_TIMEOUT_MS) {
+          throw Object.assign(new Error(`${label}.timeoutMs must be between 1 and ${FEDERATED_CONFIG.MAX_TIMEOUT_MS}`), { status: 400 });
+        }
+        if (!Number.isFinite(weight) || weight <= 0) {
+          throw Object.assign(new Error(`${label}.weight must be a positive number`), { status: 400 });
+        }
+
+        let options;
+        try {
+          options = normalizeSearchOptions({ filters: source.filters, snippets, snippetWords });
+        } catch (err) {
+          throw Object.assign(new Error(`${label}: ${err.message}`), { status: err.status });
+        }
+
+        return {
+          index: i,
+          project: source.project,
+          table: source.table,
+          type: source.type || source.table,
+          limit: sourceLimit,
+          timeoutMs,
+          weight,
+          options
+        };
+      });
+      for (const plan of plans.filter(({ options }) => usesDeclaredOptions(options))) {
+        try {
+          checkDeclaredSearchOptions(plan.options, await getDeclaredSearchSettings(plan.project, plan.table));
+        } catch (err) {
+          throw Object.assign(new Error(`sources[${plan.index}]: ${err.message}`), { status: err.status });
+        }
+      }
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      return res.status(400).json({
+        error: "Invalid search parameters",
+        message: err.message
+      });
+    }
+
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
+
+    if (configError) {
+      console.error(configError.error);
+      return res.status(500).json(configError);
+    }
+
+    // Fan out; a slow or failing source only loses its own results
+    const outcomes = await Promise.all(plans.map(async (plan) => {
+      const sourceStart = Date.now();
+      const summary = { type: plan.type, project: plan.project, table: plan.table, weight: plan.weight };
+      try {
+        const result = await withTimeout((async () => {
+          const { indexName } = await resolveLiveIndex(backend, plan.project, plan.table);
+          if (!indexName) return { indexName: null };
+          const found = await backend.search(indexName, query, { ...plan.options, hitsPerPage: plan.limit, page: 0 });
+          return { indexName, ...found };
+        })(), plan.timeoutMs);
+
+        if (!result.indexName) {
+          return { plan, hits: [], summary: { ...summary, status: 'missing', durationMs: Date.now() - sourceStart } };
+        }
+        return {
+          plan,
+          hits: result.hits,
+          summary: {
+            ...summary,
+            status: 'ok',
+            indexName: result.indexName,
+            nbHits: result.nbHits,
+            returned: result.hits.length,
+            durationMs: Date.now() - sourceStart
+          }
+        };
+      } catch (err) {
+        const status = err.code === 'ETIMEDOUT' ? 'timeout' : 'error';
+        console.error(`❌ Federated source ${plan.project}/${plan.table} ${status}:`, err.message);
+        return { plan, hits: [], summary: { ...summary, status, error: err.message, durationMs: Date.now() - sourceStart } };
+      }
+    }));
+
+    // Reciprocal rank fusion: comparable across backends, which score hits differently
+    const merged = outcomes.flatMap(({ plan, hits }) => hits.map((hit, rank) => ({
+      sourceIndex: plan.index,
+      hit: {
+        ...hit,
+        _federation: {
+          type: plan.type,
+          project: plan.project,
+          table: plan.table,
+          rank,
+          score: plan.weight / (FEDERATED_CONFIG.RANK_CONSTANT + rank + 1)
+        }
+      }
+    })));
+    merged.sort((a, b) =>
+      b.hit._federation.score - a.hit._federation.score || a.sourceIndex - b.sourceIndex
+    );
+
+    const maxHits = Number.isInteger(Number(limit)) && Number(limit) > 0 ? Number(limit) : merged.length;
+    const hits = merged.slice(0, maxHits).map(entry => entry.hit);
+
+    return res.status(200).json({
+      message: "Federated search completed",
+      query,
+      hits,
+      nbHits: hits.length,
+      sources: outcomes.map(outcome => outcome.summary),
+      partial: outcomes.some(outcome => outcome.summary.status === 'timeout' || outcome.summary.status === 'error'),
+      processingTimeMS: Date.now() - start,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error("🔥 Federated search handler failed:", err);
+    return res.status(500).json({
+      message: "Federated search failed",
+      error: err.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 /**
  * Express handler for listing available indices
  * Request body: {
@@ -537,41 +1919,37 @@ export const listIndicesHandler = async (req, res) => {
 
     console.log('List indices handler invoked with request:', JSON.stringify(req.body));
 
-    const ALGOLIA_APP_ID = process.env.ALGOLIA_APP_ID;
-    const ALGOLIA_API_KEY = process.env.ALGOLIA_API_KEY;
-    const ALGOLIA_INDEX_PREFIX = process.env.ALGOLIA_INDEX_PREFIX || '';
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
 
-    if (!ALGOLIA_APP_ID || !ALGOLIA_API_KEY) {
-      console.error("Missing Algolia credentials");
-      return res.status(500).json({ 
-        error: "Missing Algolia credentials",
-        message: "ALGOLIA_APP_ID and ALGOLIA_API_KEY environment variables are required"
-      });
+    if (configError) {
+      console.error(configError.error);
+      return res.status(500).json(configError);
     }
 
-    const client = algoliasearch(ALGOLIA_APP_ID, ALGOLIA_API_KEY);
+    const prefix = backend.indexPrefix;
     
     try {
-      const { items: indices } = await client.listIndices();
+      const indices = await backend.listIndices();
       
       let filteredIndices = indices;
       
       if (project && table) {
         // Filter by specific project and table
         filteredIndices = indices.filter(index => 
-          index.name.startsWith(`${ALGOLIA_INDEX_PREFIX}${project}_${table}_`)
+          index.name.startsWith(`${prefix}${project}_${table}_`)
         );
       } else if (project) {
         // Filter by project only
         filteredIndices = indices.filter(index => 
-          index.name.startsWith(`${ALGOLIA_INDEX_PREFIX}${project}_`)
+          index.name.startsWith(`${prefix}${project}_`)
         );
       }
 
       // Group indices by project and table
       const groupedIndices = {};
       filteredIndices.forEach(index => {
-        const parts = index.name.replace(ALGOLIA_INDEX_PREFIX, '').split('_');
+        const parts = index.name.slice(prefix.length).split('_');
         if (parts.length >= 3) {
           const projectName = parts[0];
           const tableName = parts[1];
@@ -595,12 +1973,28 @@ export const listIndicesHandler = async (req, res) => {
         }
       });
 
-      // Sort by timestamp (newest first) within each table
-      Object.keys(groupedIndices).forEach(project => {
-        Object.keys(groupedIndices[project]).forEach(table => {
-          groupedIndices[project][table].sort((a, b) => b.timestamp - a.timestamp);
-        });
-      });
+      // Sort by timestamp (newest first) within each table and label each
+      // version: live, building, retired (awaiting GC) or inactive
+      for (const projectName of Object.keys(groupedIndices)) {
+        for (const tableName of Object.keys(groupedIndices[projectName])) {
+          const versions = groupedIndices[projectName][tableName];
+          versions.sort((a, b) => b.timestamp - a.timestamp);
+
+          const aliasRecord = await getSearchAlias(searchAliasName(backend, projectName, tableName));
+          const buildingName = aliasRecord?.building?.indexName;
+          const liveName = aliasRecord?.indexName || versions.find(v => v.name !== buildingName)?.name;
+          const retired = new Map((aliasRecord?.retired || []).map(entry => [entry.indexName, entry.retiredAt]));
+
+          versions.forEach(version => {
+            if (version.name === liveName) version.status = 'live';
+            else if (version.name === buildingName) version.status = 'building';
+            else if (retired.has(version.name)) {
+              version.status = 'retired';
+              version.retiredAt = retired.get(version.name);
+            } else version.status = 'inactive';
+          });
+        }
+      }
 
       return res.status(200).json({
         message: "Indices retrieved",
@@ -628,7 +2022,8 @@ export const listIndicesHandler = async (req, res) => {
 };
 
 /**
- * Express handler for deleting indices
+ * Express handler for deleting indices. The live version and a version being
+ * built are always kept, whatever keepLatest says.
  * Request body: {
  *   project: string,
  *   table: string,
@@ -650,28 +2045,30 @@ export const deleteIndicesHandler = async (req, res) => {
       });
     }
 
-    const ALGOLIA_APP_ID = process.env.ALGOLIA_APP_ID;
-    const ALGOLIA_API_KEY = process.env.ALGOLIA_API_KEY;
-    const ALGOLIA_INDEX_PREFIX = process.env.ALGOLIA_INDEX_PREFIX || '';
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
 
-    if (!ALGOLIA_APP_ID || !ALGOLIA_API_KEY) {
-      console.error("Missing Algolia credentials");
-      return res.status(500).json({ 
-        error: "Missing Algolia credentials",
-        message: "ALGOLIA_APP_ID and ALGOLIA_API_KEY environment variables are required"
+    if (configError) {
+      console.error(configError.error);
+      return res.status(500).json(configError);
+    }
+
+    const aliasName = searchAliasName(backend, project, table);
+    const lock = await acquireSearchAliasLock(aliasName, 'delete');
+    if (!lock) {
+      const holder = await getSearchAliasLock(aliasName);
+      return res.status(409).json({
+        error: "Index operation in progress",
+        message: `${aliasName} is locked by another ${holder?.purpose || 'operation'}`,
+        lock: holder
       });
     }
 
-    const client = algoliasearch(ALGOLIA_APP_ID, ALGOLIA_API_KEY);
-    
     try {
-      // List indices to find matching ones
-      const { items: indices } = await client.listIndices();
-      const matchingIndices = indices.filter(index => 
-        index.name.startsWith(`${ALGOLIA_INDEX_PREFIX}${project}_${table}_`)
-      );
+      // Newest first
+      const sortedIndices = await findTableIndices(backend, project, table);
 
-      if (matchingIndices.length === 0) {
+      if (sortedIndices.length === 0) {
         return res.status(404).json({
           message: "No indices found for the specified project and table",
           project,
@@ -679,28 +2076,25 @@ export const deleteIndicesHandler = async (req, res) => {
         });
       }
 
-      // Sort by timestamp (newest first)
-      const sortedIndices = matchingIndices.sort((a, b) => {
-        const aTimestamp = parseInt(a.name.split('_').pop());
-        const bTimestamp = parseInt(b.name.split('_').pop());
-        return bTimestamp - aTimestamp;
-      });
-
-      // Keep the latest indices and delete the rest
-      const indicesToDelete = sortedIndices.slice(keepLatest);
+      // Keep the latest indices (plus the live and building versions) and delete the rest
+      const { indexName: liveIndexName } = await resolveLiveIndex(backend, project, table);
+      const aliasRecord = await getSearchAlias(aliasName);
+      const protectedNames = new Set([liveIndexName, aliasRecord?.building?.indexName].filter(Boolean));
+      const keptIndices = sortedIndices.filter((index, i) => i < keepLatest || protectedNames.has(index.name));
+      const indicesToDelete = sortedIndices.filter(index => !keptIndices.includes(index));
       
       if (indicesToDelete.length === 0) {
         return res.status(200).json({
           message: "No indices to delete",
           project,
           table,
-          keptIndices: sortedIndices.slice(0, keepLatest).map(i => i.name)
+          keptIndices: keptIndices.map(i => i.name)
         });
       }
 
       // Delete indices
       const deletePromises = indicesToDelete.map(index => 
-        client.deleteIndex(index.name)
+        backend.deleteIndex(index.name)
       );
       
       await Promise.all(deletePromises);
@@ -712,7 +2106,7 @@ export const deleteIndicesHandler = async (req, res) => {
         project,
         table,
         deletedIndices: indicesToDelete.map(i => i.name),
-        keptIndices: sortedIndices.slice(0, keepLatest).map(i => i.name),
+        keptIndices: keptIndices.map(i => i.name),
         deletedCount: indicesToDelete.length,
         timestamp: new Date().toISOString()
       });
@@ -723,6 +2117,8 @@ export const deleteIndicesHandler = async (req, res) => {
         message: "Failed to delete indices",
         error: err.message
       });
+    } finally {
+      await releaseSearchAliasLock(lock);
     }
 
   } catch (err) {
@@ -736,33 +2132,164 @@ export const deleteIndicesHandler = async (req, res) => {
 };
 
 /**
- * Health check for Algolia connection
+ * Express handler for reading a table's search alias
+ * Query: ?project=...&table=...
+ */
+export const getSearchAliasHandler = async (req, res) => {
+  try {
+    const { project, table } = req.query;
+
+    if (!project || !table) {
+      return res.status(400).json({
+        error: "Missing 'project' or 'table'",
+        message: "Both project and table are required parameters"
+      });
+    }
+
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
+
+    if (configError) {
+      console.error(configError.error);
+      return res.status(500).json(configError);
+    }
+
+    const aliasName = searchAliasName(backend, project, table);
+    const [aliasRecord, live, lock] = await Promise.all([
+      getSearchAlias(aliasName),
+      resolveLiveIndex(backend, project, table),
+      getSearchAliasLock(aliasName)
+    ]);
+
+    return res.status(200).json({
+      message: "Search alias retrieved",
+      project,
+      table,
+      alias: aliasName,
+      indexName: live.indexName,
+      previousIndexName: aliasRecord?.previousIndexName || null,
+      swappedAt: aliasRecord?.swappedAt || null,
+      building: aliasRecord?.building || null,
+      retired: aliasRecord?.retired || [],
+      lock,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error("🔥 Get search alias handler failed:", err);
+    return res.status(500).json({
+      message: "Failed to get search alias",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Express handler for pointing a table's alias at an existing version,
+ * e.g. to roll back to the previous build before it is garbage-collected
+ * Request body: {
+ *   project: string,
+ *   table: string,
+ *   indexName: string
+ * }
+ */
+export const swapSearchAliasHandler = async (req, res) => {
+  try {
+    const { project, table, indexName } = req.body;
+
+    if (!project || !table || !indexName) {
+      return res.status(400).json({
+        error: "Missing required parameters",
+        message: "project, table and indexName are required parameters"
+      });
+    }
+
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
+
+    if (configError) {
+      console.error(configError.error);
+      return res.status(500).json(configError);
+    }
+
+    const aliasName = searchAliasName(backend, project, table);
+    const lock = await acquireSearchAliasLock(aliasName, 'swap');
+    if (!lock) {
+      const holder = await getSearchAliasLock(aliasName);
+      return res.status(409).json({
+        error: "Index operation in progress",
+        message: `${aliasName} is locked by another ${holder?.purpose || 'operation'}`,
+        lock: holder
+      });
+    }
+
+    try {
+      const versions = await findTableIndices(backend, project, table);
+      if (!versions.some(index => index.name === indexName)) {
+        return res.status(404).json({
+          error: "Index not found",
+          message: `${indexName} is not a version of ${aliasName}`,
+          versions: versions.map(index => index.name)
+        });
+      }
+
+      const aliasRecord = await getSearchAlias(aliasName);
+      if (aliasRecord?.building?.indexName === indexName) {
+        return res.status(409).json({
+          error: "Index is still building",
+          message: `${indexName} has not finished building`
+        });
+      }
+
+      const updated = await swapSearchAlias(backend, project, table, indexName);
+
+      return res.status(200).json({
+        message: "Search alias updated",
+        project,
+        table,
+        alias: aliasName,
+        indexName: updated.indexName,
+        previousIndexName: updated.previousIndexName,
+        swappedAt: updated.swappedAt,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await releaseSearchAliasLock(lock);
+    }
+
+  } catch (err) {
+    console.error("🔥 Swap search alias handler failed:", err);
+    return res.status(500).json({
+      message: "Failed to update search alias",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Health check for the configured search backend
  */
 export const searchHealthHandler = async (req, res) => {
   try {
-    const ALGOLIA_APP_ID = process.env.ALGOLIA_APP_ID;
-    const ALGOLIA_API_KEY = process.env.ALGOLIA_API_KEY;
+    const backend = getSearchBackend();
+    const configError = backend.checkConfig();
 
-    if (!ALGOLIA_APP_ID || !ALGOLIA_API_KEY) {
+    if (configError) {
       return res.status(503).json({
         message: "Search service is unhealthy",
-        error: "Missing Algolia credentials",
+        backend: backend.name,
+        error: configError.error,
         timestamp: new Date().toISOString()
       });
     }
 
-    const client = algoliasearch(ALGOLIA_APP_ID, ALGOLIA_API_KEY);
-    
-    // Test connection by listing indices
-    const { items: indices } = await client.listIndices();
+    // Test the backend (Algolia: lists indices; local: checks the data directory)
+    const details = await backend.health();
     
     return res.status(200).json({
       message: "Search service is healthy",
-      algolia: {
-        appId: ALGOLIA_APP_ID,
-        connected: true,
-        totalIndices: indices.length
-      },
+      backend: backend.name,
+      [backend.name]: details,
       timestamp: new Date().toISOString()
     });
 
@@ -0,0 +1,277 @@
+import { SearchQueryError } from './search-backend.js';
+
+/**
+ * Backend-neutral query options for POST /search/query
+ *
+ * Filter DSL (a JSON tree):
+ *
+ *   { "field": "brand", "op": "eq", "value": "Acme" }
+ *   { "field": "price", "op": "between", "value": [10, 50] }
+ *   { "field": "color", "op": "in", "value": ["red", "blue"] }
+ *   { "and": [ ... ] }, { "or": [ ... ] }, { "not": { ... } }
+ *
+ * ops: eq, ne, in, nin (strings, numbers, booleans) and gt, gte, lt, lte,
+ * between (numbers). The tree is compiled to the Algolia filter syntax, which
+ * the local backend parses too. NOTs are pushed down to the conditions and the
+ * result is put in conjunctive normal form, because Algolia only accepts ANDs
+ * of OR groups. Algolia also rejects an OR group that mixes numeric conditions
+ * (comparisons, or eq/ne on a number) with facet conditions (strings and
+ * booleans), so such trees are invalid on every backend.
+ */
+
+export const FILTER_OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'between'];
+
+const MAX_FILTER_CLAUSES = 100;
+const MAX_VALUES_PER_FACET = 1000;
+const MAX_DECLARED_FACETS = 100;
+const MAX_DECLARED_SORTS = 10;
+const ATTRIBUTE_PATTERN = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+
+const NEGATED_OPERATORS = { eq: 'ne', ne: 'eq', gt: 'lte', gte: 'lt', lt: 'gte', lte: 'gt' };
+
+function checkAttribute(attribute, label) {
+  if (typeof attribute !== 'string' || !ATTRIBUTE_PATTERN.test(attribute)) {
+    throw new SearchQueryError(`${label} must be an attribute name (letters, digits, _ and -, dot-separated)`);
+  }
+}
+
+function checkScalar(value, label) {
+  if (!['string', 'number', 'boolean'].includes(typeof value) || (typeof value === 'number' && !Number.isFinite(value))) {
+    throw new SearchQueryError(`${label} must be a string, number or boolean`);
+  }
+}
+
+function checkNumber(value, label) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new SearchQueryError(`${label} must be a number (store dates as timestamps to filter them by range)`);
+  }
+}
+
+// Validate a node and rewrite it with NOTs pushed down to eq/ne/gt/gte/lt/lte conditions
+function toNegationNormalForm(node, negate, path) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new SearchQueryError(`${path} must be an object`);
+  }
+
+  for (const key of ['and', 'or']) {
+    if (!(key in node)) continue;
+    if (!Array.isArray(node[key]) || node[key].length === 0) {
+      throw new SearchQueryError(`${path}.${key} must be a non-empty array`);
+    }
+    const children = node[key].map((child, i) => toNegationNormalForm(child, negate, `${path}.${key}[${i}]`));
+    // De Morgan: NOT (a AND b) = NOT a OR NOT b
+    return { [(key === 'and') !== negate ? 'and' : 'or']: children };
+  }
+
+  if ('not' in node) return toNegationNormalForm(node.not, !negate, `${path}.not`);
+
+  const { field, op = 'eq', value } = node;
+  checkAttribute(field, `${path}.field`);
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw new SearchQueryError(`${path}.op must be one of ${FILTER_OPERATORS.join(', ')}`);
+  }
+
+  if (op === 'in' || op === 'nin') {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new SearchQueryError(`${path}.value must be a non-empty array for ${op}`);
+    }
+    value.forEach((v, i) => checkScalar(v, `${path}.value[${i}]`));
+    const expanded = { [op === 'in' ? 'or' : 'and']: value.map(v => ({ field, op: op === 'in' ? 'eq' : 'ne', value: v })) };
+    return toNegationNormalForm(expanded, negate, path);
+  }
+
+  if (op === 'between') {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw new SearchQueryError(`${path}.value must be [low, high] for between`);
+    }
+    checkNumber(value[0], `${path}.value[0]`);
+    checkNumber(value[1], `${path}.value[1]`);
+    const expanded = { and: [{ field, op: 'gte', value: value[0] }, { field, op: 'lte', value: value[1] }] };
+    return toNegationNormalForm(expanded, negate, path);
+  }
+
+  if (op === 'eq' || op === 'ne') checkScalar(value, `${path}.value`);
+  else checkNumber(value, `${path}.value`);
+
+  return { field, op: negate ? NEGATED_OPERATORS[op] : op, value };
+}
+
+// Conjunctive normal form: an array of clauses, each an array of OR'ed conditions
+function toClauses(node) {
+  if (node.and) return node.and.flatMap(toClauses);
+  if (node.or) {
+    let clauses = [[]];
+    for (const child of node.or) {
+      const childClauses = toClauses(child);
+      clauses = clauses.flatMap(clause => childClauses.map(childClause => clause.concat(childClause)));
+      if (clauses.length > MAX_FILTER_CLAUSES) {
+        throw new SearchQueryError(`filters expand to more than ${MAX_FILTER_CLAUSES} OR groups; simplify the expression`);
+      }
+    }
+    return clauses;
+  }
+  return [[node]];
+}
+
+const quote = (value) => `"${String(value).replace(/["\\]/g, ch => `\\${ch}`)}"`;
+
+function renderCondition({ field, op, value }) {
+  const comparison = { gt: '>', gte: '>=', lt: '<', lte: '<=' }[op];
+  if (comparison) return `${field} ${comparison} ${value}`;
+
+  if (typeof value === 'number') return `${field} ${op === 'eq' ? '=' : '!='} ${value}`;
+  const facet = `${field}:${typeof value === 'boolean' ? value : quote(value)}`;
+  return op === 'eq' ? facet : `NOT ${facet}`;
+}
+
+// Algolia keeps numeric filters and facet filters apart; an OR group may only hold one kind
+const conditionKind = ({ op, value }) => (op === 'eq' || op === 'ne') && typeof value !== 'number' ? 'facet' : 'numeric';
+
+function checkOrGroup(clause) {
+  const kinds = new Set(clause.map(conditionKind));
+  if (kinds.size > 1) {
+    throw new SearchQueryError(`filters cannot OR numeric and facet conditions together: (${clause.map(renderCondition).join(' OR ')})`);
+  }
+}
+
+/**
+ * Compile a filter DSL tree to a filter string
+ * @returns {{ filters: string, attributes: string[] }} attributes used by the filter
+ */
+export function compileFilterDsl(tree) {
+  const clauses = toClauses(toNegationNormalForm(tree, false, 'filters'));
+  const attributes = new Set();
+
+  const filters = clauses
+    .map(clause => {
+      checkOrGroup(clause);
+      clause.forEach(condition => attributes.add(condition.field));
+      const rendered = clause.map(renderCondition);
+      return rendered.length === 1 ? rendered[0] : `(${rendered.join(' OR ')})`;
+    })
+    .join(' AND ');
+
+  return { filters, attributes: Array.from(attributes) };
+}
+
+/**
+ * Normalise sort keys: "price:desc", "name" or { field, order }
+ * @returns {Array<{field: string, order: 'asc'|'desc'}>}
+ */
+export function normalizeSort(sort) {
+  if (sort === undefined || sort === null) return [];
+  const keys = Array.isArray(sort) ? sort : [sort];
+
+  return keys.map((key, i) => {
+    const label = `sort[${i}]`;
+    const [field, order = 'asc'] = typeof key === 'string' ? key.split(':') : [key?.field, key?.order];
+    checkAttribute(field, `${label} field`);
+    if (order !== 'asc' && order !== 'desc') throw new SearchQueryError(`${label} order must be asc or desc`);
+    return { field, order };
+  });
+}
+
+// Stable key of a normalised sort, e.g. "price:desc,name:asc"
+export const sortKey = (sort) => sort.map(({ field, order }) => `${field}:${order}`).join(',');
+
+/**
+ * Normalise the searchSettings of an indexing config: the attributes searches
+ * may filter and facet on, and the sort orders they may use. Each sort is a
+ * sort as accepted by normalizeSort ("price:desc" or a list of keys).
+ * @returns {{searchSettings: {facets: string[], sorts: Array}|null, error?: string}}
+ */
+export function normalizeSearchSettings(settings) {
+  if (settings === undefined || settings === null) return { searchSettings: { facets: [], sorts: [] } };
+  try {
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new SearchQueryError('searchSettings must be an object');
+    }
+    const { facets = [], sorts = [], ...unknown } = settings;
+    if (Object.keys(unknown).length > 0) {
+      throw new SearchQueryError(`Unknown searchSettings fields: ${Object.keys(unknown).join(', ')}`);
+    }
+    if (!Array.isArray(facets) || facets.length > MAX_DECLARED_FACETS) {
+      throw new SearchQueryError(`searchSettings.facets must be an array of at most ${MAX_DECLARED_FACETS} attribute names`);
+    }
+    facets.forEach((facet, i) => checkAttribute(facet, `searchSettings.facets[${i}]`));
+    if (!Array.isArray(sorts) || sorts.length > MAX_DECLARED_SORTS) {
+      throw new SearchQueryError(`searchSettings.sorts must be an array of at most ${MAX_DECLARED_SORTS} sorts`);
+    }
+    const normalizedSorts = new Map();
+    sorts.forEach((sort, i) => {
+      let keys;
+      try {
+        keys = normalizeSort(sort);
+      } catch (err) {
+        throw new SearchQueryError(`searchSettings.sorts[${i}]: ${err.message}`);
+      }
+      if (keys.length === 0) throw new SearchQueryError(`searchSettings.sorts[${i}] must not be empty`);
+      normalizedSorts.set(sortKey(keys), keys);
+    });
+    return { searchSettings: { facets: [...new Set(facets)], sorts: Array.from(normalizedSorts.values()) } };
+  } catch (err) {
+    if (!(err instanceof SearchQueryError)) throw err;
+    return { searchSettings: null, error: err.message };
+  }
+}
+
+/**
+ * Reject filter-tree attributes, facets and sorts that the indexing config's
+ * searchSettings do not declare. Only declared ones are set up on the index
+ * (e.g. Algolia attributesForFaceting and sort replicas), when it is built.
+ */
+export function checkDeclaredSearchOptions(options, searchSettings) {
+  const declaredFacets = new Set(searchSettings?.facets || []);
+  const undeclared = [...new Set([...(options.filterAttributes || []), ...(options.facets || [])])]
+    .filter(attribute => !declaredFacets.has(attribute));
+  if (undeclared.length > 0) {
+    throw new SearchQueryError(`Attributes not declared in the indexing config's searchSettings.facets: ${undeclared.join(', ')}`);
+  }
+  if (options.sort && !(searchSettings?.sorts || []).some(sort => sortKey(sort) === sortKey(options.sort))) {
+    throw new SearchQueryError(`Sort "${sortKey(options.sort)}" is not declared in the indexing config's searchSettings.sorts`);
+  }
+}
+
+/**
+ * Validate the structured options of a search request
+ * @returns {Object} options for backend.search()
+ */
+export function normalizeSearchOptions({ filters, facets, maxValuesPerFacet = 100, sort, snippets, snippetWords = 10 }) {
+  const options = {};
+
+  if (typeof filters === 'string') {
+    if (filters.trim()) options.filters = filters;
+  } else if (filters !== undefined && filters !== null) {
+    const compiled = compileFilterDsl(filters);
+    options.filters = compiled.filters;
+    options.filterAttributes = compiled.attributes;
+  }
+
+  if (facets !== undefined) {
+    if (!Array.isArray(facets)) throw new SearchQueryError('facets must be an array of attribute names');
+    facets.forEach((facet, i) => checkAttribute(facet, `facets[${i}]`));
+    const max = Number(maxValuesPerFacet);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_VALUES_PER_FACET) {
+      throw new SearchQueryError(`maxValuesPerFacet must be an integer between 1 and ${MAX_VALUES_PER_FACET}`);
+    }
+    options.facets = [...new Set(facets)];
+    options.maxValuesPerFacet = max;
+  }
+
+  const sortKeys = normalizeSort(sort);
+  if (sortKeys.length > 0) options.sort = sortKeys;
+
+  if (snippets !== undefined) {
+    if (!Array.isArray(snippets) || !snippets.every(a => typeof a === 'string' && /^[A-Za-z0-9_-]+$/.test(a))) {
+      throw new SearchQueryError('snippets must be an array of top-level attribute names');
+    }
+    const words = Number(snippetWords);
+    if (!Number.isInteger(words) || words < 1 || words > 100) {
+      throw new SearchQueryError('snippetWords must be an integer between 1 and 100');
+    }
+    options.snippets = snippets;
+    options.snippetWords = words;
+  }
+
+  return options;
+}
@@ -0,0 +1,639 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import { ScanCommand, GetCommand } from '@aws-sdk/lib-dynamodb';
+import { docClient } from '../lib/dynamodb-client.js';
+
+/**
+ * Semantic search over namespace schemas, methods and scraped documentation
+ *
+ * Each namespace gets a vector index: one entry per schema (brmh-schemas), per
+ * method (brmh-namespace-methods) and per passage of scraped documentation
+ * (documentation table). Indexes are JSON files under SEMANTIC_DATA_DIR and
+ * queries are exact cosine-similarity scans, which is plenty for the few
+ * thousand entries a namespace has.
+ *
+ * Embeddings (SEMANTIC_EMBEDDING_PROVIDER):
+ *   local  (default) feature-hashed words, word pairs and character trigrams,
+ *          with API verbs folded into synonym groups ("creates" ~ "add" ~ POST).
+ *          No model or network, so it runs offline; it matches vocabulary, not meaning.
+ *   openai any OpenAI-compatible /embeddings endpoint (SEMANTIC_EMBEDDING_URL,
+ *          SEMANTIC_EMBEDDING_MODEL, SEMANTIC_EMBEDDING_API_KEY), including
+ *          local servers such as Ollama or LM Studio.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SEMANTIC_CONFIG = {
+  PROVIDER: process.env.SEMANTIC_EMBEDDING_PROVIDER || 'local',
+  DATA_DIR: process.env.SEMANTIC_DATA_DIR || path.join(__dirname, '../data/semantic-index'),
+  LOCAL_DIMENSIONS: parseInt(process.env.SEMANTIC_EMBEDDING_DIM) || 1024,
+  API_URL: (process.env.SEMANTIC_EMBEDDING_URL || 'https://api.openai.com/v1').replace(/\/$/, ''),
+  API_MODEL: process.env.SEMANTIC_EMBEDDING_MODEL || 'text-embedding-3-small',
+  API_KEY: process.env.SEMANTIC_EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+  MAX_AGE_MS: (parseFloat(process.env.SEMANTIC_INDEX_MAX_AGE_MINUTES) || 60) * 60000,
+  DEFAULT_MIN_SCORE: parseFloat(process.env.SEMANTIC_MIN_SCORE || '0.1'),
+  EMBED_BATCH_SIZE: 64,
+  PASSAGE_WORDS: 200,
+  MAX_TEXT_CHARS: 8000
+};
+
+export const SEMANTIC_KINDS = ['schema', 'method', 'doc'];
+
+// ---------------------------------------------------------------------------
+// Embedders
+// ---------------------------------------------------------------------------
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'us', 'we', 'what',
+  'which', 'with', 'you', 'api', 'apis', 'endpoint', 'find', 'want', 'need'
+]);
+
+// Words that name the same API action fold into one feature
+const SYNONYM_GROUPS = [
+  ['create', 'add', 'new', 'post', 'insert', 'make', 'register', 'submit', 'issue'],
+  ['get', 'fetch', 'retrieve', 'read', 'lookup', 'show', 'view', 'detail'],
+  ['list', 'search', 'query', 'browse', 'all', 'index'],
+  ['update', 'edit', 'modify', 'change', 'patch', 'put', 'set'],
+  ['delete', 'remove', 'destroy', 'cancel', 'void', 'archive'],
+  ['user', 'customer', 'account', 'member', 'profile', 'person'],
+  ['order', 'purchase', 'checkout'],
+  ['payment', 'charge', 'transaction', 'pay'],
+  ['refund', 'reimburse', 'chargeback'],
+  ['product', 'sku', 'catalog', 'inventory'],
+  ['auth', 'login', 'signin', 'token', 'session', 'authenticate'],
+  ['webhook', 'callback', 'event', 'notification', 'hook']
+];
+
+// Crude suffix stripping: enough to make "create", "creates", "created" and "creating" agree
+function stem(word) {
+  if (word.length <= 3) return word;
+  let base = word;
+  if (base.endsWith('ies') && base.length > 4) base = `${base.slice(0, -3)}y`;
+  else if (/(ss|x|z|ch|sh)es$/.test(base)) base = base.slice(0, -2);
+  else if (base.endsWith('s') && !/(ss|us|is)$/.test(base)) base = base.slice(0, -1);
+
+  if (base.endsWith('ing') && base.length > 5) base = base.slice(0, -3);
+  else if (base.endsWith('ed') && base.length > 4) base = base.slice(0, -2);
+  if (base.endsWith('e') && base.length > 3) base = base.slice(0, -1);
+  return base;
+}
+
+const SYNONYMS = new Map(SYNONYM_GROUPS.flatMap(group => group.map(word => [stem(word), `~${group[0]}`])));
+
+/**
+ * Words of a text: camelCase, snake_case, kebab-case and URL paths are split,
+ * stop words dropped, the rest stemmed
+ */
+export function semanticTokens(text) {
+  const words = String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(word => !STOP_WORDS.has(word)).map(stem);
+}
+
+// FNV-1a, 32 bit
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => Math.round((v / norm) * 10000) / 10000) : vector;
+}
+
+function createLocalEmbedder() {
+  const dimensions = SEMANTIC_CONFIG.LOCAL_DIMENSIONS;
+
+  const embedOne = (text) => {
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+    const tokens = semanticTokens(text);
+
+    tokens.forEach((token, i) => {
+      add(`w:${token}`, 1);
+      if (SYNONYMS.has(token)) add(`s:${SYNONYMS.get(token)}`, 1);
+      if (i > 0) add(`b:${tokens[i - 1]}_${token}`, 0.5);
+      const padded = `#${token}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) add(`c:${padded.slice(j, j + 3)}`, 0.2);
+    });
+
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = hashFeature(feature);
+      // Signed hashing keeps collisions from adding up
+      vector[hash % dimensions] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+    }
+    return normalizeVector(vector);
+  };
+
+  return {
+    name: 'local',
+    model: 'hashing-v1',
+    signature: `local:hashing-v1:${dimensions}`,
+    embed: async (texts) => texts.map(embedOne)
+  };
+}
+
+function createApiEmbedder() {
+  return {
+    name: 'openai',
+    model: SEMANTIC_CONFIG.API_MODEL,
+    signature: `openai:${SEMANTIC_CONFIG.API_URL}:${SEMANTIC_CONFIG.API_MODEL}`,
+    async embed(texts) {
+      const response = await axios.post(`${SEMANTIC_CONFIG.API_URL}/embeddings`, {
+        model: SEMANTIC_CONFIG.API_MODEL,
+        input: texts
+      }, {
+        headers: SEMANTIC_CONFIG.API_KEY ? { Authorization: `Bearer ${SEMANTIC_CONFIG.API_KEY}` } : {},
+        timeout: 60000
+      });
+      return response.data.data
+        .sort((a, b) => a.index - b.index)
+        .map(entry => normalizeVector(entry.embedding));
+    }
+  };
+}
+
+let embedder = null;
+
+export function getEmbedder() {
+  if (!embedder) {
+    if (SEMANTIC_CONFIG.PROVIDER === 'openai') {
+      embedder = createApiEmbedder();
+      console.log(`🧭 Semantic search: ${SEMANTIC_CONFIG.API_MODEL} embeddings from ${SEMANTIC_CONFIG.API_URL}`);
+    } else {
+      if (SEMANTIC_CONFIG.PROVIDER !== 'local') {
+        console.warn(`⚠️ Unknown SEMANTIC_EMBEDDING_PROVIDER "${SEMANTIC_CONFIG.PROVIDER}", using local embeddings`);
+      }
+      embedder = createLocalEmbedder();
+      console.log(`🧭 Semantic search: local hashing embeddings (${SEMANTIC_CONFIG.LOCAL_DIMENSIONS} dimensions)`);
+    }
+  }
+  return embedder;
+}
+
+const cosine = (a, b) => {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+};
+
+// ---------------------------------------------------------------------------
+// Documents
+// ---------------------------------------------------------------------------
+
+// Property names, types and descriptions of a JSON schema, two levels deep
+function describeSchemaFields(schema, depth = 0) {
+  if (typeof schema === 'string') {
+    try {
+      schema = JSON.parse(schema);
+    } catch {
+      return '';
+    }
+  }
+  const properties = schema?.properties || schema?.items?.properties;
+  if (!properties || depth > 1) return '';
+  return Object.entries(properties)
+    .map(([name, property]) => [
+      name,
+      property?.type,
+      property?.description,
+      describeSchemaFields(property, depth + 1)
+    ].filter(Boolean).join(' '))
+    .join('; ');
+}
+
+function schemaDocument(schema) {
+  const title = schema.schemaName || schema.name || schema.id;
+  return {
+    id: `schema:${schema.id}`,
+    kind: 'schema',
+    title,
+    text: [
+      title,
+      schema.description,
+      schema.schemaType,
+      schema.methodName && `from method ${schema.methodName}`,
+      `fields: ${describeSchemaFields(schema.schema || schema.content)}`
+    ].filter(Boolean).join('\n'),
+    ref: { schemaId: schema.id, methodId: schema.methodId || null }
+  };
+}
+
+function methodDocument(item) {
+  const method = item.data || item;
+  const id = method['namespace-method-id'] || item.id;
+  const title = method['namespace-method-name'] || id;
+  const original = method['original-api'] || {};
+  return {
+    id: `method:${id}`,
+    kind: 'method',
+    title,
+    text: [
+      title,
+      `${method['namespace-method-type'] || ''} ${method['namespace-method-url-override'] || ''}`,
+      original.description,
+      (method.tags || []).join(' '),
+      (method['namespace-method-queryParams'] || []).map(param => param.key || param.name).filter(Boolean).join(' '),
+      method['request-schema'] && `request: ${describeSchemaFields(method['request-schema'])}`,
+      method['response-schema'] && `response: ${describeSchemaFields(method['response-schema'])}`
+    ].filter(Boolean).join('\n'),
+    ref: {
+      methodId: id,
+      method: method['namespace-method-type'] || null,
+      url: method['namespace-method-url-override'] || null
+    }
+  };
+}
+
+// Long pages are split into passages so a match points at the relevant part
+function docDocuments(doc) {
+  const words = String(doc.content || '').split(/\s+/).filter(Boolean);
+  const passages = [];
+  for (let start = 0; start < Math.max(words.length, 1); start += SEMANTIC_CONFIG.PASSAGE_WORDS) {
+    passages.push(words.slice(start, start + SEMANTIC_CONFIG.PASSAGE_WORDS).join(' '));
+  }
+  return passages.map((passage, i) => ({
+    id: `doc:${doc.id}#${i}`,
+    kind: 'doc',
+    title: doc.title || doc.url || doc.id,
+    text: `${doc.title || ''}\n${passage}`,
+    ref: { documentId: doc.id, url: doc.url || null, passage: i }
+  }));
+}
+
+async function scanAll(params) {
+  const items = [];
+  let lastKey;
+  do {
+    const response = await docClient.send(new ScanCommand({ ...params, ExclusiveStartKey: lastKey }));
+    items.push(...(response.Items || []));
+    lastKey = response.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
+// The documentation table only exists once something has been scraped
+async function scanOptional(params) {
+  try {
+    return await scanAll(params);
+  } catch (err) {
+    if (err.name === 'ResourceNotFoundException') return [];
+    throw err;
+  }
+}
+
+async function loadNamespaceDocuments(namespaceId) {
+  const [schemas, methods, docs] = await Promise.all([
+    scanAll({
+      TableName: 'brmh-schemas',
+      FilterExpression: 'namespaceId = :nsid',
+      ExpressionAttributeValues: { ':nsid': namespaceId }
+    }),
+    scanAll({
+      TableName: 'brmh-namespace-methods',
+      FilterExpression: '#data.#nsid = :nsid',
+      ExpressionAttributeNames: { '#data': 'data', '#nsid': 'namespace-id' },
+      ExpressionAttributeValues: { ':nsid': namespaceId }
+    }),
+    scanOptional({
+      TableName: 'documentation',
+      FilterExpression: 'namespaceId = :nsid',
+      ExpressionAttributeValues: { ':nsid': namespaceId }
+    })
+  ]);
+
+  return [
+    ...schemas.map(schemaDocument),
+    ...methods.map(methodDocument),
+    ...docs.flatMap(docDocuments)
+  ].map(document => ({ ...document, text: document.text.slice(0, SEMANTIC_CONFIG.MAX_TEXT_CHARS) }));
+}
+
+/**
+ * Whether a namespace exists (brmh-namespace is keyed by namespace id)
+ */
+export async function namespaceExists(namespaceId) {
+  const response = await docClient.send(new GetCommand({ TableName: 'brmh-namespace', Key: { id: namespaceId } }));
+  return Boolean(response.Item);
+}
+
+/**
+ * Ids of every namespace (brmh-namespace)
+ */
+export async function listNamespaceIds() {
+  const items = await scanAll({ TableName: 'brmh-namespace' });
+  return items
+    .map(item => item.data?.['namespace-id'] || item.id)
+    .filter(Boolean);
+}
+
+// ---------------------------------------------------------------------------
+// Vector store
+// ---------------------------------------------------------------------------
+
+const loadedIndexes = new Map();
+const builds = new Map();
+
+const indexFilePath = (namespaceId) => path.join(SEMANTIC_CONFIG.DATA_DIR, `${encodeURIComponent(namespaceId)}.json`);
+
+async function readNamespaceIndex(namespaceId) {
+  if (loadedIndexes.has(namespaceId)) return loadedIndexes.get(namespaceId);
+  try {
+    const index = JSON.parse(await fs.promises.readFile(indexFilePath(namespaceId), 'utf8'));
+    loadedIndexes.set(namespaceId, index);
+    return index;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function writeNamespaceIndex(index) {
+  await fs.promises.mkdir(SEMANTIC_CONFIG.DATA_DIR, { recursive: true });
+  const filePath = indexFilePath(index.namespaceId);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(index));
+  await fs.promises.rename(tmpPath, filePath);
+  loadedIndexes.set(index.namespaceId, index);
+}
+
+// An empty index is only kept in memory, so namespaces without entries leave no file behind
+async function removeNamespaceIndexFile(namespaceId) {
+  try {
+    await fs.promises.unlink(indexFilePath(namespaceId));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+async function listIndexedNamespaceIds() {
+  try {
+    const files = await fs.promises.readdir(SEMANTIC_CONFIG.DATA_DIR);
+    return files.filter(file => file.endsWith('.json')).map(file => decodeURIComponent(file.slice(0, -5)));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * (Re)build the vector index of a namespace. Entries whose text and embedder
+ * are unchanged keep their vectors, so only new or edited items are embedded.
+ * Concurrent builds of the same namespace share one run. Throws an error with
+ * status 404 for an unknown namespace; an index without entries is not saved.
+ * @returns {Promise<Object>} { namespaceId, documents, embedded, reused, builtAt }
+ */
+export function buildNamespaceIndex(namespaceId) {
+  if (builds.has(namespaceId)) return builds.get(namespaceId);
+
+  const build = (async () => {
+    const start = Date.now();
+    if (!(await namespaceExists(namespaceId))) {
+      throw Object.assign(new Error(`Namespace ${namespaceId} not found`), { status: 404 });
+    }
+    const activeEmbedder = getEmbedder();
+    const previous = await readNamespaceIndex(namespaceId);
+    const reusable = previous?.embedder === activeEmbedder.signature
+      ? new Map(previous.documents.map(document => [document.id, document]))
+      : new Map();
+
+    const documents = (await loadNamespaceDocuments(namespaceId)).map(document => ({
+      ...document,
+      namespaceId,
+      hash: createHash('sha1').update(document.text).digest('hex')
+    }));
+
+    const toEmbed = documents.filter(document => {
+      const existing = reusable.get(document.id);
+      if (existing && existing.hash === document.hash) {
+        document.vector = existing.vector;
+        return false;
+      }
+      return true;
+    });
+
+    for (let i = 0; i < toEmbed.length; i += SEMANTIC_CONFIG.EMBED_BATCH_SIZE) {
+      const batch = toEmbed.slice(i, i + SEMANTIC_CONFIG.EMBED_BATCH_SIZE);
+      const vectors = await activeEmbedder.embed(batch.map(document => document.text));
+      batch.forEach((document, j) => { document.vector = vectors[j]; });
+    }
+
+    const index = {
+      namespaceId,
+      embedder: activeEmbedder.signature,
+      builtAt: new Date().toISOString(),
+      documents
+    };
+    if (documents.length > 0) {
+      await writeNamespaceIndex(index);
+    } else {
+      await removeNamespaceIndexFile(namespaceId);
+      loadedIndexes.set(namespaceId, index);
+    }
+
+    const summary = {
+      namespaceId,
+      documents: documents.length,
+      byKind: Object.fromEntries(SEMANTIC_KINDS.map(kind => [kind, documents.filter(d => d.kind === kind).length])),
+      embedded: toEmbed.length,
+      reused: documents.length - toEmbed.length,
+      builtAt: index.builtAt,
+      durationMs: Date.now() - start
+    };
+    console.log(`🧭 Semantic index for ${namespaceId}: ${summary.documents} entries (${summary.embedded} embedded, ${summary.reused} reused)`);
+    return summary;
+  })().finally(() => builds.delete(namespaceId));
+
+  builds.set(namespaceId, build);
+  return build;
+}
+
+/**
+ * Index of a namespace for querying: built on first use, refreshed in the
+ * background once older than SEMANTIC_INDEX_MAX_AGE_MINUTES
+ */
+async function getQueryableIndex(namespaceId, { build }) {
+  const activeEmbedder = getEmbedder();
+  let index = await readNamespaceIndex(namespaceId);
+
+  if (!index || index.embedder !== activeEmbedder.signature) {
+    if (!build) return null;
+    await buildNamespaceIndex(namespaceId);
+    index = await readNamespaceIndex(namespaceId);
+  } else if (Date.now() - Date.parse(index.builtAt) > SEMANTIC_CONFIG.MAX_AGE_MS) {
+    buildNamespaceIndex(namespaceId)
+      .catch(err => console.error(`❌ Semantic index refresh failed for ${namespaceId}:`, err.message));
+  }
+  return index;
+}
+
+/**
+ * Rank the schemas, methods and documentation passages of namespaces by
+ * similarity to a natural-language query
+ * @param {string} query - e.g. "find the API that creates a refund"
+ * @param {Object} options - { namespaceIds?, kinds?, limit?, minScore? }. Without
+ *   namespaceIds, every namespace that already has an index is searched; listed
+ *   namespaces are indexed on first use.
+ * @returns {Promise<{hits: Array, namespaces: string[]}>}
+ */
+export async function semanticSearch(query, { namespaceIds, kinds = SEMANTIC_KINDS, limit = 10, minScore = SEMANTIC_CONFIG.DEFAULT_MIN_SCORE } = {}) {
+  const targets = namespaceIds?.length > 0 ? namespaceIds : await listIndexedNamespaceIds();
+  const [queryVector] = await getEmbedder().embed([query]);
+
+  const hits = [];
+  for (const namespaceId of targets) {
+    const index = await getQueryableIndex(namespaceId, { build: Boolean(namespaceIds?.length) });
+    if (!index) continue;
+    for (const document of index.documents) {
+      if (!kinds.includes(document.kind)) continue;
+      const score = cosine(queryVector, document.vector);
+      if (score >= minScore) hits.push({ document, score });
+    }
+  }
+
+  hits.sort((a, b) => b.score - a.score);
+  return {
+    namespaces: targets,
+    hits: hits.slice(0, limit).map(({ document, score }) => ({
+      id: document.id,
+      kind: document.kind,
+      namespaceId: document.namespaceId,
+      title: document.title,
+      score: Math.round(score * 10000) / 10000,
+      snippet: document.text.slice(0, 300),
+      ref: document.ref
+    }))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Handlers
+// ---------------------------------------------------------------------------
+
+/**
+ * Natural-language lookup over namespace schemas, methods and docs
+ * Request body: {
+ *   query: string,
+ *   namespaceId?: string, namespaceIds?: string[],
+ *   kinds?: Array<'schema'|'method'|'doc'>,
+ *   limit?: number (1-100, default 10),
+ *   minScore?: number (0-1, default SEMANTIC_MIN_SCORE or 0.1)
+ * }
+ */
+export const semanticSearchHandler = async (req, res) => {
+  const start = Date.now();
+  try {
+    const { query, namespaceId, namespaceIds, kinds = SEMANTIC_KINDS, limit = 10, minScore = SEMANTIC_CONFIG.DEFAULT_MIN_SCORE } = req.body;
+
+    const errors = [];
+    if (typeof query !== 'string' || !query.trim()) errors.push('query must be a non-empty string');
+    if (namespaceId !== undefined && (typeof namespaceId !== 'string' || !namespaceId)) errors.push('namespaceId must be a namespace id');
+    if (namespaceIds !== undefined && (!Array.isArray(namespaceIds) || !namespaceIds.every(id => typeof id === 'string'))) {
+      errors.push('namespaceIds must be an array of namespace ids');
+    }
+    if (!Array.isArray(kinds) || kinds.length === 0 || !kinds.every(kind => SEMANTIC_KINDS.includes(kind))) {
+      errors.push(`kinds must be a non-empty array of ${SEMANTIC_KINDS.join(', ')}`);
+    }
+    if (!Number.isInteger(Number(limit)) || Number(limit) < 1 || Number(limit) > 100) {
+      errors.push('limit must be an integer between 1 and 100');
+    }
+    if (!Number.isFinite(Number(minScore)) || Number(minScore) < 0 || Number(minScore) > 1) {
+      errors.push('minScore must be a number between 0 and 1');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid semantic search parameters", message: errors.join('; ') });
+    }
+
+    const targets = [...new Set([...(namespaceId ? [namespaceId] : []), ...(namespaceIds || [])])];
+    // Listed namespaces are indexed on first use, so unknown ones must not get that far
+    const unknown = [];
+    for (const id of targets) {
+      if (!(await namespaceExists(id))) unknown.push(id);
+    }
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: "Namespace not found", message: `Unknown namespaces: ${unknown.join(', ')}` });
+    }
+
+    const { hits, namespaces } = await semanticSearch(query, {
+      namespaceIds: targets,
+      kinds,
+      limit: Number(limit),
+      minScore: Number(minScore)
+    });
+
+    return res.status(200).json({
+      message: "Semantic search completed",
+      query,
+      embedder: getEmbedder().signature,
+      namespaces,
+      hits,
+      nbHits: hits.length,
+      processingTimeMS: Date.now() - start,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error("🔥 Semantic search failed:", err);
+    return res.status(500).json({
+      message: "Semantic search failed",
+      error: err.message
+    });
+  }
+};
+
+/**
+ * Build or refresh semantic indexes
+ * Request body: { namespaceId?: string, namespaceIds?: string[] } (all namespaces when omitted)
+ */
+export const semanticIndexHandler = async (req, res) => {
+  const start = Date.now();
+  try {
+    const { namespaceId, namespaceIds } = req.body || {};
+    if (namespaceId !== undefined && (typeof namespaceId !== 'string' || !namespaceId)) {
+      return res.status(400).json({ error: "Invalid semantic index parameters", message: 'namespaceId must be a namespace id' });
+    }
+    if (namespaceIds !== undefined && (!Array.isArray(namespaceIds) || !namespaceIds.every(id => typeof id === 'string' && id))) {
+      return res.status(400).json({ error: "Invalid semantic index parameters", message: 'namespaceIds must be an array of namespace ids' });
+    }
+    const targets = namespaceId || namespaceIds
+      ? [...new Set([...(namespaceId ? [namespaceId] : []), ...(namespaceIds || [])])]
+      : await listNamespaceIds();
+
+    const results = [];
+    for (const id of targets) {
+      try {
+        results.push({ ...await buildNamespaceIndex(id), status: 'ok' });
+      } catch (err) {
+        console.error(`❌ Semantic indexing failed for ${id}:`, err.message);
+        results.push({ namespaceId: id, status: 'error', error: err.message });
+      }
+    }
+
+    return res.status(200).json({
+      message: "Semantic indexing complete",
+      embedder: getEmbedder().signature,
+      namespaces: results,
+      failed: results.filter(result => result.status === 'error').length,
+      durationMs: Date.now() - start,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error("🔥 Semantic indexing failed:", err);
+    return res.status(500).json({
+      message: "Semantic indexing failed",
+      error: err.message
+    });
+  }
+};